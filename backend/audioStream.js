@@ -0,0 +1,219 @@
+/**
+ * METRI Meeting Assistant — Live Audio Stream Reassembly
+ * ──────────────────────────────────────────────────────
+ * MediaRecorder only writes the container header (WebM EBML + Tracks,
+ * Ogg OpusHead + OpusTags, MP4 ftyp + moov) into its first timeslice.
+ * Every later slice is a bare continuation that Whisper cannot decode
+ * on its own, and a fixed 5-second cut lands mid-word.
+ *
+ * This module keeps the header, accumulates the stream and cuts
+ * self-contained windows (header + media) at pauses, overlapping the
+ * previous window slightly so no word is lost at the seam.
+ * `dedupeOverlap` then strips the words both windows heard.
+ *
+ * Clients with voice activity detection mark every chunk `speech` or
+ * not. Their windows are cut at the first pause after MIN_SPEECH_WINDOW_MS,
+ * silence before speech is dropped (but for PRE_ROLL_MS), and a window
+ * with no new speech is never handed out — Whisper only hears speech.
+ * The full recording is kept elsewhere, so nothing is lost.
+ */
+
+const MIN_WINDOW_MS = 5000;   // don't cut shorter than this, even on a pause
+const MIN_SPEECH_WINDOW_MS = 1500; // …unless the client's VAD says it was a pause
+const PRE_ROLL_MS = 1000;     // silence kept before speech starts (VAD reacts a little late)
+const MAX_WINDOW_MS = 20000;  // force a cut if nobody pauses
+const OVERLAP_MS = 1000;      // audio repeated at the start of the next window
+const DEFAULT_CHUNK_MS = 1000;
+const MAX_OVERLAP_WORDS = 12;
+
+const WEBM_CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+const OGG_CAPTURE = Buffer.from("OggS");
+const MP4_MOOF = Buffer.from("moof");
+
+/* ── Container helpers ─────────────────────
+   headerEnd(buf) → offset where media data begins (or -1 if not yet seen)
+   frameAt(buf, from, backwards) → nearest offset a window may start at
+*/
+const CONTAINERS = {
+  webm: {
+    headerEnd: buf => buf.indexOf(WEBM_CLUSTER_ID),
+    frameAt: (buf, from, backwards) => findMarker(buf, WEBM_CLUSTER_ID, from, backwards),
+  },
+  ogg: {
+    // Pages 1 and 2 are OpusHead / OpusTags; audio starts at the third page
+    headerEnd: buf => {
+      let idx = -1;
+      for (let i = 0; i < 3; i++) {
+        idx = buf.indexOf(OGG_CAPTURE, idx + 1);
+        if (idx === -1) return -1;
+      }
+      return idx;
+    },
+    frameAt: (buf, from, backwards) => findMarker(buf, OGG_CAPTURE, from, backwards),
+  },
+  mp4: {
+    // Fragmented MP4: box size (4 bytes) precedes each "moof"
+    headerEnd: buf => {
+      const idx = buf.indexOf(MP4_MOOF);
+      return idx < 4 ? -1 : idx - 4;
+    },
+    frameAt: (buf, from, backwards) => {
+      const idx = findMarker(buf, MP4_MOOF, from + 4, backwards);
+      return idx < 4 ? -1 : idx - 4;
+    },
+  },
+};
+
+function containerFor(mimeType = "") {
+  if (mimeType.includes("ogg")) return CONTAINERS.ogg;
+  if (mimeType.includes("mp4")) return CONTAINERS.mp4;
+  return CONTAINERS.webm;
+}
+
+function findMarker(buf, marker, from, backwards) {
+  return backwards ? buf.lastIndexOf(marker, from) : buf.indexOf(marker, from);
+}
+
+/**
+ * Create a per-client stream assembler.
+ * push(data, meta) returns a window ({ audio, start, end, overlap }) when
+ * one is ready to transcribe, otherwise null. flush() returns whatever is
+ * left when the stream ends, or null when it holds no speech. Times are
+ * ms from the start of the recording.
+ */
+function createAudioStream({ mimeType, minWindowMs = MIN_WINDOW_MS, maxWindowMs = MAX_WINDOW_MS, overlapMs = OVERLAP_MS } = {}) {
+  const container = containerFor(mimeType);
+  let header = null;
+  let pendingHeader = Buffer.alloc(0);
+  let body = Buffer.alloc(0);   // media bytes of the current window
+  let chunks = [];              // { offset, start, duration, silent, speech } within body
+  let nextStart = 0;            // fallback clock when the client sends no meta
+  let overlap = 0;              // ms at the start of body already transcribed
+  let vad = false;              // the client marks speech, so pauses are real ones
+
+  function push(data, meta = {}) {
+    let media = Buffer.from(data);
+
+    if (!header) {
+      pendingHeader = Buffer.concat([pendingHeader, media]);
+      const end = container.headerEnd(pendingHeader);
+      if (end === -1) return null; // header not complete yet
+      header = pendingHeader.subarray(0, end);
+      media = pendingHeader.subarray(end);
+      pendingHeader = null;
+    }
+
+    const start = Number.isFinite(meta.start) ? meta.start : nextStart;
+    const duration = Number.isFinite(meta.duration) ? meta.duration : DEFAULT_CHUNK_MS;
+    nextStart = start + duration;
+
+    if (typeof meta.speech === "boolean") vad = true;
+    chunks.push({ offset: body.length, start, duration, silent: !!meta.silent, speech: meta.speech !== false });
+    body = Buffer.concat([body, media]);
+
+    if (!newSpeech()) {
+      trimSilence();
+      return null;
+    }
+    const windowMs = nextStart - chunks[0].start;
+    const paused = chunks[chunks.length - 1].silent;
+    if ((paused && windowMs >= (vad ? MIN_SPEECH_WINDOW_MS : minWindowMs)) || windowMs >= maxWindowMs) return cut();
+    return null;
+  }
+
+  function flush() {
+    if (!header || !chunks.length) return null;
+    const window = newSpeech() ? makeWindow() : null;
+    body = Buffer.alloc(0);
+    chunks = [];
+    return window;
+  }
+
+  /* Speech after the overlap — something not yet transcribed */
+  function newSpeech() {
+    const seen = chunks[0].start + overlap;
+    return chunks.some(c => c.speech && c.start + c.duration > seen);
+  }
+
+  /* Nobody has spoken yet: keep only the last PRE_ROLL_MS, from a frame boundary */
+  function trimSilence() {
+    let keep = 0;
+    while (keep + 1 < chunks.length && nextStart - chunks[keep + 1].start >= PRE_ROLL_MS) keep++;
+    if (!keep) return;
+    const offset = container.frameAt(body, chunks[keep].offset, true);
+    if (offset <= 0) return; // no boundary to cut at yet
+    const first = chunks[0].start;
+    dropBefore(offset);
+    overlap = Math.max(0, overlap - (chunks[0].start - first));
+  }
+
+  /* Drop body bytes before `offset`, keeping the chunks that end after it */
+  function dropBefore(offset) {
+    const ends = chunks.map((c, i) => (i + 1 < chunks.length ? chunks[i + 1].offset : body.length));
+    chunks = chunks
+      .filter((c, i) => ends[i] > offset)
+      .map(c => ({ ...c, offset: Math.max(c.offset - offset, 0) }));
+    body = body.subarray(offset);
+  }
+
+  function makeWindow() {
+    const last = chunks[chunks.length - 1];
+    return {
+      audio: Buffer.concat([header, body]),
+      start: chunks[0].start,
+      end: last.start + last.duration,
+      overlap,
+    };
+  }
+
+  /* Emit the current window and keep its tail as the next window's overlap */
+  function cut() {
+    const window = makeWindow();
+
+    // Find the first chunk inside the overlap, then align to a frame boundary
+    let keep = chunks.length;
+    while (keep > 1 && window.end - chunks[keep - 1].start <= overlapMs) keep--;
+    const target = keep < chunks.length ? chunks[keep].offset : body.length;
+
+    let offset = container.frameAt(body, target, true);
+    if (offset <= 0) offset = container.frameAt(body, target, false);
+    if (offset <= 0) offset = body.length; // no boundary yet — start fresh
+
+    dropBefore(offset);
+    overlap = chunks.length ? window.end - chunks[0].start : 0;
+
+    return window;
+  }
+
+  return { push, flush };
+}
+
+/* ── Overlap de-duplication ────────────────
+   Whisper hears the overlap twice: once at the end of window N and once
+   at the start of window N+1. Drop the longest run of words that ends
+   the previous text and begins the next one. Word boundaries come from
+   Intl.Segmenter so Khmer (written without spaces) works too.
+*/
+const segmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+
+function words(text) {
+  return [...segmenter.segment(text)]
+    .filter(s => s.isWordLike)
+    .map(s => ({ word: s.segment.toLowerCase(), index: s.index, end: s.index + s.segment.length }));
+}
+
+function dedupeOverlap(previousText, nextText) {
+  if (!previousText || !nextText) return nextText || "";
+  const prev = words(previousText).slice(-MAX_OVERLAP_WORDS);
+  const next = words(nextText);
+
+  for (let k = Math.min(prev.length, next.length); k >= 2; k--) {
+    const tail = prev.slice(-k);
+    if (tail.every((w, i) => w.word === next[i].word)) {
+      return nextText.slice(next[k - 1].end).replace(/^[\s,.;:!?។៕]+/, "");
+    }
+  }
+  return nextText;
+}
+
+module.exports = { createAudioStream, dedupeOverlap };
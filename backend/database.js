@@ -1,174 +1,1325 @@
 /**
- * METRI Meeting Assistant — Database Manager (JSON File)
- * ──────────────────────────────────────────────────────
- * Pure-JS file-based storage — no native addons needed.
- * Works on Render, Railway, Vercel, and local dev.
+ * METRI Meeting Assistant — Database Manager (SQLite / PostgreSQL)
+ * ────────────────────────────────────────────────────────────────
+ * Repository over the adapter in ./db: SQLite for local dev, PostgreSQL
+ * when DATABASE_URL is set (Render, Railway, …). Every method is async.
  *
- * Note: On Render's free tier the filesystem is ephemeral,
- * so data resets on each deploy. For persistence, upgrade
- * to a paid plan with a disk, or migrate to PostgreSQL.
+ * Rows are mapped back to the shapes the API has always returned, so
+ * routes and the frontend don't care which driver is underneath.
+ * Existing metri.json data can be copied in with `npm run db:import`.
  */
 
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const search = require('./search');
+const { DEFAULT_LANGUAGES, isLanguage } = require('./languages');
 
-const DATA_DIR = path.join(__dirname, 'data');
-const DB_FILE = path.join(DATA_DIR, 'metri.json');
+const newId = () => Math.random().toString(36).substr(2, 9);
+const finite = (n) => (Number.isFinite(n) ? n : null);
+// A new entry's Whisper text, when it was corrected before being stored → [original_text, original_lang]
+const original = (entry) => (typeof entry.original_text === 'string' ? [entry.original_text, entry.original_lang || entry.lang] : [null, null]);
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+// ── Row mapping ──────────────────────────────
+
+function toSession(row) {
+  let speakers = {};
+  try { speakers = JSON.parse(row.speakers || '{}'); } catch { /* keep {} */ }
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    title: row.title,
+    date: row.date,
+    duration: row.duration,
+    audio_file: row.audio_file,
+    audio_mime: row.audio_mime,
+    speakers,                    // label → display name, e.g. { S1: "Dara" }
+    diarization: row.diarization, // "pending" | "done" | "failed"
+    status: row.status,           // "draft" while recording (or interrupted), then "saved"
+    workspace_id: row.workspace_id, // null = the creator's personal Library
+    languages: row.languages ? JSON.parse(row.languages) : DEFAULT_LANGUAGES, // codes entries may be tagged with
+    language_hint: row.language_hint, // the language Whisper was told to expect, if forced
+    created_at: row.created_at,
+  };
 }
 
-// ── Load / Save helpers ──────────────────────
+function toEntry(row) {
+  return {
+    id: row.id,
+    session_id: row.session_id,
+    text: row.text,
+    lang: row.lang,               // a language code (see languages.js) | "mixed"
+    lang_confidence: row.lang_confidence, // 0..1, how sure the detected tag (original_lang ?? lang) is
+    time: row.time,
+    start: row.start_sec, // seconds into the recording
+    end: row.end_sec,
+    speaker: row.speaker,
+    source: row.source,   // "local" (microphone) | "remote" (tab / system audio) | null
+    original_text: row.original_text, // Whisper's text, set once the entry is edited
+    original_lang: row.original_lang,
+    merged: row.merged !== null, // joined from two entries; revert splits them again
+    translation: row.translation ? { lang: row.translation_lang, text: row.translation } : null,
+  };
+}
 
-function loadDB() {
-  try {
-    if (fs.existsSync(DB_FILE)) {
-      const raw = fs.readFileSync(DB_FILE, 'utf-8');
-      return JSON.parse(raw);
-    }
-  } catch (err) {
-    console.error('DB load error, resetting:', err.message);
-  }
-  return { users: [], sessions: [], entries: [] };
+function toNote(row) {
+  return {
+    id: row.id,
+    kind: row.kind,       // "note" | "flag"
+    text: row.text,
+    author: row.author,
+    time: row.time,
+    start: row.start_sec, // seconds into the recording
+    entry_id: row.entry_id, // the flagged line, if any
+    quote: row.quote,
+  };
+}
+
+function toActionItem(row) {
+  return {
+    id: row.id,
+    en: row.text_en,
+    km: row.text_km,
+    owner: row.owner,
+    due: row.due,
+    done: !!row.done,
+    done_at: row.done_at,
+  };
+}
+
+function toSummary(row, items) {
+  const parse = (json) => { try { return JSON.parse(json); } catch { return []; } };
+  return {
+    overview: { en: row.overview_en, km: row.overview_km },
+    decisions: parse(row.decisions),
+    action_items: items.map(toActionItem),
+    open_questions: parse(row.open_questions),
+    model: row.model,
+    created_at: row.created_at,
+  };
+}
+
+const ENTRY_ORDER = 'ORDER BY time, position';
+
+// ── Access ───────────────────────────────────
+// A user reaches a session as its creator (owner), through a workspace
+// they are a member of (with their role there) or through a direct share;
+// the strongest of these counts. Session reads and writes filter on this
+// instead of on user_id alone.
+
+const ROLES = ['viewer', 'editor', 'owner']; // each can do what the ones before it can
+
+const hasRole = (role, wanted) => !!role && ROLES.indexOf(role) >= ROLES.indexOf(wanted);
+
+/**
+ * SQL condition on alias s: sessions the user holds at least `role` on → { sql, params }
+ */
+function accessible(userId, role = 'viewer') {
+  const roles = ROLES.slice(ROLES.indexOf(role)).map(r => `'${r}'`).join(', ');
+  return {
+    sql: `(s.user_id = ?
+      OR s.workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ? AND role IN (${roles}))
+      OR s.id IN (SELECT session_id FROM session_shares WHERE user_id = ? AND role IN (${roles})))`,
+    params: [userId, userId, userId],
+  };
 }
 
-function saveDB(db) {
-  fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2), 'utf-8');
+/**
+ * The user's memberships and shares → row => role (or null) for session rows
+ */
+async function roleResolver(exec, userId) {
+  const members = await exec.all('SELECT workspace_id, role FROM workspace_members WHERE user_id = ?', [userId]);
+  const shares = await exec.all('SELECT session_id, role FROM session_shares WHERE user_id = ?', [userId]);
+  const inWorkspace = new Map(members.map(m => [m.workspace_id, m.role]));
+  const shared = new Map(shares.map(x => [x.session_id, x.role]));
+  return (row) => {
+    if (row.user_id === userId) return 'owner';
+    const held = [inWorkspace.get(row.workspace_id), shared.get(row.id)].filter(Boolean);
+    return held.sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] || null;
+  };
 }
 
-// Initialize on startup
-let _db = loadDB();
+/**
+ * Create tables / run pending migrations. Call once before serving.
+ */
+async function init() {
+  const db = await getDb();
+  await indexUnindexedEntries(db);
+}
 
 // ── Session Methods ──────────────────────────
 
 /**
  * Save a complete session and its entries
  */
-function saveSession(session) {
-  _db.sessions.push({
-    id: session.id,
-    user_id: session.user_id,
-    title: session.title,
-    date: session.date,
-    duration: session.duration || 0,
-    created_at: new Date().toISOString(),
+async function saveSession(session) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    await tx.run(
+      `INSERT INTO sessions (id, user_id, title, date, duration, audio_file, audio_mime, speakers, diarization, status,
+         languages, language_hint, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        session.id,
+        session.user_id,
+        session.title,
+        session.date,
+        session.duration || 0,
+        session.audio_file || null,
+        session.audio_mime || null,
+        JSON.stringify(session.speakers || {}),
+        session.diarization || null,
+        session.status || 'saved',
+        session.languages ? JSON.stringify(session.languages) : null,
+        session.language_hint || null,
+        new Date().toISOString(),
+      ]
+    );
+
+    for (const [position, entry] of session.entries.entries()) {
+      const id = String(entry.id || newId());
+      await tx.run(
+        `INSERT INTO entries (id, session_id, position, text, lang, lang_confidence, time, start_sec, end_sec, speaker, source,
+           translation, translation_lang, original_text, original_lang)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          session.id,
+          position,
+          entry.text,
+          entry.lang,
+          finite(entry.lang_confidence),
+          finite(entry.time),
+          finite(entry.start),
+          finite(entry.end),
+          entry.speaker || null,
+          entry.source || null,
+          entry.translation?.text || null,
+          entry.translation?.text ? entry.translation.lang : null,
+          ...original(entry),
+        ]
+      );
+      await indexEntry(tx, session.id, id, entry.text);
+    }
   });
+  return session;
+}
+
+/**
+ * Get all sessions a user can see (own, workspace, shared), each with the user's `role`
+ */
+async function getSessions(userId) {
+  const db = await getDb();
+  const access = accessible(userId);
+  const roleOf = await roleResolver(db, userId);
+  const sessions = (await db.all(
+    `SELECT s.* FROM sessions s WHERE ${access.sql} ORDER BY s.date DESC`,
+    access.params
+  )).map(row => ({ ...toSession(row), role: roleOf(row) }));
 
-  for (const entry of session.entries) {
-    _db.entries.push({
-      id: entry.id || Math.random().toString(36).substr(2, 9),
-      session_id: session.id,
-      text: entry.text,
-      lang: entry.lang,
-      time: entry.time,
-    });
+  const entries = await db.all(
+    `SELECT e.* FROM entries e JOIN sessions s ON s.id = e.session_id
+     WHERE ${access.sql} ORDER BY e.time, e.position`,
+    access.params
+  );
+  const bySession = new Map(sessions.map(s => [s.id, []]));
+  for (const row of entries) bySession.get(row.session_id)?.push(toEntry(row));
+  const notes = await db.all(
+    `SELECT n.* FROM session_notes n JOIN sessions s ON s.id = n.session_id WHERE ${access.sql} ORDER BY n.time`,
+    access.params
+  );
+  const notesBySession = new Map(sessions.map(s => [s.id, []]));
+  for (const row of notes) notesBySession.get(row.session_id)?.push(toNote(row));
+
+  const summaries = await loadSummaries(db, `JOIN sessions s ON s.id = x.session_id WHERE ${access.sql}`, access.params);
+  return sessions.map(s => ({ ...s, entries: bySession.get(s.id), notes: notesBySession.get(s.id), summary: summaries.get(s.id) || null }));
+}
+
+/**
+ * Get a single session by ID if the user can see it, with their `role`
+ */
+async function getSessionById(id, userId) {
+  const db = await getDb();
+  const access = accessible(userId);
+  const row = await db.get(`SELECT s.* FROM sessions s WHERE s.id = ? AND ${access.sql}`, [id, ...access.params]);
+  if (!row) return null;
+  const roleOf = await roleResolver(db, userId);
+  return { ...(await loadSession(db, row)), role: roleOf(row) };
+}
+
+/**
+ * A session row with its entries, notes and summary
+ */
+async function loadSession(exec, row) {
+  const entries = await exec.all(`SELECT * FROM entries WHERE session_id = ? ${ENTRY_ORDER}`, [row.id]);
+  const notes = await exec.all('SELECT * FROM session_notes WHERE session_id = ? ORDER BY time', [row.id]);
+  const summaries = await loadSummaries(exec, 'WHERE x.session_id = ?', [row.id]);
+  return { ...toSession(row), entries: entries.map(toEntry), notes: notes.map(toNote), summary: summaries.get(row.id) || null };
+}
+
+/**
+ * Delete a session and its entries (its owner, or an owner of its workspace)
+ */
+async function deleteSession(id, userId) {
+  const db = await getDb();
+  const access = accessible(userId, 'owner');
+  return db.transaction(async (tx) => {
+    const owned = await tx.get(`SELECT s.id FROM sessions s WHERE s.id = ? AND ${access.sql}`, [id, ...access.params]);
+    if (!owned) return false;
+    await tx.run('DELETE FROM share_links WHERE session_id = ?', [id]);
+    await tx.run('DELETE FROM session_shares WHERE session_id = ?', [id]);
+    await tx.run('DELETE FROM action_items WHERE session_id = ?', [id]);
+    await tx.run('DELETE FROM summaries WHERE session_id = ?', [id]);
+    await tx.run('DELETE FROM search_terms WHERE session_id = ?', [id]);
+    await tx.run('DELETE FROM entry_embeddings WHERE session_id = ?', [id]);
+    await tx.run('DELETE FROM session_notes WHERE session_id = ?', [id]);
+    await tx.run('DELETE FROM entries WHERE session_id = ?', [id]);
+    await tx.run('DELETE FROM sessions WHERE id = ?', [id]);
+    return true;
+  });
+}
+
+const UPDATABLE = ['title', 'date', 'duration', 'audio_file', 'audio_mime', 'speakers', 'diarization', 'status', 'workspace_id'];
+
+/**
+ * Update session fields (title, speakers, diarization) for a user who can edit it
+ */
+async function updateSession(id, userId, fields) {
+  const db = await getDb();
+  const keys = Object.keys(fields).filter(k => UPDATABLE.includes(k));
+  if (keys.length) {
+    const values = keys.map(k => (k === 'speakers' ? JSON.stringify(fields[k] || {}) : fields[k]));
+    const access = accessible(userId, 'editor');
+    const { changes } = await db.run(
+      `UPDATE sessions SET ${keys.map(k => `${k} = ?`).join(', ')}
+       WHERE id IN (SELECT s.id FROM sessions s WHERE s.id = ? AND ${access.sql})`,
+      [...values, id, ...access.params]
+    );
+    if (!changes) return null;
   }
+  return getSessionById(id, userId);
+}
 
-  saveDB(_db);
-  return session;
+/**
+ * Append a live transcript entry to a session (a draft being recorded)
+ * and stretch its duration to cover it. Returns false if the session is gone.
+ */
+async function appendEntry(sessionId, entry) {
+  const db = await getDb();
+  return db.transaction(async (tx) => {
+    const session = await tx.get('SELECT duration FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) return false;
+    const { last } = await tx.get('SELECT MAX(position) AS last FROM entries WHERE session_id = ?', [sessionId]);
+    await tx.run(
+      `INSERT INTO entries (id, session_id, position, text, lang, lang_confidence, time, start_sec, end_sec, source,
+         original_text, original_lang)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        String(entry.id), sessionId, (last ?? -1) + 1, entry.text, entry.lang, finite(entry.lang_confidence),
+        finite(entry.time), finite(entry.start), finite(entry.end), entry.source || null,
+        ...original(entry),
+      ]
+    );
+    await indexEntry(tx, sessionId, String(entry.id), entry.text);
+    if (Number.isFinite(entry.end) && entry.end > session.duration) {
+      await tx.run('UPDATE sessions SET duration = ? WHERE id = ?', [Math.ceil(entry.end), sessionId]);
+    }
+    return true;
+  });
+}
+
+/**
+ * Apply diarization results: [{ id, speaker }] for a session's entries
+ */
+async function setEntrySpeakers(sessionId, assignments) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    for (const a of assignments) {
+      await tx.run(
+        'UPDATE entries SET speaker = ? WHERE session_id = ? AND id = ?',
+        [a.speaker || null, sessionId, String(a.id)]
+      );
+    }
+  });
+}
+
+/**
+ * Store translations: [{ id, lang, text }] for a session's entries
+ */
+async function setEntryTranslations(sessionId, translations) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    for (const t of translations) {
+      await tx.run(
+        'UPDATE entries SET translation = ?, translation_lang = ? WHERE session_id = ? AND id = ?',
+        [t.text || null, t.text ? t.lang : null, sessionId, String(t.id)]
+      );
+    }
+  });
+}
+
+// ── Transcript Edits ─────────────────────────
+// The first edit copies Whisper's text/lang into original_*, so revert
+// always returns to what was transcribed, however many edits came after.
+// A merge keeps both rows in `merged`; once the joined line's own edits
+// are reverted, reverting it again restores the two lines.
+// A translation no longer matches once the text changes, so edits drop it.
+
+// What a merge keeps of each row, to put it back
+const MERGED_COLUMNS = [
+  'text', 'lang', 'lang_confidence', 'time', 'start_sec', 'end_sec', 'speaker', 'source',
+  'original_text', 'original_lang', 'translation', 'translation_lang', 'merged',
+];
+
+/**
+ * Entries of a session in transcript order (raw rows)
+ */
+function entryRows(exec, sessionId) {
+  return exec.all(`SELECT * FROM entries WHERE session_id = ? ${ENTRY_ORDER}`, [sessionId]);
+}
+
+/**
+ * Correct an entry's text and/or language, or revert it to Whisper's version.
+ * fields: { text?, lang? } | { revert: true }. Returns false if not found.
+ */
+async function updateEntry(sessionId, entryId, fields) {
+  const db = await getDb();
+  return db.transaction(async (tx) => {
+    const row = await tx.get('SELECT * FROM entries WHERE session_id = ? AND id = ?', [sessionId, entryId]);
+    if (!row) return false;
+
+    if (fields.revert) {
+      if (row.original_text === null) {
+        if (row.merged !== null) await unmerge(tx, sessionId, row);
+        return true;
+      }
+      await tx.run(
+        `UPDATE entries SET text = ?, lang = ?, original_text = NULL, original_lang = NULL,
+           translation = NULL, translation_lang = NULL
+         WHERE session_id = ? AND id = ?`,
+        [row.original_text, row.original_lang, sessionId, entryId]
+      );
+      await indexEntry(tx, sessionId, entryId, row.original_text);
+      return true;
+    }
+
+    const text = fields.text ?? row.text;
+    const lang = fields.lang ?? row.lang;
+    let originalText = row.original_text ?? row.text;
+    let originalLang = row.original_lang ?? row.lang;
+    if (text === originalText && lang === originalLang) originalText = originalLang = null; // edited back to Whisper's
+
+    const keepTranslation = text === row.text && lang === row.lang;
+    await tx.run(
+      `UPDATE entries SET text = ?, lang = ?, original_text = ?, original_lang = ?,
+         translation = ?, translation_lang = ?
+       WHERE session_id = ? AND id = ?`,
+      [
+        text, lang, originalText, originalLang,
+        keepTranslation ? row.translation : null, keepTranslation ? row.translation_lang : null,
+        sessionId, entryId,
+      ]
+    );
+    await indexEntry(tx, sessionId, entryId, text);
+    return true;
+  });
+}
+
+/**
+ * Merge an entry with the one that follows it. The first entry keeps its
+ * id, speaker and start; the second is removed, both kept in `merged`.
+ * Returns false if the entry doesn't exist or is the last one.
+ */
+async function mergeEntries(sessionId, entryId) {
+  const db = await getDb();
+  return db.transaction(async (tx) => {
+    const rows = await entryRows(tx, sessionId);
+    const i = rows.findIndex(r => r.id === entryId);
+    if (i === -1 || i === rows.length - 1) return false;
+    const [a, b] = [rows[i], rows[i + 1]];
+
+    const keep = (row) => Object.fromEntries(MERGED_COLUMNS.map(c => [c, row[c]]));
+    const text = `${a.text} ${b.text}`;
+    const translated = a.translation && b.translation && a.translation_lang === b.translation_lang;
+    const sameLang = a.lang === b.lang; // otherwise the joined line switches languages
+    const confidence = a.lang_confidence !== null && b.lang_confidence !== null ? Math.min(a.lang_confidence, b.lang_confidence) : null;
+    await tx.run(
+      `UPDATE entries SET text = ?, lang = ?, lang_confidence = ?, end_sec = ?, source = ?, original_text = NULL, original_lang = NULL,
+         translation = ?, translation_lang = ?, merged = ?
+       WHERE session_id = ? AND id = ?`,
+      [
+        text,
+        sameLang ? a.lang : 'mixed',
+        sameLang ? confidence : null,
+        b.end_sec ?? a.end_sec,
+        a.source === b.source ? a.source : null,
+        translated ? `${a.translation} ${b.translation}` : null,
+        translated ? a.translation_lang : null,
+        JSON.stringify({ a: keep(a), b: { id: b.id, ...keep(b) } }),
+        sessionId,
+        a.id,
+      ]
+    );
+    await tx.run('DELETE FROM entries WHERE session_id = ? AND id = ?', [sessionId, b.id]);
+    await indexEntry(tx, sessionId, a.id, text);
+    await indexEntry(tx, sessionId, b.id, '');
+    return true;
+  });
+}
+
+/* Put a merged entry's two rows back as they were before the merge */
+async function unmerge(tx, sessionId, row) {
+  const { a, b } = JSON.parse(row.merged);
+  await tx.run('UPDATE entries SET position = position + 1 WHERE session_id = ? AND position > ?', [sessionId, row.position]);
+  await tx.run(
+    `UPDATE entries SET ${MERGED_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE session_id = ? AND id = ?`,
+    [...MERGED_COLUMNS.map(c => a[c]), sessionId, row.id]
+  );
+  await tx.run(
+    `INSERT INTO entries (id, session_id, position, ${MERGED_COLUMNS.join(', ')})
+     VALUES (?, ?, ?, ${MERGED_COLUMNS.map(() => '?').join(', ')})`,
+    [b.id, sessionId, row.position + 1, ...MERGED_COLUMNS.map(c => b[c])]
+  );
+  await indexEntry(tx, sessionId, row.id, a.text);
+  await indexEntry(tx, sessionId, b.id, b.text);
 }
 
 /**
- * Get all sessions for a specific user
+ * Split an entry in two at character offset `at` of its text. The audio
+ * span is divided in proportion to the text. An edited entry's original
+ * is split at the same place (moved to the nearest space), so each half
+ * reverts to its own part; a merged one can no longer be unmerged. Returns the new (second) entry's id, or null
+ * if not found.
  */
-function getSessions(userId) {
-  const sessions = _db.sessions
-    .filter(s => s.user_id === userId)
-    .sort((a, b) => new Date(b.date) - new Date(a.date));
+async function splitEntry(sessionId, entryId, at) {
+  const db = await getDb();
+  return db.transaction(async (tx) => {
+    const row = await tx.get('SELECT * FROM entries WHERE session_id = ? AND id = ?', [sessionId, entryId]);
+    if (!row) return null;
+
+    const first = row.text.slice(0, at).trim();
+    const second = row.text.slice(at).trim();
+    const ratio = at / row.text.length;
+    const timed = row.start_sec !== null && row.end_sec !== null;
+    const mid = timed ? row.start_sec + (row.end_sec - row.start_sec) * ratio : null;
+    const time = row.time !== null && timed ? row.time + Math.round((mid - row.start_sec) * 1000) : row.time;
+    const id = newId();
+    const [firstOriginal, secondOriginal] = splitOriginal(row, ratio).map((original, i) =>
+      (original === [first, second][i] && row.original_lang === row.lang ? null : original)); // that half was never edited
 
-  return sessions.map(s => {
-    const entries = _db.entries
-      .filter(e => e.session_id === s.id)
-      .sort((a, b) => a.time - b.time);
-    return { ...s, entries };
+    await tx.run('UPDATE entries SET position = position + 1 WHERE session_id = ? AND position > ?', [sessionId, row.position]);
+    await tx.run(
+      `UPDATE entries SET text = ?, end_sec = ?, original_text = ?, original_lang = ?, translation = NULL, translation_lang = NULL,
+         merged = NULL
+       WHERE session_id = ? AND id = ?`,
+      [first, timed ? mid : row.end_sec, firstOriginal, firstOriginal === null ? null : row.original_lang, sessionId, entryId]
+    );
+    await tx.run(
+      `INSERT INTO entries (id, session_id, position, text, lang, lang_confidence, time, start_sec, end_sec, speaker, source,
+         original_text, original_lang)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id, sessionId, row.position + 1, second, row.lang, row.lang_confidence, time, timed ? mid : null, row.end_sec, row.speaker, row.source,
+        secondOriginal, secondOriginal === null ? null : row.original_lang,
+      ]
+    );
+    await indexEntry(tx, sessionId, entryId, first);
+    await indexEntry(tx, sessionId, id, second);
+    return id;
   });
 }
 
+/* An edited entry's original text cut where its text is cut (the same
+   share of it, at the nearest space) → [first, second]; nulls if unedited */
+function splitOriginal(row, ratio) {
+  const original = row.original_text;
+  if (original === null) return [null, null];
+  const target = Math.round(original.length * ratio);
+  let at = target;
+  for (let d = 0; d <= original.length; d++) {
+    if (/\s/.test(original[target - d] ?? '')) { at = target - d; break; }
+    if (/\s/.test(original[target + d] ?? '')) { at = target + d; break; }
+  }
+  return [original.slice(0, at).trim(), original.slice(at).trim()];
+}
+
+// ── Session Notes ────────────────────────────
+
 /**
- * Get a single session by ID and verify owner
+ * Keep a note or flag from a shared live session with its draft.
+ * Returns false if the session no longer exists.
  */
-function getSessionById(id, userId) {
-  const session = _db.sessions.find(s => s.id === id && s.user_id === userId);
-  if (!session) return null;
+async function addSessionNote(sessionId, note) {
+  const db = await getDb();
+  return db.transaction(async (tx) => {
+    if (!await tx.get('SELECT id FROM sessions WHERE id = ?', [sessionId])) return false;
+    await tx.run(
+      `INSERT INTO session_notes (id, session_id, kind, text, author, time, start_sec, entry_id, quote)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [note.id, sessionId, note.kind, note.text, note.author, finite(note.time), finite(note.start), note.entry_id || null, note.quote || null]
+    );
+    return true;
+  });
+}
 
-  const entries = _db.entries
-    .filter(e => e.session_id === id)
-    .sort((a, b) => a.time - b.time);
-  return { ...session, entries };
+// ── Summary Methods ──────────────────────────
+
+/**
+ * Summaries (with action items) matching a filter on alias x → Map(session_id → summary)
+ */
+async function loadSummaries(exec, filter, params) {
+  const rows = await exec.all(`SELECT x.* FROM summaries x ${filter}`, params);
+  if (!rows.length) return new Map();
+  const items = await exec.all(`SELECT x.* FROM action_items x ${filter} ORDER BY x.position`, params);
+  return new Map(rows.map(r => [r.session_id, toSummary(r, items.filter(i => i.session_id === r.session_id))]));
 }
 
 /**
- * Delete a session and its entries
+ * Stored summary for a session, or null
  */
-function deleteSession(id, userId) {
-  const idx = _db.sessions.findIndex(s => s.id === id && s.user_id === userId);
-  if (idx === -1) return false;
+async function getSummary(sessionId) {
+  const db = await getDb();
+  return (await loadSummaries(db, 'WHERE x.session_id = ?', [sessionId])).get(sessionId) || null;
+}
 
-  _db.sessions.splice(idx, 1);
-  _db.entries = _db.entries.filter(e => e.session_id !== id);
-  saveDB(_db);
-  return true;
+/**
+ * Store (or replace) a session's summary. Regenerating resets action items.
+ */
+async function saveSummary(sessionId, summary) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    await tx.run('DELETE FROM action_items WHERE session_id = ?', [sessionId]);
+    await tx.run('DELETE FROM summaries WHERE session_id = ?', [sessionId]);
+    await tx.run(
+      `INSERT INTO summaries (session_id, overview_en, overview_km, decisions, open_questions, model, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sessionId,
+        summary.overview.en,
+        summary.overview.km,
+        JSON.stringify(summary.decisions),
+        JSON.stringify(summary.open_questions),
+        summary.model || null,
+        new Date().toISOString(),
+      ]
+    );
+    for (const [position, item] of summary.action_items.entries()) {
+      await tx.run(
+        `INSERT INTO action_items (id, session_id, position, text_en, text_km, owner, due)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [newId(), sessionId, position, item.en, item.km, item.owner, item.due]
+      );
+    }
+  });
+  return getSummary(sessionId);
 }
 
 /**
- * Search transcripts for a specific user
+ * Tick / untick an action item. Returns false if it doesn't exist.
  */
-function searchTranscripts(query, userId) {
-  const userSessionIds = new Set(
-    _db.sessions.filter(s => s.user_id === userId).map(s => s.id)
+async function setActionItemDone(sessionId, itemId, done) {
+  const db = await getDb();
+  const { changes } = await db.run(
+    'UPDATE action_items SET done = ?, done_at = ? WHERE session_id = ? AND id = ?',
+    [done ? 1 : 0, done ? new Date().toISOString() : null, sessionId, itemId]
   );
+  return changes > 0;
+}
 
-  const lowerQuery = query.toLowerCase();
+/**
+ * Whether a recording file belongs to any saved session
+ */
+async function isAudioFileLinked(file) {
+  const db = await getDb();
+  return !!(await db.get('SELECT 1 AS linked FROM sessions WHERE audio_file = ? LIMIT 1', [file]));
+}
 
-  const results = [];
-  for (const entry of _db.entries) {
-    if (!userSessionIds.has(entry.session_id)) continue;
-    if (!entry.text.toLowerCase().includes(lowerQuery)) continue;
+// ── Search Methods ───────────────────────────
+// search_terms is an inverted index (word → entries) kept in step with
+// every write to entries; ranking and Khmer segmentation live in ./search.
 
-    const session = _db.sessions.find(s => s.id === entry.session_id);
-    results.push({
-      session_id: entry.session_id,
-      title: session?.title || '',
-      text: entry.text,
-      lang: entry.lang,
-      time: entry.time,
-    });
+/**
+ * (Re)index one entry's text
+ */
+async function indexEntry(exec, sessionId, entryId, text) {
+  await exec.run('DELETE FROM search_terms WHERE session_id = ? AND entry_id = ?', [sessionId, entryId]);
+  const { counts, length } = search.termCounts(text);
+  for (const [term, tf] of counts) {
+    await exec.run('INSERT INTO search_terms (term, session_id, entry_id, tf) VALUES (?, ?, ?, ?)', [term, sessionId, entryId, tf]);
   }
+  await exec.run('UPDATE entries SET terms = ? WHERE session_id = ? AND id = ?', [length, sessionId, entryId]);
+}
 
-  return results.sort((a, b) => b.time - a.time);
+/**
+ * Index entries written before the search index existed (or by db:import)
+ */
+async function indexUnindexedEntries(db) {
+  const rows = await db.all('SELECT session_id, id, text FROM entries WHERE terms IS NULL');
+  if (!rows.length) return;
+  await db.transaction(async (tx) => {
+    for (const row of rows) await indexEntry(tx, row.session_id, row.id, row.text);
+  });
+  console.log(`[DB] Indexed ${rows.length} transcript entries for search`);
 }
 
-// ── Auth Methods ─────────────────────────────
+/**
+ * Ranked transcript search across the sessions a user can see.
+ * opts: { q, lang?, from?, to? (ISO bounds on session date), sessionId?,
+ *         speaker? (label or display name), page = 1, pageSize = 20 }
+ * → { total, page, pageSize, results: [{ …entry, title, date, speaker_name, score, highlights }] }
+ */
+async function searchTranscripts(userId, opts) {
+  const { page = 1, pageSize = 20 } = opts;
+  const empty = { total: 0, page, pageSize, results: [] };
+  const query = search.parseQuery(opts.q);
+  if (!query.prefix) return empty;
 
-function createUser(username, passwordHash) {
-  console.log(`[DB] Creating user: ${username}`);
-  const id = Math.random().toString(36).substr(2, 9);
-  const user = {
-    id,
-    username,
-    password_hash: passwordHash,
+  // Exact words, plus anything starting with the last one
+  const termFilter = `(${query.terms.map(() => 't.term = ? OR ').join('')}t.term LIKE ? ESCAPE '\\')`;
+  const termParams = [...query.terms, `${query.prefix.replace(/[\\%_]/g, c => `\\${c}`)}%`];
+
+  const access = accessible(userId);
+  const where = [access.sql, termFilter];
+  const params = [...access.params, ...termParams];
+  if (opts.lang) {
+    // As in the live filter, a mixed line is translated into English, so it
+    // was said in the session's other language(s) — any of them but English
+    if (opts.lang !== 'en' && isLanguage(opts.lang)) {
+      where.push(`(e.lang = ? OR (e.lang = 'mixed' AND COALESCE(s.languages, ?) LIKE ?))`);
+      params.push(opts.lang, JSON.stringify(DEFAULT_LANGUAGES), `%"${opts.lang}"%`);
+    } else {
+      where.push('e.lang = ?');
+      params.push(opts.lang);
+    }
+  }
+  if (opts.from) { where.push('s.date >= ?'); params.push(opts.from); }
+  if (opts.to) { where.push('s.date < ?'); params.push(opts.to); }
+  if (opts.sessionId) { where.push('s.id = ?'); params.push(opts.sessionId); }
+
+  const db = await getDb();
+  const rows = await db.all(
+    `SELECT t.term, t.tf, e.*, s.title, s.date, s.speakers
+     FROM search_terms t
+     JOIN entries e ON e.session_id = t.session_id AND e.id = t.entry_id
+     JOIN sessions s ON s.id = t.session_id
+     WHERE ${where.join(' AND ')}`,
+    params
+  );
+
+  // Corpus statistics cover all of the user's entries, not just the filtered ones
+  const corpus = await db.get(
+    `SELECT COUNT(*) AS total, AVG(e.terms) AS avg_length
+     FROM entries e JOIN sessions s ON s.id = e.session_id WHERE ${access.sql}`,
+    access.params
+  );
+  const dfRows = await db.all(
+    `SELECT t.term, COUNT(*) AS df FROM search_terms t JOIN sessions s ON s.id = t.session_id
+     WHERE ${access.sql} AND ${termFilter} GROUP BY t.term`,
+    [...access.params, ...termParams]
+  );
+  const stats = {
+    total: Number(corpus.total),
+    avgLength: Number(corpus.avg_length) || 1,
+    df: new Map(dfRows.map(r => [r.term, Number(r.df)])),
+  };
+
+  const entries = new Map();
+  const postings = rows.map(row => {
+    const key = `${row.session_id}/${row.id}`;
+    if (!entries.has(key)) entries.set(key, { key, length: row.terms, time: row.time, row });
+    return { term: row.term, tf: row.tf, entry: entries.get(key) };
+  });
+
+  let ranked = search.rank(postings, query, stats).map(({ entry: { row }, score, terms }) => {
+    const { speakers } = toSession(row);
+    return {
+      ...toEntry(row),
+      title: row.title || '',
+      date: row.date,
+      speaker_name: row.speaker ? speakers[row.speaker] || `Speaker ${row.speaker.slice(1)}` : null,
+      score,
+      terms,
+    };
+  });
+
+  if (opts.speaker) {
+    const wanted = opts.speaker.toLowerCase();
+    ranked = ranked.filter(r => r.speaker?.toLowerCase() === wanted || r.speaker_name?.toLowerCase() === wanted);
+  }
+
+  const results = ranked
+    .slice((page - 1) * pageSize, page * pageSize)
+    .map(({ terms, ...r }) => ({ ...r, highlights: search.highlights(r.text, terms) }));
+  return { total: ranked.length, page, pageSize, results };
+}
+
+// ── Embedding Methods ────────────────────────
+
+/**
+ * Stored embedding fingerprints of a session → Map(entry_id → { model, hash })
+ */
+async function getEmbeddingHashes(sessionId) {
+  const db = await getDb();
+  const rows = await db.all('SELECT entry_id, model, hash FROM entry_embeddings WHERE session_id = ?', [sessionId]);
+  return new Map(rows.map(r => [r.entry_id, { model: r.model, hash: r.hash }]));
+}
+
+/**
+ * Store vectors for a session: rows [{ entry_id, hash, vector }]. Vectors
+ * of entries that no longer exist (merged away) are removed.
+ */
+async function saveEmbeddings(sessionId, model, rows) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    for (const row of rows) {
+      await tx.run(
+        `INSERT INTO entry_embeddings (session_id, entry_id, model, hash, vector) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (session_id, entry_id) DO UPDATE SET
+           model = excluded.model, hash = excluded.hash, vector = excluded.vector`,
+        [sessionId, row.entry_id, model, row.hash, JSON.stringify(row.vector)]
+      );
+    }
+    await tx.run(
+      `DELETE FROM entry_embeddings WHERE session_id = ?
+       AND entry_id NOT IN (SELECT id FROM entries WHERE session_id = ?)`,
+      [sessionId, sessionId]
+    );
+  });
+}
+
+/**
+ * Every vector made by `model` for sessions the user can see → [{ session_id, entry_id, vector }]
+ */
+async function listEmbeddings(userId, model) {
+  const db = await getDb();
+  const access = accessible(userId);
+  const rows = await db.all(
+    `SELECT x.session_id, x.entry_id, x.vector FROM entry_embeddings x
+     JOIN sessions s ON s.id = x.session_id
+     WHERE ${access.sql} AND x.model = ?`,
+    [...access.params, model]
+  );
+  return rows.map(r => ({ session_id: r.session_id, entry_id: r.entry_id, vector: JSON.parse(r.vector) }));
+}
+
+/**
+ * Sessions with entries that have no vector from `model` yet → [{ id, user_id }]
+ */
+async function sessionsMissingEmbeddings(model) {
+  const db = await getDb();
+  return db.all(
+    `SELECT DISTINCT s.id, s.user_id FROM entries e
+     JOIN sessions s ON s.id = e.session_id
+     LEFT JOIN entry_embeddings x ON x.session_id = e.session_id AND x.entry_id = e.id AND x.model = ?
+     WHERE x.entry_id IS NULL AND s.status = 'saved'`,
+    [model]
+  );
+}
+
+// ── Workspace Methods ────────────────────────
+
+/**
+ * Workspaces the user belongs to, each with their role and its members
+ * → [{ id, name, role, created_at, members: [{ user_id, username, role }] }]
+ */
+async function getWorkspaces(userId) {
+  const db = await getDb();
+  const rows = await db.all(
+    `SELECT w.*, m.role FROM workspaces w JOIN workspace_members m ON m.workspace_id = w.id
+     WHERE m.user_id = ? ORDER BY w.name`,
+    [userId]
+  );
+  if (!rows.length) return [];
+  const members = await db.all(
+    `SELECT m.workspace_id, m.user_id, m.role, u.username FROM workspace_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)
+     ORDER BY u.username`,
+    [userId]
+  );
+  return rows.map(w => ({
+    id: w.id,
+    name: w.name,
+    role: w.role,
+    created_at: w.created_at,
+    members: members
+      .filter(m => m.workspace_id === w.id)
+      .map(m => ({ user_id: m.user_id, username: m.username, role: m.role })),
+  }));
+}
+
+/**
+ * One workspace the user belongs to, or null
+ */
+async function getWorkspace(id, userId) {
+  return (await getWorkspaces(userId)).find(w => w.id === id) || null;
+}
+
+/**
+ * Create a workspace with its creator as owner
+ */
+async function createWorkspace(userId, name) {
+  const db = await getDb();
+  const id = newId();
+  const now = new Date().toISOString();
+  await db.transaction(async (tx) => {
+    await tx.run('INSERT INTO workspaces (id, name, created_by, created_at) VALUES (?, ?, ?, ?)', [id, name, userId, now]);
+    await tx.run(
+      'INSERT INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (?, ?, ?, ?)',
+      [id, userId, 'owner', now]
+    );
+  });
+  return getWorkspace(id, userId);
+}
+
+async function renameWorkspace(id, name) {
+  const db = await getDb();
+  await db.run('UPDATE workspaces SET name = ? WHERE id = ?', [name, id]);
+}
+
+/**
+ * Delete a workspace. Its sessions go back to the personal Libraries of
+ * the people who recorded them.
+ */
+async function deleteWorkspace(id) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    await tx.run('UPDATE sessions SET workspace_id = NULL WHERE workspace_id = ?', [id]);
+    await tx.run('DELETE FROM workspace_members WHERE workspace_id = ?', [id]);
+    await tx.run('DELETE FROM glossary_terms WHERE workspace_id = ?', [id]);
+    await tx.run('DELETE FROM workspaces WHERE id = ?', [id]);
+  });
+}
+
+/**
+ * Add a member or change their role
+ */
+async function setWorkspaceMember(workspaceId, userId, role) {
+  const db = await getDb();
+  await db.run(
+    `INSERT INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = excluded.role`,
+    [workspaceId, userId, role, new Date().toISOString()]
+  );
+}
+
+/**
+ * Remove a member. Returns false if they weren't one.
+ */
+async function removeWorkspaceMember(workspaceId, userId) {
+  const db = await getDb();
+  const { changes } = await db.run('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?', [workspaceId, userId]);
+  return changes > 0;
+}
+
+// ── Share Methods ────────────────────────────
+// Sessions shared with single users, and read-only public links. A link
+// is a random token; it stops working once expires_at passes or it is
+// revoked (the row stays, so the owner can see what was handed out).
+
+/**
+ * Users a session is shared with → [{ user_id, username, role, created_at }]
+ */
+async function getSessionShares(sessionId) {
+  const db = await getDb();
+  return db.all(
+    `SELECT x.user_id, u.username, x.role, x.created_at FROM session_shares x
+     JOIN users u ON u.id = x.user_id WHERE x.session_id = ? ORDER BY u.username`,
+    [sessionId]
+  );
+}
+
+async function setSessionShare(sessionId, userId, role) {
+  const db = await getDb();
+  await db.run(
+    `INSERT INTO session_shares (session_id, user_id, role, created_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT (session_id, user_id) DO UPDATE SET role = excluded.role`,
+    [sessionId, userId, role, new Date().toISOString()]
+  );
+}
+
+/**
+ * Stop sharing a session with a user. Returns false if it wasn't shared.
+ */
+async function removeSessionShare(sessionId, userId) {
+  const db = await getDb();
+  const { changes } = await db.run('DELETE FROM session_shares WHERE session_id = ? AND user_id = ?', [sessionId, userId]);
+  return changes > 0;
+}
+
+/**
+ * Public links of a session, newest first
+ */
+async function getShareLinks(sessionId) {
+  const db = await getDb();
+  return db.all(
+    `SELECT token, created_by, created_at, expires_at, revoked_at FROM share_links
+     WHERE session_id = ? ORDER BY created_at DESC`,
+    [sessionId]
+  );
+}
+
+/**
+ * Create a public link; expiresAt is an ISO time or null for no expiry
+ */
+async function createShareLink(sessionId, userId, expiresAt) {
+  const db = await getDb();
+  const link = {
+    token: crypto.randomBytes(24).toString('base64url'),
+    created_by: userId,
     created_at: new Date().toISOString(),
+    expires_at: expiresAt || null,
+    revoked_at: null,
+  };
+  await db.run(
+    'INSERT INTO share_links (token, session_id, created_by, created_at, expires_at) VALUES (?, ?, ?, ?, ?)',
+    [link.token, sessionId, userId, link.created_at, link.expires_at]
+  );
+  return link;
+}
+
+/**
+ * Revoke a public link. Returns false if the session has no such live link.
+ */
+async function revokeShareLink(sessionId, token) {
+  const db = await getDb();
+  const { changes } = await db.run(
+    'UPDATE share_links SET revoked_at = ? WHERE session_id = ? AND token = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), sessionId, token]
+  );
+  return changes > 0;
+}
+
+/**
+ * The session behind a public link, or null if the link is unknown,
+ * revoked or expired
+ */
+async function getSessionByShareLink(token) {
+  const db = await getDb();
+  const row = await db.get(
+    `SELECT s.* FROM share_links l JOIN sessions s ON s.id = l.session_id
+     WHERE l.token = ? AND l.revoked_at IS NULL AND (l.expires_at IS NULL OR l.expires_at > ?)`,
+    [String(token), new Date().toISOString()]
+  );
+  return row ? loadSession(db, row) : null;
+}
+
+// ── Glossary Methods ─────────────────────────
+// A term lives in one user's personal glossary or in a workspace's. The
+// glossary applied for a user is their own terms plus those of every
+// workspace they belong to (plus the session's workspace, if given).
+
+function toTerm(row) {
+  return {
+    id: row.id,
+    term: row.term,
+    variants: parseJson(row.variants) || [],
+    lang: row.lang,
+    workspace_id: row.workspace_id,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Terms of one glossary, alphabetical: a workspace's, or the user's own
+ */
+async function getGlossaryTerms({ userId, workspaceId }) {
+  const db = await getDb();
+  const rows = workspaceId
+    ? await db.all('SELECT * FROM glossary_terms WHERE workspace_id = ? ORDER BY term', [workspaceId])
+    : await db.all('SELECT * FROM glossary_terms WHERE user_id = ? ORDER BY term', [userId]);
+  return rows.map(toTerm);
+}
+
+/**
+ * Every term that applies when transcribing or correcting for a user
+ */
+async function getGlossaryFor(userId, workspaceId = null) {
+  const db = await getDb();
+  const rows = await db.all(
+    `SELECT * FROM glossary_terms
+     WHERE user_id = ?
+        OR workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)
+        OR workspace_id = ?
+     ORDER BY created_at`,
+    [userId, userId, workspaceId]
+  );
+  return rows.map(toTerm);
+}
+
+async function getGlossaryTerm(id) {
+  const db = await getDb();
+  const row = await db.get('SELECT * FROM glossary_terms WHERE id = ?', [id]);
+  return row ? { ...toTerm(row), user_id: row.user_id } : null;
+}
+
+async function countGlossaryTerms({ userId, workspaceId }) {
+  const db = await getDb();
+  const row = workspaceId
+    ? await db.get('SELECT COUNT(*) AS n FROM glossary_terms WHERE workspace_id = ?', [workspaceId])
+    : await db.get('SELECT COUNT(*) AS n FROM glossary_terms WHERE user_id = ?', [userId]);
+  return Number(row.n);
+}
+
+/**
+ * Add a term to a workspace's glossary, or to the user's own when
+ * workspaceId is null
+ */
+async function createGlossaryTerm(userId, workspaceId, { term, variants, lang }) {
+  const db = await getDb();
+  const id = newId();
+  await db.run(
+    `INSERT INTO glossary_terms (id, user_id, workspace_id, term, variants, lang, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, workspaceId ? null : userId, workspaceId || null, term, JSON.stringify(variants), lang || null, userId, new Date().toISOString()]
+  );
+  return getGlossaryTerm(id);
+}
+
+async function updateGlossaryTerm(id, { term, variants, lang }) {
+  const db = await getDb();
+  const row = await getGlossaryTerm(id);
+  await db.run(
+    'UPDATE glossary_terms SET term = ?, variants = ?, lang = ? WHERE id = ?',
+    [term ?? row.term, JSON.stringify(variants ?? row.variants), lang === undefined ? row.lang : lang || null, id]
+  );
+  return getGlossaryTerm(id);
+}
+
+async function deleteGlossaryTerm(id) {
+  const db = await getDb();
+  await db.run('DELETE FROM glossary_terms WHERE id = ?', [id]);
+}
+
+// ── Usage Methods ────────────────────────────
+
+/**
+ * Add metered usage to a user's daily total
+ * amounts: { seconds?, tokens? }
+ */
+async function addUsage(userId, day, amounts) {
+  const db = await getDb();
+  await db.run(
+    `INSERT INTO usage_daily (user_id, day, seconds, tokens) VALUES (?, ?, ?, ?)
+     ON CONFLICT (user_id, day) DO UPDATE SET
+       seconds = usage_daily.seconds + excluded.seconds,
+       tokens = usage_daily.tokens + excluded.tokens`,
+    [userId, day, amounts.seconds || 0, Math.round(amounts.tokens || 0)]
+  );
+}
+
+/**
+ * Daily usage rows for a user from a given day (YYYY-MM-DD) onwards
+ */
+async function getUsage(userId, fromDay) {
+  const db = await getDb();
+  return db.all(
+    'SELECT user_id, day, seconds, tokens FROM usage_daily WHERE user_id = ? AND day >= ?',
+    [userId, fromDay]
+  );
+}
+
+// ── Job Methods ──────────────────────────────
+
+const parseJson = (text) => {
+  if (text == null) return null;
+  try { return JSON.parse(text); } catch { return null; }
+};
+
+function toJob(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    type: row.type,
+    status: row.status, // "queued" | "running" | "done" | "failed"
+    payload: parseJson(row.payload) || {},
+    state: parseJson(row.state),   // checkpoint for the next attempt
+    detail: parseJson(row.detail), // progress details shown to the client
+    progress: row.progress,
+    result: parseJson(row.result),
+    error: row.error,
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    run_at: row.run_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
   };
-  _db.users.push(user);
-  saveDB(_db);
+}
+
+const JOB_JSON = ['payload', 'state', 'detail', 'result'];
+const JOB_UPDATABLE = ['status', 'state', 'detail', 'progress', 'result', 'error', 'run_at'];
+
+async function createJob(job) {
+  const db = await getDb();
+  const now = new Date().toISOString();
+  await db.run(
+    `INSERT INTO jobs (id, user_id, type, status, payload, detail, max_attempts, run_at, created_at, updated_at)
+     VALUES (?, ?, ?, 'queued', ?, ?, ?, ?, ?, ?)`,
+    [job.id, job.user_id, job.type, JSON.stringify(job.payload || {}), job.detail ? JSON.stringify(job.detail) : null,
+      job.max_attempts, now, now, now]
+  );
+  return getJob(job.id);
+}
+
+/**
+ * One job; pass userId to only find the user's own
+ */
+async function getJob(id, userId) {
+  const db = await getDb();
+  const row = userId === undefined
+    ? await db.get('SELECT * FROM jobs WHERE id = ?', [id])
+    : await db.get('SELECT * FROM jobs WHERE id = ? AND user_id = ?', [id, userId]);
+  return row ? toJob(row) : null;
+}
+
+/**
+ * A user's jobs, newest first. filter: { type?, limit? }
+ */
+async function listJobs(userId, { type, limit = 50 } = {}) {
+  const db = await getDb();
+  const rows = type
+    ? await db.all('SELECT * FROM jobs WHERE user_id = ? AND type = ? ORDER BY created_at DESC LIMIT ?', [userId, type, limit])
+    : await db.all('SELECT * FROM jobs WHERE user_id = ? ORDER BY created_at DESC LIMIT ?', [userId, limit]);
+  return rows.map(toJob);
+}
+
+/**
+ * Queued jobs of a type that are due by `now`, oldest first
+ */
+async function dueJobs(type, now, limit) {
+  const db = await getDb();
+  const rows = await db.all(
+    `SELECT * FROM jobs WHERE status = 'queued' AND type = ? AND run_at <= ?
+     ORDER BY run_at, created_at LIMIT ?`,
+    [type, now, limit]
+  );
+  return rows.map(toJob);
+}
+
+/**
+ * Mark a queued job running and count the attempt. False when another
+ * worker got there first.
+ */
+async function claimJob(id) {
+  const db = await getDb();
+  const { changes } = await db.run(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'queued'`,
+    [new Date().toISOString(), id]
+  );
+  return changes === 1;
+}
+
+async function updateJob(id, fields) {
+  const db = await getDb();
+  const keys = Object.keys(fields).filter(k => JOB_UPDATABLE.includes(k));
+  const values = keys.map(k => (JOB_JSON.includes(k) && fields[k] != null ? JSON.stringify(fields[k]) : fields[k]));
+  await db.run(
+    `UPDATE jobs SET ${[...keys, 'updated_at'].map(k => `${k} = ?`).join(', ')} WHERE id = ?`,
+    [...values, new Date().toISOString(), id]
+  );
+  return getJob(id);
+}
+
+/**
+ * Jobs left running by a previous process go back in the queue → ids
+ */
+async function requeueRunningJobs() {
+  const db = await getDb();
+  const rows = await db.all("SELECT id FROM jobs WHERE status = 'running'");
+  if (rows.length) {
+    await db.run("UPDATE jobs SET status = 'queued', updated_at = ? WHERE status = 'running'", [new Date().toISOString()]);
+  }
+  return rows.map(r => r.id);
+}
+
+/**
+ * Delete finished jobs last touched before `before` (ISO) → count
+ */
+async function deleteFinishedJobs(before) {
+  const db = await getDb();
+  const { changes } = await db.run(
+    "DELETE FROM jobs WHERE status IN ('done', 'failed') AND updated_at < ?",
+    [before]
+  );
+  return changes;
+}
+
+// ── Auth Methods ─────────────────────────────
+
+async function createUser(username, passwordHash) {
+  console.log(`[DB] Creating user: ${username}`);
+  const db = await getDb();
+  const id = newId();
+  await db.run(
+    'INSERT INTO users (id, username, password_hash, created_at) VALUES (?, ?, ?, ?)',
+    [id, username, passwordHash, new Date().toISOString()]
+  );
   console.log(`[DB] User created successfully with ID: ${id}`);
   return { id, username };
 }
 
-function findUserByUsername(username) {
+async function findUserByUsername(username) {
   console.log(`[DB] Looking up user: ${username}`);
-  return _db.users.find(u => u.username === username) || null;
+  const db = await getDb();
+  return db.get('SELECT * FROM users WHERE username = ?', [username]);
 }
 
 
 module.exports = {
+  init,
   saveSession,
   getSessions,
   getSessionById,
   deleteSession,
+  updateSession,
+  appendEntry,
+  setEntrySpeakers,
+  setEntryTranslations,
+  updateEntry,
+  mergeEntries,
+  splitEntry,
+  addSessionNote,
+  getSummary,
+  saveSummary,
+  setActionItemDone,
+  isAudioFileLinked,
   searchTranscripts,
+  getEmbeddingHashes,
+  saveEmbeddings,
+  listEmbeddings,
+  sessionsMissingEmbeddings,
+  addUsage,
+  getUsage,
+  createJob,
+  getJob,
+  listJobs,
+  dueJobs,
+  claimJob,
+  updateJob,
+  requeueRunningJobs,
+  deleteFinishedJobs,
+  getWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  setWorkspaceMember,
+  removeWorkspaceMember,
+  getSessionShares,
+  setSessionShare,
+  removeSessionShare,
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  getSessionByShareLink,
+  getGlossaryTerms,
+  getGlossaryFor,
+  getGlossaryTerm,
+  countGlossaryTerms,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
   createUser,
   findUserByUsername,
+  ROLES,
+  hasRole,
 };
@@ -0,0 +1,108 @@
+/**
+ * Copy data from the old JSON file store into the configured database.
+ * ───────────────────────────────────────────────────────────────────
+ *   npm run db:import               # reads data/metri.json
+ *   node db/import-json.js path/to/metri.json
+ *
+ * Safe to run more than once: rows that already exist are skipped.
+ * Uses the same DATABASE_URL / SQLITE_PATH settings as the server.
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { getDb } = require("./index");
+
+const finite = (n) => (Number.isFinite(n) ? n : null);
+
+async function importJson(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const db = await getDb();
+  const counts = { users: 0, sessions: 0, entries: 0, usage: 0 };
+
+  await db.transaction(async (tx) => {
+    for (const u of data.users || []) {
+      if (await tx.get("SELECT 1 AS found FROM users WHERE id = ? OR username = ?", [u.id, u.username])) continue;
+      await tx.run(
+        "INSERT INTO users (id, username, password_hash, created_at) VALUES (?, ?, ?, ?)",
+        [u.id, u.username, u.password_hash, u.created_at || new Date().toISOString()]
+      );
+      counts.users++;
+    }
+
+    const userIds = new Set((await tx.all("SELECT id FROM users")).map(r => r.id));
+    const imported = new Set();
+
+    for (const s of data.sessions || []) {
+      if (!userIds.has(s.user_id)) {
+        console.warn(`[Import] Skipping session ${s.id}: unknown user ${s.user_id}`);
+        continue;
+      }
+      if (await tx.get("SELECT 1 AS found FROM sessions WHERE id = ?", [s.id])) continue;
+      await tx.run(
+        `INSERT INTO sessions (id, user_id, title, date, duration, audio_file, audio_mime, speakers, diarization, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          s.id,
+          s.user_id,
+          s.title || "Untitled meeting",
+          s.date || s.created_at,
+          s.duration || 0,
+          s.audio_file || null,
+          s.audio_mime || null,
+          JSON.stringify(s.speakers || {}),
+          s.diarization || null,
+          s.created_at || new Date().toISOString(),
+        ]
+      );
+      imported.add(s.id);
+      counts.sessions++;
+    }
+
+    // The JSON store kept entries in insertion order and sorted by time on read
+    const entries = (data.entries || [])
+      .filter(e => imported.has(e.session_id))
+      .sort((a, b) => (a.time || 0) - (b.time || 0));
+    const positions = new Map();
+    for (const e of entries) {
+      const position = positions.get(e.session_id) || 0;
+      positions.set(e.session_id, position + 1);
+      await tx.run(
+        `INSERT INTO entries (id, session_id, position, text, lang, time, start_sec, end_sec, speaker)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [String(e.id), e.session_id, position, e.text || "", e.lang || "en", finite(e.time), finite(e.start), finite(e.end), e.speaker || null]
+      );
+      counts.entries++;
+    }
+
+    for (const u of data.usage || []) {
+      const { changes } = await tx.run(
+        `INSERT INTO usage_daily (user_id, day, seconds, tokens) VALUES (?, ?, ?, ?)
+         ON CONFLICT (user_id, day) DO NOTHING`,
+        [u.user_id, u.day, u.seconds || 0, Math.round(u.tokens || 0)]
+      );
+      counts.usage += changes;
+    }
+  });
+
+  return counts;
+}
+
+if (require.main === module) {
+  const file = path.resolve(process.argv[2] || path.join(__dirname, "..", "data", "metri.json"));
+  if (!fs.existsSync(file)) {
+    console.error(`[Import] ${file} not found`);
+    process.exit(1);
+  }
+  importJson(file)
+    .then(c => {
+      console.log(`[Import] ${c.users} users, ${c.sessions} sessions, ${c.entries} entries, ${c.usage} usage days imported from ${file}`);
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error("[Import] Failed:", err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { importJson };
@@ -0,0 +1,47 @@
+/**
+ * METRI Meeting Assistant — Database Connection
+ * ─────────────────────────────────────────────
+ * Picks the storage driver and runs pending migrations once:
+ *   DATABASE_URL=postgres://…  → PostgreSQL (deployment)
+ *   otherwise                  → SQLite file at SQLITE_PATH (local dev)
+ *
+ * Both drivers expose the same async adapter:
+ *   all(sql, params) → rows     get(sql, params) → row | null
+ *   run(sql, params) → { changes }
+ *   transaction(async tx => …)  tx has all/get/run
+ * SQL is written once with `?` placeholders; the Postgres driver rewrites them.
+ */
+
+const path = require("path");
+const { migrate } = require("./migrate");
+
+let connecting = null;
+
+function connect() {
+  const url = process.env.DATABASE_URL;
+  if (url && /^postgres(ql)?:\/\//.test(url)) {
+    const { createPostgresAdapter } = require("./postgres");
+    return createPostgresAdapter(url);
+  }
+  const { createSqliteAdapter } = require("./sqlite");
+  const file = process.env.SQLITE_PATH || path.join(__dirname, "..", "data", "metri.db");
+  return createSqliteAdapter(file);
+}
+
+/**
+ * Connected, migrated adapter (memoized).
+ */
+function getDb() {
+  if (!connecting) {
+    connecting = (async () => {
+      const adapter = connect();
+      await migrate(adapter);
+      console.log(`[DB] Using ${adapter.dialect}`);
+      return adapter;
+    })();
+    connecting.catch(() => { connecting = null; });
+  }
+  return connecting;
+}
+
+module.exports = { getDb };
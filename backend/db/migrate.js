@@ -0,0 +1,36 @@
+/**
+ * Schema migrations.
+ * ──────────────────
+ * Each file in ./migrations exports `up(dialect)` → array of SQL
+ * statements. Files run once, in name order, each in its own
+ * transaction, and are recorded in schema_migrations.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+async function migrate(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    id TEXT PRIMARY KEY,
+    applied_at TEXT NOT NULL
+  )`);
+
+  const applied = new Set((await db.all("SELECT id FROM schema_migrations")).map(r => r.id));
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith(".js")).sort();
+
+  for (const file of files) {
+    const id = path.basename(file, ".js");
+    if (applied.has(id)) continue;
+
+    const { up } = require(path.join(MIGRATIONS_DIR, file));
+    await db.transaction(async (tx) => {
+      for (const sql of up(db.dialect)) await tx.run(sql);
+      await tx.run("INSERT INTO schema_migrations (id, applied_at) VALUES (?, ?)", [id, new Date().toISOString()]);
+    });
+    console.log(`[DB] Applied migration ${id}`);
+  }
+}
+
+module.exports = { migrate };
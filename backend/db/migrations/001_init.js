@@ -0,0 +1,50 @@
+/**
+ * Initial schema — mirrors the old metri.json layout.
+ * Column types are chosen to mean the same thing in SQLite and Postgres.
+ * Entry offsets are start_sec / end_sec because END is reserved in Postgres.
+ */
+
+exports.up = () => [
+  `CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  )`,
+
+  `CREATE TABLE sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    date TEXT NOT NULL,
+    duration INTEGER NOT NULL DEFAULT 0,
+    audio_file TEXT,
+    audio_mime TEXT,
+    speakers TEXT NOT NULL DEFAULT '{}',
+    diarization TEXT,
+    created_at TEXT NOT NULL
+  )`,
+  `CREATE INDEX idx_sessions_user_date ON sessions (user_id, date)`,
+  `CREATE INDEX idx_sessions_audio_file ON sessions (audio_file)`,
+
+  `CREATE TABLE entries (
+    id TEXT NOT NULL,
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    lang TEXT NOT NULL,
+    time BIGINT,
+    start_sec DOUBLE PRECISION,
+    end_sec DOUBLE PRECISION,
+    speaker TEXT,
+    PRIMARY KEY (session_id, id)
+  )`,
+
+  `CREATE TABLE usage_daily (
+    user_id TEXT NOT NULL,
+    day TEXT NOT NULL,
+    seconds DOUBLE PRECISION NOT NULL DEFAULT 0,
+    tokens BIGINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, day)
+  )`,
+];
@@ -0,0 +1,9 @@
+/**
+ * Transcript editing — keep what Whisper originally produced so any
+ * correction can be reverted. NULL means the entry was never edited.
+ */
+
+exports.up = () => [
+  `ALTER TABLE entries ADD COLUMN original_text TEXT`,
+  `ALTER TABLE entries ADD COLUMN original_lang TEXT`,
+];
@@ -0,0 +1,29 @@
+/**
+ * Stored AI summaries. Decisions and open questions are read-only JSON
+ * lists; action items get their own rows so they can be ticked off.
+ */
+
+exports.up = () => [
+  `CREATE TABLE summaries (
+    session_id TEXT PRIMARY KEY REFERENCES sessions(id) ON DELETE CASCADE,
+    overview_en TEXT NOT NULL DEFAULT '',
+    overview_km TEXT NOT NULL DEFAULT '',
+    decisions TEXT NOT NULL DEFAULT '[]',
+    open_questions TEXT NOT NULL DEFAULT '[]',
+    model TEXT,
+    created_at TEXT NOT NULL
+  )`,
+
+  `CREATE TABLE action_items (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES summaries(session_id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    text_en TEXT NOT NULL DEFAULT '',
+    text_km TEXT NOT NULL DEFAULT '',
+    owner TEXT,
+    due TEXT,
+    done INTEGER NOT NULL DEFAULT 0,
+    done_at TEXT
+  )`,
+  `CREATE INDEX idx_action_items_session ON action_items (session_id, position)`,
+];
@@ -0,0 +1,28 @@
+/**
+ * Background jobs (Whisper windows, recording imports, summaries).
+ * payload is what the job was asked to do, state is its private
+ * checkpoint, detail the progress shown to the client. run_at is an
+ * ISO timestamp: retries are pushed into the future by the backoff.
+ */
+
+exports.up = () => [
+  `CREATE TABLE jobs (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    payload TEXT NOT NULL DEFAULT '{}',
+    state TEXT,
+    detail TEXT,
+    progress DOUBLE PRECISION NOT NULL DEFAULT 0,
+    result TEXT,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    run_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  `CREATE INDEX idx_jobs_queue ON jobs (status, type, run_at)`,
+  `CREATE INDEX idx_jobs_user ON jobs (user_id, type, created_at)`,
+];
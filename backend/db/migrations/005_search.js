@@ -0,0 +1,18 @@
+/**
+ * Inverted index for transcript search. One row per word per entry;
+ * entries.terms holds the entry's length in words for ranking. Entries
+ * from before this migration are indexed by database.js on startup.
+ */
+
+exports.up = () => [
+  `CREATE TABLE search_terms (
+    term TEXT NOT NULL,
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    entry_id TEXT NOT NULL,
+    tf INTEGER NOT NULL,
+    PRIMARY KEY (term, session_id, entry_id)
+  )`,
+  `CREATE INDEX idx_search_terms_entry ON search_terms (session_id, entry_id)`,
+
+  `ALTER TABLE entries ADD COLUMN terms INTEGER`,
+];
@@ -0,0 +1,18 @@
+/**
+ * Vectors for "ask your meetings", one per entry. `hash` identifies the
+ * passage that was embedded (the entry with its neighbours) and `model`
+ * the embedder, so only changed passages are re-embedded. Vectors are
+ * JSON arrays: both drivers store them as plain text.
+ */
+
+exports.up = () => [
+  `CREATE TABLE entry_embeddings (
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    entry_id TEXT NOT NULL,
+    model TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    vector TEXT NOT NULL,
+    PRIMARY KEY (session_id, entry_id)
+  )`,
+  `CREATE INDEX idx_entry_embeddings_model ON entry_embeddings (model)`,
+];
@@ -0,0 +1,9 @@
+/**
+ * Translation of each entry into the meeting's other language, shown
+ * side by side with what was said. Cleared when the entry is edited.
+ */
+
+exports.up = () => [
+  `ALTER TABLE entries ADD COLUMN translation TEXT`,
+  `ALTER TABLE entries ADD COLUMN translation_lang TEXT`,
+];
@@ -0,0 +1,10 @@
+/**
+ * Live sessions are written as they happen: audio_start creates a draft
+ * and every transcript entry is appended to it, so a crashed tab or a
+ * dropped connection loses nothing. Drafts become "saved" when the user
+ * saves them (or recovers them from the Library).
+ */
+
+exports.up = () => [
+  `ALTER TABLE sessions ADD COLUMN status TEXT NOT NULL DEFAULT 'saved'`,
+];
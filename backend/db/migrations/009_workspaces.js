@@ -0,0 +1,46 @@
+/**
+ * Sharing. A workspace is a team Library: its members see its sessions
+ * with their role (owner | editor | viewer). A single session can also be
+ * shared with a user (editor | viewer), or through a read-only public link
+ * that may expire and can be revoked. workspace_id NULL = personal.
+ */
+
+exports.up = () => [
+  `CREATE TABLE workspaces (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_by TEXT NOT NULL REFERENCES users(id),
+    created_at TEXT NOT NULL
+  )`,
+
+  `CREATE TABLE workspace_members (
+    workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (workspace_id, user_id)
+  )`,
+  `CREATE INDEX idx_workspace_members_user ON workspace_members (user_id)`,
+
+  `ALTER TABLE sessions ADD COLUMN workspace_id TEXT REFERENCES workspaces(id)`,
+  `CREATE INDEX idx_sessions_workspace ON sessions (workspace_id)`,
+
+  `CREATE TABLE session_shares (
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (session_id, user_id)
+  )`,
+  `CREATE INDEX idx_session_shares_user ON session_shares (user_id)`,
+
+  `CREATE TABLE share_links (
+    token TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    created_by TEXT NOT NULL REFERENCES users(id),
+    created_at TEXT NOT NULL,
+    expires_at TEXT,
+    revoked_at TEXT
+  )`,
+  `CREATE INDEX idx_share_links_session ON share_links (session_id)`,
+];
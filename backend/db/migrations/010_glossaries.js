@@ -0,0 +1,21 @@
+/**
+ * Glossaries. A term is the right spelling of a name, acronym or product,
+ * with the misspellings Whisper is known to produce (variants, JSON array).
+ * It belongs to one user (personal glossary) or one workspace — exactly
+ * one of user_id / workspace_id is set.
+ */
+
+exports.up = () => [
+  `CREATE TABLE glossary_terms (
+    id TEXT PRIMARY KEY,
+    user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id TEXT REFERENCES workspaces(id) ON DELETE CASCADE,
+    term TEXT NOT NULL,
+    variants TEXT NOT NULL DEFAULT '[]',
+    lang TEXT,
+    created_by TEXT NOT NULL REFERENCES users(id),
+    created_at TEXT NOT NULL
+  )`,
+  `CREATE INDEX idx_glossary_terms_user ON glossary_terms (user_id)`,
+  `CREATE INDEX idx_glossary_terms_workspace ON glossary_terms (workspace_id)`,
+];
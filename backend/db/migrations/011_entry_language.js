@@ -0,0 +1,11 @@
+/**
+ * Per-entry language confidence. Entries are tagged from their own words
+ * (en | km | mixed) rather than the whole Whisper chunk; lang_confidence
+ * (0..1) says how sure that detected tag is — it stays with Whisper's
+ * tag when the language is corrected by hand. NULL for entries from
+ * before this migration and for merges of two languages.
+ */
+
+exports.up = () => [
+  `ALTER TABLE entries ADD COLUMN lang_confidence REAL`,
+];
@@ -0,0 +1,11 @@
+/**
+ * Per-session languages. languages is a JSON array of the codes entries
+ * may be tagged with (see languages.js) — NULL means English and Khmer,
+ * as every session was before. language_hint is the one language Whisper
+ * was told to expect, if the session forced one.
+ */
+
+exports.up = () => [
+  `ALTER TABLE sessions ADD COLUMN languages TEXT`,
+  `ALTER TABLE sessions ADD COLUMN language_hint TEXT`,
+];
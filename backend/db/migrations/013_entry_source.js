@@ -0,0 +1,12 @@
+/**
+ * Where a live entry was heard. The browser can record the microphone
+ * and a meeting tab's (or the system's) audio together; each chunk is
+ * tagged with the louder of the two, and entries with the source of most
+ * of their audio — "local" (microphone) or "remote" (tab / system).
+ * NULL for imports, microphone-only recordings and entries from before
+ * this migration.
+ */
+
+exports.up = () => [
+  `ALTER TABLE entries ADD COLUMN source TEXT`,
+];
@@ -0,0 +1,9 @@
+/**
+ * Undoable merges — a merged entry keeps both rows as they were before
+ * (JSON { a, b }), so reverting it splits them again. NULL means the
+ * entry is not the result of a merge.
+ */
+
+exports.up = () => [
+  `ALTER TABLE entries ADD COLUMN merged TEXT`,
+];
@@ -0,0 +1,21 @@
+/**
+ * Notes and flags left during a shared live session, kept with its draft
+ * (and so with the saved session). entry_id is the flagged line, if any;
+ * quote is its text when the note was left. start_sec: seconds into the
+ * recording.
+ */
+
+exports.up = () => [
+  `CREATE TABLE session_notes (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,
+    text TEXT NOT NULL,
+    author TEXT NOT NULL,
+    time BIGINT,
+    start_sec DOUBLE PRECISION,
+    entry_id TEXT,
+    quote TEXT
+  )`,
+  `CREATE INDEX idx_session_notes_session ON session_notes (session_id, time)`,
+];
@@ -0,0 +1,54 @@
+/**
+ * PostgreSQL driver (pg).
+ * ───────────────────────
+ * Rewrites `?` placeholders to `$1…$n` and runs transactions on a
+ * dedicated pooled client. Set DATABASE_SSL=true for hosts that require
+ * TLS on external connections.
+ */
+
+const { Pool, types } = require("pg");
+
+// BIGINT / COUNT(*) come back as strings by default; our values fit in a double
+types.setTypeParser(20, Number);
+
+function toPg(sql) {
+  let n = 0;
+  return sql.replace(/\?/g, () => `$${++n}`);
+}
+
+function wrap(client) {
+  return {
+    async all(sql, params = []) { return (await client.query(toPg(sql), params)).rows; },
+    async get(sql, params = []) { return (await client.query(toPg(sql), params)).rows[0] || null; },
+    async run(sql, params = []) { return { changes: (await client.query(toPg(sql), params)).rowCount }; },
+  };
+}
+
+function createPostgresAdapter(connectionString) {
+  const pool = new Pool({
+    connectionString,
+    ssl: process.env.DATABASE_SSL === "true" ? { rejectUnauthorized: false } : undefined,
+  });
+  pool.on("error", err => console.error("[DB] Postgres pool error:", err.message));
+
+  return {
+    dialect: "postgres",
+    ...wrap(pool),
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const result = await fn(wrap(client));
+        await client.query("COMMIT");
+        return result;
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+  };
+}
+
+module.exports = { createPostgresAdapter };
@@ -0,0 +1,54 @@
+/**
+ * SQLite driver (better-sqlite3).
+ * ───────────────────────────────
+ * better-sqlite3 is synchronous, so a single connection plus a promise
+ * lock is enough: a transaction holds the lock until it commits, and
+ * other queries wait instead of running inside it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+function createSqliteAdapter(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const conn = new Database(file);
+  conn.pragma("journal_mode = WAL");
+  conn.pragma("foreign_keys = ON");
+
+  const exec = {
+    async all(sql, params = []) { return conn.prepare(sql).all(...params); },
+    async get(sql, params = []) { return conn.prepare(sql).get(...params) || null; },
+    async run(sql, params = []) {
+      const { changes } = conn.prepare(sql).run(...params);
+      return { changes };
+    },
+  };
+
+  let lock = Promise.resolve();
+  const exclusive = (fn) => {
+    const result = lock.then(fn);
+    lock = result.catch(() => { });
+    return result;
+  };
+
+  return {
+    dialect: "sqlite",
+    all: (sql, params) => exclusive(() => exec.all(sql, params)),
+    get: (sql, params) => exclusive(() => exec.get(sql, params)),
+    run: (sql, params) => exclusive(() => exec.run(sql, params)),
+    transaction: (fn) => exclusive(async () => {
+      conn.exec("BEGIN IMMEDIATE");
+      try {
+        const result = await fn(exec);
+        conn.exec("COMMIT");
+        return result;
+      } catch (err) {
+        conn.exec("ROLLBACK");
+        throw err;
+      }
+    }),
+  };
+}
+
+module.exports = { createSqliteAdapter };
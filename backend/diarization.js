@@ -0,0 +1,115 @@
+/**
+ * METRI Meeting Assistant — Speaker Diarization
+ * ─────────────────────────────────────────────
+ * Whisper tells us what was said, not who said it. After a session is
+ * saved, the diarizer runs over the full recording and every entry gets
+ * the speaker label ("S1", "S2", …) that overlaps it the most.
+ * Display names live on the session (`speakers: { S1: "Speaker 1" }`)
+ * so renaming a speaker once applies everywhere.
+ *
+ * Pick one with DIARIZATION_PROVIDER:
+ *   none    — single speaker, no audio analysis (default)
+ *   http    — POST the recording to DIARIZATION_URL (e.g. a pyannote
+ *             service) which answers { segments: [{ start, end, speaker }] }
+ *   fixture — deterministic alternating turns, for tests
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const PROVIDERS = {
+  none: () => ({
+    async diarize() { return []; },
+  }),
+
+  http: (env) => {
+    if (!env.DIARIZATION_URL) throw new Error("DIARIZATION_PROVIDER=http requires DIARIZATION_URL");
+    const timeout = Number(env.DIARIZATION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    return {
+      async diarize(filePath) {
+        const form = new FormData();
+        form.append("file", new Blob([await fs.promises.readFile(filePath)]), path.basename(filePath));
+        const res = await fetch(env.DIARIZATION_URL, { method: "POST", body: form, signal: AbortSignal.timeout(timeout) });
+        if (!res.ok) throw new Error(`Diarization server responded ${res.status}`);
+        const data = await res.json();
+        return data.segments || [];
+      },
+    };
+  },
+
+  fixture: (env) => {
+    const turn = Number(env.DIARIZATION_FIXTURE_TURN) || 10;
+    return {
+      async diarize(filePath, { duration = 0 } = {}) {
+        const segments = [];
+        for (let t = 0, i = 0; t < duration; t += turn, i++) {
+          segments.push({ start: t, end: Math.min(t + turn, duration), speaker: `SPEAKER_0${i % 2}` });
+        }
+        return segments;
+      },
+    };
+  },
+};
+
+function createDiarizer(env = process.env) {
+  const name = (env.DIARIZATION_PROVIDER || "none").toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown DIARIZATION_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  const provider = factory(env);
+
+  return {
+    name,
+    /**
+     * Label entries from the recording at filePath.
+     * Returns { assignments: [{ id, speaker }], speakers: { S1: "Speaker 1", … } }
+     */
+    async diarize(filePath, entries, options = {}) {
+      const segments = filePath ? await provider.diarize(filePath, options) : [];
+      return assignSpeakers(entries, segments);
+    },
+  };
+}
+
+/**
+ * Give each entry the speaker whose turns overlap it the most. Raw labels
+ * from the diarizer are renumbered S1, S2, … in order of first appearance.
+ * Entries without timings (or no turns at all) fall back to S1.
+ */
+function assignSpeakers(entries, segments) {
+  const labels = new Map();
+  const labelFor = (raw) => {
+    if (!labels.has(raw)) labels.set(raw, `S${labels.size + 1}`);
+    return labels.get(raw);
+  };
+  [...segments].sort((a, b) => a.start - b.start).forEach(s => labelFor(s.speaker));
+
+  const assignments = entries.map(e => {
+    let best = null;
+    let bestOverlap = 0;
+    if (Number.isFinite(e.start) && Number.isFinite(e.end)) {
+      for (const s of segments) {
+        const overlap = Math.min(e.end, s.end) - Math.max(e.start, s.start);
+        if (overlap > bestOverlap) { best = s.speaker; bestOverlap = overlap; }
+      }
+    }
+    return { id: e.id, speaker: best === null ? "S1" : labelFor(best) };
+  });
+
+  const speakers = {};
+  for (const label of new Set(assignments.map(a => a.speaker))) {
+    speakers[label] = `Speaker ${label.slice(1)}`;
+  }
+  return { assignments, speakers };
+}
+
+/* Display name for an entry, e.g. for exports and prompts */
+function speakerName(session, entry) {
+  if (!entry.speaker) return null;
+  return session.speakers?.[entry.speaker] || `Speaker ${entry.speaker.slice(1)}`;
+}
+
+module.exports = { createDiarizer, assignSpeakers, speakerName };
@@ -0,0 +1,44 @@
+/**
+ * Built-in hashing provider.
+ * ──────────────────────────
+ * Feature hashing over the same Khmer-aware words as search (../search),
+ * plus the words' character trigrams so "budget" still meets "budgets".
+ * Needs no model or network, which makes it the default for demo setups
+ * and tests; answers are only as good as the question's word overlap.
+ *
+ *   EMBEDDING_DIMENSIONS  vector size (default 512)
+ */
+
+const crypto = require("crypto");
+const { tokenize } = require("../search");
+
+const TRIGRAM_WEIGHT = 0.5;
+
+function createHashingProvider(env) {
+  const dims = Number(env.EMBEDDING_DIMENSIONS) || 512;
+
+  const add = (vector, feature, weight) => {
+    const digest = crypto.createHash("md5").update(feature).digest();
+    vector[digest.readUInt32BE(0) % dims] += digest[4] & 1 ? weight : -weight;
+  };
+
+  const embedOne = (text) => {
+    const vector = new Array(dims).fill(0);
+    for (const { term } of tokenize(text)) {
+      add(vector, term, 1);
+      const padded = `^${term}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) add(vector, `#${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    }
+    return vector;
+  };
+
+  return {
+    model: `${dims}`,
+    batchSize: 500,
+    async embed(texts) {
+      return { vectors: texts.map(embedOne) };
+    },
+  };
+}
+
+module.exports = { createHashingProvider };
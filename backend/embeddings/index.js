@@ -0,0 +1,56 @@
+/**
+ * METRI Meeting Assistant — Embedding Providers
+ * ─────────────────────────────────────────────
+ * Turn transcript passages and questions into vectors for "ask your
+ * meetings" (see ../qa.js). Every provider takes a batch of texts and
+ * returns { vectors, tokens }.
+ *
+ * Pick one with EMBEDDING_PROVIDER:
+ *   openai  — OpenAI embeddings API (default when OPENAI_API_KEY is set)
+ *   local   — self-hosted Ollama or OpenAI-compatible embedding server
+ *   hashing — built-in hashed bag of words; no model, nothing leaves the
+ *             server, but it only matches shared words, not meaning
+ */
+
+const { createOpenAIProvider } = require("./openai");
+const { createLocalProvider } = require("./local");
+const { createHashingProvider } = require("./hashing");
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  hashing: createHashingProvider,
+};
+
+/**
+ * Build the configured embedder. `model` names provider and model
+ * together; it is stored with every vector so switching either one
+ * re-embeds the Library instead of comparing incompatible vectors.
+ */
+function createEmbedder(env = process.env) {
+  const name = (env.EMBEDDING_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "hashing")).toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  const provider = factory(env);
+
+  return {
+    name,
+    model: `${name}:${provider.model}`,
+    batchSize: provider.batchSize,
+    async embed(texts) {
+      const { vectors, tokens = 0 } = await provider.embed(texts);
+      if (vectors.length !== texts.length) throw new Error(`Embedding provider returned ${vectors.length} vectors for ${texts.length} texts`);
+      return { vectors: vectors.map(unit), tokens };
+    },
+  };
+}
+
+/* Scale to length 1, so cosine similarity is a plain dot product */
+function unit(vector) {
+  const length = Math.hypot(...vector) || 1;
+  return vector.map(x => x / length);
+}
+
+module.exports = { createEmbedder };
@@ -0,0 +1,49 @@
+/**
+ * Self-hosted embeddings provider.
+ * ────────────────────────────────
+ * Talks to Ollama (`/api/embed`) or any OpenAI-compatible server
+ * (`/v1/embeddings`, e.g. text-embeddings-inference or LocalAI), so
+ * transcripts never leave our own infrastructure.
+ *
+ *   LOCAL_EMBEDDING_URL    base URL of the server, e.g. http://localhost:11434
+ *   LOCAL_EMBEDDING_API    "ollama" (default) or "openai"
+ *   LOCAL_EMBEDDING_MODEL  default bge-m3 (multilingual, handles Khmer)
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+function createLocalProvider(env) {
+  if (!env.LOCAL_EMBEDDING_URL) {
+    throw new Error("EMBEDDING_PROVIDER=local requires LOCAL_EMBEDDING_URL");
+  }
+  const baseUrl = env.LOCAL_EMBEDDING_URL.replace(/\/$/, "");
+  const api = (env.LOCAL_EMBEDDING_API || "ollama").toLowerCase();
+  const model = env.LOCAL_EMBEDDING_MODEL || "bge-m3";
+  const timeout = Number(env.LOCAL_EMBEDDING_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const url = api === "openai" ? `${baseUrl}/v1/embeddings` : `${baseUrl}/api/embed`;
+
+  return {
+    model,
+    batchSize: 32,
+    async embed(texts) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model, input: texts }),
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (!res.ok) {
+        const detail = await res.text().catch(() => "");
+        const err = new Error(`Local embedding server responded ${res.status}${detail ? `: ${detail.slice(0, 200)}` : ""}`);
+        Object.assign(err, { status: res.status, headers: res.headers }); // lets the job queue retry 429 / 5xx
+        throw err;
+      }
+      const body = await res.json();
+      return api === "openai"
+        ? { vectors: body.data.sort((a, b) => a.index - b.index).map(d => d.embedding), tokens: body.usage?.total_tokens || 0 }
+        : { vectors: body.embeddings };
+    },
+  };
+}
+
+module.exports = { createLocalProvider };
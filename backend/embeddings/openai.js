@@ -0,0 +1,29 @@
+/**
+ * OpenAI embeddings provider.
+ *
+ *   EMBEDDING_MODEL  default text-embedding-3-small (multilingual, Khmer included)
+ */
+
+const { OpenAI } = require("openai");
+
+function createOpenAIProvider(env) {
+  if (!env.OPENAI_API_KEY) {
+    throw new Error("EMBEDDING_PROVIDER=openai requires OPENAI_API_KEY");
+  }
+  const client = new OpenAI({ apiKey: env.OPENAI_API_KEY });
+  const model = env.EMBEDDING_MODEL || "text-embedding-3-small";
+
+  return {
+    model,
+    batchSize: 100,
+    async embed(texts) {
+      const res = await client.embeddings.create({ model, input: texts });
+      return {
+        vectors: res.data.sort((a, b) => a.index - b.index).map(d => d.embedding),
+        tokens: res.usage?.total_tokens || 0,
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,59 @@
+/**
+ * Shared pieces for every export format: the header block that the TXT
+ * export has always had, language labels and cue timing.
+ */
+
+const { speakerName } = require("../diarization");
+const { DEFAULT_LANGUAGES, languageLabel: langLabel, languageName } = require("../languages");
+
+const fmtClock = (d) => new Date(d).toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+const fmtDur = (s) => `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+const fmtLongDate = (d) => new Date(d).toLocaleDateString("en-US", { weekday: "long", year: "numeric", month: "long", day: "numeric" });
+
+const sameLanguages = (a = DEFAULT_LANGUAGES, b) => a.length === b.length && a.every(l => b.includes(l));
+
+/**
+ * [label, value] pairs shown at the top of every export; the languages
+ * only when the session chose other than English and Khmer.
+ */
+function headerFields(session) {
+  return [
+    ["Title", session.title],
+    ["Date", fmtLongDate(session.date)],
+    ["Duration", fmtDur(session.duration)],
+    ["Entries", String(session.entries.length)],
+    ...(sameLanguages(session.languages, DEFAULT_LANGUAGES) ? [] : [["Languages", session.languages.map(languageName).join(", ")]]),
+  ];
+}
+
+const DEFAULT_CUE_SEC = 4;
+const MIN_CUE_SEC = 1;
+
+/**
+ * Start/end seconds for each entry, for subtitle cues.
+ * Entries recorded live carry start/end offsets into the recording.
+ * Older sessions only have wall-clock `time`, so offsets are taken from
+ * the first entry and each cue runs until the next one starts.
+ */
+function cueTimes(entries) {
+  const t0 = entries.find(e => Number.isFinite(e.time))?.time;
+  const starts = entries.map(e => {
+    if (Number.isFinite(e.start)) return e.start;
+    if (Number.isFinite(e.time) && Number.isFinite(t0)) return Math.max(0, (e.time - t0) / 1000);
+    return null;
+  });
+
+  let last = 0;
+  return entries.map((e, i) => {
+    const start = Math.max(starts[i] ?? last, last);
+    const next = starts.slice(i + 1).find(s => s !== null && s > start);
+    let end = Number.isFinite(e.end) && e.end > start ? e.end : (next ?? start + DEFAULT_CUE_SEC);
+    end = Math.max(end, start + MIN_CUE_SEC);
+    last = start;
+    return { start, end };
+  });
+}
+
+const safeFilename = (title) => title.replace(/[^\w\s]/g, "").trim().replace(/\s+/g, "_") || "transcript";
+
+module.exports = { speakerName, langLabel, fmtClock, fmtDur, headerFields, cueTimes, safeFilename };
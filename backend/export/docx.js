@@ -0,0 +1,82 @@
+/**
+ * Word document (.docx) — header table, optional summary, transcript.
+ * Khmer runs use a complex-script font Word ships with on Windows
+ * ("Khmer UI"); other systems substitute their own Khmer font.
+ */
+
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType } = require("docx");
+const { speakerName, langLabel, fmtClock, headerFields } = require("./common");
+const { isLargeScript } = require("../languages");
+
+const KHMER_FONT = { ascii: "Calibri", hAnsi: "Calibri", cs: "Khmer UI" };
+const GREY = "64748B";
+
+const run = (text, opts = {}) => new TextRun({ text, font: KHMER_FONT, ...opts });
+
+function headerTable(session) {
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: headerFields(session).map(([k, v]) => new TableRow({
+      children: [
+        new TableCell({ width: { size: 20, type: WidthType.PERCENTAGE }, children: [new Paragraph({ children: [run(k, { bold: true })] })] }),
+        new TableCell({ children: [new Paragraph({ children: [run(v)] })] }),
+      ],
+    })),
+  });
+}
+
+function summaryBlocks(summary) {
+  const blocks = [new Paragraph({ heading: HeadingLevel.HEADING_2, children: [run("Summary")] })];
+  for (const text of [summary.overview.en, summary.overview.km].filter(Boolean)) {
+    blocks.push(new Paragraph({ children: [run(text)] }));
+  }
+  const list = (title, items, extra = () => "") => {
+    if (!items.length) return;
+    blocks.push(new Paragraph({ heading: HeadingLevel.HEADING_3, children: [run(title)] }));
+    for (const t of items) {
+      blocks.push(new Paragraph({
+        bullet: { level: 0 },
+        children: [run([t.en, t.km].filter(Boolean).join(" — ")), run(extra(t), { color: GREY })],
+      }));
+    }
+  };
+  list("Decisions", summary.decisions);
+  list("Action items", summary.action_items, t => {
+    const meta = [t.owner, t.due && `due ${t.due}`, t.done && "done"].filter(Boolean).join(", ");
+    return meta ? ` (${meta})` : "";
+  });
+  list("Open questions", summary.open_questions);
+  return blocks;
+}
+
+async function toDocx(session) {
+  const children = [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, children: [run(session.title)] }),
+    new Paragraph({ children: [run("METRI Meeting Assistant — Transcript", { color: GREY })] }),
+    headerTable(session),
+    ...(session.summary ? summaryBlocks(session.summary) : []),
+    new Paragraph({ heading: HeadingLevel.HEADING_2, children: [run("Transcript")] }),
+  ];
+
+  for (const e of session.entries) {
+    const name = speakerName(session, e);
+    children.push(new Paragraph({
+      spacing: { before: 160 },
+      children: [
+        run(`[${fmtClock(e.time)}] `, { color: GREY }),
+        ...(name ? [run(`${name} `, { bold: true })] : []),
+        run(langLabel(e.lang), { color: GREY, italics: true }),
+      ],
+    }));
+    children.push(new Paragraph({ children: [run(e.text, isLargeScript(e.lang) ? { size: 26 } : {})] }));
+  }
+
+  const doc = new Document({
+    creator: "METRI Meeting Assistant",
+    title: session.title,
+    sections: [{ children }],
+  });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = { toDocx };
@@ -0,0 +1,61 @@
+/**
+ * METRI Meeting Assistant — Transcript Export
+ * ───────────────────────────────────────────
+ * One place that turns a saved session into a downloadable file.
+ * Every format carries the same header fields (title, date, duration,
+ * entry count) as the original TXT download.
+ *
+ *   txt   — plain text (default)
+ *   srt   — SubRip subtitles timed against the recording
+ *   vtt   — WebVTT subtitles with speaker voices and language spans
+ *   docx  — Word document
+ *   md    — Markdown
+ *   json  — lossless session dump (entries, speakers, summary, edits)
+ *   pdf   — print layout with embedded Khmer font (see ./pdf.js)
+ */
+
+const { toTxt, toMarkdown } = require("./text");
+const { toSrt, toVtt } = require("./subtitles");
+const { toDocx } = require("./docx");
+const { toPdf } = require("./pdf");
+const { headerFields, safeFilename } = require("./common");
+
+function toJson(session) {
+  const rest = { ...session };
+  delete rest.user_id;
+  return JSON.stringify({
+    format: "metri.session",
+    version: 1,
+    exported_at: new Date().toISOString(),
+    header: Object.fromEntries(headerFields(session).map(([k, v]) => [k.toLowerCase(), v])),
+    session: rest,
+  }, null, 2);
+}
+
+const FORMATS = {
+  txt: { mimeType: "text/plain; charset=utf-8", render: toTxt },
+  srt: { mimeType: "application/x-subrip; charset=utf-8", render: toSrt },
+  vtt: { mimeType: "text/vtt; charset=utf-8", render: toVtt },
+  docx: { mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", render: toDocx },
+  md: { mimeType: "text/markdown; charset=utf-8", render: toMarkdown },
+  json: { mimeType: "application/json; charset=utf-8", render: toJson },
+  pdf: { mimeType: "application/pdf", render: toPdf },
+};
+
+/**
+ * Render a session → { body (string | Buffer), mimeType, filename }.
+ * Throws for an unknown format; check with isExportFormat first.
+ */
+async function exportSession(session, format = "txt") {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format "${format}"`);
+  return {
+    body: await spec.render(session),
+    mimeType: spec.mimeType,
+    filename: `${safeFilename(session.title)}.${format}`,
+  };
+}
+
+const isExportFormat = (format) => Object.hasOwn(FORMATS, format);
+
+module.exports = { exportSession, isExportFormat, EXPORT_FORMATS: Object.keys(FORMATS) };
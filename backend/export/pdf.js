@@ -0,0 +1,296 @@
+/**
+ * PDF rendered with pdfkit and embedded Noto Sans fonts — built-in PDF
+ * fonts have no Khmer or Thai glyphs. pdfkit shapes text with fontkit,
+ * so pre-base vowels and coeng subscripts come out as they read on screen.
+ *
+ * @fontsource ships each family as one file per script (Khmer, Thai,
+ * Latin, Vietnamese letters), so text is written as runs of one script
+ * at a time. Khmer, Thai and Chinese have no spaces between words:
+ * Intl.Segmenter boundaries become zero-width spaces to let long lines
+ * wrap. There is no Chinese font small enough to ship; set PDF_CJK_FONT
+ * to a .ttf/.otf on the server (e.g. Noto Sans SC) to print Chinese.
+ *
+ * fontkit 2.0 throws on a NULL mark anchor in the font's above-base
+ * mark lookups (e.g. "កំ"); such paragraphs are laid out without `abvm`
+ * rather than failing the export.
+ */
+
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const fontkit = require("fontkit");
+const { speakerName, langLabel, fmtClock, headerFields } = require("./common");
+const { isLargeScript, languageName } = require("../languages");
+
+const fontFile = (family, subset, weight) =>
+  path.join(path.dirname(require.resolve(`@fontsource/${family}/package.json`)), "files", `${family}-${subset}-${weight}-normal.woff`);
+const FONTS = {
+  "khmer": fontFile("noto-sans-khmer", "khmer", 400),
+  "khmer-bold": fontFile("noto-sans-khmer", "khmer", 700),
+  "thai": fontFile("noto-sans-thai", "thai", 400),
+  "thai-bold": fontFile("noto-sans-thai", "thai", 700),
+  "vietnamese": fontFile("noto-sans", "vietnamese", 400),
+  "vietnamese-bold": fontFile("noto-sans", "vietnamese", 700),
+  "latin": fontFile("noto-sans-khmer", "latin", 400),
+  "latin-bold": fontFile("noto-sans-khmer", "latin", 700),
+};
+if (process.env.PDF_CJK_FONT) FONTS["cjk"] = FONTS["cjk-bold"] = process.env.PDF_CJK_FONT;
+
+/* Scripts with a font of their own; everything else is written in "latin".
+   `words`: no spaces between words, so Intl.Segmenter finds the breaks. */
+const SCRIPTS = [
+  { font: "khmer", chars: /[\u1780-\u17FF\u19E0-\u19FF\u200B-\u200D]/, words: true },
+  { font: "thai", chars: /[\u0E00-\u0E7F]/, words: true },
+  { font: "vietnamese", chars: /[\u0102\u0103\u0110\u0111\u0128\u0129\u0168\u0169\u01A0\u01A1\u01AF\u01B0\u1EA0-\u1EF9]/ },
+  { font: "cjk", chars: /[\u3000-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/, words: true },
+].filter(s => FONTS[s.font]);
+
+const shapers = {};
+function shapesCleanly(fontName, word) {
+  shapers[fontName] ||= fontkit.openSync(FONTS[fontName]);
+  try {
+    shapers[fontName].layout(word);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/* Whether the fonts have a glyph for every character (the "latin" file has no Chinese) */
+function printable(text) {
+  shapers.latin ||= fontkit.openSync(FONTS.latin);
+  return layoutRuns(text, false).runs
+    .filter(run => run.font === "latin")
+    .every(run => [...run.text].every(c => shapers.latin.hasGlyphForCodePoint(c.codePointAt(0))));
+}
+
+const COLORS = { text: "#1a2233", muted: "#64748b", faint: "#94a3b8", rule: "#e2e8f0", summary: "#166534" };
+const SPEAKER_COLORS = ["#2563eb", "#db2777", "#059669", "#7c3aed", "#ea580c", "#0891b2"]; // same palette as the app
+const speakerColor = (label) => SPEAKER_COLORS[(parseInt(label?.slice(1), 10) - 1 || 0) % SPEAKER_COLORS.length];
+const BADGES = { // same colours as the app's badges
+  km: { fill: "#fffbeb", stroke: "#fcd34d", color: "#d97706" },
+  en: { fill: "#eff6ff", stroke: "#bfdbfe", color: "#3b82f6" },
+  th: { fill: "#fdf2f8", stroke: "#fbcfe8", color: "#db2777" },
+  vi: { fill: "#fef2f2", stroke: "#fecaca", color: "#dc2626" },
+  zh: { fill: "#ecfdf5", stroke: "#a7f3d0", color: "#059669" },
+  fr: { fill: "#eef2ff", stroke: "#c7d2fe", color: "#4f46e5" },
+  mixed: { fill: "#f5f3ff", stroke: "#ddd6fe", color: "#7c3aed" },
+};
+
+const MARGIN = 56;
+const segmenter = new Intl.Segmenter("km", { granularity: "word" });
+
+/* ── Mixed-script text ── */
+
+/**
+ * Split text into { font, text } runs of one script, words of scripts
+ * without spaces joined with zero-width spaces. `features` is set when a
+ * Khmer word needs the abvm fallback; pdfkit measures a whole paragraph
+ * with the features of its first run, so they apply to every run of the
+ * paragraph.
+ */
+function layoutRuns(text, bold) {
+  const suffix = bold ? "-bold" : "";
+  const parts = [];
+  for (const char of text.normalize("NFC")) { // precomposed Vietnamese letters
+    const script = SCRIPTS.find(s => s.chars.test(char));
+    const last = parts[parts.length - 1];
+    if (last && last.script === script) last.text += char;
+    else parts.push({ script, text: char });
+  }
+
+  let fallback = false;
+  const runs = parts.map(({ script, text: part }) => {
+    if (!script) return { font: `latin${suffix}`, text: part };
+    const font = `${script.font}${suffix}`;
+    if (!script.words) return { font, text: part };
+    const words = Array.from(segmenter.segment(part), s => s.segment);
+    if (script.font === "khmer") fallback ||= words.some(w => !shapesCleanly(font, w));
+    return { font, text: words.join("\u200B") };
+  });
+  return { runs, features: fallback ? { abvm: false } : undefined };
+}
+
+/**
+ * Write text that may mix Khmer and Latin, wrapping within the page width.
+ * opts: { size, bold, color, indent, lineGap }
+ */
+function write(doc, text, { size = 11, bold = false, color = COLORS.text, indent = 0, lineGap = 2 } = {}) {
+  const { runs, features } = layoutRuns(String(text || " "), bold);
+  const width = doc.page.width - MARGIN * 2 - indent;
+  doc.fillColor(color).fontSize(size);
+  runs.forEach((run, i) => {
+    doc.font(run.font);
+    const opts = {
+      continued: i < runs.length - 1,
+      lineGap: /^(khmer|thai)/.test(run.font) ? lineGap + 3 : lineGap,
+      features: features && { ...features },
+    };
+    if (i === 0) doc.text(run.text, MARGIN + indent, doc.y, { ...opts, width });
+    else doc.text(run.text, opts);
+  });
+}
+
+/**
+ * Single-line mixed-script text at (x, y) → width written.
+ */
+function inline(doc, text, x, y, { size = 10, bold = false, color = COLORS.text } = {}) {
+  const { runs, features } = layoutRuns(text, bold);
+  doc.fillColor(color).fontSize(size);
+  let width = 0;
+  for (const run of runs) {
+    doc.font(run.font);
+    doc.text(run.text, x + width, y, { lineBreak: false, features: features && { ...features } });
+    width += doc.widthOfString(run.text, { features: features && { ...features } });
+  }
+  return width;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+}
+
+function rule(doc) {
+  doc.moveDown(0.6);
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).lineWidth(1).strokeColor(COLORS.rule).stroke();
+  doc.moveDown(0.8);
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 60);
+  write(doc, text.toUpperCase(), { size: 9, bold: true, color: COLORS.faint });
+  doc.moveDown(0.4);
+}
+
+/* ── Blocks ── */
+
+function titleBlock(doc, session) {
+  write(doc, "METRI Meeting Assistant — Transcript", { size: 9, color: COLORS.faint });
+  doc.moveDown(0.2);
+  write(doc, session.title, { size: 20, bold: true });
+  doc.moveDown(0.5);
+  for (const [label, value] of headerFields(session)) {
+    const y = doc.y;
+    doc.font("latin-bold").fontSize(10).fillColor(COLORS.muted).text(label, MARGIN, y, { width: 70 });
+    doc.y = y;
+    write(doc, value, { size: 10, indent: 70 });
+  }
+  rule(doc);
+}
+
+function bullet(doc, item, indent = 14) {
+  ensureSpace(doc, 30);
+  const y = doc.y;
+  doc.circle(MARGIN + 4, y + 7, 1.8).fill(COLORS.muted);
+  doc.y = y;
+  write(doc, item, { size: 10.5, indent });
+  doc.moveDown(0.25);
+}
+
+function checkbox(doc, item) {
+  ensureSpace(doc, 36);
+  const y = doc.y;
+  doc.roundedRect(MARGIN, y + 2, 9, 9, 2).lineWidth(1).strokeColor(COLORS.summary).stroke();
+  if (item.done) {
+    doc.moveTo(MARGIN + 2, y + 6.5).lineTo(MARGIN + 4, y + 9).lineTo(MARGIN + 7.5, y + 3.5)
+      .lineWidth(1.4).strokeColor(COLORS.summary).stroke();
+  }
+  doc.y = y;
+  write(doc, [item.en, item.km].filter(Boolean).join(" — "), { size: 10.5, indent: 16, color: item.done ? COLORS.faint : COLORS.text });
+  const meta = [item.owner, item.due && `due ${item.due}`].filter(Boolean).join(" · ");
+  if (meta) write(doc, meta, { size: 9, indent: 16, color: COLORS.muted });
+  doc.moveDown(0.3);
+}
+
+function summaryBlock(doc, summary) {
+  heading(doc, "Summary");
+  for (const text of [summary.overview.en, summary.overview.km].filter(Boolean)) {
+    write(doc, text, { size: 11 });
+    doc.moveDown(0.4);
+  }
+  const both = (t) => [t.en, t.km].filter(Boolean).join(" — ");
+  if (summary.decisions.length) {
+    heading(doc, "Decisions");
+    summary.decisions.forEach(t => bullet(doc, both(t)));
+  }
+  if (summary.action_items.length) {
+    heading(doc, "Action items");
+    summary.action_items.forEach(t => checkbox(doc, t));
+  }
+  if (summary.open_questions.length) {
+    heading(doc, "Open questions");
+    summary.open_questions.forEach(t => bullet(doc, both(t)));
+  }
+  rule(doc);
+}
+
+function badge(doc, lang, x, y) {
+  const style = BADGES[lang] || BADGES.en;
+  const label = printable(langLabel(lang)) ? langLabel(lang) : languageName(lang); // 中文 without PDF_CJK_FONT
+  const { runs } = layoutRuns(label, true);
+  doc.fontSize(8);
+  const w = runs.reduce((sum, run) => sum + doc.font(run.font).widthOfString(run.text), 0) + 10;
+  doc.roundedRect(x, y, w, 13, 6.5).lineWidth(0.8).fillAndStroke(style.fill, style.stroke);
+  inline(doc, label, x + 5, y + (runs[0].font.startsWith("latin") ? 2.5 : 0.5), { size: 8, bold: true, color: style.color });
+  return w;
+}
+
+function entryBlock(doc, session, e) {
+  ensureSpace(doc, 50);
+  const y = doc.y;
+  const stamp = Number.isFinite(e.start)
+    ? new Date(e.start * 1000).toISOString().slice(e.start >= 3600 ? 11 : 14, 19)
+    : fmtClock(e.time);
+
+  doc.font("latin").fontSize(9).fillColor(COLORS.faint).text(stamp, MARGIN, y + 2, { lineBreak: false });
+  let x = MARGIN + doc.widthOfString(stamp) + 8;
+  const name = speakerName(session, e);
+  if (name) x += inline(doc, name, x, y + 1, { bold: true, color: speakerColor(e.speaker) }) + 8;
+  badge(doc, e.lang, x, y);
+
+  doc.y = y + 18;
+  write(doc, e.text, { size: isLargeScript(e.lang) ? 12 : 11 }); // Khmer and Thai script need the extra size
+  doc.moveDown(0.7);
+}
+
+function pageNumbers(doc) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0; // footer sits in the margin; don't let it start a new page
+    doc.font("latin").fontSize(8).fillColor(COLORS.faint)
+      .text(`Page ${i + 1} of ${count}`, MARGIN, doc.page.height - MARGIN + 16, { width: doc.page.width - MARGIN * 2, align: "right", lineBreak: false });
+  }
+}
+
+/**
+ * Render a session to a PDF → Promise<Buffer>.
+ */
+function toPdf(session) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: MARGIN,
+      bufferPages: true,
+      info: { Title: session.title, Creator: "METRI Meeting Assistant" },
+    });
+    for (const [name, file] of Object.entries(FONTS)) doc.registerFont(name, file);
+
+    const chunks = [];
+    doc.on("data", c => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      titleBlock(doc, session);
+      if (session.summary) summaryBlock(doc, session.summary);
+      heading(doc, "Transcript");
+      session.entries.forEach(e => entryBlock(doc, session, e));
+      pageNumbers(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = { toPdf };
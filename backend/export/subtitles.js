@@ -0,0 +1,56 @@
+/**
+ * SRT and WebVTT subtitles, timed against the session recording.
+ */
+
+const { speakerName, headerFields, cueTimes } = require("./common");
+
+const HEADER_CUE_SEC = 3;
+
+function timestamp(sec, separator) {
+  const ms = Math.round(sec * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// Cue text must not contain blank lines (they end the cue)
+const cueText = (text) => text.replace(/\s*\n\s*/g, "\n").trim();
+
+/**
+ * SubRip has no comment syntax, so the header is a short opening cue.
+ * It ends when the first line starts — with no time at all when that
+ * is at 0s — so it never covers what was said.
+ */
+function toSrt(session) {
+  const times = cueTimes(session.entries);
+  const headerEnd = Math.min(HEADER_CUE_SEC, times[0]?.start ?? HEADER_CUE_SEC);
+  const header = headerFields(session).map(([k, v]) => `${k}: ${v}`).join("\n");
+  const cues = [`1\n${timestamp(0, ",")} --> ${timestamp(headerEnd, ",")}\n${header}`];
+
+  session.entries.forEach((e, i) => {
+    const name = speakerName(session, e);
+    cues.push(`${i + 2}\n${timestamp(times[i].start, ",")} --> ${timestamp(times[i].end, ",")}\n${name ? `${name}: ` : ""}${cueText(e.text)}`);
+  });
+  return cues.join("\n\n") + "\n";
+}
+
+const escapeVtt = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * WebVTT carries the header in a NOTE block, speakers as voice spans
+ * and each entry's language as a lang span (none for mixed lines).
+ */
+function toVtt(session) {
+  const header = headerFields(session).map(([k, v]) => `${k}: ${v.replace(/-->/g, "->")}`).join("\n");
+  const blocks = ["WEBVTT", `NOTE\n${header}`];
+
+  const times = cueTimes(session.entries);
+  session.entries.forEach((e, i) => {
+    const name = speakerName(session, e);
+    let text = e.lang === "mixed" ? escapeVtt(cueText(e.text)) : `<lang ${e.lang}>${escapeVtt(cueText(e.text))}</lang>`;
+    if (name) text = `<v ${escapeVtt(name)}>${text}`;
+    blocks.push(`${i + 1}\n${timestamp(times[i].start, ".")} --> ${timestamp(times[i].end, ".")}\n${text}`);
+  });
+  return blocks.join("\n\n") + "\n";
+}
+
+module.exports = { toSrt, toVtt };
@@ -0,0 +1,58 @@
+/**
+ * Plain text (the original download layout) and Markdown.
+ */
+
+const { speakerName, langLabel, fmtClock, headerFields } = require("./common");
+
+function toTxt(session) {
+  const pad = Math.max(...headerFields(session).map(([k]) => k.length));
+  const lines = session.entries.map(e => {
+    const name = speakerName(session, e);
+    return `[${fmtClock(e.time)}] [${langLabel(e.lang)}]${name ? ` ${name}:` : ""}\n${e.text}\n`;
+  });
+
+  return [
+    "METRI Meeting Assistant — Transcript",
+    "═".repeat(44),
+    ...headerFields(session).map(([k, v]) => `${k.padEnd(pad)} : ${v}`),
+    "═".repeat(44),
+    "",
+    ...lines,
+  ].join("\n");
+}
+
+const mdEscape = (s) => s.replace(/([\\`*_[\]|<>#])/g, "\\$1");
+
+function toMarkdown(session) {
+  const out = [`# ${mdEscape(session.title)}`, "", "| | |", "|---|---|"];
+  for (const [k, v] of headerFields(session)) out.push(`| **${k}** | ${mdEscape(v)} |`);
+  out.push("");
+
+  const { summary } = session;
+  if (summary) {
+    out.push("## Summary", "");
+    if (summary.overview.en) out.push(mdEscape(summary.overview.en), "");
+    if (summary.overview.km) out.push(mdEscape(summary.overview.km), "");
+    const bullets = (title, items, fmt) => {
+      if (!items.length) return;
+      out.push(`### ${title}`, "", ...items.map(fmt), "");
+    };
+    const both = (t) => [t.en, t.km].filter(Boolean).map(mdEscape).join(" — ");
+    bullets("Decisions", summary.decisions, t => `- ${both(t)}`);
+    bullets("Action items", summary.action_items, t => {
+      const meta = [t.owner && `@${mdEscape(t.owner)}`, t.due && `due ${mdEscape(t.due)}`].filter(Boolean).join(", ");
+      return `- [${t.done ? "x" : " "}] ${both(t)}${meta ? ` (${meta})` : ""}`;
+    });
+    bullets("Open questions", summary.open_questions, t => `- ${both(t)}`);
+  }
+
+  out.push("## Transcript", "");
+  for (const e of session.entries) {
+    const name = speakerName(session, e);
+    out.push(`**[${fmtClock(e.time)}]**${name ? ` **${mdEscape(name)}**` : ""} · _${langLabel(e.lang)}_  `);
+    out.push(mdEscape(e.text), "");
+  }
+  return out.join("\n");
+}
+
+module.exports = { toTxt, toMarkdown };
@@ -0,0 +1,136 @@
+/**
+ * METRI Meeting Assistant — Glossary
+ * ──────────────────────────────────
+ * Whisper has never heard most Khmer personal names, ministry acronyms
+ * or our product names, and spells them a different way every time.
+ * A glossary term is the right spelling plus the misspellings seen so
+ * far. Terms are used twice:
+ *
+ *   buildPrompt(terms)      → Whisper's initial prompt, which biases it
+ *                             towards those spellings in the first place
+ *   createCorrector(terms)  → text → text, replacing known misspellings
+ *                             in new entries (Whisper's text is kept
+ *                             as their original) and saved ones
+ *
+ * Latin variants only match whole words, case-insensitively ("metri"
+ * and "Metri" both become "METRI"). Khmer, Thai and Chinese have no
+ * spaces between words, so their variants match anywhere — they should
+ * be whole names, not single syllables.
+ */
+
+const { LANGUAGES, isLanguage } = require("./languages");
+
+const PROMPT_MAX_CHARS = Number(process.env.GLOSSARY_PROMPT_MAX_CHARS) || 600; // Whisper reads ~224 tokens of it
+const TERM_MAX_CHARS = 100;
+const MAX_VARIANTS = 20;
+const MIN_VARIANT_CHARS = 2;
+
+const IGNORABLE = /[\u200B-\u200D\uFEFF]/g; // zero-width spaces/joiners typed between Khmer words
+const LATIN = /[A-Za-z0-9]/;
+
+const clean = (s) => String(s ?? "").normalize("NFC").replace(IGNORABLE, "").replace(/\s+/g, " ").trim();
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Validate a term from the API → { term, variants, lang }.
+ * Throws { status: 400 } on bad input.
+ */
+function parseTerm(body = {}, { partial = false } = {}) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const out = {};
+
+  if (!partial || body.term !== undefined) {
+    out.term = clean(body.term);
+    if (!out.term) throw bad("term is required");
+    if (out.term.length > TERM_MAX_CHARS) throw bad(`term must be at most ${TERM_MAX_CHARS} characters`);
+  }
+  if (!partial || body.variants !== undefined) {
+    const list = typeof body.variants === "string" ? body.variants.split(/[,\n]/) : body.variants ?? [];
+    if (!Array.isArray(list)) throw bad("variants must be a list of misspellings");
+    const seen = new Set();
+    out.variants = list.map(clean).filter(v => {
+      const key = v.toLowerCase();
+      if (v.length < MIN_VARIANT_CHARS || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    if (out.variants.some(v => v.length > TERM_MAX_CHARS)) throw bad(`variants must be at most ${TERM_MAX_CHARS} characters`);
+    if (out.variants.length > MAX_VARIANTS) throw bad(`at most ${MAX_VARIANTS} variants per term`);
+  }
+  if (!partial || body.lang !== undefined) {
+    if (body.lang && !isLanguage(body.lang)) throw bad(`lang must be one of ${Object.keys(LANGUAGES).join(", ")} or empty`);
+    out.lang = body.lang || null;
+  }
+  return out;
+}
+
+/**
+ * Whisper prompt naming the glossary's spellings, or "" without terms.
+ * Whisper treats the prompt as text said before the audio, so a plain
+ * list works best; it is cut at PROMPT_MAX_CHARS, newest terms last.
+ */
+function buildPrompt(terms) {
+  const names = [...new Set(terms.map(t => t.term))];
+  let prompt = "";
+  for (const name of names) {
+    const next = prompt ? `${prompt}, ${name}` : `Glossary: ${name}`;
+    if (next.length > PROMPT_MAX_CHARS) break;
+    prompt = next;
+  }
+  return prompt && `${prompt}.`;
+}
+
+/**
+ * text → corrected text. Returns the identity function without variants,
+ * so callers can always apply it.
+ */
+function createCorrector(terms) {
+  const fixes = new Map(); // lower-case misspelling → right spelling
+  for (const t of terms) {
+    const variants = LATIN.test(t.term) ? [...t.variants, t.term] : t.variants; // also fixes "metri" → "METRI"
+    for (const v of variants) {
+      const key = clean(v).toLowerCase();
+      if (key.length >= MIN_VARIANT_CHARS) fixes.set(key, t.term);
+    }
+  }
+  if (!fixes.size) return (text) => text;
+
+  // Longest first, so "Ministry of Planning" wins over "Planning"
+  const pattern = [...fixes.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(v => {
+      const before = LATIN.test(v[0]) ? "(?<![\\p{L}\\p{N}])" : "";
+      const after = LATIN.test(v[v.length - 1]) ? "(?![\\p{L}\\p{N}])" : "";
+      return before + escape(v).replace(/ /g, "\\s+") + after;
+    })
+    .join("|");
+  const regex = new RegExp(pattern, "giu");
+
+  return (text) => {
+    if (!text) return text;
+    return text.replace(regex, (m) => fixes.get(m.replace(/\s+/g, " ").toLowerCase()) ?? m);
+  };
+}
+
+/**
+ * New entries (or segments) with the corrector applied; a changed one
+ * keeps Whisper's text/lang in original_text / original_lang, so the fix
+ * can be reverted like any edit
+ */
+function correctNewEntries(entries, correct) {
+  return entries.map(e => {
+    const text = correct(e.text);
+    return text === e.text ? e : { ...e, text, original_text: e.text, original_lang: e.lang };
+  });
+}
+
+/**
+ * Entries whose text the corrector changes → [{ id, text }]
+ */
+function correctEntries(entries, correct) {
+  return entries
+    .map(e => ({ id: e.id, text: correct(e.text) }))
+    .filter((fix, i) => fix.text !== entries[i].text);
+}
+
+module.exports = { parseTerm, buildPrompt, createCorrector, correctNewEntries, correctEntries };
@@ -0,0 +1,130 @@
+/**
+ * METRI Meeting Assistant — Recording Imports
+ * ───────────────────────────────────────────
+ * Turns an uploaded recording (a phone memo, a Zoom MP4…) into a normal
+ * Library session as an "import" job (see ./jobs):
+ *
+ *   converting   — ffmpeg → mono Opus WebM, kept as the session recording
+ *   transcribing — SEGMENT_SECONDS at a time, well under Whisper's 25 MB;
+ *                  entry times are offset by where the segment starts
+ *   saving       — handed to the same save path as live sessions
+ *
+ * Every finished segment is checkpointed, so a retry after a rate limit
+ * or a restart carries on from the next segment instead of paying for
+ * the whole recording again.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { v4: uuid } = require("uuid");
+const recordings = require("./recordings");
+const jobs = require("./jobs");
+const { toWebmAudio, extractSegment } = require("./media");
+
+const SEGMENT_SECONDS = Number(process.env.IMPORT_SEGMENT_SECONDS) || 600; // ≈2.4 MB of 32 kbps Opus
+const CONVERT_SHARE = 0.1; // share of the progress bar taken by the conversion
+
+/**
+ * Register the "import" job type. deps:
+ *   transcribe(userId, file, { durationHint, languages, hint }) → transcription result
+ *   save(userId, { title, date, duration, audio_file, audio_mime, entries, languages, language_hint }) → session
+ */
+function registerImports(deps, { concurrency = 1 } = {}) {
+  jobs.register("import", (job, ctx) => runImport(job, ctx, deps), {
+    concurrency, // ffmpeg is CPU-heavy
+    onSettled: (job) => {
+      fs.rmSync(job.payload.upload, { force: true });
+      if (job.status === "failed" && job.state?.recording) recordings.removeRecording(job.state.recording);
+    },
+  });
+}
+
+/**
+ * Queue an import. upload: { path, originalName }; fields: { title, date,
+ * languages, hint } (see ./languages).
+ */
+function startImport(userId, upload, fields) {
+  return jobs.enqueue("import", userId, {
+    upload: upload.path,
+    fileName: upload.originalName,
+    title: fields.title || null,
+    date: fields.date || null,
+    languages: fields.languages || null,
+    hint: fields.hint || null,
+  }, { detail: detail(upload.originalName, null) });
+}
+
+const detail = (fileName, stage, segments = { done: 0, total: 0 }) => ({ fileName, stage, segments });
+
+async function runImport(job, ctx, { transcribe, save }) {
+  const { upload, fileName, title, date, languages, hint } = job.payload;
+  const state = job.state || { recording: null, duration: 0, done: 0, entries: [] };
+  const startedAt = Date.parse(date) || Date.parse(job.created_at);
+
+  // Convert once; an attempt interrupted mid-conversion starts it over
+  if (!state.duration || !fs.existsSync(recordings.recordingPath(state.recording))) {
+    await ctx.progress(0, detail(fileName, "converting"));
+    state.recording ||= recordings.allocateRecording("audio/webm", job.user_id).file;
+    await ctx.checkpoint(state); // so a failed import can remove it
+    const { duration } = await toWebmAudio(upload, recordings.recordingPath(state.recording));
+    Object.assign(state, { duration, done: 0, entries: [] });
+    await ctx.checkpoint(state);
+  }
+
+  const source = recordings.recordingPath(state.recording);
+  const total = Math.ceil(state.duration / SEGMENT_SECONDS);
+  const progress = () => CONVERT_SHARE + (1 - CONVERT_SHARE) * (state.done / total);
+
+  while (state.done < total) {
+    await ctx.progress(progress(), detail(fileName, "transcribing", { done: state.done, total }));
+    const offset = state.done * SEGMENT_SECONDS;
+    const length = Math.min(SEGMENT_SECONDS, state.duration - offset);
+    const piece = path.join(path.dirname(upload), `${job.id}_${state.done}.webm`);
+    try {
+      await extractSegment(source, piece, offset, length);
+      const result = await transcribe(job.user_id, piece, { durationHint: length, languages, hint });
+      state.entries.push(...toEntries(result, offset, length, startedAt));
+    } finally {
+      fs.rmSync(piece, { force: true });
+    }
+    state.done++;
+    await ctx.checkpoint(state);
+  }
+  if (!state.entries.length) throw new Error("No speech was found in the recording");
+
+  await ctx.progress(progress(), detail(fileName, "saving", { done: total, total }));
+  const session = await save(job.user_id, {
+    title: title || path.parse(fileName || "").name || "Imported recording",
+    date: new Date(startedAt).toISOString(),
+    duration: Math.round(state.duration),
+    audio_file: state.recording,
+    audio_mime: "audio/webm",
+    entries: state.entries,
+    languages,
+    language_hint: hint,
+  });
+  return { sessionId: session.id };
+}
+
+/**
+ * Whisper segments → session entries, timed against the whole recording,
+ * each with its own language tag. A provider that returns no segments
+ * yields one entry for the piece.
+ */
+function toEntries(result, offset, length, startedAt) {
+  const segments = result.segments.length
+    ? result.segments
+    : result.text ? [{ start: 0, end: result.duration || length, text: result.text, lang: result.lang, confidence: result.confidence }] : [];
+
+  return segments.map(s => ({
+    id: uuid(),
+    text: s.text,
+    lang: s.lang,
+    lang_confidence: s.confidence,
+    time: startedAt + Math.round((offset + s.start) * 1000),
+    start: offset + s.start,
+    end: offset + s.end,
+  }));
+}
+
+module.exports = { registerImports, startImport };
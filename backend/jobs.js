@@ -0,0 +1,163 @@
+/**
+ * METRI Meeting Assistant — Background Jobs
+ * ─────────────────────────────────────────
+ * Whisper and GPT calls run as jobs stored in the database, so a rate
+ * limit or a timeout is retried later instead of losing the audio, and
+ * a restart picks up whatever was queued or running.
+ *
+ *   register(type, handler, { concurrency, maxAttempts, onSettled })
+ *   enqueue(type, userId, payload, { detail }) → job
+ *   handler(job, ctx) → result (stored as JSON)
+ *     ctx.progress(value, detail)  0..1 plus details shown to the client
+ *     ctx.checkpoint(state)        saved; the next attempt sees job.state
+ *
+ * Retryable failures (429, 5xx, timeouts, dropped connections) wait
+ * RETRY_BASE_MS · 2^(attempt-1), capped and jittered, or the provider's
+ * Retry-After. Anything else — including quota errors — fails at once.
+ * `events` emits "update" (job, err?) on every status change.
+ */
+
+const { EventEmitter } = require("events");
+const { v4: uuid } = require("uuid");
+const db = require("./database");
+
+const POLL_MS = 1000;
+const RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS) || 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // finished jobs are pruned after a week
+
+const types = new Map(); // type → { handler, concurrency, maxAttempts, onSettled, running }
+const events = new EventEmitter();
+let ticking = false;
+
+function register(type, handler, { concurrency = 1, maxAttempts = 5, onSettled } = {}) {
+  types.set(type, { handler, concurrency, maxAttempts, onSettled, running: 0 });
+}
+
+async function enqueue(type, userId, payload, { detail } = {}) {
+  const def = types.get(type);
+  if (!def) throw new Error(`Unknown job type "${type}"`);
+  const job = await db.createJob({ id: uuid(), user_id: userId, type, payload, detail, max_attempts: def.maxAttempts });
+  events.emit("update", job);
+  setImmediate(tick);
+  return job;
+}
+
+/**
+ * Requeue jobs interrupted by a restart and start polling.
+ */
+async function start() {
+  const requeued = await db.requeueRunningJobs();
+  if (requeued.length) console.log(`[Jobs] Requeued ${requeued.length} interrupted job(s)`);
+  await db.deleteFinishedJobs(new Date(Date.now() - RETENTION_MS).toISOString());
+  setInterval(tick, POLL_MS).unref(); // picks up retries once their backoff is over
+  tick();
+}
+
+/* Claim due jobs for every type with a free slot */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = new Date().toISOString();
+    for (const [type, def] of types) {
+      const free = def.concurrency - def.running;
+      if (free <= 0) continue;
+      for (const job of await db.dueJobs(type, now, free)) {
+        if (!(await db.claimJob(job.id))) continue;
+        def.running++;
+        run({ ...job, status: "running", attempts: job.attempts + 1 }, def)
+          .catch(err => console.error(`[Jobs] ${type} ${job.id} could not be updated:`, err.message))
+          .finally(() => { def.running--; setImmediate(tick); });
+      }
+    }
+  } catch (err) {
+    console.error("[Jobs] Poll failed:", err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+async function run(job, def) {
+  events.emit("update", job);
+  const ctx = {
+    progress: async (value, detail) => {
+      const updated = await db.updateJob(job.id, { progress: value, ...(detail !== undefined && { detail }) });
+      events.emit("update", updated);
+    },
+    checkpoint: (state) => db.updateJob(job.id, { state }),
+  };
+
+  let settled;
+  try {
+    const result = await def.handler(job, ctx);
+    settled = await db.updateJob(job.id, { status: "done", progress: 1, result: result ?? null, error: null });
+    events.emit("update", settled);
+  } catch (err) {
+    const retry = job.attempts < job.max_attempts && isRetryable(err);
+    if (retry) {
+      const delay = retryDelay(err, job.attempts);
+      console.warn(`[Jobs] ${job.type} ${job.id} attempt ${job.attempts}/${job.max_attempts} failed (${err.message}); retrying in ${Math.round(delay / 1000)}s`);
+      const queued = await db.updateJob(job.id, {
+        status: "queued",
+        error: err.message,
+        run_at: new Date(Date.now() + delay).toISOString(),
+      });
+      events.emit("update", queued, err);
+      return;
+    }
+    console.error(`[Jobs] ${job.type} ${job.id} failed:`, err.message);
+    settled = await db.updateJob(job.id, { status: "failed", error: err.message });
+    events.emit("update", settled, err);
+  }
+
+  try {
+    await def.onSettled?.(settled);
+  } catch (err) {
+    console.error(`[Jobs] Cleanup for ${job.type} ${job.id} failed:`, err.message);
+  }
+}
+
+/* ── Retry policy ── */
+
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET"]);
+const RETRYABLE_NAMES = new Set(["APIConnectionError", "APIConnectionTimeoutError", "TimeoutError", "AbortError"]);
+
+function isRetryable(err) {
+  if (typeof err.retryable === "boolean") return err.retryable;
+  if (err.code === "insufficient_quota") return false; // OpenAI billing, not a rate limit
+  if (err.status) return err.status === 408 || err.status === 429 || err.status >= 500;
+  return RETRYABLE_CODES.has(err.code) || RETRYABLE_CODES.has(err.cause?.code) || RETRYABLE_NAMES.has(err.name);
+}
+
+function retryDelay(err, attempt) {
+  const header = typeof err.headers?.get === "function" ? err.headers.get("retry-after") : err.headers?.["retry-after"];
+  const retryAfter = Number(header) * 1000;
+  if (retryAfter > 0) return Math.min(retryAfter, RETRY_MAX_MS);
+  const backoff = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return Math.round(backoff * (0.75 + Math.random() * 0.5));
+}
+
+/* ── Client view ── */
+
+/**
+ * What the API shows: no payload or checkpoint (file paths, partial data).
+ */
+function publicJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    detail: job.detail,
+    result: job.result,
+    error: job.error,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    runAt: job.run_at,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+  };
+}
+
+module.exports = { register, enqueue, start, events, publicJob };
@@ -0,0 +1,81 @@
+/**
+ * METRI Meeting Assistant — Languages
+ * ───────────────────────────────────
+ * Every language a transcript can be in. The registry drives language
+ * detection (./transcription/language), which languages a session allows,
+ * the language hint passed to Whisper, translation and export labels.
+ * Sessions that don't choose allow DEFAULT_LANGUAGES — English and Khmer.
+ *
+ *   name    — English name, used in translation prompts
+ *   label   — the language's own name, on badges and in exports
+ *   whisper — Whisper's name for it in verbose_json
+ *   script  — which words count for it. English, Vietnamese and French
+ *             share the Latin script and are told apart by `letters`
+ *             (letters only that language uses) and Whisper's own guess
+ *   large   — the script needs a larger size in print
+ *
+ * "mixed" is not a language but a tag: a line that switches between two.
+ */
+
+const LATIN = /\p{Script=Latin}/u;
+
+const LANGUAGES = {
+  en: { name: "English", label: "English", whisper: "english", script: LATIN },
+  km: { name: "Khmer", label: "ខ្មែរ", whisper: "khmer", script: /[\u1780-\u17FF\u19E0-\u19FF]/, large: true },
+  th: { name: "Thai", label: "ไทย", whisper: "thai", script: /[\u0E00-\u0E7F]/, large: true },
+  vi: { name: "Vietnamese", label: "Tiếng Việt", whisper: "vietnamese", script: LATIN, letters: /[ăđơư\u1EA0-\u1EF9]/iu },
+  zh: { name: "Chinese", label: "中文", whisper: "chinese", script: /\p{Script=Han}/u },
+  fr: { name: "French", label: "Français", whisper: "french", script: LATIN, letters: /[àâçèéêëîïôœùûüÿ]/iu },
+};
+
+const CODES = Object.keys(LANGUAGES);
+const DEFAULT_LANGUAGES = ["en", "km"];
+const MIXED = "mixed";
+
+const isLanguage = (code) => Object.hasOwn(LANGUAGES, code);
+const isTag = (code) => isLanguage(code) || code === MIXED; // what an entry's lang may be
+
+const languageName = (code) => (code === MIXED ? "a mix of languages" : LANGUAGES[code]?.name || code);
+const languageLabel = (code) => (code === MIXED ? "Mixed" : LANGUAGES[code]?.label || code);
+const isLargeScript = (code) => code === MIXED || !!LANGUAGES[code]?.large;
+
+/* Whisper's language ("english", "khmer" or an ISO code) → registry code | null */
+function fromWhisper(name) {
+  const lower = String(name || "").toLowerCase();
+  if (isLanguage(lower)) return lower;
+  return CODES.find(code => lower.includes(LANGUAGES[code].whisper)) || null;
+}
+
+/**
+ * A session's language settings from the API or a WebSocket message →
+ * { languages, hint }. `languages` may be a list or a comma-separated
+ * string (form fields); `languageHint` must be one of them. Throws
+ * { status: 400 } on unknown codes.
+ */
+function parseSettings({ languages, languageHint } = {}) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const list = typeof languages === "string" ? languages.split(",") : languages ?? DEFAULT_LANGUAGES;
+  if (!Array.isArray(list)) throw bad("languages must be a list of language codes");
+
+  const codes = [...new Set(list.map(c => String(c).trim()).filter(Boolean))];
+  const unknown = codes.filter(c => !isLanguage(c));
+  if (unknown.length) throw bad(`Unknown language ${unknown.join(", ")} (expected: ${CODES.join(", ")})`);
+  if (!codes.length) throw bad("Choose at least one language");
+
+  const hint = languageHint || null;
+  if (hint && !codes.includes(hint)) throw bad("languageHint must be one of the chosen languages");
+  return { languages: codes, hint };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGES,
+  MIXED,
+  isLanguage,
+  isTag,
+  languageName,
+  languageLabel,
+  isLargeScript,
+  fromWhisper,
+  parseSettings,
+};
@@ -0,0 +1,193 @@
+/**
+ * METRI Meeting Assistant — Live Sharing
+ * ──────────────────────────────────────
+ * Lets the person holding the mic share the meeting while it happens.
+ * The host asks for a share code; other signed-in users join with it
+ * over their own WebSocket as read-only viewers and get the host's
+ * `transcript`, `processing` and `silence` messages as they are sent,
+ * after a backlog of what was said before they joined. Anyone in the
+ * share can leave a timestamped note or flag a line; notes go to the
+ * host and every viewer.
+ *
+ * Shares live in memory and end when the host stops sharing or hangs
+ * up; a host that reconnects and resumes its stream keeps its share.
+ * Notes outlive the share: each one is handed to the host's `onNote`,
+ * which keeps it with the meeting's draft.
+ * Participants are keyed by WebSocket client id.
+ */
+
+const crypto = require("crypto");
+const { v4: uuid } = require("uuid");
+
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789"; // no 0/O, 1/I/L to misread
+const CODE_LENGTH = 6;
+const VIEWERS_MAX = 50;
+const BACKLOG_MAX = 1000;    // transcript messages replayed to late joiners
+const NOTES_MAX = 200;
+const NOTE_MAX_CHARS = 500;
+const NOTE_KINDS = new Set(["note", "flag"]);
+const SHARED_TYPES = new Set(["transcript", "processing", "silence"]);
+
+const shares = new Map();  // code → { code, hostId, host, startedAt, viewers, backlog, notes }
+const byClient = new Map(); // clientId → code, for hosts and viewers alike
+
+const participant = ({ ws, user }) => ({ ws, userId: user.id, username: user.username });
+const viewerNames = (share) => [...share.viewers.values()].map(v => v.username);
+
+function newCode() {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join("");
+  } while (shares.has(code));
+  return code;
+}
+
+/**
+ * Share the host's live stream → the share (the existing one if the
+ * host is already sharing). startedAt: when the recording began, so
+ * notes can say how far into the meeting they were made; onNote(note)
+ * stores each note.
+ */
+function start(hostId, { ws, user, startedAt, onNote }) {
+  const current = shares.get(byClient.get(hostId));
+  if (current?.hostId === hostId) return current;
+  if (current) throw new Error("Leave the shared session before sharing your own");
+
+  const share = {
+    code: newCode(),
+    hostId,
+    host: participant({ ws, user }),
+    startedAt,
+    onNote,
+    viewers: new Map(), // clientId → participant
+    backlog: [],
+    notes: [],
+  };
+  shares.set(share.code, share);
+  byClient.set(hostId, share.code);
+  return share;
+}
+
+/* End a share; viewers are told why */
+function stop(hostId, reason = "The host stopped sharing") {
+  const share = shares.get(byClient.get(hostId));
+  if (share?.hostId !== hostId) return;
+  for (const [viewerId, viewer] of share.viewers) {
+    send(viewer.ws, { type: "share_ended", code: share.code, reason });
+    byClient.delete(viewerId);
+  }
+  shares.delete(share.code);
+  byClient.delete(hostId);
+}
+
+/**
+ * Join a share as a viewer → the join_ack message, which carries the
+ * backlog and notes so far.
+ */
+function join(code, viewerId, { ws, user }) {
+  const share = shares.get(String(code || "").trim().toUpperCase());
+  if (!share) throw new Error("No live session with that code — it may have ended");
+  if (share.hostId === viewerId) throw new Error("You are hosting this session");
+  if (byClient.has(viewerId) && byClient.get(viewerId) !== share.code) leave(viewerId);
+  if (!share.viewers.has(viewerId) && share.viewers.size >= VIEWERS_MAX) throw new Error("This live session is full");
+
+  share.viewers.set(viewerId, participant({ ws, user }));
+  byClient.set(viewerId, share.code);
+  broadcast(share, { type: "viewers", viewers: viewerNames(share) }, viewerId);
+  return {
+    type: "join_ack",
+    code: share.code,
+    host: share.host.username,
+    startedAt: share.startedAt,
+    entries: share.backlog,
+    notes: share.notes,
+    viewers: viewerNames(share),
+  };
+}
+
+function leave(viewerId) {
+  const share = shares.get(byClient.get(viewerId));
+  if (!share || share.hostId === viewerId) return;
+  share.viewers.delete(viewerId);
+  byClient.delete(viewerId);
+  broadcast(share, { type: "viewers", viewers: viewerNames(share) });
+}
+
+/* A socket closed: end its share, or leave the one it was watching */
+function disconnect(clientId) {
+  const share = shares.get(byClient.get(clientId));
+  if (!share) return;
+  if (share.hostId === clientId) stop(clientId, "The host ended the session");
+  else leave(clientId);
+}
+
+/* The host reconnected on a new socket and resumed its stream */
+function moveHost(oldId, newId, ws) {
+  const share = shares.get(byClient.get(oldId));
+  if (share?.hostId !== oldId) return;
+  share.hostId = newId;
+  share.host = { ...share.host, ws };
+  byClient.delete(oldId);
+  byClient.set(newId, share.code);
+  send(ws, { type: "share_ack", code: share.code, viewers: viewerNames(share) });
+}
+
+/* Copy a message the host was just sent to the viewers of its share */
+function relay(hostId, message) {
+  const share = shares.get(byClient.get(hostId));
+  if (share?.hostId !== hostId || !SHARED_TYPES.has(message.type)) return;
+  if (message.type === "transcript") {
+    share.backlog.push(message);
+    if (share.backlog.length > BACKLOG_MAX) share.backlog.shift();
+  }
+  for (const viewer of share.viewers.values()) send(viewer.ws, message);
+}
+
+/**
+ * Add a note to the share the client is in → the note.
+ * { kind: "note" | "flag", text, seq? } — seq points at a transcript line.
+ */
+function addNote(clientId, { kind = "note", text = "", seq } = {}) {
+  const share = shares.get(byClient.get(clientId));
+  if (!share) throw new Error("You are not in a live session");
+  if (!NOTE_KINDS.has(kind)) throw new Error(`Unknown note kind "${kind}"`);
+  const body = String(text).trim().slice(0, NOTE_MAX_CHARS);
+  const line = Number.isInteger(seq) ? share.backlog.find(m => m.seq === seq) : null;
+  if (!body && !line) throw new Error("A note needs text or a line to flag");
+  if (share.notes.length >= NOTES_MAX) throw new Error("This session has reached its note limit");
+
+  const author = share.hostId === clientId ? share.host : share.viewers.get(clientId);
+  const now = Date.now();
+  const note = {
+    id: uuid(),
+    kind,
+    text: body,
+    author: author.username,
+    time: now,
+    start: Math.max(0, Math.round((now - share.startedAt) / 100) / 10), // seconds into the recording
+    seq: line ? line.seq : null,
+    entry_id: line ? line.id : null,
+    quote: line ? line.text : null,
+  };
+  share.notes.push(note);
+  share.onNote?.(note);
+  broadcast(share, { type: "note", note });
+  return note;
+}
+
+const isViewer = (clientId) => {
+  const share = shares.get(byClient.get(clientId));
+  return !!share && share.hostId !== clientId;
+};
+
+/* Host and viewers, except one client */
+function broadcast(share, message, exceptId) {
+  if (share.hostId !== exceptId) send(share.host.ws, message);
+  for (const [id, viewer] of share.viewers) if (id !== exceptId) send(viewer.ws, message);
+}
+
+function send(ws, payload) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload));
+}
+
+module.exports = { start, stop, join, leave, disconnect, moveHost, relay, addNote, isViewer, viewerNames };
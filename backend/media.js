@@ -0,0 +1,69 @@
+/**
+ * METRI Meeting Assistant — ffmpeg Helpers
+ * ────────────────────────────────────────
+ * Uploaded recordings come in whatever the phone or meeting tool wrote
+ * (MP3, M4A, WAV, MP4 video, WebM). ffmpeg turns them into mono Opus
+ * audio the rest of the app already handles, and cuts that into pieces
+ * small enough for Whisper's 25 MB upload limit.
+ *
+ *   FFMPEG_PATH  ffmpeg binary (default: "ffmpeg" on the PATH)
+ */
+
+const { spawn } = require("child_process");
+
+const FFMPEG = process.env.FFMPEG_PATH || "ffmpeg";
+const AUDIO_ARGS = ["-vn", "-ac", "1", "-ar", "16000", "-c:a", "libopus", "-b:a", "32k"];
+
+/**
+ * Run ffmpeg with args → Promise<stderr>. ffmpeg logs to stderr even on
+ * success; the tail of it becomes the error message on failure.
+ */
+function ffmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(FFMPEG, ["-hide_banner", "-nostdin", "-y", ...args], { stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+    proc.stderr.on("data", d => { stderr = (stderr + d).slice(-8192); });
+    proc.on("error", err => {
+      reject(err.code === "ENOENT" ? new Error(`ffmpeg not found (set FFMPEG_PATH)`) : err);
+    });
+    proc.on("close", code => {
+      if (code === 0) return resolve(stderr);
+      const lastLine = stderr.trim().split("\n").pop() || `exit code ${code}`;
+      reject(new Error(`ffmpeg failed: ${lastLine}`));
+    });
+  });
+}
+
+/* "Duration: 01:02:03.45" → seconds (null when ffmpeg couldn't tell) */
+function parseDuration(stderr) {
+  const m = /Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(stderr);
+  return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+}
+
+/* Last "time=00:12:34.56" progress line → seconds encoded so far */
+function parseEncodedTime(stderr) {
+  const times = [...stderr.matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+  const m = times[times.length - 1];
+  return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+}
+
+/**
+ * Convert any audio/video file to a mono Opus WebM → { duration }.
+ * The duration is what ffmpeg actually encoded, which is more reliable
+ * than container metadata for phone recordings.
+ */
+async function toWebmAudio(input, output) {
+  const stderr = await ffmpeg(["-i", input, ...AUDIO_ARGS, "-f", "webm", output]);
+  const duration = parseEncodedTime(stderr) ?? parseDuration(stderr);
+  if (!duration) throw new Error("No audio track found in the file");
+  return { duration };
+}
+
+/**
+ * Cut [start, start + length) seconds of input into its own WebM file.
+ */
+function extractSegment(input, output, start, length) {
+  return ffmpeg(["-ss", String(start), "-t", String(length), "-i", input, ...AUDIO_ARGS, "-f", "webm", output]);
+}
+
+module.exports = { toWebmAudio, extractSegment };
@@ -0,0 +1,130 @@
+/**
+ * METRI Meeting Assistant — Ask Your Meetings
+ * ───────────────────────────────────────────
+ * Answers questions across the whole Library, not one session at a time:
+ *
+ *   indexSession — embeds every entry together with its neighbours (a
+ *                  lone "Agreed." means nothing on its own); only passages
+ *                  whose text changed since the last run are re-embedded
+ *   retrieve     — embeds the question and takes the closest passages
+ *   answer       — GPT answers from those passages only and cites them
+ *                  as [n]; citations point back at sessions and entries
+ */
+
+const crypto = require("crypto");
+const db = require("./database");
+const { speakerName } = require("./diarization");
+
+const MODEL = process.env.QA_MODEL || "gpt-4o";
+const CONTEXT = 1;           // entries either side of a hit, in the passage and in the excerpt
+const MAX_SOURCES = Number(process.env.QA_MAX_SOURCES) || 12;
+const MAX_HISTORY = 6;       // earlier turns sent along for follow-up questions
+
+const SYSTEM_PROMPT = `You answer questions about a team's recorded meetings. The team speaks English and Khmer.
+You are given numbered excerpts from meeting transcripts. Answer from those excerpts only.
+Cite every statement with the excerpt numbers it comes from, like [2] or [1][4].
+If the excerpts do not contain the answer, say that the meetings don't cover it — do not guess.
+Answer in the language of the question, briefly.`;
+
+const line = (session, e) => {
+  const name = speakerName(session, e);
+  return name ? `${name}: ${e.text}` : e.text;
+};
+
+/* The entry with its neighbours, as embedded and as shown to GPT */
+const passage = (session, i) =>
+  session.entries.slice(Math.max(0, i - CONTEXT), i + CONTEXT + 1).map(e => line(session, e)).join("\n");
+
+const fingerprint = (text) => crypto.createHash("sha1").update(text).digest("hex");
+
+/**
+ * Bring a session's vectors up to date → { embedded, tokens }
+ */
+async function indexSession(embedder, session) {
+  const stored = await db.getEmbeddingHashes(session.id);
+  const stale = [];
+  session.entries.forEach((e, i) => {
+    const text = `${session.title}\n${passage(session, i)}`;
+    const hash = fingerprint(text);
+    const have = stored.get(e.id);
+    if (!have || have.model !== embedder.model || have.hash !== hash) stale.push({ entry_id: e.id, hash, text });
+  });
+
+  let tokens = 0;
+  const rows = [];
+  for (let i = 0; i < stale.length; i += embedder.batchSize) {
+    const batch = stale.slice(i, i + embedder.batchSize);
+    const result = await embedder.embed(batch.map(p => p.text));
+    tokens += result.tokens;
+    batch.forEach((p, j) => rows.push({ entry_id: p.entry_id, hash: p.hash, vector: result.vectors[j] }));
+  }
+  await db.saveEmbeddings(session.id, embedder.model, rows); // also drops vectors of merged-away entries
+  return { embedded: rows.length, tokens };
+}
+
+/**
+ * The passages closest to a question → { sources, tokens }
+ * sources: [{ n, session, index, score }] — n is the number GPT cites.
+ * The previous question is embedded too, so "and who owns it?" still
+ * finds the meeting the conversation is about.
+ */
+async function retrieve(embedder, userId, question, history = []) {
+  const previous = history.filter(t => t.role === "user").slice(-1).map(t => t.content);
+  const { vectors: [query], tokens } = await embedder.embed([[...previous, question].join("\n")]);
+  const scored = (await db.listEmbeddings(userId, embedder.model))
+    .map(row => ({ ...row, score: row.vector.reduce((sum, x, i) => sum + x * query[i], 0) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SOURCES);
+
+  const sessions = new Map();
+  const sources = [];
+  for (const hit of scored) {
+    if (!sessions.has(hit.session_id)) sessions.set(hit.session_id, await db.getSessionById(hit.session_id, userId));
+    const session = sessions.get(hit.session_id);
+    const index = session?.entries.findIndex(e => e.id === hit.entry_id) ?? -1;
+    if (index !== -1) sources.push({ n: sources.length + 1, session, index, score: hit.score });
+  }
+  return { sources, tokens };
+}
+
+/**
+ * Ask GPT. history: earlier turns [{ role: "user" | "assistant", content }].
+ * Returns { answer, citations, tokens }; citations are the sources the
+ * answer actually cites, in the order they are numbered.
+ */
+async function answer(openai, question, sources, history = []) {
+  const excerpts = sources.map(({ n, session, index }) => {
+    const e = session.entries[index];
+    const at = Number.isFinite(e.start) ? `, ${Math.floor(e.start / 60)}:${String(Math.floor(e.start % 60)).padStart(2, "0")} in` : "";
+    return `[${n}] "${session.title}" (${session.date.slice(0, 10)}${at})\n${passage(session, index)}`;
+  }).join("\n\n");
+
+  const response = await openai.chat.completions.create({
+    model: MODEL,
+    messages: [
+      { role: "system", content: SYSTEM_PROMPT },
+      ...history.slice(-MAX_HISTORY),
+      { role: "user", content: `Excerpts:\n\n${excerpts || "(no meetings match)"}\n\nQuestion: ${question}` },
+    ],
+  });
+
+  const text = (response.choices[0].message.content || "").trim();
+  const cited = new Set([...text.matchAll(/\[(\d+)\]/g)].map(m => Number(m[1])));
+  const citations = sources.filter(s => cited.has(s.n)).map(({ n, session, index }) => {
+    const e = session.entries[index];
+    return {
+      n,
+      session_id: session.id,
+      entry_id: e.id,
+      title: session.title,
+      date: session.date,
+      start: e.start,
+      time: e.time,
+      speaker_name: speakerName(session, e),
+      text: e.text,
+    };
+  });
+  return { answer: text, citations, tokens: response.usage?.total_tokens || 0 };
+}
+
+module.exports = { indexSession, retrieve, answer, MAX_HISTORY };
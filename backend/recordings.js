@@ -0,0 +1,113 @@
+/**
+ * METRI Meeting Assistant — Meeting Recordings
+ * ────────────────────────────────────────────
+ * Keeps the complete audio of each live WebSocket session on disk so
+ * reviewers can go back to the original audio for disputed lines.
+ *
+ * The MediaRecorder stream is written verbatim: header chunk first, then
+ * every later chunk in order, which is a valid file of the recorded type.
+ * A recording becomes part of the library once POST /api/sessions links
+ * it; unlinked recordings are swept after RECORDING_TTL_HOURS.
+ * File names carry the owner's user id, so only the user who recorded
+ * the audio can link it to a session.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuid } = require('uuid');
+
+const RECORDINGS_DIR = path.join(__dirname, 'data', 'recordings');
+const TTL_MS = (Number(process.env.RECORDING_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const OWNER_PATTERN = /^[\w-]+$/;
+
+if (!fs.existsSync(RECORDINGS_DIR)) {
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+}
+
+const EXTENSIONS = { webm: '.webm', ogg: '.ogg', mp4: '.mp4' };
+
+function extensionFor(mimeType = '') {
+  const key = Object.keys(EXTENSIONS).find(k => mimeType.includes(k));
+  return EXTENSIONS[key || 'webm'];
+}
+
+const MIME_TYPES = { '.webm': 'audio/webm', '.ogg': 'audio/ogg', '.mp4': 'audio/mp4' };
+
+/**
+ * Reserve a recording file name for ownerId → { id, file, path }.
+ * Nothing is written; imports hand the path to ffmpeg.
+ */
+function allocateRecording(mimeType, ownerId) {
+  if (!OWNER_PATTERN.test(String(ownerId))) throw new Error('Invalid recording owner');
+  const id = uuid();
+  const file = `${ownerId}_${id}${extensionFor(mimeType)}`;
+  return { id, file, path: path.join(RECORDINGS_DIR, file) };
+}
+
+/**
+ * Open a new recording for a live stream owned by ownerId.
+ * Returns { id, file, write(chunk), close() }.
+ */
+function startRecording(mimeType, ownerId) {
+  const { id, file, path: filePath } = allocateRecording(mimeType, ownerId);
+  const out = fs.createWriteStream(filePath);
+  out.on('error', err => console.error(`[Recording] Write error for ${file}:`, err.message));
+
+  return {
+    id,
+    file,
+    write: chunk => out.write(chunk),
+    close: () => new Promise(resolve => out.end(resolve)),
+  };
+}
+
+/**
+ * Look up a user's recording by id → { file, mimeType, size } or null.
+ */
+function findRecording(id, ownerId) {
+  if (!ID_PATTERN.test(id || '') || !OWNER_PATTERN.test(String(ownerId))) return null;
+  for (const ext of Object.values(EXTENSIONS)) {
+    const file = `${ownerId}_${id}${ext}`;
+    const full = path.join(RECORDINGS_DIR, file);
+    if (fs.existsSync(full)) {
+      return { file, mimeType: MIME_TYPES[ext], size: fs.statSync(full).size };
+    }
+  }
+  return null;
+}
+
+function recordingPath(file) {
+  return path.join(RECORDINGS_DIR, path.basename(file));
+}
+
+function removeRecording(file) {
+  if (!file) return;
+  try {
+    const full = recordingPath(file);
+    if (fs.existsSync(full)) fs.unlinkSync(full);
+  } catch (err) {
+    console.error(`[Recording] Failed to remove ${file}:`, err.message);
+  }
+}
+
+/**
+ * Delete recordings that were never linked to a saved session.
+ * isLinked(file) → Promise<boolean> is supplied by the caller (database lookup).
+ */
+async function sweepOrphans(isLinked) {
+  const now = Date.now();
+  for (const file of fs.readdirSync(RECORDINGS_DIR)) {
+    const { mtimeMs } = fs.statSync(recordingPath(file));
+    if (now - mtimeMs > TTL_MS && !(await isLinked(file))) removeRecording(file);
+  }
+}
+
+module.exports = {
+  allocateRecording,
+  startRecording,
+  findRecording,
+  recordingPath,
+  removeRecording,
+  sweepOrphans,
+};
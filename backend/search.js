@@ -0,0 +1,106 @@
+/**
+ * METRI Meeting Assistant — Transcript Search
+ * ───────────────────────────────────────────
+ * Khmer is written without spaces between words, so substring matching
+ * finds "ការ" inside every other word. Entries are instead split into
+ * words with Intl.Segmenter (ICU's dictionary handles Khmer; Latin text
+ * splits on UAX #29 word boundaries) and stored as an inverted index
+ * (search_terms, maintained by database.js).
+ *
+ * Queries are tokenized the same way. The last query word also matches
+ * as a prefix, so results show up while the user is still typing.
+ * Entries are ranked with BM25, scaled by how many of the query's words
+ * they contain, so an entry with every word beats one that repeats one.
+ */
+
+const segmenter = new Intl.Segmenter("km", { granularity: "word" });
+const IGNORABLE = /[\u200B-\u200D\uFEFF]/g; // zero-width spaces/joiners typed between Khmer words
+
+const K1 = 1.2;
+const B = 0.75;
+
+/* Index form of a word */
+const normalize = (word) => word.normalize("NFC").replace(IGNORABLE, "").toLowerCase();
+
+/**
+ * Words of a text → [{ term, index, length }] (index/length in the original text).
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const s of segmenter.segment(String(text || ""))) {
+    if (!s.isWordLike) continue;
+    const term = normalize(s.segment);
+    if (term) tokens.push({ term, index: s.index, length: s.segment.length });
+  }
+  return tokens;
+}
+
+/**
+ * Term → frequency for one entry, plus its length in terms.
+ */
+function termCounts(text) {
+  const counts = new Map();
+  const tokens = tokenize(text);
+  for (const { term } of tokens) counts.set(term, (counts.get(term) || 0) + 1);
+  return { counts, length: tokens.length };
+}
+
+/**
+ * Query text → { terms, prefix }. `terms` must match whole words; the
+ * last word is kept aside as `prefix` and matches any word starting with it.
+ */
+function parseQuery(q) {
+  const words = [...new Set(tokenize(q).map(t => t.term))];
+  const prefix = words.pop() || null;
+  return { terms: words, prefix };
+}
+
+/**
+ * Which query slot an index term satisfies: a term's own position, the
+ * prefix slot (terms.length), or -1.
+ */
+function slotOf(term, query) {
+  const i = query.terms.indexOf(term);
+  if (i !== -1) return i;
+  return query.prefix && term.startsWith(query.prefix) ? query.terms.length : -1;
+}
+
+/**
+ * Rank matching entries.
+ *   postings: [{ term, tf, entry }] — one per (term, entry), entry = { key, length, … }
+ *   stats:    { total, avgLength, df: Map(term → entries containing it) }
+ * → [{ entry, score, terms: Set of matched index terms }], best first.
+ */
+function rank(postings, query, stats) {
+  const slots = query.terms.length + (query.prefix ? 1 : 0);
+  const byEntry = new Map();
+
+  for (const { term, tf, entry } of postings) {
+    const slot = slotOf(term, query);
+    if (slot === -1) continue;
+    let hit = byEntry.get(entry.key);
+    if (!hit) byEntry.set(entry.key, hit = { entry, score: 0, terms: new Set(), slots: new Set() });
+
+    const df = stats.df.get(term) || 1;
+    const idf = Math.log(1 + (stats.total - df + 0.5) / (df + 0.5));
+    const norm = 1 - B + B * ((entry.length || 1) / (stats.avgLength || 1));
+    hit.score += idf * (tf * (K1 + 1)) / (tf + K1 * norm);
+    hit.terms.add(term);
+    hit.slots.add(slot);
+  }
+
+  return [...byEntry.values()]
+    .map(h => ({ entry: h.entry, terms: h.terms, score: h.score * (h.slots.size / slots) ** 2 }))
+    .sort((a, b) => b.score - a.score || (b.entry.time || 0) - (a.entry.time || 0));
+}
+
+/**
+ * Character ranges of the matched words in an entry's text → [[start, end], …]
+ */
+function highlights(text, terms) {
+  return tokenize(text)
+    .filter(t => terms.has(t.term))
+    .map(t => [t.index, t.index + t.length]);
+}
+
+module.exports = { tokenize, termCounts, parseQuery, rank, highlights };
@@ -2,7 +2,7 @@
  * METRI Meeting Assistant — Backend Server
  * ─────────────────────────────────────────
  * Express REST API + WebSocket server
- * Audio transcription via OpenAI Whisper
+ * Audio transcription via pluggable Whisper providers
  * Supports English (en-US) and Khmer (km)
  */
 
@@ -21,6 +21,21 @@ const bcrypt = require("bcryptjs");
 const helmet = require("helmet");
 const morgan = require("morgan");
 const db = require("./database");
+const { createTranscriber, windowEntries } = require("./transcription");
+const { createAudioStream, dedupeOverlap } = require("./audioStream");
+const recordings = require("./recordings");
+const jobs = require("./jobs");
+const imports = require("./imports");
+const { createDiarizer, assignSpeakers } = require("./diarization");
+const usage = require("./usage");
+const { summarizeSession } = require("./summary");
+const { createEmbedder } = require("./embeddings");
+const { createTranslator, targetLanguage } = require("./translation");
+const qa = require("./qa");
+const glossary = require("./glossary");
+const { LANGUAGES, MIXED, isTag, parseSettings: languageSettings } = require("./languages");
+const live = require("./live");
+const { exportSession, isExportFormat, EXPORT_FORMATS } = require("./export");
 
 /* ─── Config ─── */
 const PORT = process.env.PORT || 3001;
@@ -34,8 +49,20 @@ const UPLOADS_DIR = path.join(__dirname, "uploads");
   if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
 });
 
-/* ─── OpenAI client ─── */
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+/* ─── OpenAI client (summaries; optional so fixture/local setups boot without a key) ─── */
+const openai = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
+
+/* ─── Transcription provider (openai | local | fixture) ─── */
+const transcriber = createTranscriber();
+
+/* ─── Speaker diarization (none | http | fixture) ─── */
+const diarizer = createDiarizer();
+
+/* ─── Embeddings for "ask your meetings" (openai | local | hashing) ─── */
+const embedder = createEmbedder();
+
+/* ─── English ⇄ Khmer translation (openai | libretranslate | fixture | none) ─── */
+const translator = createTranslator();
 
 
 /* ─── Express app ─── */
@@ -60,6 +87,7 @@ app.use(cors({
     callback(null, false);
   },
   credentials: true,
+  exposedHeaders: ["Content-Disposition"], // export filenames
 }));
 app.use(express.json());
 
@@ -76,6 +104,16 @@ function authenticateToken(req, res, next) {
   });
 }
 
+/* Verify a JWT outside Express (WebSocket upgrade) → user or null */
+function verifyToken(token) {
+  if (!token) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (_) {
+    return null;
+  }
+}
+
 
 /* ─── Multer for temp audio uploads ─── */
 const upload = multer({
@@ -83,45 +121,166 @@ const upload = multer({
   limits: { fileSize: 25 * 1024 * 1024 }, // 25 MB (Whisper limit)
 });
 
+/* Recording imports are split before they reach Whisper */
+const importUpload = multer({
+  dest: UPLOADS_DIR,
+  limits: { fileSize: (Number(process.env.IMPORT_MAX_MB) || 500) * 1024 * 1024 },
+});
+
 /* ══════════════════════════════════════════
    WHISPER TRANSCRIPTION SERVICE
 ══════════════════════════════════════════ */
-async function transcribeAudio(filePath, originalName) {
+/**
+ * Transcribe a file on behalf of a user. Checks the user's Whisper quota
+ * first (throws usage.QuotaExceededError) and meters the audio seconds.
+ * durationHint is used when the provider doesn't report a duration.
+ * The user's glossary biases Whisper; what it still misspells is
+ * corrected where entries are made (glossary.correctNewEntries), so the
+ * result is Whisper's own text. languages / hint are the session's
+ * language settings (./languages).
+ */
+async function transcribeAudio(filePath, { originalName, userId, durationHint = 0, languages, hint } = {}) {
+  await usage.checkQuota(userId, "minutes");
   try {
-    const fileStream = fs.createReadStream(filePath);
+    const { prompt } = await glossaryFor(userId);
+    const result = await transcriber.transcribe(filePath, { originalName, prompt, language: hint, languages });
+    await usage.recordTranscription(userId, result.duration || durationHint);
+    return result;
+  } catch (err) {
+    console.error(`Whisper error (${transcriber.name}):`, err.message);
+    throw err;
+  }
+}
 
-    const response = await openai.audio.transcriptions.create({
-      file: fileStream,
-      model: "whisper-1",
-      response_format: "verbose_json", // gives us language + segments
-      // No language hint → Whisper auto-detects English vs Khmer
-    });
+/* Glossary terms that apply for a user (and a session's workspace) → { prompt, correct } */
+async function glossaryFor(userId, workspaceId = null) {
+  const terms = await db.getGlossaryFor(userId, workspaceId);
+  return { prompt: glossary.buildPrompt(terms), correct: glossary.createCorrector(terms) };
+}
 
-    const text = response.text?.trim() || "";
-    const langCode = response.language || "en"; // e.g. "english", "khmer"
+/* Structured body for 429 responses and quota_exceeded WebSocket messages */
+const quotaPayload = (err) => ({ error: err.message, quota: err.details });
 
-    // Normalize Whisper's language name to ISO code
-    const lang = normalizeLanguage(langCode, text);
+/* ══════════════════════════════════════════
+   BACKGROUND JOBS
+   Whisper and GPT calls go through the persistent queue in ./jobs:
+   rate limits and timeouts are retried with backoff instead of lost.
+══════════════════════════════════════════ */
 
-    return { text, lang, duration: response.duration || 0 };
-  } catch (err) {
-    console.error("Whisper error:", err.message);
-    throw err;
-  }
+/* One live window (audio already on disk) → raw transcription result */
+jobs.register("transcribe", async (job) => {
+  const { file, durationHint, languages, hint } = job.payload;
+  const { text, lang, confidence, duration, segments } = await transcribeAudio(file, {
+    originalName: path.basename(file),
+    userId: job.user_id,
+    durationHint,
+    languages,
+    hint,
+  });
+  return { text, lang, confidence, duration, segments };
+}, {
+  concurrency: Number(process.env.TRANSCRIBE_CONCURRENCY) || 3,
+  onSettled: (job) => fs.rmSync(job.payload.file, { force: true }),
+});
+
+/* Summarize a saved session and store the summary → { summary } */
+jobs.register("summarize", async (job) => {
+  const session = await db.getSessionById(job.payload.sessionId, job.user_id);
+  if (!session) throw Object.assign(new Error("Session not found"), { retryable: false });
+  if (!openai) throw Object.assign(new Error("Summaries require OPENAI_API_KEY"), { retryable: false });
+  await usage.checkQuota(job.user_id, "tokens");
+  const { summary, tokens } = await summarizeSession(openai, session);
+  await usage.recordTokens(job.user_id, tokens);
+  return { summary: await db.saveSummary(session.id, summary) };
+}, {
+  concurrency: Number(process.env.SUMMARY_CONCURRENCY) || 2,
+  maxAttempts: 4,
+});
+
+/* Bring a session's "ask your meetings" vectors up to date → { embedded } */
+jobs.register("embed", async (job) => {
+  const session = await db.getSessionById(job.payload.sessionId, job.user_id);
+  if (!session) return { embedded: 0 }; // deleted while queued
+  const { embedded, tokens } = await qa.indexSession(embedder, session);
+  if (tokens) await usage.recordTokens(job.user_id, tokens);
+  return { embedded };
+}, {
+  concurrency: Number(process.env.EMBED_CONCURRENCY) || 1,
+});
+
+/* Queue re-embedding after a session's text, speakers or title change */
+function reindexSession(userId, sessionId) {
+  jobs.enqueue("embed", userId, { sessionId })
+    .catch(err => console.error(`[Embed] Could not queue session ${sessionId}:`, err.message));
 }
 
-/**
- * Whisper returns language as full name ("english", "khmer").
- * Also cross-check with Khmer Unicode in the text itself.
- */
-function normalizeLanguage(whisperLang, text) {
-  const hasKhmerChars = /[\u1780-\u17FF]/.test(text);
-  if (hasKhmerChars) return "km";
-  const lower = (whisperLang || "").toLowerCase();
-  if (lower.includes("khmer") || lower === "km") return "km";
-  return "en";
+/* Answer a question across the user's Library → { answer, citations } */
+jobs.register("ask", async (job) => {
+  if (!openai) throw Object.assign(new Error("Questions require OPENAI_API_KEY"), { retryable: false });
+  const { question, history } = job.payload;
+  await usage.checkQuota(job.user_id, "tokens");
+  const { sources, tokens: queryTokens } = await qa.retrieve(embedder, job.user_id, question, history);
+  const { answer, citations, tokens } = await qa.answer(openai, question, sources, history);
+  await usage.recordTokens(job.user_id, queryTokens + tokens);
+  return { answer, citations };
+}, {
+  concurrency: Number(process.env.ASK_CONCURRENCY) || 2,
+  maxAttempts: 3,
+});
+
+/* Translate entries, each into its other language among the session's
+   languages (grouped by language) → texts in the same order */
+async function translateEntries(userId, entries, languages) {
+  const texts = [];
+  for (const lang of new Set(entries.map(e => e.lang))) {
+    const group = entries.flatMap((e, i) => (e.lang === lang ? [i] : []));
+    await usage.checkQuota(userId, "tokens");
+    const result = await translator.translate(group.map(i => entries[i].text), lang, targetLanguage(lang, languages));
+    await usage.recordTokens(userId, result.tokens);
+    group.forEach((i, j) => { texts[i] = result.texts[j]; });
+  }
+  return texts;
 }
 
+/* Translate a live window's entries → { texts } */
+jobs.register("translate", async (job) => {
+  return { texts: await translateEntries(job.user_id, job.payload.messages, job.payload.languages) };
+}, {
+  concurrency: Number(process.env.TRANSLATE_CONCURRENCY) || 3,
+  maxAttempts: 2, // a live line is only useful while the meeting is still on
+});
+
+/* Translate every entry of a saved session that has no translation yet → { translated } */
+const TRANSLATE_BATCH = 20;
+
+jobs.register("translate_session", async (job, ctx) => {
+  const session = await db.getSessionById(job.payload.sessionId, job.user_id);
+  if (!session) throw Object.assign(new Error("Session not found"), { retryable: false });
+  const todo = session.entries.filter(e => !e.translation && e.text);
+
+  // Stored after every batch, so a retry only translates what is left
+  let translated = 0;
+  for (let i = 0; i < todo.length; i += TRANSLATE_BATCH) {
+    await ctx.progress(i / todo.length);
+    const batch = todo.slice(i, i + TRANSLATE_BATCH);
+    const texts = await translateEntries(job.user_id, batch, session.languages);
+    const results = batch.map((e, j) => ({ id: e.id, lang: targetLanguage(e.lang, session.languages), text: texts[j] }));
+    await db.setEntryTranslations(session.id, results);
+    translated += results.length;
+  }
+  return { translated };
+}, {
+  concurrency: Number(process.env.TRANSLATE_CONCURRENCY) || 3,
+});
+
+imports.registerImports({
+  transcribe: (userId, file, { durationHint, languages, hint }) => transcribeAudio(file, { originalName: path.basename(file), userId, durationHint, languages, hint }),
+  save: async (userId, fields) => {
+    const { correct } = await glossaryFor(userId);
+    return createSession(userId, { ...fields, entries: glossary.correctNewEntries(fields.entries, correct) });
+  },
+}, { concurrency: Number(process.env.IMPORT_CONCURRENCY) || 1 });
+
 /* ══════════════════════════════════════════
    REST API ROUTES
 ══════════════════════════════════════════ */
@@ -130,7 +289,10 @@ function normalizeLanguage(whisperLang, text) {
 app.get("/api/health", (req, res) => {
   res.json({
     status: "ok",
-    whisper: !!process.env.OPENAI_API_KEY,
+    whisper: transcriber.name !== "fixture",
+    provider: transcriber.name,
+    embeddings: embedder.name,
+    translation: translator.enabled ? translator.name : null,
     timestamp: new Date().toISOString(),
   });
 });
@@ -147,7 +309,7 @@ app.post("/api/auth/signup", async (req, res) => {
   }
 
   try {
-    const existing = db.findUserByUsername(username);
+    const existing = await db.findUserByUsername(username);
     if (existing) {
       console.warn(`[AUTH] Signup failed: Username "${username}" already exists`);
       return res.status(400).json({ error: "Username already exists" });
@@ -156,7 +318,7 @@ app.post("/api/auth/signup", async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const hash = await bcrypt.hash(password, salt);
 
-    const user = db.createUser(username, hash);
+    const user = await db.createUser(username, hash);
     const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, { expiresIn: "7d" });
 
     res.status(201).json({ token, user: { id: user.id, username: user.username } });
@@ -170,7 +332,7 @@ app.post("/api/auth/login", async (req, res) => {
   if (!username || !password) return res.status(400).json({ error: "Username and password required" });
 
   try {
-    const user = db.findUserByUsername(username);
+    const user = await db.findUserByUsername(username);
     if (!user) return res.status(401).json({ error: "Invalid username or password" });
 
     const valid = await bcrypt.compare(password, user.password_hash);
@@ -186,10 +348,20 @@ app.post("/api/auth/login", async (req, res) => {
 
 /* ── POST /api/transcribe ──────────────────
    Upload a single audio chunk for transcription.
-   Returns: { text, lang, duration }
+   Multipart: audio, languages? (comma-separated codes), languageHint?
+   Returns: { text, lang, duration, segments }, glossary-corrected; the
+   result and each segment carry Whisper's text as original_text when
+   the glossary changed it
 */
-app.post("/api/transcribe", upload.single("audio"), async (req, res) => {
+app.post("/api/transcribe", authenticateToken, upload.single("audio"), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: "No audio file received" });
+  let settings;
+  try {
+    settings = languageSettings(req.body);
+  } catch (err) {
+    fs.rmSync(req.file.path, { force: true });
+    return res.status(err.status).json({ error: err.message });
+  }
 
   const tempPath = req.file.path;
   // Rename to give it proper extension so Whisper recognises format
@@ -198,9 +370,13 @@ app.post("/api/transcribe", upload.single("audio"), async (req, res) => {
 
   try {
     fs.renameSync(tempPath, namedPath);
-    const result = await transcribeAudio(namedPath, req.file.originalname);
-    res.json(result);
+    const result = await transcribeAudio(namedPath, { originalName: req.file.originalname, userId: req.user.id, ...settings });
+    const { correct } = await glossaryFor(req.user.id);
+    const [corrected] = glossary.correctNewEntries([result], correct);
+    res.json({ ...corrected, segments: glossary.correctNewEntries(result.segments, correct) });
   } catch (err) {
+    if (err instanceof usage.QuotaExceededError) return res.status(429).json(quotaPayload(err));
+    console.error(`[Transcribe] Upload from user ${req.user.id} failed:`, err.message);
     res.status(500).json({ error: err.message || "Transcription failed" });
   } finally {
     // Clean up temp file
@@ -217,13 +393,42 @@ function guessExtension(mimeType) {
   return ".webm"; // default for browser MediaRecorder
 }
 
+/* ── Session access ────────────────────────
+   A session is reached by its owner, the members of its workspace and
+   the users it is shared with — each with a role (db.ROLES). Routes name
+   the role they need: viewer reads and downloads, editor changes the
+   transcript, summary and speakers, owner deletes, moves and shares.
+*/
+const ROLE_DENIED = {
+  editor: "You can only view this session",
+  owner: "Only the session's owner can do that",
+};
+
+/* Load a session for a request with at least `role` → the session, or
+   null once 404 (not visible to the user) or 403 (role too low) is sent */
+async function sessionFor(req, res, id, role = "viewer") {
+  const session = await db.getSessionById(id, req.user.id);
+  if (!session) {
+    res.status(404).json({ error: "Session not found" });
+    return null;
+  }
+  if (!db.hasRole(session.role, role)) {
+    res.status(403).json({ error: ROLE_DENIED[role] });
+    return null;
+  }
+  return session;
+}
+
 /* ── GET /api/sessions ─────────────────────
-   Return all saved sessions (library).
+   Return all sessions (library), including drafts (status "draft") of
+   live sessions that are still recording or were never saved, and the
+   sessions of the user's workspaces or shared with them. Each carries
+   the user's `role` and its `workspace_id`.
 */
-app.get("/api/sessions", authenticateToken, (req, res) => {
+app.get("/api/sessions", authenticateToken, async (req, res) => {
   try {
-    const sessions = db.getSessions(req.user.id);
-    res.json(sessions);
+    const sessions = await db.getSessions(req.user.id);
+    res.json(sessions.filter(s => s.status !== "draft" || s.entries.length)); // nothing said yet
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch sessions" });
   }
@@ -231,146 +436,1032 @@ app.get("/api/sessions", authenticateToken, (req, res) => {
 
 /* ── POST /api/sessions ────────────────────
    Save a new session to the library.
-   Body: { title, date, duration, entries }
+   Body: { title, date, duration, entries, recordingId?, languages?, languageHint? }
+   recordingId links the live recording announced in audio_start_ack.
 */
-app.post("/api/sessions", authenticateToken, (req, res) => {
-  const { title, date, duration, entries } = req.body;
+app.post("/api/sessions", authenticateToken, async (req, res) => {
+  const { title, date, duration, entries, recordingId } = req.body;
   if (!entries?.length) return res.status(400).json({ error: "No entries to save" });
+  let settings;
+  try {
+    settings = languageSettings(req.body);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message });
+  }
 
+  let recording = recordingId ? recordings.findRecording(recordingId, req.user.id) : null;
+  if (recordingId && !recording) return res.status(400).json({ error: "Recording not found" });
+
+  try {
+    if (recording && await db.isAudioFileLinked(recording.file)) recording = null; // saved twice — first save keeps the audio
+
+    const session = await createSession(req.user.id, {
+      title,
+      date,
+      duration,
+      audio_file: recording?.file || null,
+      audio_mime: recording?.mimeType || null,
+      entries,
+      languages: settings.languages,
+      language_hint: settings.hint,
+    });
+    res.status(201).json(session);
+  } catch (err) {
+    console.error("Save error:", err);
+    res.status(500).json({ error: "Failed to save session" });
+  }
+});
+
+/* Save a new library session (live save or finished import) → session */
+async function createSession(userId, { title, date, duration, audio_file, audio_mime, entries, languages, language_hint }) {
   const session = {
     id: uuid(),
-    user_id: req.user.id,
+    user_id: userId,
     title: title || `Meeting — ${new Date(date).toLocaleDateString()}`,
     date: date || new Date().toISOString(),
     duration: duration || 0,
-    entries,
+    audio_file: audio_file || null,
+    audio_mime: audio_mime || null,
+    languages: languages || null,
+    language_hint: language_hint || null,
+    entries: entries.map(e => ({ ...e, id: e.id ?? uuid() })),
   };
 
+  // Without a recording (or a diarizer) there is nothing to analyse:
+  // everyone is Speaker 1 until renamed. Otherwise diarize in the background.
+  const diarizeLater = !!session.audio_file && diarizer.name !== "none";
+  if (diarizeLater) {
+    session.diarization = "pending";
+  } else {
+    const { assignments, speakers } = assignSpeakers(session.entries, []);
+    session.entries = session.entries.map((e, i) => ({ ...e, speaker: assignments[i].speaker }));
+    session.speakers = speakers;
+    session.diarization = "done";
+  }
+
+  await db.saveSession(session);
+  if (diarizeLater) diarizeSession(session, userId); // re-embeds once speakers are known
+  else reindexSession(userId, session.id);
+  return session;
+}
+
+/* Run the diarizer over a saved session's recording and label its entries */
+async function diarizeSession(session, userId) {
   try {
-    db.saveSession(session);
-    res.status(201).json(session);
+    const filePath = recordings.recordingPath(session.audio_file);
+    const duration = Math.max(0, ...session.entries.map(e => e.end || 0));
+    const { assignments, speakers } = await diarizer.diarize(filePath, session.entries, { duration });
+    await db.setEntrySpeakers(session.id, assignments);
+    await db.updateSession(session.id, userId, { speakers, diarization: "done" });
+    reindexSession(userId, session.id);
   } catch (err) {
-    console.error("Save error:", err);
+    console.error(`[Diarize] Session ${session.id} failed:`, err.message);
+    await db.updateSession(session.id, userId, { diarization: "failed" }).catch(() => { });
+  }
+}
+
+/* A draft was saved: label speakers (diarize when there is a recording) and index it */
+async function processSession(userId, sessionId) {
+  const session = await db.getSessionById(sessionId, userId);
+  if (!session) return;
+  if (session.audio_file && diarizer.name !== "none") {
+    await db.updateSession(session.id, userId, { diarization: "pending" });
+    diarizeSession(session, userId); // re-embeds once speakers are known
+    return;
+  }
+  const { assignments, speakers } = assignSpeakers(session.entries, []);
+  await db.setEntrySpeakers(session.id, assignments);
+  await db.updateSession(session.id, userId, { speakers, diarization: "done" });
+  reindexSession(userId, session.id);
+}
+
+/* ── POST /api/imports ─────────────────────
+   Import an existing recording (MP3, M4A, WAV, MP4, WebM…) as a new
+   session. Converted, split and transcribed in the background.
+   Multipart: file, title?, date? (ISO; when the meeting started),
+   languages? (comma-separated codes), languageHint?
+   Returns 202 with the import job — poll GET /api/jobs/:id; its
+   result is { sessionId } once the session is saved.
+*/
+app.post("/api/imports", authenticateToken, importUpload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "No recording received" });
+
+  const upload = { path: req.file.path, originalName: req.file.originalname };
+  if (!isImportable(req.file)) {
+    fs.rmSync(upload.path, { force: true });
+    return res.status(400).json({ error: `Unsupported file type. Use one of: ${IMPORT_EXTENSIONS.join(", ")}` });
+  }
+  let settings;
+  try {
+    settings = languageSettings(req.body);
+  } catch (err) {
+    fs.rmSync(upload.path, { force: true });
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  try {
+    await usage.checkQuota(req.user.id, "minutes");
+  } catch (err) {
+    fs.rmSync(upload.path, { force: true });
+    if (err instanceof usage.QuotaExceededError) return res.status(429).json(quotaPayload(err));
+    return res.status(500).json({ error: "Failed to start import" });
+  }
+
+  try {
+    const job = await imports.startImport(req.user.id, upload, { title: req.body.title, date: req.body.date, ...settings });
+    res.status(202).json(jobs.publicJob(job));
+  } catch (err) {
+    fs.rmSync(upload.path, { force: true });
+    console.error("[Import] Failed to queue:", err.message);
+    res.status(500).json({ error: "Failed to start import" });
+  }
+});
+
+const IMPORT_EXTENSIONS = [".mp3", ".m4a", ".wav", ".mp4", ".webm", ".ogg", ".aac", ".mov"];
+
+function isImportable(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  return IMPORT_EXTENSIONS.includes(ext) || /^(audio|video)\//.test(file.mimetype || "");
+}
+
+/* ── GET /api/sessions/:id ─────────────────
+   Return one session with its entries.
+*/
+app.get("/api/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const session = await sessionFor(req, res, req.params.id);
+    if (!session) return;
+    res.json(session);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch session" });
+  }
+});
+
+/* ── POST /api/sessions/:id/save ───────────
+   Save a draft: the live session the server has been writing since
+   audio_start, or one left behind by a crash, recovered from the Library.
+   Saving again only renames. While the stream is still running, new
+   entries keep arriving; speakers are labelled once it ends.
+   Body: { title?, duration? }
+*/
+app.post("/api/sessions/:id/save", authenticateToken, async (req, res) => {
+  const { title, duration } = req.body;
+  try {
+    const session = await sessionFor(req, res, req.params.id, "owner");
+    if (!session) return;
+    if (!session.entries.length) return res.status(400).json({ error: "No entries to save" });
+
+    const fields = { status: "saved" };
+    if (typeof title === "string" && title.trim()) fields.title = title.trim().slice(0, 200);
+    if (Number.isFinite(duration) && duration > session.duration) fields.duration = Math.round(duration);
+    const saved = await db.updateSession(session.id, req.user.id, fields);
+
+    const recordingNow = [...liveStreams.values()].some(b => b.draftId === session.id);
+    if (session.status === "draft" && !recordingNow) await processSession(req.user.id, session.id);
+    res.json(await db.getSessionById(saved.id, req.user.id));
+  } catch (err) {
+    console.error("Save draft error:", err);
     res.status(500).json({ error: "Failed to save session" });
   }
 });
 
+/* ── PATCH /api/sessions/:id/speakers ──────
+   Rename speakers once for the whole session.
+   Body: { speakers: { S1: "Dara", S2: "Sophea" } }
+*/
+app.patch("/api/sessions/:id/speakers", authenticateToken, async (req, res) => {
+  const names = req.body.speakers;
+  if (!names || typeof names !== "object") return res.status(400).json({ error: "Speaker names required" });
+
+  try {
+    const session = await sessionFor(req, res, req.params.id, "editor");
+    if (!session) return;
+
+    const speakers = { ...session.speakers };
+    for (const [label, name] of Object.entries(names)) {
+      if (!(label in speakers)) return res.status(400).json({ error: `Unknown speaker "${label}"` });
+      const trimmed = String(name || "").trim().slice(0, 60);
+      if (!trimmed) return res.status(400).json({ error: "Speaker names cannot be empty" });
+      speakers[label] = trimmed;
+    }
+
+    res.json(await db.updateSession(session.id, req.user.id, { speakers }));
+    reindexSession(req.user.id, session.id);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to rename speakers" });
+  }
+});
+
+/* ── PATCH /api/sessions/:id ───────────────
+   Rename a session.
+   Body: { title }
+*/
+app.patch("/api/sessions/:id", authenticateToken, async (req, res) => {
+  const title = String(req.body.title || "").trim().slice(0, 200);
+  if (!title) return res.status(400).json({ error: "Title cannot be empty" });
+
+  try {
+    if (!(await sessionFor(req, res, req.params.id, "editor"))) return;
+    const session = await db.updateSession(req.params.id, req.user.id, { title });
+    res.json(session);
+    reindexSession(req.user.id, session.id);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to rename session" });
+  }
+});
+
+/* ── PATCH /api/sessions/:id/entries/:entryId ──
+   Correct an entry's text or language tag, or undo every edit.
+   Body: { text?, lang? } | { revert: true }
+   Whisper's original text is kept until the entry is reverted.
+*/
+app.patch("/api/sessions/:id/entries/:entryId", authenticateToken, async (req, res) => {
+  const { text, lang, revert } = req.body;
+  const fields = {};
+  if (revert) {
+    fields.revert = true;
+  } else {
+    if (text !== undefined) {
+      fields.text = String(text).trim();
+      if (!fields.text) return res.status(400).json({ error: "Entry text cannot be empty" });
+    }
+    if (lang !== undefined) {
+      if (!isTag(lang)) return res.status(400).json({ error: `Language must be one of: ${[...Object.keys(LANGUAGES), MIXED].join(", ")}` });
+      fields.lang = lang;
+    }
+    if (!Object.keys(fields).length) return res.status(400).json({ error: "Nothing to update" });
+  }
+
+  try {
+    const session = await sessionFor(req, res, req.params.id, "editor");
+    if (!session) return;
+    if (!(await db.updateEntry(session.id, req.params.entryId, fields))) return res.status(404).json({ error: "Entry not found" });
+    res.json(await db.getSessionById(session.id, req.user.id));
+    reindexSession(req.user.id, session.id);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to update entry" });
+  }
+});
+
+/* ── PATCH /api/sessions/:id/entries/:entryId/merge ──
+   Join an entry with the one after it.
+*/
+app.patch("/api/sessions/:id/entries/:entryId/merge", authenticateToken, async (req, res) => {
+  try {
+    const session = await sessionFor(req, res, req.params.id, "editor");
+    if (!session) return;
+    if (!(await db.mergeEntries(session.id, req.params.entryId))) {
+      return res.status(400).json({ error: "Entry not found or has nothing after it to merge with" });
+    }
+    res.json(await db.getSessionById(session.id, req.user.id));
+    reindexSession(req.user.id, session.id);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to merge entries" });
+  }
+});
+
+/* ── PATCH /api/sessions/:id/entries/:entryId/split ──
+   Split an entry in two at a character offset of its text.
+   Body: { at }
+*/
+app.patch("/api/sessions/:id/entries/:entryId/split", authenticateToken, async (req, res) => {
+  const at = Number(req.body.at);
+  try {
+    const session = await sessionFor(req, res, req.params.id, "editor");
+    if (!session) return;
+    const entry = session.entries.find(e => e.id === req.params.entryId);
+    if (!entry) return res.status(404).json({ error: "Entry not found" });
+    if (!Number.isInteger(at) || !entry.text.slice(0, at).trim() || !entry.text.slice(at).trim()) {
+      return res.status(400).json({ error: "Split point must leave text on both sides" });
+    }
+
+    await db.splitEntry(session.id, entry.id, at);
+    res.json(await db.getSessionById(session.id, req.user.id));
+    reindexSession(req.user.id, session.id);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to split entry" });
+  }
+});
+
+/* ── POST /api/sessions/:id/translate ──────
+   Translate every entry that has no translation yet (older sessions,
+   imports, edited entries) into the meeting's other language.
+   Returns 202 { job }; the job's result is { translated }.
+*/
+app.post("/api/sessions/:id/translate", authenticateToken, async (req, res) => {
+  if (!translator.enabled) return res.status(503).json({ error: "Translation is not configured (TRANSLATION_PROVIDER)" });
+  try {
+    const session = await sessionFor(req, res, req.params.id, "editor");
+    if (!session) return;
+    await usage.checkQuota(req.user.id, "tokens"); // fail fast; the job checks again
+
+    const job = await jobs.enqueue("translate_session", req.user.id, { sessionId: session.id });
+    res.status(202).json({ job: jobs.publicJob(job) });
+  } catch (err) {
+    if (err instanceof usage.QuotaExceededError) return res.status(429).json(quotaPayload(err));
+    console.error("Translate error:", err);
+    res.status(500).json({ error: "Translation failed" });
+  }
+});
+
+/* ── POST /api/sessions/:id/correct ────────
+   Fix the glossary's known misspellings in a saved transcript (the
+   user's glossary plus the session's workspace's). Corrected entries
+   keep Whisper's text, so each can still be reverted.
+   Returns: { corrected, session }
+*/
+app.post("/api/sessions/:id/correct", authenticateToken, async (req, res) => {
+  try {
+    const session = await sessionFor(req, res, req.params.id, "editor");
+    if (!session) return;
+    const corrected = await correctSession(session, req.user.id);
+    res.json({ corrected, session: await db.getSessionById(session.id, req.user.id) });
+  } catch (err) {
+    console.error("Correct error:", err);
+    res.status(500).json({ error: "Failed to correct transcript" });
+  }
+});
+
+/* Apply the glossary to a saved session's entries → number of entries changed */
+async function correctSession(session, userId) {
+  const { correct } = await glossaryFor(userId, session.workspace_id);
+  const fixes = glossary.correctEntries(session.entries, correct);
+  for (const fix of fixes) await db.updateEntry(session.id, fix.id, { text: fix.text });
+  if (fixes.length) reindexSession(userId, session.id);
+  return fixes.length;
+}
 
 /* ── DELETE /api/sessions/:id ──────────────
    Remove a session from the library.
 */
-app.delete("/api/sessions/:id", authenticateToken, (req, res) => {
+app.delete("/api/sessions/:id", authenticateToken, async (req, res) => {
   try {
-    const success = db.deleteSession(req.params.id, req.user.id);
-    if (!success) return res.status(404).json({ error: "Session not found" });
+    const session = await sessionFor(req, res, req.params.id, "owner");
+    if (!session) return;
+
+    await db.deleteSession(session.id, req.user.id);
+    recordings.removeRecording(session.audio_file);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: "Failed to delete session" });
   }
 });
 
-/* ── GET /api/sessions/:id/download ────────
-   Download a session transcript as plain text.
+/* ── GET /api/sessions/:id/audio ───────────
+   Stream the session's full recording.
+   Supports HTTP Range requests so players can seek.
 */
-app.get("/api/sessions/:id/download", authenticateToken, (req, res) => {
+app.get("/api/sessions/:id/audio", authenticateToken, async (req, res) => {
   try {
-    const session = db.getSessionById(req.params.id, req.user.id);
-    if (!session) return res.status(404).json({ error: "Session not found" });
-
-
-
-    const fmtTime = (d) => new Date(d).toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit", second: "2-digit" });
-    const fmtDur = (s) => `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+    const session = await sessionFor(req, res, req.params.id);
+    if (!session) return;
+    sendRecording(res, session);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load recording" });
+  }
+});
 
-    const lines = session.entries.map(e =>
-      `[${fmtTime(e.time)}] [${e.lang === "km" ? "ខ្មែរ" : "English"}]\n${e.text}\n`
-    );
+function sendRecording(res, session) {
+  if (!session.audio_file) return res.status(404).json({ error: "No recording for this session" });
+  res.sendFile(recordings.recordingPath(session.audio_file), {
+    acceptRanges: true,
+    headers: { "Content-Type": session.audio_mime || "audio/webm" },
+  }, (err) => {
+    if (err && !res.headersSent) res.status(err.status || 500).json({ error: "Recording unavailable" });
+  });
+}
 
-    const content = [
-      "METRI Meeting Assistant — Transcript",
-      "═".repeat(44),
-      `Title    : ${session.title}`,
-      `Date     : ${new Date(session.date).toLocaleDateString("en-US", { weekday: "long", year: "numeric", month: "long", day: "numeric" })}`,
-      `Duration : ${fmtDur(session.duration)}`,
-      `Entries  : ${session.entries.length}`,
-      "═".repeat(44),
-      "",
-      ...lines,
-    ].join("\n");
+/* ── GET /api/sessions/:id/download ────────
+   Download a session transcript.
+   ?format=txt (default) | srt | vtt | docx | md | json
+*/
+app.get("/api/sessions/:id/download", authenticateToken, async (req, res) => {
+  const format = String(req.query.format || "txt").toLowerCase();
+  if (!isExportFormat(format)) return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(", ")}` });
 
-    const filename = session.title.replace(/[^\w\s]/g, "").trim().replace(/\s+/g, "_") + ".txt";
-    res.setHeader("Content-Type", "text/plain; charset=utf-8");
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.send(content);
+  try {
+    const session = await sessionFor(req, res, req.params.id);
+    if (!session) return;
+    await sendExport(res, session, format);
   } catch (err) {
+    console.error("Export error:", err);
     res.status(500).json({ error: "Download failed" });
   }
 });
 
+async function sendExport(res, session, format) {
+  const { body, mimeType, filename } = await exportSession(session, format);
+  res.setHeader("Content-Type", mimeType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
 /* ── GET /api/search ───────────────────────
-   Search through all transcripts.
+   Ranked search through all of the user's transcripts.
+   ?q=&lang=&from=&to=&session=&speaker=&page=1&pageSize=20
+   from/to bound the session date (ISO; a date-only `to` includes that day).
+   Returns { total, page, pageSize, results: [{ …entry, title, date, score, highlights }] }
 */
-app.get("/api/search", authenticateToken, (req, res) => {
-  const query = req.query.q;
-  if (!query) return res.json([]);
+const SEARCH_PAGE_MAX = 100;
+
+function searchBound(value, endOfDay) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return undefined;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return new Date(time + (endOfDay && dateOnly ? 24 * 60 * 60 * 1000 : 0)).toISOString();
+}
+
+app.get("/api/search", authenticateToken, async (req, res) => {
+  const from = searchBound(req.query.from, false);
+  const to = searchBound(req.query.to, true);
+  if (from === undefined || to === undefined) return res.status(400).json({ error: "from and to must be dates" });
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(SEARCH_PAGE_MAX, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
   try {
-    const results = db.searchTranscripts(query, req.user.id);
+    const results = await db.searchTranscripts(req.user.id, {
+      q: String(req.query.q || ""),
+      lang: req.query.lang || null,
+      from,
+      to,
+      sessionId: req.query.session || null,
+      speaker: req.query.speaker || null,
+      page,
+      pageSize,
+    });
     res.json(results);
   } catch (err) {
+    console.error("Search error:", err);
     res.status(500).json({ error: "Search failed" });
   }
 });
 
 /* ── POST /api/summarize ────────────────────
-   Summarize a meeting transcript using GPT.
+   Summarize a meeting transcript using GPT and store the result.
+   Body: { sessionId, regenerate? }
+   A stored summary is returned as-is unless regenerate is set, so
+   reopening a session never pays for the same summary twice.
+   Returns: { summary, cached: true } or 202 { job } — the job's
+   result is { summary } when done (GET /api/jobs/:id).
 */
 app.post("/api/summarize", authenticateToken, async (req, res) => {
-  const { sessionId } = req.body;
+  const { sessionId, regenerate } = req.body;
   if (!sessionId) return res.status(400).json({ error: "Session ID required" });
 
   try {
-    const session = db.getSessionById(sessionId, req.user.id);
-    if (!session) return res.status(404).json({ error: "Session not found" });
+    const session = await sessionFor(req, res, sessionId);
+    if (!session) return;
+    if (session.summary && !regenerate) return res.json({ summary: session.summary, cached: true });
+    if (!db.hasRole(session.role, "editor")) return res.status(403).json({ error: ROLE_DENIED.editor });
+
+    if (!openai) return res.status(503).json({ error: "Summaries require OPENAI_API_KEY" });
+    await usage.checkQuota(req.user.id, "tokens"); // fail fast; the job checks again
+
+    const job = await jobs.enqueue("summarize", req.user.id, { sessionId: session.id });
+    res.status(202).json({ cached: false, job: jobs.publicJob(job) });
+  } catch (err) {
+    if (err instanceof usage.QuotaExceededError) return res.status(429).json(quotaPayload(err));
+    console.error("Summarize error:", err);
+    res.status(500).json({ error: "Summarization failed" });
+  }
+});
+
+/* ── POST /api/ask ──────────────────────────
+   Ask a question across every saved meeting ("what did we decide
+   about the Q3 budget?"). Runs as an "ask" job.
+   Body: { question, history? } — history: earlier turns
+   [{ role: "user" | "assistant", content }] for follow-up questions.
+   Returns 202 { job }; the job's result is { answer, citations:
+   [{ n, session_id, entry_id, title, date, start, speaker_name, text }] }
+   where n is the [n] marker used in the answer.
+*/
+const QUESTION_MAX_CHARS = 1000;
+
+app.post("/api/ask", authenticateToken, async (req, res) => {
+  const question = String(req.body.question || "").trim();
+  if (!question) return res.status(400).json({ error: "Question required" });
+  if (question.length > QUESTION_MAX_CHARS) return res.status(400).json({ error: `Questions are limited to ${QUESTION_MAX_CHARS} characters` });
+  const history = (Array.isArray(req.body.history) ? req.body.history : [])
+    .filter(t => (t?.role === "user" || t?.role === "assistant") && typeof t.content === "string")
+    .slice(-qa.MAX_HISTORY)
+    .map(t => ({ role: t.role, content: t.content.slice(0, 4000) }));
+
+  if (!openai) return res.status(503).json({ error: "Questions require OPENAI_API_KEY" });
+  try {
+    await usage.checkQuota(req.user.id, "tokens"); // fail fast; the job checks again
+    const job = await jobs.enqueue("ask", req.user.id, { question, history });
+    res.status(202).json({ job: jobs.publicJob(job) });
+  } catch (err) {
+    if (err instanceof usage.QuotaExceededError) return res.status(429).json(quotaPayload(err));
+    console.error("Ask error:", err);
+    res.status(500).json({ error: "Could not ask the question" });
+  }
+});
+
+/* ── GET /api/sessions/:id/summary ─────────
+   The stored summary: overview, decisions, action items and
+   open questions, each in English and Khmer.
+*/
+app.get("/api/sessions/:id/summary", authenticateToken, async (req, res) => {
+  try {
+    const session = await sessionFor(req, res, req.params.id);
+    if (!session) return;
+    if (!session.summary) return res.status(404).json({ error: "No summary yet" });
+    res.json(session.summary);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load summary" });
+  }
+});
+
+/* ── PATCH /api/sessions/:id/summary/action-items/:itemId ──
+   Tick an action item off (or back on).
+   Body: { done }
+*/
+app.patch("/api/sessions/:id/summary/action-items/:itemId", authenticateToken, async (req, res) => {
+  if (typeof req.body.done !== "boolean") return res.status(400).json({ error: "done must be true or false" });
+
+  try {
+    const session = await sessionFor(req, res, req.params.id, "editor");
+    if (!session) return;
+    if (!(await db.setActionItemDone(session.id, req.params.itemId, req.body.done))) {
+      return res.status(404).json({ error: "Action item not found" });
+    }
+    res.json(await db.getSummary(session.id));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to update action item" });
+  }
+});
+
+
+/* ══════════════════════════════════════════
+   WORKSPACES & SHARING
+   A workspace is a team Library; members have a role in it (owner |
+   editor | viewer) that applies to every session moved into it. Single
+   sessions can be shared with users, or published read-only through a
+   public link that can expire and be revoked.
+══════════════════════════════════════════ */
+const SHARE_ROLES = ["editor", "viewer"];
+const WORKSPACE_NAME_MAX = 80;
+const LINK_DAYS_MAX = 365;
+
+/* Load a workspace the user belongs to with at least `role` → workspace, or null once 404 / 403 is sent */
+async function workspaceFor(req, res, role = "viewer", id = req.params.id) {
+  const workspace = await db.getWorkspace(id, req.user.id);
+  if (!workspace) {
+    res.status(404).json({ error: "Workspace not found" });
+    return null;
+  }
+  if (!db.hasRole(workspace.role, role)) {
+    res.status(403).json({ error: role === "owner" ? "Only workspace owners can do that" : "You can only view this workspace" });
+    return null;
+  }
+  return workspace;
+}
+
+/* The user a sharing request names (by username) → user row, or null once 400 / 404 is sent */
+async function shareTarget(req, res) {
+  const username = String(req.body.username || "").trim();
+  if (!username) {
+    res.status(400).json({ error: "Username required" });
+    return null;
+  }
+  const user = await db.findUserByUsername(username);
+  if (!user) res.status(404).json({ error: `No user named "${username}"` });
+  return user || null;
+}
+
+/* ── GET /api/workspaces ───────────────────
+   The user's workspaces with their role and the members.
+*/
+app.get("/api/workspaces", authenticateToken, async (req, res) => {
+  try {
+    res.json(await db.getWorkspaces(req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load workspaces" });
+  }
+});
 
+/* ── POST /api/workspaces ──────────────────
+   Create a workspace; the creator is its owner.
+   Body: { name }
+*/
+app.post("/api/workspaces", authenticateToken, async (req, res) => {
+  const name = String(req.body.name || "").trim().slice(0, WORKSPACE_NAME_MAX);
+  if (!name) return res.status(400).json({ error: "Workspace name required" });
+  try {
+    res.status(201).json(await db.createWorkspace(req.user.id, name));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to create workspace" });
+  }
+});
 
-    const fullText = session.entries.map(e => e.text).join("\n");
+/* ── PATCH /api/workspaces/:id ─────────────
+   Rename a workspace (owners).
+   Body: { name }
+*/
+app.patch("/api/workspaces/:id", authenticateToken, async (req, res) => {
+  const name = String(req.body.name || "").trim().slice(0, WORKSPACE_NAME_MAX);
+  if (!name) return res.status(400).json({ error: "Workspace name required" });
+  try {
+    const workspace = await workspaceFor(req, res, "owner");
+    if (!workspace) return;
+    await db.renameWorkspace(workspace.id, name);
+    res.json(await db.getWorkspace(workspace.id, req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to rename workspace" });
+  }
+});
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: "You are a professional meeting assistant. Summarize the following meeting transcript into concise bullet points, highlighting key decisions and action items. Provide the output in both English and Khmer if both languages are present."
-        },
-        {
-          role: "user",
-          content: `Transcript:\n${fullText}`
-        }
-      ],
+/* ── DELETE /api/workspaces/:id ────────────
+   Delete a workspace (owners). Its sessions return to the personal
+   Libraries of the people who recorded them.
+*/
+app.delete("/api/workspaces/:id", authenticateToken, async (req, res) => {
+  try {
+    const workspace = await workspaceFor(req, res, "owner");
+    if (!workspace) return;
+    await db.deleteWorkspace(workspace.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to delete workspace" });
+  }
+});
+
+/* ── PUT /api/workspaces/:id/members ───────
+   Add a member or change their role (owners).
+   Body: { username, role: "owner" | "editor" | "viewer" }
+*/
+app.put("/api/workspaces/:id/members", authenticateToken, async (req, res) => {
+  const { role } = req.body;
+  if (!db.ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${db.ROLES.join(", ")}` });
+  try {
+    const workspace = await workspaceFor(req, res, "owner");
+    if (!workspace) return;
+    const user = await shareTarget(req, res);
+    if (!user) return;
+    if (role !== "owner" && isLastOwner(workspace, user.id)) {
+      return res.status(400).json({ error: "A workspace needs at least one owner" });
+    }
+    await db.setWorkspaceMember(workspace.id, user.id, role);
+    res.json(await db.getWorkspace(workspace.id, req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to update member" });
+  }
+});
+
+/* ── DELETE /api/workspaces/:id/members/:userId ──
+   Remove a member (owners), or leave a workspace (anyone, themselves).
+*/
+app.delete("/api/workspaces/:id/members/:userId", authenticateToken, async (req, res) => {
+  const leaving = req.params.userId === req.user.id;
+  try {
+    const workspace = await workspaceFor(req, res, leaving ? "viewer" : "owner");
+    if (!workspace) return;
+    if (isLastOwner(workspace, req.params.userId)) {
+      return res.status(400).json({ error: "A workspace needs at least one owner — delete it instead" });
+    }
+    if (!(await db.removeWorkspaceMember(workspace.id, req.params.userId))) return res.status(404).json({ error: "Not a member" });
+    res.json(leaving ? { success: true } : await db.getWorkspace(workspace.id, req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+const isLastOwner = (workspace, userId) =>
+  workspace.members.filter(m => m.role === "owner").every(m => m.user_id === userId) &&
+  workspace.members.some(m => m.user_id === userId && m.role === "owner");
+
+/* ── PATCH /api/sessions/:id/workspace ─────
+   Move a session into a workspace, or back to its owner's personal
+   Library with null (session owners; editors or owners of the target).
+   Body: { workspaceId }
+*/
+app.patch("/api/sessions/:id/workspace", authenticateToken, async (req, res) => {
+  const workspaceId = req.body.workspaceId || null;
+  try {
+    const session = await sessionFor(req, res, req.params.id, "owner");
+    if (!session) return;
+    if (session.status === "draft") return res.status(400).json({ error: "Save the session before moving it" });
+    if (workspaceId) {
+      const workspace = await db.getWorkspace(workspaceId, req.user.id);
+      if (!workspace) return res.status(404).json({ error: "Workspace not found" });
+      if (!db.hasRole(workspace.role, "editor")) return res.status(403).json({ error: "Viewers cannot add sessions to this workspace" });
+    }
+    res.json(await db.updateSession(session.id, req.user.id, { workspace_id: workspaceId }));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to move session" });
+  }
+});
+
+/* ── GET /api/sessions/:id/shares ──────────
+   Who a session is shared with, and its public links (owners).
+   Returns: { users: [{ user_id, username, role }], links: [{ token, expires_at, revoked_at, … }] }
+*/
+app.get("/api/sessions/:id/shares", authenticateToken, async (req, res) => {
+  try {
+    const session = await sessionFor(req, res, req.params.id, "owner");
+    if (!session) return;
+    res.json({ users: await db.getSessionShares(session.id), links: await db.getShareLinks(session.id) });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load shares" });
+  }
+});
+
+/* ── PUT /api/sessions/:id/shares ──────────
+   Share a session with a user, or change their role (owners).
+   Body: { username, role: "editor" | "viewer" }
+*/
+app.put("/api/sessions/:id/shares", authenticateToken, async (req, res) => {
+  const { role } = req.body;
+  if (!SHARE_ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${SHARE_ROLES.join(", ")}` });
+  try {
+    const session = await sessionFor(req, res, req.params.id, "owner");
+    if (!session) return;
+    const user = await shareTarget(req, res);
+    if (!user) return;
+    if (user.id === session.user_id) return res.status(400).json({ error: "That user owns this session" });
+    await db.setSessionShare(session.id, user.id, role);
+    res.json(await db.getSessionShares(session.id));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to share session" });
+  }
+});
+
+/* ── DELETE /api/sessions/:id/shares/:userId ──
+   Stop sharing a session with a user (owners).
+*/
+app.delete("/api/sessions/:id/shares/:userId", authenticateToken, async (req, res) => {
+  try {
+    const session = await sessionFor(req, res, req.params.id, "owner");
+    if (!session) return;
+    if (!(await db.removeSessionShare(session.id, req.params.userId))) return res.status(404).json({ error: "Not shared with that user" });
+    res.json(await db.getSessionShares(session.id));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to unshare session" });
+  }
+});
+
+/* ── POST /api/sessions/:id/links ──────────
+   Create a read-only public link (owners).
+   Body: { expiresInDays? } — omit for a link that never expires.
+   Returns 201 { token, expires_at, … }; the page is /?share=<token>.
+*/
+app.post("/api/sessions/:id/links", authenticateToken, async (req, res) => {
+  const days = req.body.expiresInDays;
+  if (days != null && !(Number.isFinite(days) && days > 0 && days <= LINK_DAYS_MAX)) {
+    return res.status(400).json({ error: `expiresInDays must be between 0 and ${LINK_DAYS_MAX}` });
+  }
+  try {
+    const session = await sessionFor(req, res, req.params.id, "owner");
+    if (!session) return;
+    if (session.status === "draft") return res.status(400).json({ error: "Save the session before sharing it" });
+    const expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+    res.status(201).json(await db.createShareLink(session.id, req.user.id, expiresAt));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to create link" });
+  }
+});
+
+/* ── DELETE /api/sessions/:id/links/:token ──
+   Revoke a public link (owners). It stops working at once.
+*/
+app.delete("/api/sessions/:id/links/:token", authenticateToken, async (req, res) => {
+  try {
+    const session = await sessionFor(req, res, req.params.id, "owner");
+    if (!session) return;
+    if (!(await db.revokeShareLink(session.id, req.params.token))) return res.status(404).json({ error: "Link not found" });
+    res.json(await db.getShareLinks(session.id));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to revoke link" });
+  }
+});
+
+/* ── GET /api/public/:token ────────────────
+   A session behind a public link — no account needed, read-only.
+   404 once the link is revoked or expired. The download and audio
+   routes below follow the same rule.
+*/
+const publicSession = ({ user_id, workspace_id, audio_file, audio_mime, notes, ...session }) => ({ ...session, has_audio: !!audio_file });
+
+app.get("/api/public/:token", async (req, res) => {
+  try {
+    const session = await db.getSessionByShareLink(req.params.token);
+    if (!session) return res.status(404).json({ error: "This link has expired or was revoked" });
+    res.json(publicSession(session));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch session" });
+  }
+});
+
+app.get("/api/public/:token/download", async (req, res) => {
+  const format = String(req.query.format || "txt").toLowerCase();
+  if (!isExportFormat(format)) return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+  try {
+    const session = await db.getSessionByShareLink(req.params.token);
+    if (!session) return res.status(404).json({ error: "This link has expired or was revoked" });
+    await sendExport(res, session, format);
+  } catch (err) {
+    console.error("Export error:", err);
+    res.status(500).json({ error: "Download failed" });
+  }
+});
+
+app.get("/api/public/:token/audio", async (req, res) => {
+  try {
+    const session = await db.getSessionByShareLink(req.params.token);
+    if (!session) return res.status(404).json({ error: "This link has expired or was revoked" });
+    sendRecording(res, session);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load recording" });
+  }
+});
+
+/* ══════════════════════════════════════════
+   GLOSSARY
+   Right spellings of names, acronyms and product terms, with the
+   misspellings Whisper produces. Every user has a personal glossary and
+   every workspace one more (editors and owners change it). They are
+   passed to Whisper as its prompt and fix live and saved entries.
+══════════════════════════════════════════ */
+const GLOSSARY_MAX_TERMS = Number(process.env.GLOSSARY_MAX_TERMS) || 500;
+
+/* Load a glossary term the user may change → term, or null once 404 / 403 is sent */
+async function termFor(req, res) {
+  const term = await db.getGlossaryTerm(req.params.id);
+  const workspace = term?.workspace_id && await db.getWorkspace(term.workspace_id, req.user.id);
+  if (!term || (term.workspace_id ? !workspace : term.user_id !== req.user.id)) {
+    res.status(404).json({ error: "Term not found" });
+    return null;
+  }
+  if (workspace && !db.hasRole(workspace.role, "editor")) {
+    res.status(403).json({ error: "Only workspace editors can change its glossary" });
+    return null;
+  }
+  return term;
+}
+
+/* ── GET /api/glossary ─────────────────────
+   The user's own glossary and those of their workspaces.
+   Returns: { personal: [term], workspaces: [{ id, name, role, terms: [term] }] }
+   term: { id, term, variants, lang, workspace_id, created_at }
+*/
+app.get("/api/glossary", authenticateToken, async (req, res) => {
+  try {
+    const workspaces = await db.getWorkspaces(req.user.id);
+    res.json({
+      personal: await db.getGlossaryTerms({ userId: req.user.id }),
+      workspaces: await Promise.all(workspaces.map(async w => ({
+        id: w.id,
+        name: w.name,
+        role: w.role,
+        terms: await db.getGlossaryTerms({ workspaceId: w.id }),
+      }))),
     });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load glossary" });
+  }
+});
 
-    const summary = response.choices[0].message.content;
-    res.json({ summary });
+/* ── POST /api/glossary ────────────────────
+   Add a term to the user's glossary, or to a workspace's (editors).
+   Body: { term, variants: [misspelling] | "a, b", lang?: a language code (languages.js), workspaceId? }
+*/
+app.post("/api/glossary", authenticateToken, async (req, res) => {
+  const workspaceId = req.body.workspaceId || null;
+  try {
+    const fields = glossary.parseTerm(req.body);
+    if (workspaceId && !(await workspaceFor(req, res, "editor", workspaceId))) return;
+    if (await db.countGlossaryTerms({ userId: req.user.id, workspaceId }) >= GLOSSARY_MAX_TERMS) {
+      return res.status(400).json({ error: `A glossary holds at most ${GLOSSARY_MAX_TERMS} terms` });
+    }
+    res.status(201).json(await db.createGlossaryTerm(req.user.id, workspaceId, fields));
   } catch (err) {
-    console.error("Summarize error:", err);
-    res.status(500).json({ error: "Summarization failed" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: "Failed to add term" });
+  }
+});
+
+/* ── PATCH /api/glossary/:id ───────────────
+   Change a term's spelling, misspellings or language.
+   Body: { term?, variants?, lang? }
+*/
+app.patch("/api/glossary/:id", authenticateToken, async (req, res) => {
+  try {
+    const fields = glossary.parseTerm(req.body, { partial: true });
+    if (!Object.keys(fields).length) return res.status(400).json({ error: "Nothing to update" });
+    const term = await termFor(req, res);
+    if (!term) return;
+    res.json(await db.updateGlossaryTerm(term.id, fields));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: "Failed to update term" });
+  }
+});
+
+/* ── DELETE /api/glossary/:id ──────────────
+   Remove a term. Entries it already corrected stay corrected.
+*/
+app.delete("/api/glossary/:id", authenticateToken, async (req, res) => {
+  try {
+    const term = await termFor(req, res);
+    if (!term) return;
+    await db.deleteGlossaryTerm(term.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to delete term" });
+  }
+});
+
+/* ── POST /api/glossary/apply ──────────────
+   Correct every saved session the user can edit, e.g. after adding
+   terms for misspellings already in the Library.
+   Returns: { sessions, entries } — how many of each were changed
+*/
+app.post("/api/glossary/apply", authenticateToken, async (req, res) => {
+  try {
+    const sessions = (await db.getSessions(req.user.id))
+      .filter(s => s.status !== "draft" && db.hasRole(s.role, "editor"));
+    let changed = 0, entries = 0;
+    for (const session of sessions) {
+      const corrected = await correctSession(session, req.user.id);
+      if (corrected) changed++;
+      entries += corrected;
+    }
+    res.json({ sessions: changed, entries });
+  } catch (err) {
+    console.error("Glossary apply error:", err);
+    res.status(500).json({ error: "Failed to apply glossary" });
+  }
+});
+
+/* ── GET /api/jobs ─────────────────────────
+   The user's recent background jobs, newest first.
+   Query: ?type=transcribe|import|summarize
+*/
+app.get("/api/jobs", authenticateToken, async (req, res) => {
+  try {
+    const list = await db.listJobs(req.user.id, { type: req.query.type || undefined });
+    res.json(list.map(jobs.publicJob));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load jobs" });
   }
 });
 
+/* ── GET /api/jobs/:id ─────────────────────
+   Status of one job.
+   Returns: { id, type, status, progress, detail, result, error, attempts, maxAttempts, runAt }
+   status: queued (runAt is the next attempt when retrying) | running | done | failed
+*/
+app.get("/api/jobs/:id", authenticateToken, async (req, res) => {
+  try {
+    const job = await db.getJob(req.params.id, req.user.id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json(jobs.publicJob(job));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load job" });
+  }
+});
+
+/* ── GET /api/usage ────────────────────────
+   Whisper minutes and GPT tokens used, limits and what's left.
+*/
+app.get("/api/usage", authenticateToken, async (req, res) => {
+  try {
+    res.json(await usage.getUsage(req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load usage" });
+  }
+});
 
 /* ══════════════════════════════════════════
    WEBSOCKET SERVER
    Real-time connection for live transcription status.
    Clients connect → server pushes transcript results.
+   A host can share its live stream by code; viewers join read-only
+   and get the same messages (see live.js).
+   Auth: the same JWT as the REST API, passed as ?token= on the /ws URL
+   (browsers can't set headers on WebSocket) or as a Bearer header.
 ══════════════════════════════════════════ */
 const wss = new WebSocketServer({ server, path: "/ws" });
 
-const clients = new Map(); // clientId → ws
+const WS_CLOSE_UNAUTHORIZED = 4401; // app-defined close code, mirrors HTTP 401
+
+const clients = new Map(); // clientId → { ws, userId, username }
+
+wss.on("connection", (ws, req) => {
+  const url = new URL(req.url, "http://localhost");
+  const bearer = (req.headers["authorization"] || "").split(" ")[1];
+  const user = verifyToken(url.searchParams.get("token") || bearer);
+  if (!user) {
+    console.warn(`[WS] Rejected unauthenticated connection from ${req.socket.remoteAddress}`);
+    ws.close(WS_CLOSE_UNAUTHORIZED, "Unauthorized");
+    return;
+  }
 
-wss.on("connection", (ws) => {
   const clientId = uuid();
-  clients.set(clientId, ws);
-  console.log(`[WS] Client connected: ${clientId} (total: ${clients.size})`);
+  clients.set(clientId, { ws, userId: user.id, username: user.username });
+  console.log(`[WS] Client connected: ${clientId} user=${user.username} (${user.id}) (total: ${clients.size})`);
 
   // Send welcome
   send(ws, { type: "connected", clientId });
@@ -378,14 +1469,14 @@ wss.on("connection", (ws) => {
   ws.on("message", async (data, isBinary) => {
     // Binary data = audio chunk from the browser
     if (isBinary) {
-      await handleAudioChunk(ws, clientId, data);
+      await handleAudioChunk(ws, clientId, data, user);
       return;
     }
 
     // Text data = JSON control messages
     try {
       const msg = JSON.parse(data.toString());
-      await handleMessage(ws, clientId, msg);
+      await handleMessage(ws, clientId, msg, user);
     } catch (e) {
       send(ws, { type: "error", message: "Invalid message format" });
     }
@@ -393,6 +1484,11 @@ wss.on("connection", (ws) => {
 
   ws.on("close", () => {
     clients.delete(clientId);
+    const bufInfo = audioBuffers.get(clientId);
+    audioBuffers.delete(clientId);
+    // A stream cut off mid-meeting waits for the client to come back and resume it
+    if (bufInfo) detachStream(bufInfo);
+    else live.disconnect(clientId);
     console.log(`[WS] Client disconnected: ${clientId} (total: ${clients.size})`);
   });
 
@@ -402,27 +1498,221 @@ wss.on("connection", (ws) => {
   });
 });
 
-/* ── Audio chunk buffer per client ── */
-const audioBuffers = new Map(); // clientId → { chunks, mimeType }
+/* ── Audio stream per client ──
+   Each finished window is written to disk and queued as a "transcribe"
+   job. Results come back through jobs.events, possibly out of order
+   after a retry; `seq` and start/end tell the client where they go.
+   Every stream writes a draft session as it goes, so nothing is lost
+   with the browser tab. When the socket drops, the stream waits
+   RESUME_GRACE_MS for the client to reconnect and resume it; after
+   that it is ended and the draft stays in the Library. */
+const audioBuffers = new Map(); // clientId → stream being recorded
+const liveStreams = new Map();  // streamId → stream, until its last window is settled
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS) || 2 * 60 * 1000;
+const SOURCES = ["local", "remote"]; // chunk_meta.source: microphone | tab or system audio
+
+function startStream(ws, clientId, mimeType, user, { languages, hint } = languageSettings()) {
+  const previous = audioBuffers.get(clientId);
+  if (previous) endStream(previous); // abandoned without audio_end; its draft keeps what was said
+  const recording = recordings.startRecording(mimeType, user.id); // full meeting audio, kept for review
+  const bufInfo = {
+    id: recording.id,
+    ws,
+    clientId,
+    stream: createAudioStream({ mimeType }),
+    recording,
+    user,
+    mimeType,
+    startedAt: Date.now(),
+    pendingMeta: null,
+    seq: 0,                // next window number
+    pending: new Set(),    // window numbers not yet settled
+    rawTexts: new Map(),   // window number → Whisper text, for overlap de-dup
+    results: new Map(),    // window number → its finished job (null if it failed), until its turn
+    nextResult: 0,         // the next window number to deliver
+    translate: false,      // attach a translation to every transcript message
+    languages,             // codes entries may be tagged with (./languages)
+    hint,                  // the one language Whisper is told to expect, or null
+    chunks: 0,             // audio chunks received, so a resumed client knows what to resend
+    sources: [],           // { start, end, source } in ms, for chunks tagged local / remote
+    draftId: null,
+    graceTimer: null,      // set while the socket is gone
+    ended: false,
+  };
+  bufInfo.draftReady = createDraft(bufInfo);
+  audioBuffers.set(clientId, bufInfo);
+  liveStreams.set(bufInfo.id, bufInfo);
+  return bufInfo;
+}
+
+/* The draft session a stream writes its entries to → its id, or null if it couldn't be created */
+async function createDraft(bufInfo) {
+  const date = new Date(bufInfo.startedAt);
+  try {
+    const session = await db.saveSession({
+      id: uuid(),
+      user_id: bufInfo.user.id,
+      title: `Meeting — ${date.toLocaleDateString()}`,
+      date: date.toISOString(),
+      audio_file: bufInfo.recording.file,
+      audio_mime: bufInfo.mimeType,
+      languages: bufInfo.languages,
+      language_hint: bufInfo.hint,
+      status: "draft",
+      entries: [],
+    });
+    bufInfo.draftId = session.id;
+  } catch (err) {
+    console.error(`[Draft] Could not create a draft for stream ${bufInfo.id}:`, err.message);
+  }
+  return bufInfo.draftId;
+}
+
+/* Pick up a stream whose socket dropped → the stream, or null when it has ended */
+function resumeStream(ws, clientId, draftId, user) {
+  const bufInfo = [...liveStreams.values()].find(b => b.draftId === draftId && b.user.id === user.id && !b.ended);
+  if (!bufInfo) return null;
+  clearTimeout(bufInfo.graceTimer);
+  bufInfo.graceTimer = null;
+  if (audioBuffers.get(bufInfo.clientId) === bufInfo) audioBuffers.delete(bufInfo.clientId); // old socket not closed yet
+  live.moveHost(bufInfo.clientId, clientId, ws);
+  Object.assign(bufInfo, { ws, clientId, pendingMeta: null });
+  audioBuffers.set(clientId, bufInfo);
+  console.log(`[WS] Stream ${bufInfo.id} resumed by ${clientId} after ${bufInfo.chunks} chunk(s)`);
+  return bufInfo;
+}
+
+function detachStream(bufInfo) {
+  bufInfo.graceTimer = setTimeout(() => {
+    live.stop(bufInfo.clientId, "The host was disconnected");
+    endStream(bufInfo).catch(err => console.error(`[WS] Could not end stream ${bufInfo.id}:`, err.message));
+  }, RESUME_GRACE_MS);
+}
+
+/* No more audio: queue what's left; audio_end_ack follows once every window is settled */
+async function endStream(bufInfo) {
+  clearTimeout(bufInfo.graceTimer);
+  bufInfo.ended = true;
+  await bufInfo.recording.close();
+  const window = bufInfo.stream.flush();
+  if (window) await enqueueWindow(bufInfo, window);
+  if (!bufInfo.pending.size) finishStream(bufInfo);
+}
 
-async function handleMessage(ws, clientId, msg) {
+async function handleMessage(ws, clientId, msg, user) {
   switch (msg.type) {
     /* Client signals start of audio stream */
-    case "audio_start":
-      audioBuffers.set(clientId, { chunks: [], mimeType: msg.mimeType || "audio/webm" });
-      send(ws, { type: "audio_start_ack" });
+    case "audio_start": {
+      if (live.isViewer(clientId)) {
+        send(ws, { type: "error", message: "Leave the shared session before recording" });
+        break;
+      }
+      let settings; // { languages, languageHint } → allowed languages and Whisper's hint
+      try {
+        settings = languageSettings(msg);
+      } catch (err) {
+        send(ws, { type: "error", message: err.message });
+        break;
+      }
+      // { resume: draftId } after a reconnect carries on with the same stream, draft and languages
+      const resumed = msg.resume ? resumeStream(ws, clientId, msg.resume, user) : null;
+      const bufInfo = resumed || startStream(ws, clientId, msg.mimeType || "audio/webm", user, settings);
+      bufInfo.translate = !!msg.translate && translator.enabled;
+      const ack = {
+        type: "audio_start_ack",
+        recordingId: bufInfo.recording.id,
+        draftId: await bufInfo.draftReady,
+        translate: bufInfo.translate,
+        languages: bufInfo.languages,
+        languageHint: bufInfo.hint,
+        resumed: !!resumed,
+      };
+      if (resumed) {
+        ack.received = bufInfo.chunks; // resend from here
+        ack.entries = bufInfo.draftId ? (await db.getSessionById(bufInfo.draftId, user.id))?.entries || [] : [];
+      }
+      send(ws, ack);
       break;
+    }
 
-    /* Client sends metadata about the chunk about to arrive */
+    /* Turn live translation on or off mid-stream: { enabled } */
+    case "translate": {
+      const bufInfo = audioBuffers.get(clientId);
+      if (bufInfo) bufInfo.translate = !!msg.enabled && translator.enabled;
+      send(ws, { type: "translate_ack", enabled: !!msg.enabled && translator.enabled });
+      break;
+    }
+
+    /* Client sends metadata about the chunk about to arrive:
+       { index, start, duration } in ms from recorder start, silent = ended on a pause,
+       speech = anyone spoke during it (clients with voice activity detection; windows
+       without speech are not transcribed), source = "local" | "remote" when it records
+       the mic and tab audio together */
     case "chunk_meta":
       if (audioBuffers.has(clientId)) {
         audioBuffers.get(clientId).pendingMeta = msg;
       }
       break;
 
-    /* Client signals end of stream → clear buffer */
-    case "audio_end":
+    /* Client signals end of stream → queue what's left; audio_end_ack
+       follows once every window of the stream is settled */
+    case "audio_end": {
+      const bufInfo = audioBuffers.get(clientId);
       audioBuffers.delete(clientId);
+      if (!bufInfo) {
+        send(ws, { type: "audio_end_ack" });
+        break;
+      }
+      await endStream(bufInfo);
+      if (bufInfo.pending.size) send(ws, { type: "audio_end_pending", pending: bufInfo.pending.size });
+      break;
+    }
+
+    /* Host: share the live stream → share_ack { code, viewers } */
+    case "share_start": {
+      const bufInfo = audioBuffers.get(clientId);
+      if (!bufInfo) {
+        send(ws, { type: "error", message: "Start listening before sharing the session" });
+        break;
+      }
+      try {
+        const share = live.start(clientId, { ws, user, startedAt: bufInfo.startedAt, onNote: (note) => saveNote(bufInfo, note) });
+        send(ws, { type: "share_ack", code: share.code, viewers: live.viewerNames(share) });
+      } catch (err) {
+        send(ws, { type: "error", message: err.message });
+      }
+      break;
+    }
+
+    case "share_stop":
+      live.stop(clientId);
+      send(ws, { type: "share_ack", code: null, viewers: [] });
+      break;
+
+    /* Viewer: watch someone else's live session, read-only: { code } */
+    case "join":
+      if (audioBuffers.has(clientId)) {
+        send(ws, { type: "join_failed", message: "Stop recording before joining another session" });
+        break;
+      }
+      try {
+        send(ws, live.join(msg.code, clientId, { ws, user }));
+      } catch (err) {
+        send(ws, { type: "join_failed", message: err.message });
+      }
+      break;
+
+    case "leave":
+      live.leave(clientId);
+      break;
+
+    /* Host or viewer: { kind: "note" | "flag", text, seq? } → "note" to everyone in the share */
+    case "note":
+      try {
+        live.addNote(clientId, msg);
+      } catch (err) {
+        send(ws, { type: "error", message: err.message });
+      }
       break;
 
     default:
@@ -430,78 +1720,300 @@ async function handleMessage(ws, clientId, msg) {
   }
 }
 
-/* Handle incoming binary audio chunk → transcribe → send result */
-async function handleAudioChunk(ws, clientId, binaryData) {
-  const bufInfo = audioBuffers.get(clientId);
-  const mimeType = bufInfo?.mimeType || "audio/webm";
+/* Handle incoming binary audio chunk → add to stream → queue any finished window */
+async function handleAudioChunk(ws, clientId, binaryData, user) {
+  if (live.isViewer(clientId)) return; // viewers are read-only
+  const bufInfo = audioBuffers.get(clientId) || startStream(ws, clientId, "audio/webm", user);
+  const meta = bufInfo.pendingMeta || {};
+  bufInfo.pendingMeta = null;
+  if (Number.isInteger(meta.index) && meta.index < bufInfo.chunks) return; // resent after a reconnect, already have it
+  bufInfo.chunks++;
+  bufInfo.recording.write(binaryData);
+  if (SOURCES.includes(meta.source) && Number.isFinite(meta.start) && Number.isFinite(meta.duration)) {
+    bufInfo.sources.push({ start: meta.start, end: meta.start + meta.duration, source: meta.source });
+  }
+  const window = bufInfo.stream.push(binaryData, meta);
+  if (window) await enqueueWindow(bufInfo, window);
+}
 
-  if (!process.env.OPENAI_API_KEY) {
-    // No API key → send demo transcript so UI still works
-    send(ws, {
-      type: "transcript",
-      ...mockTranscript(),
-      time: Date.now(),
+/* Save the reassembled window (header + media) and queue its transcription */
+async function enqueueWindow(bufInfo, window) {
+  if (bufInfo.quotaExceeded) return; // already told the client; drop the rest
+
+  const seq = bufInfo.seq++;
+  const file = path.join(UPLOADS_DIR, `${uuid()}${guessExtension(bufInfo.mimeType)}`);
+  bufInfo.pending.add(seq);
+  try {
+    await fs.promises.writeFile(file, window.audio);
+    await jobs.enqueue("transcribe", bufInfo.user.id, {
+      file,
+      streamId: bufInfo.id,
+      seq,
+      window: { start: window.start, end: window.end, overlap: window.overlap || 0 },
+      durationHint: (window.end - window.start) / 1000,
+      languages: bufInfo.languages,
+      hint: bufInfo.hint,
+      draftId: await bufInfo.draftReady, // where the text goes if the stream is gone by then
     });
+  } catch (err) {
+    console.error(`[Transcribe] Could not queue window ${seq} for user ${bufInfo.user.id}:`, err.message);
+    fs.rmSync(file, { force: true });
+    send(bufInfo.ws, { type: "transcript_failed", seq, message: "Could not queue the audio for transcription." });
+    deliverInOrder(bufInfo, seq, null);
+  }
+}
+
+/* Job updates for live windows → WebSocket messages */
+jobs.events.on("update", (job, err) => {
+  if (job.type === "translate") return onTranslated(job);
+  if (job.type !== "transcribe") return;
+  const bufInfo = liveStreams.get(job.payload.streamId);
+  if (!bufInfo) {
+    if (job.status === "done") appendOrphanWindow(job); // requeued after a restart
     return;
   }
+  const { seq } = job.payload;
 
-  // Save binary audio to temp file
-  const ext = guessExtension(mimeType);
-  const tempPath = path.join(UPLOADS_DIR, `${uuid()}${ext}`);
+  switch (job.status) {
+    case "running":
+      emit(bufInfo, { type: "processing", seq });
+      break;
+    case "queued":
+      if (job.attempts > 0) {
+        send(bufInfo.ws, { type: "transcript_retry", seq, attempt: job.attempts, maxAttempts: job.max_attempts, retryAt: job.run_at });
+      }
+      break;
+    case "done":
+      deliverInOrder(bufInfo, seq, job);
+      break;
+    case "failed":
+      if (err instanceof usage.QuotaExceededError) {
+        if (!bufInfo.quotaExceeded) send(bufInfo.ws, { type: "quota_exceeded", message: err.message, ...err.details });
+        bufInfo.quotaExceeded = true;
+      } else if (!bufInfo.quotaExceeded) {
+        send(bufInfo.ws, { type: "transcript_failed", seq, message: "Transcription failed. Check the transcription provider settings." });
+      }
+      deliverInOrder(bufInfo, seq, null);
+      break;
+  }
+});
+
+/* Windows finish out of order (jobs run side by side, some are retried),
+   but each is de-duplicated against the one before it — so results wait
+   here for their turn. A failed window (null) lets the next one through. */
+async function deliverInOrder(bufInfo, seq, job) {
+  bufInfo.results.set(seq, job);
+  if (bufInfo.delivering) return; // the running loop picks it up
+  bufInfo.delivering = true;
+  try {
+    while (bufInfo.results.has(bufInfo.nextResult)) {
+      const next = bufInfo.nextResult++;
+      const done = bufInfo.results.get(next);
+      bufInfo.results.delete(next);
+      const held = done ? await deliverWindow(bufInfo, done) : false;
+      if (!held) settleWindow(bufInfo, next);
+    }
+  } finally {
+    bufInfo.delivering = false;
+  }
+}
+
+/* Send a window's transcript — one entry per language it switches to —
+   or hand the entries to a "translate" job first when the client asked
+   for translations. Resolves true while it is held. */
+async function deliverWindow(bufInfo, job) {
+  const { seq, window } = job.payload;
+  const result = job.result;
+  // De-dup against the previous window (undefined if it failed)
+  const prev = bufInfo.rawTexts.get(seq - 1);
+  const text = window.overlap && prev !== undefined ? dedupeOverlap(prev, result.text) : result.text;
+  bufInfo.rawTexts.set(seq, result.text);
+
+  if (!text) {
+    emit(bufInfo, { type: "silence", seq }); // Whisper returned empty (silence)
+    return false;
+  }
+  const { correct } = await glossaryFor(bufInfo.user.id);
+  const entries = glossary.correctNewEntries(windowEntries(window, result, text, bufInfo.languages), correct);
+  const messages = entries.map(entry => ({
+    type: "transcript",
+    id: uuid(), // the entry's id in the draft
+    seq,
+    ...entry,
+    source: sourceOf(bufInfo.sources, entry),
+    time: bufInfo.startedAt + Math.round(entry.start * 1000),
+  }));
+  for (const message of messages) await appendToDraft(bufInfo, message);
+  if (!bufInfo.translate) {
+    messages.forEach(message => emit(bufInfo, message));
+    return false;
+  }
 
   try {
-    fs.writeFileSync(tempPath, binaryData);
-    send(ws, { type: "processing" });
+    await jobs.enqueue("translate", bufInfo.user.id, {
+      messages,
+      languages: bufInfo.languages,
+      seq,
+      streamId: bufInfo.id,
+      draftId: bufInfo.draftId,
+    });
+    return true;
+  } catch (err) {
+    console.error(`[Translate] Could not queue window ${seq}:`, err.message);
+    messages.forEach(message => emit(bufInfo, message));
+    return false;
+  }
+}
 
-    const result = await transcribeAudio(tempPath, `chunk${ext}`);
+/* A live window that finished after its stream was gone (the server
+   restarted while it was queued) → straight into the draft, de-duplicated
+   against the draft's last line before the window's overlap ends */
+async function appendOrphanWindow(job) {
+  const { draftId, window, languages, seq } = job.payload;
+  if (!draftId || !job.result.text) return;
+  try {
+    const session = await db.getSessionById(draftId, job.user_id);
+    if (!session) return;
+    const prev = session.entries.filter(e => e.start !== null && e.start * 1000 < window.start + window.overlap).at(-1);
+    const text = window.overlap && prev ? dedupeOverlap(prev.original_text ?? prev.text, job.result.text) : job.result.text;
+    if (!text) return;
+    const startedAt = new Date(session.date).getTime();
+    const { correct } = await glossaryFor(job.user_id);
+    for (const entry of glossary.correctNewEntries(windowEntries(window, job.result, text, languages), correct)) {
+      await db.appendEntry(draftId, { id: uuid(), ...entry, time: startedAt + Math.round(entry.start * 1000) });
+    }
+  } catch (err) {
+    console.error(`[Draft] Could not store window ${seq} of draft ${draftId} after a restart:`, err.message);
+  }
+}
 
-    if (result.text) {
-      send(ws, {
-        type: "transcript",
-        text: result.text,
-        lang: result.lang,
-        time: Date.now(),
-      });
-    } else {
-      send(ws, { type: "silence" }); // Whisper returned empty (silence)
+/* Store a live entry in the stream's draft session */
+async function appendToDraft(bufInfo, message) {
+  const draftId = await bufInfo.draftReady;
+  if (!draftId) return;
+  const { id, text, lang, lang_confidence, time, start, end, source, original_text, original_lang } = message;
+  try {
+    if (!await db.appendEntry(draftId, { id, text, lang, lang_confidence, time, start, end, source, original_text, original_lang })) {
+      bufInfo.draftReady = Promise.resolve(null); // deleted from the Library mid-meeting
     }
   } catch (err) {
-    console.error("[Transcribe] Error:", err.message);
-    send(ws, { type: "error", message: "Transcription failed. Check your API key." });
-  } finally {
-    try { if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath); } catch (_) { }
+    console.error(`[Draft] Could not store window ${message.seq} of stream ${bufInfo.id}:`, err.message);
   }
 }
 
-/* ── Round-robin demo phrases when no API key ── */
-const DEMO_PHRASES = [
-  { text: "Good morning everyone, let's begin today's agenda.", lang: "en" },
-  { text: "សួស្តីទាំងអស់គ្នា! ខ្ញុំរីករាយដែលបានចូលរួម។", lang: "km" },
-  { text: "Can you share the Q3 report on screen please?", lang: "en" },
-  { text: "យើងត្រូវពិភាក្សាអំពីផែនការអភិវឌ្ឍន៍។", lang: "km" },
-  { text: "The marketing team exceeded their targets this quarter.", lang: "en" },
-  { text: "ខ្ញុំយល់ព្រមជាមួយការស្នើឡើងរបស់អ្នក។", lang: "km" },
-];
-let demoIdx = 0;
-const mockTranscript = () => DEMO_PHRASES[demoIdx++ % DEMO_PHRASES.length];
+/* Keep a note or flag from the stream's share with its draft */
+async function saveNote(bufInfo, note) {
+  const draftId = await bufInfo.draftReady;
+  if (!draftId) return;
+  try {
+    await db.addSessionNote(draftId, note);
+  } catch (err) {
+    console.error(`[Draft] Could not store a note on stream ${bufInfo.id}:`, err.message);
+  }
+}
+
+/* A live window's translation settled → store it, then send the transcript (untranslated if it failed) */
+function onTranslated(job) {
+  if (job.status !== "done" && job.status !== "failed") return;
+  const { streamId, draftId, messages = [], languages, seq } = job.payload;
+  const translations = job.status === "done"
+    ? messages.map((m, i) => ({ id: m.id, lang: targetLanguage(m.lang, languages), text: job.result.texts[i] }))
+    : [];
+  if (translations.length && draftId) {
+    db.setEntryTranslations(draftId, translations)
+      .catch(err => console.error(`[Draft] Could not store the translation of window ${seq}:`, err.message));
+  }
+  const bufInfo = streamId && liveStreams.get(streamId);
+  if (!bufInfo) return;
+  messages.forEach((m, i) => {
+    const t = translations[i];
+    emit(bufInfo, t ? { ...m, translation: { lang: t.lang, text: t.text } } : m);
+  });
+  settleWindow(bufInfo, seq);
+}
 
-/* ── Send helper ── */
+function settleWindow(bufInfo, seq) {
+  bufInfo.pending.delete(seq);
+  if (bufInfo.ended && !bufInfo.pending.size) finishStream(bufInfo);
+}
+
+/* Every window of an ended stream is settled — safe for the client to hang up.
+   A draft saved while it was still recording is processed now. */
+function finishStream(bufInfo) {
+  liveStreams.delete(bufInfo.id);
+  send(bufInfo.ws, { type: "audio_end_ack" });
+  if (!bufInfo.draftId) return;
+  db.getSessionById(bufInfo.draftId, bufInfo.user.id)
+    .then(async session => {
+      if (session?.status === "saved" && session.diarization === null) return processSession(bufInfo.user.id, session.id);
+      if (session?.status === "draft" && !session.entries.length && !session.notes.length) { // nothing said or noted: nothing to recover
+        await db.deleteSession(session.id, bufInfo.user.id);
+        recordings.removeRecording(session.audio_file);
+      }
+    })
+    .catch(err => console.error(`[Draft] Could not process session ${bufInfo.draftId}:`, err.message));
+}
+
+/* The source ("local" mic | "remote" tab audio) of most of an entry's
+   audio, from the stream's tagged chunks → null when nothing was tagged */
+function sourceOf(sources, { start, end }) {
+  const heard = { local: 0, remote: 0 };
+  for (const c of sources) {
+    const overlap = Math.min(end * 1000, c.end) - Math.max(start * 1000, c.start);
+    if (overlap > 0) heard[c.source] += overlap;
+  }
+  if (!heard.local && !heard.remote) return null;
+  return heard.remote > heard.local ? "remote" : "local";
+}
+
+/* ── Send helpers ── */
 function send(ws, payload) {
   if (ws.readyState === ws.OPEN) {
     ws.send(JSON.stringify(payload));
   }
 }
 
-/* ── Start server ── */
-server.listen(PORT, () => {
+/* To the stream's owner and, when it is shared, its viewers */
+function emit(bufInfo, payload) {
+  send(bufInfo.ws, payload);
+  live.relay(bufInfo.clientId, payload);
+}
+
+/* ── Sweep recordings that were never saved ── */
+const sweepRecordings = () => {
+  recordings.sweepOrphans(db.isAudioFileLinked).catch(err => console.error("[Recording] Sweep failed:", err.message));
+};
+
+/* ── Start server (after the database is migrated) ── */
+db.init().then(async () => {
+  await jobs.start();
+  for (const s of await db.sessionsMissingEmbeddings(embedder.model)) reindexSession(s.user_id, s.id); // new or switched embedder
+  sweepRecordings();
+  setInterval(sweepRecordings, 60 * 60 * 1000).unref();
+  server.listen(PORT, onListening);
+}).catch(err => {
+  console.error("[DB] Failed to initialise database:", err.message);
+  process.exit(1);
+});
+
+function onListening() {
   console.log(`\n🎙️  METRI Backend running on http://localhost:${PORT}`);
   console.log(`📡  WebSocket on ws://localhost:${PORT}/ws`);
-  console.log(`🔑  Whisper API: ${process.env.OPENAI_API_KEY ? "✅ Configured" : "❌ Missing OPENAI_API_KEY"}`);
+  console.log(`🔑  Whisper provider: ${transcriber.name}${transcriber.name === "fixture" ? " (demo mode)" : " ✅"}`);
   console.log(`\nAvailable endpoints:`);
   console.log(`  GET  /api/health`);
   console.log(`  POST /api/transcribe`);
   console.log(`  GET  /api/sessions`);
   console.log(`  POST /api/sessions`);
+  console.log(`  PATCH /api/sessions/:id[/entries/:entryId[/merge|/split]]`);
   console.log(`  DELETE /api/sessions/:id`);
-  console.log(`  GET  /api/sessions/:id/download\n`);
-});
+  console.log(`  GET  /api/sessions/:id/audio`);
+  console.log(`  POST /api/sessions/:id/translate`);
+  console.log(`  POST /api/imports`);
+  console.log(`  GET  /api/jobs[/:id]`);
+  console.log(`  POST /api/summarize`);
+  console.log(`  POST /api/ask`);
+  console.log(`  GET  /api/sessions/:id/summary`);
+  console.log(`  GET  /api/usage`);
+  console.log(`  GET  /api/sessions/:id/download?format=${EXPORT_FORMATS.join("|")}\n`);
+}
@@ -0,0 +1,89 @@
+/**
+ * METRI Meeting Assistant — Meeting Summaries
+ * ───────────────────────────────────────────
+ * GPT reads the transcript once and answers in JSON; the result is
+ * stored with the session so reloading the Library never pays twice.
+ *
+ * Every piece of text comes in both languages ({ en, km }) so a mixed
+ * English / Khmer team can read the same summary:
+ *   overview        — a few sentences
+ *   decisions       — [{ en, km }]
+ *   action_items    — [{ en, km, owner, due }]  (owner = speaker name)
+ *   open_questions  — [{ en, km }]
+ */
+
+const { speakerName } = require("./diarization");
+
+const MODEL = process.env.SUMMARY_MODEL || "gpt-4o";
+const MAX_ITEMS = 30;
+
+const SYSTEM_PROMPT = `You are a professional meeting assistant for a team that speaks English and Khmer.
+Read the transcript and answer with a single JSON object, no prose:
+{
+  "overview": { "en": "...", "km": "..." },
+  "decisions": [{ "en": "...", "km": "..." }],
+  "action_items": [{ "en": "...", "km": "...", "owner": "name or null", "due": "YYYY-MM-DD, a phrase like \\"end of month\\", or null" }],
+  "open_questions": [{ "en": "...", "km": "..." }]
+}
+Lines are prefixed with the speaker's name; use those names for owners. Resolve relative due dates
+("next Friday") against the meeting date when you can. Write every "en" in English and every "km"
+in Khmer, whatever language was spoken. Use empty arrays when there is nothing to report.`;
+
+/**
+ * Ask GPT for a structured summary of a session.
+ * Returns { summary, tokens } where summary is normalized (see normalizeSummary).
+ */
+async function summarizeSession(openai, session) {
+  const transcript = session.entries.map(e => {
+    const name = speakerName(session, e);
+    return name ? `${name}: ${e.text}` : e.text;
+  }).join("\n");
+
+  const response = await openai.chat.completions.create({
+    model: MODEL,
+    response_format: { type: "json_object" },
+    messages: [
+      { role: "system", content: SYSTEM_PROMPT },
+      { role: "user", content: `Meeting: ${session.title}\nDate: ${session.date}\n\nTranscript:\n${transcript}` },
+    ],
+  });
+
+  const content = response.choices[0].message.content;
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch {
+    throw Object.assign(new Error("Summary was not valid JSON"), { retryable: true }); // the next attempt usually is
+  }
+  return { summary: { ...normalizeSummary(raw), model: MODEL }, tokens: response.usage?.total_tokens || 0 };
+}
+
+/* ── Normalization — models drift from the schema, storage shouldn't ── */
+
+const clean = (v) => (typeof v === "string" ? v.trim() : "");
+const optional = (v) => (clean(v) && clean(v).toLowerCase() !== "null" ? clean(v) : null);
+
+function bilingual(v) {
+  if (typeof v === "string") return { en: clean(v), km: "" };
+  return { en: clean(v?.en), km: clean(v?.km) };
+}
+
+const list = (v) => (Array.isArray(v) ? v : []).slice(0, MAX_ITEMS);
+const hasText = (t) => t.en || t.km;
+
+function normalizeSummary(raw = {}) {
+  return {
+    overview: bilingual(raw.overview),
+    decisions: list(raw.decisions).map(bilingual).filter(hasText),
+    action_items: list(raw.action_items)
+      .map(item => ({
+        ...bilingual(item),
+        owner: optional(item?.owner),
+        due: optional(item?.due),
+      }))
+      .filter(hasText),
+    open_questions: list(raw.open_questions).map(bilingual).filter(hasText),
+  };
+}
+
+module.exports = { summarizeSession, normalizeSummary };
@@ -0,0 +1,94 @@
+process.env.SQLITE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+
+let alice, bob, carol;
+test.before(async () => {
+  await db.init();
+  [alice, bob, carol] = await Promise.all(["alice", "bob", "carol"].map(name => db.createUser(name, "x")));
+});
+
+const record = (id, userId) => db.saveSession({
+  id, user_id: userId, title: id, date: "2026-03-01T09:00:00.000Z", entries: [{ id: `${id}-0`, text: "hello", lang: "en", time: 0 }],
+});
+const roleOf = async (id, user) => (await db.getSessionById(id, user.id))?.role ?? null;
+
+test("roles rank viewer < editor < owner", () => {
+  assert.deepEqual(db.ROLES, ["viewer", "editor", "owner"]);
+  assert.equal(db.hasRole("owner", "editor"), true);
+  assert.equal(db.hasRole("editor", "editor"), true);
+  assert.equal(db.hasRole("viewer", "editor"), false);
+  assert.equal(db.hasRole(null, "viewer"), false);
+});
+
+test("workspace members reach its sessions with their role there", async () => {
+  const team = await db.createWorkspace(alice.id, "Team");
+  assert.equal(team.role, "owner");
+  await db.setWorkspaceMember(team.id, bob.id, "viewer");
+  assert.deepEqual((await db.getWorkspace(team.id, bob.id)).members.map(m => [m.username, m.role]), [["alice", "owner"], ["bob", "viewer"]]);
+  assert.equal(await db.getWorkspace(team.id, carol.id), null);
+
+  await record("team-1", alice.id);
+  await db.updateSession("team-1", alice.id, { workspace_id: team.id });
+  assert.equal(await roleOf("team-1", bob), "viewer");
+  assert.equal(await roleOf("team-1", carol), null);
+  assert.deepEqual((await db.getSessions(bob.id)).map(s => s.id), ["team-1"]);
+
+  assert.equal(await db.updateSession("team-1", bob.id, { title: "Bob's now" }), null); // viewers cannot edit
+  await db.setWorkspaceMember(team.id, bob.id, "editor");
+  assert.equal((await db.updateSession("team-1", bob.id, { title: "Renamed" })).title, "Renamed");
+  assert.equal(await db.deleteSession("team-1", bob.id), false); // editors cannot delete
+
+  assert.equal(await db.removeWorkspaceMember(team.id, bob.id), true);
+  assert.equal(await db.removeWorkspaceMember(team.id, bob.id), false);
+  assert.equal(await roleOf("team-1", bob), null);
+});
+
+test("a workspace owner can delete sessions others recorded there", async () => {
+  const team = await db.createWorkspace(carol.id, "Carol's");
+  await db.setWorkspaceMember(team.id, bob.id, "editor");
+  await record("bobs", bob.id);
+  await db.updateSession("bobs", bob.id, { workspace_id: team.id });
+  assert.equal(await roleOf("bobs", carol), "owner");
+  assert.equal(await db.deleteSession("bobs", carol.id), true);
+});
+
+test("the strongest of a workspace role and a direct share counts", async () => {
+  const team = await db.createWorkspace(alice.id, "Mixed");
+  await db.setWorkspaceMember(team.id, carol.id, "viewer");
+  await record("shared", alice.id);
+  await db.updateSession("shared", alice.id, { workspace_id: team.id });
+
+  await db.setSessionShare("shared", carol.id, "editor");
+  assert.equal(await roleOf("shared", carol), "editor");
+  assert.deepEqual((await db.getSessionShares("shared")).map(x => [x.username, x.role]), [["carol", "editor"]]);
+  assert.equal(await db.removeSessionShare("shared", carol.id), true);
+  assert.equal(await roleOf("shared", carol), "viewer");
+
+  await db.deleteWorkspace(team.id); // sessions go back to whoever recorded them
+  assert.equal(await roleOf("shared", carol), null);
+  assert.equal(await roleOf("shared", alice), "owner");
+});
+
+test("public links open a session until revoked or expired", async () => {
+  await record("linked", alice.id);
+  const link = await db.createShareLink("linked", alice.id, null);
+  const expired = await db.createShareLink("linked", alice.id, new Date(Date.now() - 1000).toISOString());
+  assert.match(link.token, /^[\w-]{32}$/);
+
+  const session = await db.getSessionByShareLink(link.token);
+  assert.equal(session.id, "linked");
+  assert.equal(session.role, undefined);
+  assert.equal(await db.getSessionByShareLink(expired.token), null);
+  assert.equal(await db.getSessionByShareLink("nope"), null);
+
+  assert.equal(await db.revokeShareLink("linked", link.token), true);
+  assert.equal(await db.revokeShareLink("linked", link.token), false);
+  assert.equal(await db.getSessionByShareLink(link.token), null);
+  assert.ok((await db.getShareLinks("linked")).every(l => l.expires_at || l.revoked_at)); // kept, so the owner sees them
+
+  assert.equal(await db.deleteSession("linked", alice.id), true);
+  assert.deepEqual(await db.getShareLinks("linked"), []);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createAudioStream, dedupeOverlap } = require("../audioStream");
+
+const HEADER = Buffer.from("EBML+Tracks");
+const CLUSTER = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+
+/* One MediaRecorder timeslice: a WebM cluster, the header in front of the first */
+const chunk = (i) => Buffer.concat([i ? Buffer.alloc(0) : HEADER, CLUSTER, Buffer.from(`media ${i};`)]);
+
+/* Push one-second chunks — "s" speech, "." a pause — → the windows cut, flush last */
+function windowsFor(pattern, { vad = true } = {}) {
+  const stream = createAudioStream({ mimeType: "audio/webm;codecs=opus" });
+  const windows = [];
+  [...pattern].forEach((c, i) => {
+    const meta = { index: i, start: i * 1000, duration: 1000, silent: c === "." };
+    if (vad) meta.speech = c === "s";
+    const window = stream.push(chunk(i), meta);
+    if (window) windows.push(window);
+  });
+  const last = stream.flush();
+  if (last) windows.push(last);
+  return windows;
+}
+
+const span = (w) => [w.start, w.end, w.overlap];
+
+test("every window starts with the container header", () => {
+  const windows = windowsFor("sssss.ssssss.");
+  assert.ok(windows.length >= 2);
+  for (const w of windows) assert.ok(w.audio.subarray(0, HEADER.length).equals(HEADER));
+  assert.ok(windows[1].audio.includes(Buffer.from("media 7;")));
+  assert.ok(!windows[1].audio.includes(Buffer.from("media 0;")));
+});
+
+test("nothing is cut before the header is complete", () => {
+  const stream = createAudioStream({ mimeType: "audio/webm" });
+  assert.equal(stream.push(HEADER.subarray(0, 4), { start: 0, duration: 500, speech: true }), null);
+  assert.equal(stream.flush(), null);
+});
+
+test("windows are cut at the first pause after speech", () => {
+  assert.deepEqual(windowsFor("..ss....sss...").map(span), [[1000, 5000, 0], [7000, 12000, 0]]);
+});
+
+test("silence alone is never handed out, speech keeps a short pre-roll", () => {
+  assert.deepEqual(windowsFor(".........."), []);
+  assert.deepEqual(windowsFor("......ss..").map(span), [[5000, 9000, 0]]);
+});
+
+test("long speech is cut at the maximum, the next window overlapping it", () => {
+  const windows = windowsFor("s".repeat(24) + ".");
+  assert.deepEqual(windows.map(span), [[0, 20000, 0], [19000, 25000, 1000]]);
+  assert.ok(windows[1].audio.includes(Buffer.from("media 19;")));
+});
+
+test("speech at the end of the recording is flushed", () => {
+  assert.deepEqual(windowsFor(".....ss").map(span), [[4000, 7000, 0]]);
+});
+
+test("clients without voice activity detection get fixed windows cut at pauses", () => {
+  const windows = windowsFor("sssss.sssss.", { vad: false });
+  assert.deepEqual(windows.map(span), [[0, 6000, 0], [5000, 12000, 1000]]);
+});
+
+test("dedupeOverlap drops the words both windows heard", () => {
+  assert.equal(
+    dedupeOverlap("We should review the budget before Friday", "the budget before Friday, and then the roadmap."),
+    "and then the roadmap."
+  );
+  assert.equal(dedupeOverlap("Good morning everyone", "Let's begin."), "Let's begin.");
+  assert.equal(dedupeOverlap("It is done", "done and dusted"), "done and dusted"); // one word is not an overlap
+  assert.equal(dedupeOverlap("", "Hello there"), "Hello there");
+  assert.equal(dedupeOverlap("Hello there", ""), "");
+});
+
+test("dedupeOverlap splits words in scripts written without spaces", () => {
+  assert.equal(dedupeOverlap("យើងត្រូវពិភាក្សាអំពីផែនការ", "ពិភាក្សាអំពីផែនការអភិវឌ្ឍន៍។"), "អភិវឌ្ឍន៍។");
+});
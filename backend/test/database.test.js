@@ -0,0 +1,107 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "metri-db-"));
+process.env.SQLITE_PATH = path.join(dir, "metri.db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const { migrate } = require("../db/migrate");
+const { createSqliteAdapter } = require("../db/sqlite");
+const { importJson } = require("../db/import-json");
+
+const MIGRATIONS = fs.readdirSync(path.join(__dirname, "..", "db", "migrations")).map(f => path.basename(f, ".js")).sort();
+
+let user;
+test.before(async () => {
+  await db.init();
+  user = await db.createUser("repo", "hash");
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("every migration runs once and is recorded", async () => {
+  const file = createSqliteAdapter(process.env.SQLITE_PATH);
+  const applied = async () => (await file.all("SELECT id FROM schema_migrations ORDER BY id")).map(r => r.id);
+  assert.deepEqual(await applied(), MIGRATIONS);
+  await migrate(file); // a second start changes nothing
+  assert.deepEqual(await applied(), MIGRATIONS);
+});
+
+test("usernames are unique", async () => {
+  await assert.rejects(db.createUser("repo", "other"), /UNIQUE/);
+  assert.equal((await db.findUserByUsername("repo")).id, user.id);
+  assert.equal(await db.findUserByUsername("nobody"), null);
+});
+
+test("a saved session comes back whole, its entries in spoken order", async () => {
+  await db.saveSession({
+    id: "round-trip", user_id: user.id, title: "Weekly", date: "2026-03-02T09:00:00.000Z", duration: 42,
+    speakers: { S1: "Dara" }, languages: ["en", "th"],
+    entries: [
+      { id: "late", text: "second", lang: "th", time: 2000, start: 2, end: 3, speaker: "S1", translation: { lang: "en", text: "2nd" } },
+      { id: "early", text: "first", lang: "en", lang_confidence: 0.7, time: 1000, start: 1, end: 2, source: "remote" },
+    ],
+  });
+  const session = await db.getSessionById("round-trip", user.id);
+  assert.equal(session.role, "owner");
+  assert.equal(session.status, "saved");
+  assert.deepEqual(session.speakers, { S1: "Dara" });
+  assert.deepEqual(session.languages, ["en", "th"]);
+  assert.deepEqual(session.entries.map(e => e.id), ["early", "late"]);
+  assert.deepEqual(session.entries[0], {
+    id: "early", session_id: "round-trip", text: "first", lang: "en", lang_confidence: 0.7, time: 1000, start: 1, end: 2,
+    speaker: null, source: "remote", original_text: null, original_lang: null, merged: false, translation: null,
+  });
+  assert.deepEqual(session.entries[1].translation, { lang: "en", text: "2nd" });
+
+  const other = await db.createUser("stranger", "hash");
+  assert.equal(await db.getSessionById("round-trip", other.id), null);
+  assert.deepEqual(await db.getSessions(other.id), []);
+  assert.deepEqual((await db.getSessions(user.id)).map(s => s.id), ["round-trip"]);
+});
+
+test("updates stay within the editable fields, and deletes take everything with them", async () => {
+  await db.saveSession({ id: "doomed", user_id: user.id, title: "Old", date: new Date(0).toISOString(), entries: [{ id: "d1", text: "budget", lang: "en", time: 0 }] });
+  const updated = await db.updateSession("doomed", user.id, { title: "New", speakers: { S2: "Sok" }, user_id: "someone-else" });
+  assert.equal(updated.title, "New");
+  assert.equal(updated.user_id, user.id);
+
+  assert.equal(await db.deleteSession("doomed", user.id), true);
+  assert.equal(await db.deleteSession("doomed", user.id), false);
+  const conn = createSqliteAdapter(process.env.SQLITE_PATH);
+  assert.equal((await conn.get("SELECT COUNT(*) AS n FROM entries WHERE session_id = ?", ["doomed"])).n, 0);
+  assert.equal((await conn.get("SELECT COUNT(*) AS n FROM search_terms WHERE session_id = ?", ["doomed"])).n, 0);
+});
+
+test("usage adds up per day", async () => {
+  await db.addUsage(user.id, "2026-03-01", { seconds: 30 });
+  await db.addUsage(user.id, "2026-03-02", { seconds: 12.5, tokens: 100.4 });
+  await db.addUsage(user.id, "2026-03-02", { tokens: 50 });
+  assert.deepEqual(await db.getUsage(user.id, "2026-03-02"), [{ user_id: user.id, day: "2026-03-02", seconds: 12.5, tokens: 150 }]);
+});
+
+test("the old JSON store imports once, with entries sorted by time", async () => {
+  const file = path.join(dir, "metri.json");
+  fs.writeFileSync(file, JSON.stringify({
+    users: [{ id: "legacy", username: "legacy", password_hash: "x" }, { id: "dupe", username: "repo", password_hash: "x" }],
+    sessions: [
+      { id: "old-1", user_id: "legacy", title: "Kickoff", date: "2024-01-01T00:00:00.000Z", speakers: { S1: "Dara" } },
+      { id: "orphan", user_id: "ghost", title: "Lost", date: "2024-01-01T00:00:00.000Z" },
+    ],
+    entries: [
+      { id: 2, session_id: "old-1", text: "then this", lang: "km", time: 200 },
+      { id: 1, session_id: "old-1", text: "this first", time: 100 },
+      { id: 3, session_id: "orphan", text: "nobody", lang: "en", time: 0 },
+    ],
+    usage: [{ user_id: "legacy", day: "2024-01-01", seconds: 60, tokens: 10 }],
+  }));
+
+  assert.deepEqual(await importJson(file), { users: 1, sessions: 1, entries: 2, usage: 1 });
+  assert.deepEqual(await importJson(file), { users: 0, sessions: 0, entries: 0, usage: 0 });
+
+  const session = await db.getSessionById("old-1", "legacy");
+  assert.deepEqual(session.entries.map(e => [e.id, e.text, e.lang]), [["1", "this first", "en"], ["2", "then this", "km"]]);
+  assert.deepEqual(session.speakers, { S1: "Dara" });
+});
@@ -0,0 +1,141 @@
+process.env.SQLITE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+
+let user;
+test.before(async () => {
+  await db.init();
+  user = await db.createUser("editor", "x");
+});
+
+let sessions = 0;
+async function sessionWith(entries) {
+  const id = `edits-${++sessions}`;
+  await db.saveSession({
+    id, user_id: user.id, title: "Edits", date: new Date(0).toISOString(),
+    entries: entries.map((e, i) => ({ id: `e${i}`, lang: "en", time: i * 10000, start: i * 10, end: i * 10 + 10, ...e })),
+  });
+  return id;
+}
+
+const entries = async (id) => (await db.getSessionById(id, user.id)).entries;
+const texts = async (id) => (await entries(id)).map(e => e.text);
+
+test("an edit keeps Whisper's text, and revert brings it back", async () => {
+  const id = await sessionWith([{ text: "the meating starts", lang_confidence: 0.9 }]);
+  await db.updateEntry(id, "e0", { text: "the meeting starts" });
+  await db.updateEntry(id, "e0", { text: "The meeting starts." });
+  let [e] = await entries(id);
+  assert.equal(e.text, "The meeting starts.");
+  assert.equal(e.original_text, "the meating starts");
+
+  await db.updateEntry(id, "e0", { revert: true });
+  [e] = await entries(id);
+  assert.equal(e.text, "the meating starts");
+  assert.equal(e.original_text, null);
+});
+
+test("editing back to Whisper's text clears the original", async () => {
+  const id = await sessionWith([{ text: "hello there" }]);
+  await db.updateEntry(id, "e0", { lang: "km" });
+  await db.updateEntry(id, "e0", { lang: "en" });
+  const [e] = await entries(id);
+  assert.equal(e.original_text, null);
+  assert.equal(e.original_lang, null);
+});
+
+test("an edit drops the translation, saving the same text keeps it", async () => {
+  const id = await sessionWith([{ text: "good morning", translation: { lang: "km", text: "អរុណសួស្តី" } }]);
+  await db.updateEntry(id, "e0", { text: "good morning" });
+  assert.equal((await entries(id))[0].translation.text, "អរុណសួស្តី");
+  await db.updateEntry(id, "e0", { text: "Good morning!" });
+  assert.equal((await entries(id))[0].translation, null);
+});
+
+test("splitting divides the text and the audio span", async () => {
+  const id = await sessionWith([{ text: "first part second part" }, { text: "next line" }]);
+  const second = await db.splitEntry(id, "e0", "first part".length);
+  const list = await entries(id);
+  assert.deepEqual(list.map(e => e.text), ["first part", "second part", "next line"]);
+  assert.equal(list[1].id, second);
+  assert.ok(Math.abs(list[0].end - 10 * ("first part".length / "first part second part".length)) < 1e-9);
+  assert.equal(list[1].start, list[0].end);
+  assert.equal(list[1].end, 10);
+  assert.equal(list[0].original_text, null);
+  assert.equal(list[1].original_text, null);
+});
+
+test("each half of a split edited entry reverts to its own part", async () => {
+  const id = await sessionWith([{ text: "we ship on fryday and then rest" }]);
+  await db.updateEntry(id, "e0", { text: "We ship on Friday and then rest." });
+  const second = await db.splitEntry(id, "e0", "We ship on Friday".length);
+  const list = await entries(id);
+  assert.deepEqual(list.map(e => e.original_text), ["we ship on fryday", "and then rest"]);
+
+  await db.updateEntry(id, "e0", { revert: true });
+  assert.deepEqual(await texts(id), ["we ship on fryday", "and then rest."]); // the tail is not said twice
+  await db.updateEntry(id, second, { revert: true });
+  assert.deepEqual(await texts(id), ["we ship on fryday", "and then rest"]);
+});
+
+test("a split half that was never changed has no original", async () => {
+  const id = await sessionWith([{ text: "alpha bravo charlie delta" }]);
+  await db.updateEntry(id, "e0", { text: "Alfa bravo charlie delta" });
+  await db.splitEntry(id, "e0", "Alfa bravo".length);
+  assert.deepEqual((await entries(id)).map(e => e.original_text), ["alpha bravo", null]);
+});
+
+test("merging joins an entry with the next, mixing their languages", async () => {
+  const id = await sessionWith([{ text: "Let's start.", lang_confidence: 0.9 }, { text: "សួស្តី", lang: "km", lang_confidence: 0.8 }, { text: "Thanks." }]);
+  assert.equal(await db.mergeEntries(id, "e0"), true);
+  const list = await entries(id);
+  assert.deepEqual(list.map(e => [e.id, e.text, e.lang]), [["e0", "Let's start. សួស្តី", "mixed"], ["e2", "Thanks.", "en"]]);
+  assert.equal(list[0].end, 20);
+  assert.equal(list[0].merged, true);
+  assert.equal(list[0].original_text, null);
+  assert.equal(await db.mergeEntries(id, "e2"), false); // nothing after it
+});
+
+test("reverting a merged entry restores both lines as they were", async () => {
+  const id = await sessionWith([{ text: "we ship on fryday" }, { text: "then rest", speaker: "SPEAKER_01" }, { text: "done" }]);
+  await db.updateEntry(id, "e0", { text: "we ship on Friday" });
+  await db.mergeEntries(id, "e0");
+  await db.updateEntry(id, "e0", { text: "We ship on Friday, then rest." });
+
+  await db.updateEntry(id, "e0", { revert: true }); // the edit after the merge first…
+  assert.deepEqual(await texts(id), ["we ship on Friday then rest", "done"]);
+  await db.updateEntry(id, "e0", { revert: true }); // …then the merge
+  const list = await entries(id);
+  assert.deepEqual(list.map(e => [e.id, e.text, e.speaker, e.merged]), [
+    ["e0", "we ship on Friday", null, false], ["e1", "then rest", "SPEAKER_01", false], ["e2", "done", null, false],
+  ]);
+  assert.equal(list[0].original_text, "we ship on fryday");
+  assert.deepEqual([list[1].start, list[1].end], [10, 20]);
+});
+
+test("merges undo one at a time, and a split entry can no longer be unmerged", async () => {
+  const id = await sessionWith([{ text: "one" }, { text: "two" }, { text: "three" }]);
+  await db.mergeEntries(id, "e0");
+  await db.mergeEntries(id, "e0");
+  assert.deepEqual(await texts(id), ["one two three"]);
+  await db.updateEntry(id, "e0", { revert: true });
+  assert.deepEqual(await texts(id), ["one two", "three"]);
+  await db.updateEntry(id, "e0", { revert: true });
+  assert.deepEqual(await texts(id), ["one", "two", "three"]);
+
+  await db.mergeEntries(id, "e1");
+  await db.splitEntry(id, "e1", "two".length);
+  await db.updateEntry(id, "e1", { revert: true });
+  assert.deepEqual(await texts(id), ["one", "two", "three"]);
+});
+
+test("search follows merges and their undo", async () => {
+  const id = await sessionWith([{ text: "quarterly budget" }, { text: "roadmap review" }]);
+  await db.mergeEntries(id, "e0");
+  const hit = async (q) => (await db.searchTranscripts(user.id, { q, sessionId: id })).results.map(r => r.id);
+  assert.deepEqual(await hit("roadmap"), ["e0"]);
+  await db.updateEntry(id, "e0", { revert: true });
+  assert.deepEqual(await hit("roadmap"), ["e1"]);
+});
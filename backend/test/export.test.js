@@ -0,0 +1,95 @@
+process.env.TZ = "UTC";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { exportSession, isExportFormat, EXPORT_FORMATS } = require("../export");
+const { cueTimes } = require("../export/common");
+
+const SESSION = {
+  id: "s1",
+  user_id: "u1",
+  title: "Budget <review> & plan",
+  date: "2026-03-02T09:00:00.000Z",
+  duration: 95,
+  speakers: { S1: "Dara" },
+  languages: ["en", "km"],
+  entries: [
+    { id: "e1", text: "Good morning everyone.", lang: "en", time: Date.parse("2026-03-02T09:00:05Z"), start: 5, end: 8, speaker: "S1" },
+    { id: "e2", text: "សួស្តី\n\nទាំងអស់គ្នា", lang: "km", time: Date.parse("2026-03-02T09:00:09Z"), start: 9, end: 12, speaker: "S2" },
+    { id: "e3", text: "Let's start. យើងចាប់ផ្តើម", lang: "mixed", time: Date.parse("2026-03-02T09:00:13Z"), start: 13, end: 15, speaker: null },
+  ],
+  summary: null,
+};
+
+const render = async (format, session = SESSION) => String((await exportSession(session, format)).body);
+const HEADER = ["Title: Budget <review> & plan", "Date: Monday, March 2, 2026", "Duration: 01:35", "Entries: 3"];
+
+test("TXT keeps its header block and one paragraph per entry", async () => {
+  const txt = await render("txt");
+  assert.match(txt, /^METRI Meeting Assistant — Transcript\n═+\nTitle {4}: Budget <review> & plan\n/);
+  assert.match(txt, /\[09:00:05 AM\] \[English\] Dara:\nGood morning everyone\.\n/);
+  assert.match(txt, /\[09:00:09 AM\] \[ខ្មែរ\] Speaker 2:\n/);
+});
+
+test("SRT opens with the header as a cue that ends before the first line", async () => {
+  const cues = (await render("srt")).trim().split("\n\n");
+  assert.equal(cues[0], ["1", "00:00:00,000 --> 00:00:03,000", ...HEADER].join("\n"));
+  assert.equal(cues[1], "2\n00:00:05,000 --> 00:00:08,000\nDara: Good morning everyone.");
+  assert.equal(cues[2], "3\n00:00:09,000 --> 00:00:12,000\nSpeaker 2: សួស្តី\nទាំងអស់គ្នា"); // no blank line inside a cue
+  assert.equal(cues.length, 4);
+});
+
+test("the SRT header cue never overlaps speech at the very start", async () => {
+  const early = { ...SESSION, entries: [{ ...SESSION.entries[0], start: 1.5 }, { ...SESSION.entries[0], id: "x", start: 0, end: 1 }] };
+  assert.match(await render("srt", { ...early, entries: early.entries.slice(0, 1) }), /^1\n00:00:00,000 --> 00:00:01,500\n/);
+  assert.match(await render("srt", { ...early, entries: early.entries.slice(1) }), /^1\n00:00:00,000 --> 00:00:00,000\n/);
+});
+
+test("WebVTT carries the header in a NOTE, speakers as voices and languages as spans", async () => {
+  const vtt = await render("vtt");
+  const blocks = vtt.trim().split("\n\n");
+  assert.equal(blocks[0], "WEBVTT");
+  assert.equal(blocks[1], ["NOTE", ...HEADER].join("\n"));
+  assert.equal(blocks[2], "1\n00:00:05.000 --> 00:00:08.000\n<v Dara><lang en>Good morning everyone.</lang>");
+  assert.equal(blocks[4], "3\n00:00:13.000 --> 00:00:15.000\nLet's start. យើងចាប់ផ្តើម"); // mixed: no lang span
+});
+
+test("Markdown escapes the title and lists the header as a table", async () => {
+  const md = await render("md");
+  assert.match(md, /^# Budget \\<review\\> & plan\n/);
+  assert.match(md, /\| \*\*Duration\*\* \| 01:35 \|/);
+  assert.match(md, /\*\*\[09:00:13 AM\]\*\* · _Mixed_ {2}\nLet's start\./);
+});
+
+test("JSON is a lossless dump without the owner", async () => {
+  const dump = JSON.parse(await render("json"));
+  assert.equal(dump.format, "metri.session");
+  assert.equal(dump.header.title, SESSION.title);
+  assert.equal(dump.session.user_id, undefined);
+  assert.deepEqual(dump.session.entries, SESSION.entries);
+});
+
+test("DOCX is a Word file named after the session", async () => {
+  const { body, filename, mimeType } = await exportSession(SESSION, "docx");
+  assert.equal(body.subarray(0, 2).toString(), "PK");
+  assert.equal(filename, "Budget_review_plan.docx");
+  assert.match(mimeType, /wordprocessingml/);
+});
+
+test("non-default languages are named in the header", async () => {
+  assert.match(await render("txt", { ...SESSION, languages: ["en", "th"] }), /Languages : English, Thai\n/);
+  assert.doesNotMatch(await render("txt"), /Languages/);
+});
+
+test("unknown formats are refused", async () => {
+  assert.equal(isExportFormat("exe"), false);
+  assert.ok(EXPORT_FORMATS.includes("srt"));
+  await assert.rejects(exportSession(SESSION, "exe"), /Unknown export format/);
+});
+
+test("cue times fall back to wall-clock time and never run backwards", () => {
+  const t0 = Date.parse("2026-03-02T09:00:00Z");
+  assert.deepEqual(cueTimes([{ time: t0 }, { time: t0 + 2000 }, { time: t0 + 1000 }, { time: t0 + 10000, end: 10.5 }]), [
+    { start: 0, end: 2 }, { start: 2, end: 10 }, { start: 2, end: 10 }, { start: 10, end: 11 },
+  ]);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTranscriber } = require("../transcription");
+const { createAudioStream, dedupeOverlap } = require("../audioStream");
+
+const CLUSTER = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+const chunk = (i) => Buffer.concat([i ? Buffer.alloc(0) : Buffer.from("EBML+Tracks"), CLUSTER, Buffer.from(`media ${i};`)]);
+
+// Every window repeats the phrase, so the one after it starts with the words it ended on
+const PHRASE = "so the plan is the plan and we ship it on friday so the plan";
+
+let dir;
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "metri-test-"));
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const writeAudio = (name, audio) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, audio);
+  return file;
+};
+
+test("the fixture provider transcribes the same audio the same way", async () => {
+  const transcriber = createTranscriber({ TRANSCRIPTION_PROVIDER: "fixture" });
+  const file = writeAudio("same.webm", Buffer.from("some audio"));
+  const first = await transcriber.transcribe(file);
+  assert.deepEqual(await transcriber.transcribe(file), first);
+  assert.ok(first.text);
+  assert.ok(["en", "km", "mixed"].includes(first.lang));
+});
+
+test("empty audio comes back as silence", async () => {
+  const transcriber = createTranscriber({ TRANSCRIPTION_PROVIDER: "fixture" });
+  const result = await transcriber.transcribe(writeAudio("empty.webm", Buffer.alloc(0)));
+  assert.equal(result.text, "");
+  assert.deepEqual(result.segments, []);
+});
+
+test("fixture files set the phrases, their segments and the duration", async () => {
+  const phrases = writeAudio("phrases.json", JSON.stringify([
+    { text: "Let's check the numbers. สวัสดีครับทุกคน", lang: "th", segments: ["Let's check the numbers.", "สวัสดีครับทุกคน"] },
+  ]));
+  const transcriber = createTranscriber({ TRANSCRIPTION_PROVIDER: "fixture", TRANSCRIPTION_FIXTURE_FILE: phrases, TRANSCRIPTION_FIXTURE_DURATION: "4" });
+  const result = await transcriber.transcribe(writeAudio("thai.webm", Buffer.from("audio")), { languages: ["en", "th"] });
+  assert.equal(result.duration, 4);
+  assert.deepEqual(result.segments.map(s => [s.start, s.end, s.lang]), [[0, 2, "en"], [2, 4, "th"]]);
+  assert.equal(result.lang, "mixed");
+});
+
+test("reassembled live windows transcribe, and the overlap is said once", async () => {
+  const phrases = writeAudio("plan.json", JSON.stringify([{ text: PHRASE, lang: "en" }]));
+  const transcriber = createTranscriber({ TRANSCRIPTION_PROVIDER: "fixture", TRANSCRIPTION_FIXTURE_FILE: phrases });
+
+  const stream = createAudioStream({ mimeType: "audio/webm" });
+  const windows = [];
+  for (let i = 0; i < 30; i++) {
+    const window = stream.push(chunk(i), { index: i, start: i * 1000, duration: 1000, silent: false, speech: true });
+    if (window) windows.push(window);
+  }
+  windows.push(stream.flush());
+  assert.deepEqual(windows.map(w => w.overlap), [0, 1000]);
+
+  const texts = [];
+  let previous;
+  for (const [i, window] of windows.entries()) {
+    const { text } = await transcriber.transcribe(writeAudio(`window-${i}.webm`, window.audio));
+    texts.push(window.overlap ? dedupeOverlap(previous, text) : text);
+    previous = text;
+  }
+  assert.deepEqual(texts, [PHRASE, "is the plan and we ship it on friday so the plan"]);
+});
@@ -0,0 +1,73 @@
+process.env.SQLITE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const glossary = require("../glossary");
+const db = require("../database");
+
+const TERMS = [
+  { term: "METRI", variants: ["metry", "meh tree"] },
+  { term: "Ministry of Planning", variants: ["ministry of planing"] },
+  { term: "Planning", variants: ["planing"] },
+  { term: "សុខា", variants: ["សុខារ"] },
+];
+
+test("parseTerm cleans the term and its misspellings", () => {
+  assert.deepEqual(glossary.parseTerm({ term: "  METRI ", variants: "metry, Metry,\nm, meh  tree", lang: "" }), {
+    term: "METRI", variants: ["metry", "meh tree"], lang: null,
+  });
+  assert.deepEqual(glossary.parseTerm({ lang: "km" }, { partial: true }), { lang: "km" });
+});
+
+test("parseTerm rejects bad input with a 400", () => {
+  assert.throws(() => glossary.parseTerm({ term: " " }), { status: 400, message: "term is required" });
+  assert.throws(() => glossary.parseTerm({ term: "x", variants: 5 }), { status: 400 });
+  assert.throws(() => glossary.parseTerm({ term: "x", lang: "xx" }), { status: 400 });
+});
+
+test("buildPrompt lists each spelling once, or nothing without terms", () => {
+  assert.equal(glossary.buildPrompt([...TERMS, TERMS[0]]), "Glossary: METRI, Ministry of Planning, Planning, សុខា.");
+  assert.equal(glossary.buildPrompt([]), "");
+});
+
+test("the corrector fixes whole Latin words, longest first, and Khmer anywhere", () => {
+  const correct = glossary.createCorrector(TERMS);
+  assert.equal(correct("Welcome to metri, formerly Metry."), "Welcome to METRI, formerly METRI.");
+  assert.equal(correct("geometry and meh  tree"), "geometry and METRI");
+  assert.equal(correct("the ministry of planing met"), "the Ministry of Planning met");
+  assert.equal(correct("planing ahead"), "Planning ahead");
+  assert.equal(correct("លោកសុខារបាននិយាយ"), "លោកសុខាបាននិយាយ");
+  assert.equal(glossary.createCorrector([])("metry"), "metry");
+});
+
+test("new entries keep Whisper's text when the glossary changes them", () => {
+  const correct = glossary.createCorrector(TERMS);
+  const [fixed, untouched] = glossary.correctNewEntries([{ text: "metry is live", lang: "en" }, { text: "hello", lang: "en" }], correct);
+  assert.deepEqual(fixed, { text: "METRI is live", lang: "en", original_text: "metry is live", original_lang: "en" });
+  assert.deepEqual(untouched, { text: "hello", lang: "en" });
+});
+
+test("a corrected entry stored live or at import reverts to Whisper's text", async () => {
+  await db.init();
+  const user = await db.createUser("glossary", "x");
+  const [live, imported] = glossary.correctNewEntries(
+    [{ id: "live", text: "metry is live", lang: "en" }, { id: "imported", text: "planing ahead", lang: "en" }],
+    glossary.createCorrector(TERMS)
+  );
+  await db.saveSession({ id: "imported", user_id: user.id, title: "Import", date: new Date(0).toISOString(), entries: [imported] });
+  await db.saveSession({ id: "draft", user_id: user.id, title: "Draft", date: new Date(0).toISOString(), status: "draft", entries: [] });
+  await db.appendEntry("draft", live);
+
+  for (const [sessionId, entryId, whisper] of [["imported", "imported", "planing ahead"], ["draft", "live", "metry is live"]]) {
+    const [before] = (await db.getSessionById(sessionId, user.id)).entries;
+    assert.equal(before.original_text, whisper);
+    await db.updateEntry(sessionId, entryId, { revert: true });
+    const [after] = (await db.getSessionById(sessionId, user.id)).entries;
+    assert.equal(after.text, whisper);
+  }
+});
+
+test("correctEntries lists the saved entries a glossary change fixes", () => {
+  const fixes = glossary.correctEntries([{ id: "a", text: "metry" }, { id: "b", text: "fine" }], glossary.createCorrector(TERMS));
+  assert.deepEqual(fixes, [{ id: "a", text: "METRI" }]);
+});
@@ -0,0 +1,112 @@
+process.env.SQLITE_PATH = ":memory:";
+process.env.JOB_RETRY_BASE_MS = "40";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const jobs = require("../jobs");
+
+const httpError = (status, message, headers) => Object.assign(new Error(message), { status, headers });
+
+const finished = (job) => job.status === "done" || job.status === "failed";
+
+/* Every status change of one job, until `until` holds. The poller's timer
+   does not keep the process alive, so this does while a retry waits. */
+function history(id, until = finished) {
+  const seen = [];
+  const alive = setInterval(() => {}, 1000);
+  return new Promise(resolve => {
+    jobs.events.on("update", function listen(job, err) {
+      if (job.id !== id) return;
+      seen.push({ status: job.status, attempts: job.attempts, run_at: job.run_at, error: err?.message });
+      if (until(job)) {
+        jobs.events.off("update", listen);
+        clearInterval(alive);
+        resolve({ job, seen });
+      }
+    });
+  });
+}
+
+const settled = [];
+let user;
+test.before(async () => {
+  await db.init();
+  user = await db.createUser("jobs", "x");
+
+  let calls = 0;
+  jobs.register("flaky", async (job, ctx) => {
+    calls++;
+    if (calls === 1) { await ctx.checkpoint({ done: 1 }); throw httpError(429, "Rate limited"); }
+    if (calls === 2) throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+    await ctx.progress(0.5, { stage: "tail" });
+    return { resumedFrom: job.state, payload: job.payload };
+  }, { maxAttempts: 5, onSettled: (job) => settled.push(job.id) });
+  jobs.register("broken", async () => { throw httpError(400, "Bad audio"); }, { onSettled: (job) => settled.push(job.id) });
+  jobs.register("busy", async () => { throw httpError(503, "Overloaded"); }, { maxAttempts: 2 });
+  jobs.register("throttled", async () => { throw httpError(429, "Slow down", { "retry-after": "60" }); });
+  jobs.register("billing", async () => { throw Object.assign(httpError(429, "Out of credit"), { code: "insufficient_quota" }); });
+});
+
+test("jobs left running by a restart go back in the queue", async () => {
+  jobs.register("stale", async () => "picked up again");
+  const stale = await db.createJob({ id: "stale-1", user_id: user.id, type: "stale", payload: {}, max_attempts: 5 });
+  assert.equal(await db.claimJob(stale.id), true);
+  assert.equal(await db.claimJob(stale.id), false); // already taken
+
+  const done = history(stale.id);
+  await jobs.start();
+  const { job } = await done;
+  assert.equal(job.result, "picked up again");
+  assert.equal(job.attempts, 2);
+});
+
+test("retryable failures back off and retry from the checkpoint", async () => {
+  const job = await jobs.enqueue("flaky", user.id, { file: "a.webm" });
+  const { job: done, seen } = await history(job.id);
+  assert.deepEqual(seen.map(s => s.status), ["running", "queued", "running", "queued", "running", "running", "done"]);
+  assert.deepEqual(seen.filter(s => s.error).map(s => s.error), ["Rate limited", "socket hang up"]);
+
+  const waits = seen.filter(s => s.status === "queued").map(s => Date.parse(s.run_at));
+  const ran = seen.filter(s => s.status === "running");
+  assert.ok(waits[0] - Date.parse(ran[0].run_at) >= 30); // ~40ms, jittered
+  assert.deepEqual(done.result, { resumedFrom: { done: 1 }, payload: { file: "a.webm" } });
+  assert.equal(done.attempts, 3);
+  assert.equal(done.error, null);
+  assert.equal(done.progress, 1);
+  assert.ok(settled.includes(job.id));
+});
+
+test("other failures fail at once", async () => {
+  for (const type of ["broken", "billing"]) {
+    const job = await jobs.enqueue(type, user.id, {});
+    const { job: failed, seen } = await history(job.id);
+    assert.deepEqual(seen.map(s => s.status), ["running", "failed"]);
+    assert.equal(failed.attempts, 1);
+  }
+  assert.equal(settled.length, 2); // flaky and broken, once each
+});
+
+test("a job gives up after its last attempt", async () => {
+  const job = await jobs.enqueue("busy", user.id, {});
+  const { job: failed } = await history(job.id);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.attempts, 2);
+  assert.equal(failed.error, "Overloaded");
+});
+
+test("Retry-After from the provider sets the wait", async () => {
+  const job = await jobs.enqueue("throttled", user.id, {});
+  const { job: queued } = await history(job.id, (j) => j.status === "queued" && j.attempts === 1);
+  const wait = Date.parse(queued.run_at) - Date.now();
+  assert.ok(wait > 55000 && wait <= 60000, `waits ${wait}ms`);
+});
+
+test("the API view leaves out the payload and checkpoint", async () => {
+  const job = await db.createJob({ id: "view-1", user_id: user.id, type: "report", payload: { path: "/tmp/x" }, detail: { file: "x.mp3" }, max_attempts: 5 });
+  const view = jobs.publicJob(job);
+  assert.equal(view.payload, undefined);
+  assert.equal(view.state, undefined);
+  assert.deepEqual(view.detail, { file: "x.mp3" });
+  assert.equal(view.maxAttempts, 5);
+});
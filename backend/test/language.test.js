@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detectLanguage, languageRuns, windowEntries } = require("../transcription");
+
+const tag = detectLanguage;
+
+test("a text is tagged from its own words, not Whisper's guess", () => {
+  assert.deepEqual(tag("Let us check the budget.", "khmer"), { lang: "en", confidence: 0.75 }); // lower when Whisper disagrees
+  assert.deepEqual(tag("សួស្តី អ្នកទាំងអស់គ្នា", "english"), { lang: "km", confidence: 0.75 });
+  assert.deepEqual(tag("យើងនឹងប្រជុំអំពីថវិកា METRI", "khmer"), { lang: "km", confidence: 0.83 }); // a loan word is no switch
+  assert.deepEqual(tag("Let us check ថវិកា ឆ្នាំនេះ", "english"), { lang: "mixed", confidence: 0.8 });
+});
+
+test("only the session's languages are counted", () => {
+  assert.deepEqual(tag("Chúng ta bắt đầu", null, ["en", "vi"]), { lang: "vi", confidence: 1 });
+  assert.deepEqual(tag("On commence à l'heure", null, ["en", "fr"]), { lang: "fr", confidence: 1 });
+  assert.deepEqual(tag("สวัสดี hello", null, ["en", "km"]), { lang: "en", confidence: 1 });
+  assert.deepEqual(tag("2026 …", "khmer"), { lang: "km", confidence: 0.5 });
+  assert.deepEqual(tag("", "thai", ["en", "km"]), { lang: "en", confidence: 0.5 });
+});
+
+test("runs join neighbouring segments in one language", () => {
+  const runs = languageRuns([
+    { start: 0, end: 2, text: "so the plan", lang: "en", confidence: 1 },
+    { start: 2, end: 3, text: "is fine", lang: "en", confidence: 0.5 },
+    { start: 3, end: 5, text: "យើងចាប់ផ្តើម", lang: "km", confidence: 0.9 },
+    { start: 5, end: 6, text: "thanks", lang: "en", confidence: 1 },
+  ]);
+  assert.deepEqual(runs, [
+    { start: 0, end: 3, text: "so the plan is fine", lang: "en", confidence: 0.81 }, // weighted by length
+    { start: 3, end: 5, text: "យើងចាប់ផ្តើម", lang: "km", confidence: 0.9 },
+    { start: 5, end: 6, text: "thanks", lang: "en", confidence: 1 },
+  ]);
+  assert.deepEqual(languageRuns([]), []);
+});
+
+const RESULT = {
+  text: "so the plan is fine. យើងនឹងចាប់ផ្តើម ឥឡូវនេះ។ Okay, thanks.",
+  lang: "mixed",
+  confidence: 0.6,
+  duration: 9,
+  segments: [
+    { start: 0, end: 3, text: "so the plan is fine.", lang: "en", confidence: 1 },
+    { start: 3, end: 6, text: "យើងនឹងចាប់ផ្តើម ឥឡូវនេះ។", lang: "km", confidence: 1 },
+    { start: 6, end: 9, text: "Okay, thanks.", lang: "en", confidence: 1 },
+  ],
+};
+const WINDOW = { start: 10000, end: 19000, overlap: 1000 };
+const spans = (entries) => entries.map(e => [e.text, e.lang, e.start, e.end]);
+
+test("a window becomes one entry per language, timed from the recording's start", () => {
+  assert.deepEqual(spans(windowEntries(WINDOW, RESULT, RESULT.text)), [
+    ["so the plan is fine.", "en", 10, 13],
+    ["យើងនឹងចាប់ផ្តើម ឥឡូវនេះ។", "km", 13, 16],
+    ["Okay, thanks.", "en", 16, 19],
+  ]);
+});
+
+test("segments the overlap cut are dropped or shortened and tagged again", () => {
+  assert.deepEqual(spans(windowEntries(WINDOW, RESULT, "is fine. យើងនឹងចាប់ផ្តើម ឥឡូវនេះ។ Okay, thanks.")), [
+    ["is fine.", "en", 11, 13], // starts after the overlap
+    ["យើងនឹងចាប់ផ្តើម ឥឡូវនេះ។", "km", 13, 16],
+    ["Okay, thanks.", "en", 16, 19],
+  ]);
+  assert.deepEqual(spans(windowEntries(WINDOW, RESULT, "Okay, thanks.")), [["Okay, thanks.", "en", 16, 19]]);
+
+  const [cut] = windowEntries(WINDOW, RESULT, "ឥឡូវនេះ។ Okay, thanks.");
+  assert.deepEqual([cut.text, cut.lang, cut.lang_confidence], ["ឥឡូវនេះ។", "km", 1]);
+});
+
+test("without usable segments the kept text is one entry", () => {
+  assert.deepEqual(spans(windowEntries(WINDOW, { ...RESULT, segments: [] }, "Okay, thanks.")), [["Okay, thanks.", "en", 11, 19]]);
+  const reworded = { ...RESULT, segments: [{ ...RESULT.segments[0], text: "something else" }] };
+  assert.deepEqual(spans(windowEntries(WINDOW, reworded, RESULT.text)), [[RESULT.text, "mixed", 10, 13]]);
+});
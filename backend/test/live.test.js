@@ -0,0 +1,58 @@
+process.env.SQLITE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const live = require("../live");
+const db = require("../database");
+
+/* A WebSocket stand-in that keeps what it was sent */
+const socket = () => ({ OPEN: 1, readyState: 1, sent: [], send(data) { this.sent.push(JSON.parse(data)); } });
+const typesSent = (ws) => ws.sent.map(m => m.type);
+
+test("viewers get the backlog, the transcript as it is sent and each other's notes", () => {
+  const host = socket();
+  const viewer = socket();
+  const share = live.start("host-1", { ws: host, user: { id: "u1", username: "host" }, startedAt: Date.now() - 5000 });
+  live.relay("host-1", { type: "transcript", seq: 0, id: "entry-0", text: "Welcome everyone" });
+
+  const ack = live.join(share.code.toLowerCase(), "viewer-1", { ws: viewer, user: { id: "u2", username: "viewer" } });
+  assert.equal(ack.type, "join_ack");
+  assert.deepEqual(ack.entries.map(m => m.text), ["Welcome everyone"]);
+
+  live.relay("host-1", { type: "transcript", seq: 1, id: "entry-1", text: "First item" });
+  live.relay("host-1", { type: "audio_end_ack" }); // not for viewers
+  assert.deepEqual(typesSent(viewer), ["transcript"]);
+
+  assert.throws(() => live.addNote("viewer-1", { kind: "flag" }), /needs text or a line/);
+  const note = live.addNote("viewer-1", { kind: "flag", text: "check this", seq: 1 });
+  assert.equal(note.quote, "First item");
+  assert.equal(note.entry_id, "entry-1");
+  assert.ok(note.start >= 5);
+  assert.ok(host.sent.some(m => m.type === "note" && m.note.id === note.id));
+
+  live.stop("host-1");
+  assert.equal(viewer.sent.at(-1).type, "share_ended");
+  assert.equal(live.isViewer("viewer-1"), false);
+});
+
+test("notes are stored with the draft and outlive the share", async () => {
+  await db.init();
+  const user = await db.createUser("host", "x");
+  await db.saveSession({ id: "draft", user_id: user.id, title: "Draft", date: new Date(0).toISOString(), status: "draft", entries: [] });
+
+  const stored = [];
+  live.start("host-2", {
+    ws: socket(), user: { id: user.id, username: "host" }, startedAt: Date.now(),
+    onNote: (note) => stored.push(db.addSessionNote("draft", note)),
+  });
+  live.addNote("host-2", { text: "Follow up with finance" });
+  live.stop("host-2");
+  assert.deepEqual(await Promise.all(stored), [true]);
+
+  const session = await db.getSessionById("draft", user.id);
+  assert.deepEqual(session.notes.map(n => [n.kind, n.text, n.author]), [["note", "Follow up with finance", "host"]]);
+  assert.deepEqual((await db.getSessions(user.id)).find(s => s.id === "draft").notes, session.notes);
+
+  await db.deleteSession("draft", user.id);
+  assert.equal(await db.addSessionNote("draft", { id: "late", kind: "note", text: "", author: "host" }), false);
+});
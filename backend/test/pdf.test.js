@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { exportSession } = require("../export");
+
+const SESSION = {
+  title: "ប្រជុំប្រចាំខែ",
+  date: "2026-03-02T09:00:00.000Z",
+  duration: 12,
+  languages: ["en", "km", "th"],
+  entries: [
+    { text: "Good morning everyone.", lang: "en", time: 0, speaker: "S1" },
+    { text: "កំណត់ហេតុនៃកិច្ចប្រជុំ", lang: "km", time: 4000 }, // "កំ" needs the abvm fallback
+    { text: "สวัสดีครับทุกคน", lang: "th", time: 8000 },
+  ],
+  summary: {
+    overview: { en: "Monthly check-in.", km: "ការជួបប្រចាំខែ" },
+    decisions: [{ en: "Ship on Friday", km: "ចេញនៅថ្ងៃសុក្រ" }],
+    action_items: [{ en: "Send the report", km: "ផ្ញើរបាយការណ៍", owner: "Dara", done: false }],
+    open_questions: [],
+  },
+};
+
+const fontsIn = (pdf) => new Set(String(pdf).match(/\/BaseFont \/\w+\+[\w-]+/g).map(f => f.split("+")[1]));
+
+test("the PDF embeds a font for each script it prints", async () => {
+  const { body, mimeType, filename } = await exportSession(SESSION, "pdf");
+  assert.ok(Buffer.isBuffer(body));
+  assert.equal(body.subarray(0, 5).toString(), "%PDF-");
+  assert.equal(mimeType, "application/pdf");
+  assert.equal(filename, "transcript.pdf"); // a Khmer title has nothing safe for a filename
+
+  const fonts = fontsIn(body);
+  assert.ok(fonts.has("NotoSansKhmer-Regular"));
+  assert.ok(fonts.has("NotoSansThai-Regular"));
+  assert.ok(![...fonts].some(f => f.startsWith("Helvetica")));
+});
+
+test("long transcripts run onto numbered pages", async () => {
+  const entries = Array.from({ length: 120 }, (_, i) => ({ text: `ចំណុចទី ${i} នៃរបៀបវារៈ`, lang: "km", time: i * 1000 }));
+  const { body } = await exportSession({ ...SESSION, summary: null, entries }, "pdf");
+  assert.ok(String(body).match(/\/Type \/Page\b/g).length > 1);
+});
@@ -0,0 +1,76 @@
+process.env.SQLITE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const search = require("../search");
+
+let user;
+test.before(async () => {
+  await db.init();
+  user = await db.createUser("searcher", "x");
+});
+
+async function session(id, entries, fields = {}) {
+  await db.saveSession({
+    id, user_id: user.id, title: id, date: "2026-03-01T09:00:00.000Z", ...fields,
+    entries: entries.map(([text, lang, speaker], i) => ({ id: `${id}-${i}`, text, lang, speaker, time: i * 1000 })),
+  });
+}
+
+const ranked = async (q, opts = {}) => (await db.searchTranscripts(user.id, { q, ...opts })).results.map(r => r.id);
+const ids = async (q, opts = {}) => (await db.searchTranscripts(user.id, { q, ...opts })).results.map(r => r.id).sort();
+
+test("a language filter other than English also finds mixed lines", async () => {
+  await session("lang", [["budget review", "en"], ["budget ថវិកា", "mixed"], ["ថវិកា budget ឆ្នាំនេះ", "km"]]);
+  await session("lang-th", [["budget งบประมาณ", "mixed"]], { languages: ["en", "th"] });
+
+  assert.deepEqual(await ids("budget", { lang: "en" }), ["lang-0"]);
+  assert.deepEqual(await ids("budget", { lang: "km" }), ["lang-1", "lang-2"]);
+  assert.deepEqual(await ids("budget", { lang: "th" }), ["lang-th-0"]); // only sessions in that language
+  assert.deepEqual(await ids("budget", { lang: "mixed" }), ["lang-1", "lang-th-0"]);
+});
+
+test("Khmer is split into words, and zero-width spaces do not count", () => {
+  assert.deepEqual(search.tokenize("យើងនឹងប្រជុំអំពីថវិកា").map(t => t.term), ["យើង", "នឹង", "ប្រជុំ", "អំពី", "ថវិកា"]);
+  assert.deepEqual(search.tokenize("ការប្រជុំ\u200bថវិកា").map(t => [t.term, t.index]), [["ការប្រជុំ", 0], ["ថវិកា", 10]]);
+  assert.deepEqual(search.termCounts("Budget, budget REVIEW!"), { counts: new Map([["budget", 2], ["review", 1]]), length: 3 });
+});
+
+test("the last query word matches as a prefix while typing", () => {
+  assert.deepEqual(search.parseQuery("budget Budget revi"), { terms: ["budget"], prefix: "revi" });
+  assert.deepEqual(search.parseQuery(" … "), { terms: [], prefix: null });
+});
+
+test("Khmer search matches whole words and ranks lines with every word first", async () => {
+  await session("khmer", [
+    ["យើងនឹងប្រជុំអំពីថវិកា", "km"], // both words
+    ["ថវិកា ថវិកា ថវិកា", "km"],       // one word, three times
+    ["ការប្រជុំ\u200bថវិកា", "km"],     // "meeting" as part of another word
+    ["ការងារ", "km"],
+  ]);
+  const hits = await ranked("ប្រជុំ ថវិកា", { sessionId: "khmer" });
+  assert.equal(hits[0], "khmer-0");
+  assert.deepEqual(hits.slice(1).sort(), ["khmer-1", "khmer-2"]);
+  assert.deepEqual(await ranked("ជុំ", { sessionId: "khmer" }), []); // inside a word is not a match
+  assert.deepEqual(await ids("ការ", { sessionId: "khmer" }), ["khmer-2", "khmer-3"]); // words that start with it
+
+  const [best] = (await db.searchTranscripts(user.id, { q: "ប្រជុំ ថវិកា", sessionId: "khmer" })).results;
+  assert.deepEqual(best.highlights, [[6, 12], [16, 21]]);
+  assert.ok(best.score > 0);
+});
+
+test("results narrow by speaker, date and page", async () => {
+  await session("march", [["roadmap draft", "en", "S1"], ["roadmap final", "en", "S2"]], { speakers: { S1: "Dara" } });
+  await session("april", [["roadmap later", "en"]], { date: "2026-04-01T09:00:00.000Z" });
+
+  assert.deepEqual(await ids("roadmap", { speaker: "dara" }), ["march-0"]);
+  assert.deepEqual(await ids("roadmap", { speaker: "S2" }), ["march-1"]);
+  assert.deepEqual(await ids("roadmap", { from: "2026-03-15" }), ["april-0"]);
+  assert.deepEqual(await ids("roadmap", { to: "2026-03-15" }), ["march-0", "march-1"]);
+
+  const page = await db.searchTranscripts(user.id, { q: "roadmap", page: 2, pageSize: 2 });
+  assert.equal(page.total, 3);
+  assert.equal(page.results.length, 1);
+  assert.equal((await db.searchTranscripts(user.id, { q: "roadmap" })).results.find(r => r.id === "march-0").speaker_name, "Dara");
+});
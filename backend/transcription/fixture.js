@@ -0,0 +1,57 @@
+/**
+ * Deterministic fixture provider.
+ * ───────────────────────────────
+ * Used for tests and for demo mode when no Whisper backend is configured.
+ * The phrase is chosen from a hash of the audio bytes, so the same file
+ * always produces the same transcript regardless of call order. Empty
+ * files come back as silence.
+ *
+ *   TRANSCRIPTION_FIXTURE_FILE  optional JSON array of { text, lang, segments? }
+ *                               (segments: texts, spread evenly over the file)
+ *   TRANSCRIPTION_FIXTURE_DURATION  seconds reported per file (default 5)
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { LANGUAGES } = require("../languages");
+
+const DEFAULT_PHRASES = [
+  { text: "Good morning everyone, let's begin today's agenda.", lang: "en" },
+  { text: "សួស្តីទាំងអស់គ្នា! ខ្ញុំរីករាយដែលបានចូលរួម។", lang: "km" },
+  { text: "Can you share the Q3 report on screen please?", lang: "en" },
+  { text: "យើងត្រូវពិភាក្សាអំពីផែនការអភិវឌ្ឍន៍។", lang: "km" },
+  { text: "The marketing team exceeded their targets this quarter.", lang: "en" },
+  { text: "ខ្ញុំយល់ព្រមជាមួយការស្នើឡើងរបស់អ្នក។", lang: "km" },
+  // Code-switching: a language change between segments, and within one
+  { text: "Let's review the budget. យើងត្រូវការវាមុនថ្ងៃសុក្រ។", lang: "en", segments: ["Let's review the budget.", "យើងត្រូវការវាមុនថ្ងៃសុក្រ។"] },
+  { text: "យើងត្រូវពិភាក្សា Q3 report នៅថ្ងៃនេះ។", lang: "km" },
+];
+
+function createFixtureProvider(env) {
+  const phrases = env.TRANSCRIPTION_FIXTURE_FILE
+    ? JSON.parse(fs.readFileSync(env.TRANSCRIPTION_FIXTURE_FILE, "utf-8"))
+    : DEFAULT_PHRASES;
+  const duration = Number(env.TRANSCRIPTION_FIXTURE_DURATION) || 5;
+
+  return {
+    async transcribe(filePath) {
+      const audio = await fs.promises.readFile(filePath);
+      if (!audio.length) return { text: "", language: "english", duration: 0, segments: [] };
+
+      const digest = crypto.createHash("sha1").update(audio).digest();
+      const phrase = phrases[digest.readUInt32BE(0) % phrases.length];
+      return {
+        text: phrase.text,
+        language: LANGUAGES[phrase.lang]?.whisper || "english",
+        duration,
+        segments: (phrase.segments || [phrase.text]).map((text, i, all) => ({
+          start: (duration * i) / all.length,
+          end: (duration * (i + 1)) / all.length,
+          text,
+        })),
+      };
+    },
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,67 @@
+/**
+ * METRI Meeting Assistant — Transcription Providers
+ * ─────────────────────────────────────────────────
+ * Every provider takes an audio file on disk and returns the same shape:
+ *   { text, lang, confidence, duration, segments: [{ start, end, text, lang, confidence }] }
+ * lang is one of options.languages (default English and Khmer, see
+ * ../languages) or "mixed", tagged per segment (./language) since speakers
+ * switch languages mid-chunk; the chunk's own tag covers all of it.
+ * options.prompt, when set, is passed to Whisper as its initial prompt
+ * (glossary spellings) and options.language as its language hint; the
+ * fixture provider ignores both.
+ *
+ * Pick one with TRANSCRIPTION_PROVIDER:
+ *   openai  — OpenAI Whisper API (default when OPENAI_API_KEY is set)
+ *   local   — self-hosted whisper.cpp / faster-whisper HTTP server
+ *   fixture — deterministic stand-in for tests and demo mode
+ */
+
+const { createOpenAIProvider } = require("./openai");
+const { createLocalProvider } = require("./local");
+const { createFixtureProvider } = require("./fixture");
+const { detectLanguage, languageRuns, windowEntries } = require("./language");
+const { DEFAULT_LANGUAGES } = require("../languages");
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fixture: createFixtureProvider,
+};
+
+/**
+ * Build the configured transcriber. Providers return Whisper's raw
+ * verbose_json shape; this wrapper normalizes it for the rest of the app.
+ */
+function createTranscriber(env = process.env) {
+  const name = (env.TRANSCRIPTION_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "fixture")).toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  const provider = factory(env);
+
+  return {
+    name,
+    async transcribe(filePath, options = {}) {
+      const raw = await provider.transcribe(filePath, options);
+      return normalizeResult(raw, options.languages || DEFAULT_LANGUAGES);
+    },
+  };
+}
+
+function normalizeResult(raw = {}, languages) {
+  const text = (raw.text || "").trim();
+  const segments = (raw.segments || [])
+    .map(s => ({ start: Number(s.start) || 0, end: Number(s.end) || 0, text: (s.text || "").trim() }))
+    .filter(s => s.text)
+    .map(s => ({ ...s, ...detectLanguage(s.text, raw.language, languages) }));
+
+  return {
+    text,
+    ...detectLanguage(text, raw.language, languages),
+    duration: Number(raw.duration) || 0,
+    segments,
+  };
+}
+
+module.exports = { createTranscriber, detectLanguage, languageRuns, windowEntries };
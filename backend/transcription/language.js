@@ -0,0 +1,145 @@
+/**
+ * Language of transcript segments.
+ * ────────────────────────────────
+ * Whisper's verbose_json names one language per request, but our
+ * meetings switch languages mid-sentence. Every segment is instead tagged
+ * from its own words — split with Intl.Segmenter, so Khmer, Thai and
+ * Chinese words are counted even without spaces — by script, among the
+ * languages the session allows (../languages):
+ *
+ *   one language — (nearly) all words in it; a loan word or an acronym
+ *                  below MIXED_SHARE doesn't count as a switch
+ *   mixed        — a real share of two or more
+ *
+ * Latin words all go to one Latin-script language: the one whose own
+ * letters appear (ơ → Vietnamese, ç → French), else the one Whisper
+ * heard, else the first allowed. Words in scripts the session doesn't
+ * allow are not counted.
+ *
+ * Confidence (0..1) is the share of words in the tagged language; for
+ * "mixed", how evenly the top two are split. It drops when Whisper heard
+ * another allowed language (romanized Khmer looks like English), and is
+ * 0.5 for segments with no words to go on (numbers, "…").
+ *
+ * A live window becomes one entry per run of segments in one language
+ * (windowEntries), after the overlap with the previous window is cut.
+ */
+
+const { LANGUAGES, DEFAULT_LANGUAGES, MIXED, fromWhisper } = require("../languages");
+
+const segmenter = new Intl.Segmenter("km", { granularity: "word" });
+const LATIN = /\p{Script=Latin}/u;
+
+const MIXED_SHARE = 0.2;
+const DISAGREE_FACTOR = 0.75;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/* The Latin-script language the Latin words of one text belong to, or null */
+function latinLanguage(words, latinAllowed, heard) {
+  const lettered = latinAllowed.find(code => LANGUAGES[code].letters && words.some(w => LANGUAGES[code].letters.test(w)));
+  if (lettered) return lettered;
+  if (latinAllowed.includes(heard)) return heard;
+  return latinAllowed[0] || null;
+}
+
+/**
+ * Tag a text → { lang: a code of `allowed` | "mixed", confidence }.
+ * whisperLang is the request-level language Whisper reported, if any.
+ */
+function detectLanguage(text, whisperLang, allowed = DEFAULT_LANGUAGES) {
+  const heard = fromWhisper(whisperLang);
+  const latinAllowed = allowed.filter(code => LANGUAGES[code].script === LANGUAGES.en.script);
+  const scripted = allowed.filter(code => !latinAllowed.includes(code));
+
+  const counts = new Map();
+  const latinWords = [];
+  for (const { segment, isWordLike } of segmenter.segment(String(text || ""))) {
+    if (!isWordLike) continue;
+    const code = scripted.find(c => LANGUAGES[c].script.test(segment));
+    if (code) counts.set(code, (counts.get(code) || 0) + 1);
+    else if (LATIN.test(segment)) latinWords.push(segment);
+  }
+  const latin = latinWords.length && latinLanguage(latinWords, latinAllowed, heard);
+  if (latin) counts.set(latin, latinWords.length);
+
+  const total = [...counts.values()].reduce((a, b) => a + b, 0);
+  if (!total) return { lang: allowed.includes(heard) ? heard : allowed[0], confidence: 0.5 };
+
+  const [[lang, top], second] = [...counts].sort((a, b) => b[1] - a[1]);
+  const share = top / total;
+  if (share < 1 - MIXED_SHARE) {
+    const split = top / (top + second[1]); // of the two largest
+    return { lang: MIXED, confidence: round(1 - Math.abs(split - 0.5) * 2) };
+  }
+  const disagrees = heard && heard !== lang && allowed.includes(heard);
+  return { lang, confidence: round(disagrees ? share * DISAGREE_FACTOR : share) };
+}
+
+/**
+ * Tagged segments → runs of consecutive segments in the same language,
+ * each { start, end, text, lang, confidence } (confidence weighted by
+ * text length). A chunk in one language stays one run.
+ */
+function languageRuns(segments) {
+  const runs = [];
+  for (const s of segments) {
+    const last = runs[runs.length - 1];
+    if (last && last.lang === s.lang) {
+      const a = last.text.length, b = s.text.length;
+      last.confidence = round((last.confidence * a + s.confidence * b) / (a + b));
+      last.text = `${last.text} ${s.text}`;
+      last.end = s.end;
+    } else {
+      runs.push({ start: s.start, end: s.end, text: s.text, lang: s.lang, confidence: s.confidence });
+    }
+  }
+  return runs;
+}
+
+/* The window's segments after dedupeOverlap cut a prefix off its text.
+   Without segments, or when they don't line up with the text, what is
+   left is one segment. */
+function keptSegments(result, text, languages) {
+  const tag = text === result.text ? { lang: result.lang, confidence: result.confidence } : detectLanguage(text, null, languages);
+  const whole = [{ start: result.segments[0]?.start ?? 0, end: result.segments.at(-1)?.end ?? result.duration, text, ...tag }];
+  const cut = result.text.length - text.length;
+
+  const kept = [];
+  let cursor = 0;
+  for (const s of result.segments) {
+    const at = result.text.indexOf(s.text, cursor);
+    if (at === -1) return whole;
+    cursor = at + s.text.length;
+    if (cursor <= cut) continue; // all overlap
+    if (at >= cut) {
+      kept.push(s);
+      continue;
+    }
+    const rest = s.text.slice(cut - at).replace(/^[\s,.;:!?។៕]+/, "");
+    if (rest) kept.push({ ...s, text: rest, ...detectLanguage(rest, null, languages) });
+  }
+  return kept.length ? kept : whole;
+}
+
+/**
+ * A window's de-duplicated text → entries { text, lang, lang_confidence,
+ * start, end }, split where the speaker switched language: Whisper's
+ * segments, less the cut overlap, joined into runs of one language.
+ * start/end are seconds from the start of the recording, so the Library
+ * can seek the saved audio. Segment times are relative to the window;
+ * when the overlap was de-duplicated, the first entry starts after it.
+ */
+function windowEntries(window, result, text, languages) {
+  const trimmedOverlap = text !== result.text;
+  const base = window.start / 1000;
+
+  return languageRuns(keptSegments(result, text, languages)).map((run, i) => {
+    let start = base + run.start;
+    if (trimmedOverlap && i === 0) start = Math.max(start, base + window.overlap / 1000);
+    const end = Math.min(base + run.end, window.end / 1000);
+    return { text: run.text, lang: run.lang, lang_confidence: run.confidence, start: round(start), end: round(Math.max(end, start)) };
+  });
+}
+
+module.exports = { detectLanguage, languageRuns, windowEntries };
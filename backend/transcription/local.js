@@ -0,0 +1,49 @@
+/**
+ * Self-hosted Whisper provider.
+ * ─────────────────────────────
+ * Talks to a whisper.cpp server (`/inference`) or any OpenAI-compatible
+ * faster-whisper server (`/v1/audio/transcriptions`) over HTTP, so meeting
+ * audio never leaves our own infrastructure.
+ *
+ *   LOCAL_WHISPER_URL   base URL of the server, e.g. http://localhost:8080
+ *   LOCAL_WHISPER_API   "whispercpp" (default) or "openai"
+ *   LOCAL_WHISPER_MODEL model name sent to OpenAI-compatible servers
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+function createLocalProvider(env) {
+  if (!env.LOCAL_WHISPER_URL) {
+    throw new Error("TRANSCRIPTION_PROVIDER=local requires LOCAL_WHISPER_URL");
+  }
+  const baseUrl = env.LOCAL_WHISPER_URL.replace(/\/$/, "");
+  const api = (env.LOCAL_WHISPER_API || "whispercpp").toLowerCase();
+  const timeout = Number(env.LOCAL_WHISPER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const url = api === "openai" ? `${baseUrl}/v1/audio/transcriptions` : `${baseUrl}/inference`;
+
+  return {
+    async transcribe(filePath, { prompt, language } = {}) {
+      const audio = await fs.promises.readFile(filePath);
+      const form = new FormData();
+      form.append("file", new Blob([audio]), path.basename(filePath));
+      form.append("response_format", "verbose_json");
+      if (api === "openai") form.append("model", env.LOCAL_WHISPER_MODEL || "Systran/faster-whisper-small");
+      if (prompt) form.append("prompt", prompt); // both servers take Whisper's initial prompt
+      if (language) form.append("language", language); // and its language hint
+
+      const res = await fetch(url, { method: "POST", body: form, signal: AbortSignal.timeout(timeout) });
+      if (!res.ok) {
+        const detail = await res.text().catch(() => "");
+        const err = new Error(`Local Whisper server responded ${res.status}${detail ? `: ${detail.slice(0, 200)}` : ""}`);
+        Object.assign(err, { status: res.status, headers: res.headers }); // lets the job queue retry 429 / 5xx
+        throw err;
+      }
+      return res.json();
+    },
+  };
+}
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,29 @@
+/**
+ * OpenAI Whisper API provider.
+ */
+
+const fs = require("fs");
+const { OpenAI } = require("openai");
+
+function createOpenAIProvider(env) {
+  if (!env.OPENAI_API_KEY) {
+    throw new Error("TRANSCRIPTION_PROVIDER=openai requires OPENAI_API_KEY");
+  }
+  const client = new OpenAI({ apiKey: env.OPENAI_API_KEY });
+  const model = env.WHISPER_MODEL || "whisper-1";
+
+  return {
+    async transcribe(filePath, { prompt, language } = {}) {
+      return client.audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model,
+        response_format: "verbose_json", // gives us language + segments
+        // No language hint → Whisper auto-detects the language
+        ...(language && { language }), // the session's forced language (ISO 639-1)
+        ...(prompt && { prompt }), // glossary spellings
+      });
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,118 @@
+/**
+ * METRI Meeting Assistant — Translation
+ * ─────────────────────────────────────
+ * Translation of transcript entries between English and the session's
+ * other languages (../languages), so half the room can follow what the
+ * other half said. Live windows are translated as they arrive; saved
+ * sessions can be translated afterwards. Every provider takes a batch
+ * of texts and returns { texts, tokens }.
+ *
+ * Pick one with TRANSLATION_PROVIDER:
+ *   openai         — GPT (default when OPENAI_API_KEY is set)
+ *   libretranslate — self-hosted LibreTranslate-compatible server
+ *                    (e.g. an NLLB wrapper, for Khmer) at LIBRETRANSLATE_URL
+ *   fixture        — deterministic "[km] …" stand-in, for tests
+ *   none           — translation turned off (default otherwise)
+ */
+
+const { OpenAI } = require("openai");
+const { DEFAULT_LANGUAGES, MIXED, languageName } = require("./languages");
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/* The language an entry is translated into: English lines into the
+   session's first other language (Khmer by default), everything else
+   into English. Lines that switch languages are followed by whoever
+   speaks both; English helps the rest. */
+const targetLanguage = (lang, languages = DEFAULT_LANGUAGES) =>
+  (lang === "en" ? languages.find(l => l !== "en") || "km" : "en");
+
+const PROVIDERS = {
+  none: () => null,
+
+  openai: (env) => {
+    if (!env.OPENAI_API_KEY) throw new Error("TRANSLATION_PROVIDER=openai requires OPENAI_API_KEY");
+    const client = new OpenAI({ apiKey: env.OPENAI_API_KEY });
+    const model = env.TRANSLATION_MODEL || "gpt-4o-mini";
+    return {
+      async translate(texts, from, to) {
+        const response = await client.chat.completions.create({
+          model,
+          response_format: { type: "json_object" },
+          messages: [
+            {
+              role: "system",
+              content: `You translate meeting transcript lines from ${languageName(from)} to ${languageName(to)}.
+Keep names, numbers and product terms as they are. Lines may be fragments of speech; translate them as spoken.
+Answer with a JSON object {"translations": [...]} holding one translation per input line, in the same order.`,
+            },
+            { role: "user", content: JSON.stringify({ lines: texts }) },
+          ],
+        });
+        let translations;
+        try {
+          translations = JSON.parse(response.choices[0].message.content).translations;
+        } catch { /* checked below */ }
+        if (!Array.isArray(translations) || translations.length !== texts.length) {
+          throw Object.assign(new Error("Translation was not valid JSON"), { retryable: true }); // the next attempt usually is
+        }
+        return { texts: translations.map(t => String(t ?? "").trim()), tokens: response.usage?.total_tokens || 0 };
+      },
+    };
+  },
+
+  libretranslate: (env) => {
+    if (!env.LIBRETRANSLATE_URL) throw new Error("TRANSLATION_PROVIDER=libretranslate requires LIBRETRANSLATE_URL");
+    const url = `${env.LIBRETRANSLATE_URL.replace(/\/$/, "")}/translate`;
+    const timeout = Number(env.LIBRETRANSLATE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    return {
+      async translate(texts, from, to) {
+        const res = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ q: texts, source: from === MIXED ? "auto" : from, target: to, format: "text", api_key: env.LIBRETRANSLATE_API_KEY || undefined }),
+          signal: AbortSignal.timeout(timeout),
+        });
+        if (!res.ok) {
+          const detail = await res.text().catch(() => "");
+          const err = new Error(`Translation server responded ${res.status}${detail ? `: ${detail.slice(0, 200)}` : ""}`);
+          Object.assign(err, { status: res.status, headers: res.headers }); // lets the job queue retry 429 / 5xx
+          throw err;
+        }
+        const { translatedText } = await res.json();
+        return { texts: [].concat(translatedText).map(t => String(t ?? "").trim()), tokens: 0 };
+      },
+    };
+  },
+
+  fixture: () => ({
+    async translate(texts, from, to) {
+      return { texts: texts.map(t => `[${to}] ${t}`), tokens: 0 };
+    },
+  }),
+};
+
+/**
+ * Build the configured translator, or one with `enabled: false` whose
+ * translate() refuses — callers check `enabled` before offering it.
+ */
+function createTranslator(env = process.env) {
+  const name = (env.TRANSLATION_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "none")).toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown TRANSLATION_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  const provider = factory(env);
+
+  return {
+    name,
+    enabled: !!provider,
+    async translate(texts, from, to) {
+      if (!provider) throw Object.assign(new Error("Translation is not configured (TRANSLATION_PROVIDER)"), { retryable: false });
+      if (!texts.length || from === to) return { texts: [...texts], tokens: 0 };
+      return provider.translate(texts, from, to);
+    },
+  };
+}
+
+module.exports = { createTranslator, targetLanguage };
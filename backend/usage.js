@@ -0,0 +1,117 @@
+/**
+ * METRI Meeting Assistant — Usage Metering & Quotas
+ * ─────────────────────────────────────────────────
+ * Every Whisper call is metered in audio seconds and every GPT call in
+ * tokens, per user per day. Limits come from the environment; 0 means
+ * unlimited:
+ *
+ *   QUOTA_DAILY_MINUTES    Whisper minutes per user per day   (default 120)
+ *   QUOTA_MONTHLY_MINUTES  Whisper minutes per user per month (default 1500)
+ *   QUOTA_DAILY_TOKENS     GPT tokens per user per day        (default 100000)
+ *   QUOTA_MONTHLY_TOKENS   GPT tokens per user per month      (default 1000000)
+ */
+
+const db = require("./database");
+
+const numberOr = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+
+const LIMITS = {
+  daily: {
+    minutes: numberOr(process.env.QUOTA_DAILY_MINUTES, 120),
+    tokens: numberOr(process.env.QUOTA_DAILY_TOKENS, 100000),
+  },
+  monthly: {
+    minutes: numberOr(process.env.QUOTA_MONTHLY_MINUTES, 1500),
+    tokens: numberOr(process.env.QUOTA_MONTHLY_TOKENS, 1000000),
+  },
+};
+
+/* Thrown before a metered call when the user is over a limit */
+class QuotaExceededError extends Error {
+  constructor({ resource, period, limit, used, resetsAt }) {
+    super(`${period === "daily" ? "Daily" : "Monthly"} ${resource} quota exceeded`);
+    this.name = "QuotaExceededError";
+    this.code = "quota_exceeded";
+    this.details = { resource, period, limit, used, resetsAt };
+  }
+}
+
+/* ── Calendar helpers (UTC) ── */
+const dayKey = (d = new Date()) => d.toISOString().slice(0, 10);
+const monthStart = (d = new Date()) => `${d.toISOString().slice(0, 7)}-01`;
+
+function resetTime(period, now = new Date()) {
+  const next = period === "daily"
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return next.toISOString();
+}
+
+/**
+ * Usage totals, limits and what's left for a user.
+ */
+async function getUsage(userId) {
+  const today = dayKey();
+  const rows = await db.getUsage(userId, monthStart());
+  const sum = (list, field) => list.reduce((n, r) => n + (r[field] || 0), 0);
+  const todayRows = rows.filter(r => r.day === today);
+
+  const used = {
+    daily: { minutes: sum(todayRows, "seconds") / 60, tokens: sum(todayRows, "tokens") },
+    monthly: { minutes: sum(rows, "seconds") / 60, tokens: sum(rows, "tokens") },
+  };
+
+  const remaining = {};
+  for (const resource of ["minutes", "tokens"]) {
+    const left = ["daily", "monthly"]
+      .filter(p => LIMITS[p][resource] > 0)
+      .map(p => Math.max(LIMITS[p][resource] - used[p][resource], 0));
+    remaining[resource] = left.length ? Math.min(...left) : null; // null = unlimited
+  }
+
+  return {
+    used: round(used),
+    limits: LIMITS,
+    remaining: round(remaining),
+    resetsAt: { daily: resetTime("daily"), monthly: resetTime("monthly") },
+  };
+}
+
+/**
+ * Throw QuotaExceededError if the user has no "minutes" or "tokens" left.
+ */
+async function checkQuota(userId, resource) {
+  const { used } = await getUsage(userId);
+  for (const period of ["daily", "monthly"]) {
+    const limit = LIMITS[period][resource];
+    if (limit > 0 && used[period][resource] >= limit) {
+      throw new QuotaExceededError({
+        resource,
+        period,
+        limit,
+        used: Math.round(used[period][resource] * 100) / 100,
+        resetsAt: resetTime(period),
+      });
+    }
+  }
+}
+
+async function recordTranscription(userId, seconds) {
+  if (seconds > 0) await db.addUsage(userId, dayKey(), { seconds });
+}
+
+async function recordTokens(userId, tokens) {
+  if (tokens > 0) await db.addUsage(userId, dayKey(), { tokens });
+}
+
+function round(obj) {
+  return JSON.parse(JSON.stringify(obj, (k, v) => (typeof v === "number" ? Math.round(v * 100) / 100 : v)));
+}
+
+module.exports = {
+  QuotaExceededError,
+  getUsage,
+  checkQuota,
+  recordTranscription,
+  recordTokens,
+};
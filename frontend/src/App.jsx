@@ -1,5 +1,20 @@
 import { useState, useEffect, useRef, useCallback } from "react";
-import { jsPDF } from "jspdf";
+import { fmtTime, fmtDur, fmtDate, insertByTime, textIn, saidIn, langTag, largeScript, unsureLang, otherLanguage, LANGUAGES, SOURCE_TAGS } from "./utils";
+import SessionView from "./SessionView";
+import ImportPanel from "./ImportPanel";
+import SearchResults from "./SearchResults";
+import AskPanel from "./AskPanel";
+import SideBySide, { SideBySideHeader } from "./SideBySide";
+import LiveViewer from "./LiveViewer";
+import LiveNotes from "./LiveNotes";
+import WorkspacesPanel from "./WorkspacesPanel";
+import GlossaryPanel from "./GlossaryPanel";
+import PublicSession from "./PublicSession";
+import LanguagePicker, { loadLanguageSettings } from "./LanguagePicker";
+import { startRecorder } from "./liveStream";
+import { openCapture } from "./audioCapture";
+import { VAD_HANGOVER_MS } from "./vad";
+import SourcePicker, { loadSourceSettings } from "./SourcePicker";
 import "./App.css";
 
 
@@ -9,13 +24,13 @@ const API_BASE = import.meta.env.VITE_API_URL || ""; // e.g. https://metri-api.o
 const API = `${API_BASE}/api`;
 const WS_BASE = API_BASE ? API_BASE.replace(/^http/, 'ws') : `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}`;
 const WS_URL = `${WS_BASE}/ws`;
-const CHUNK_INTERVAL_MS = 5000; // Send audio to Whisper every 5 seconds
-
-/* ─── Helpers ─── */
-const fmtTime = (d) => new Date(d).toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit", second: "2-digit" });
-const fmtDur = (s) => `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
-const fmtDate = (d) => new Date(d).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric", year: "numeric" });
-const isKhmer = (t) => /[\u1780-\u17FF]/.test(t);
+const WS_CLOSE_UNAUTHORIZED = 4401; // server closes unauthenticated sockets with this code
+const CHUNK_INTERVAL_MS = 1000; // MediaRecorder timeslice — the server reassembles and cuts at pauses
+const JOB_POLL_MS = 1500;
+const END_ACK_TIMEOUT_MS = 120000; // give up on audio_end_ack; retried windows can take a while
+const RECONNECT_BASE_MS = 1000;    // first reconnect delay, doubled each failed attempt
+const RECONNECT_MAX_MS = 30000;
+const EXPORT_FORMATS = [["txt", "TXT"], ["docx", "Word"], ["md", "Markdown"], ["srt", "SRT subtitles"], ["vtt", "WebVTT subtitles"], ["json", "JSON"]];
 
 /* ─── Wave bars component ─── */
 function Wave({ active, color = "#3b82f6", n = 6 }) {
@@ -36,6 +51,21 @@ function Wave({ active, color = "#3b82f6", n = 6 }) {
   );
 }
 
+/* ─── Live level of one audio source ─── */
+// `threshold` marks the level the voice activity detector counts as speech
+function LevelMeter({ icon, label, sub, level, threshold }) {
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, background: "#f0fdf4", border: "1px solid #bbf7d0", padding: "9px 14px", borderRadius: 11 }}>
+      <span style={{ fontSize: 17 }}>{icon}</span>
+      <div><div style={{ fontWeight: 700, color: "#16a34a", fontSize: 13 }}>{label}</div><div style={{ fontSize: 10, color: "#94a3b8" }}>{sub}</div></div>
+      <div style={{ position: "relative", width: 52, height: 6, background: "#dcfce7", borderRadius: 3, overflow: "hidden" }}>
+        <div style={{ height: "100%", background: level > .6 ? "#ef4444" : "#22c55e", width: `${Math.min(level * 100, 100)}%`, borderRadius: 3, transition: "width .08s, background .2s" }} />
+        {threshold != null && <div title="Speech threshold" style={{ position: "absolute", top: 0, bottom: 0, left: `${Math.min(threshold * 100, 100)}%`, width: 2, background: "#166534" }} />}
+      </div>
+    </div>
+  );
+}
+
 /* ─── Status dot ─── */
 function Dot({ color, pulse }) {
   return (
@@ -53,13 +83,21 @@ export default function App() {
   /* ─── UI state ─── */
   const [tab, setTab] = useState("meeting");
   const [isActive, setIsActive] = useState(false);
-  const [status, setStatus] = useState("idle"); // idle | connecting | listening | processing | error
+  const [status, setStatus] = useState("idle"); // idle | connecting | listening | processing | reconnecting | error
   const [transcripts, setTx] = useState([]);
   const [library, setLib] = useState([]);
   const [elapsed, setElapsed] = useState(0);
   const [sessionStart, setSStart] = useState(null);
   const [micLevel, setMicLevel] = useState(0);
+  const [tabLevel, setTabLevel] = useState(null); // null = no tab audio in the recording
+  const [vad, setVad] = useState(null); // { speaking, threshold } while recording
+  const [sources, setSources] = useState(loadSourceSettings); // { micId, tabAudio } for the next recording
+  const [micsAllowed, setMicsAllowed] = useState(0); // bumped once the browser can name the microphones
   const [filterLang, setFilter] = useState("all");
+  const [translateLive, setTranslateLive] = useState(() => localStorage.getItem("metri_translate") === "1");
+  const [sideBySide, setSideBySide] = useState(false);
+  const [langSettings, setLangSettings] = useState(loadLanguageSettings); // { languages, hint } for the next recording
+  const [translation, setTranslation] = useState(null); // server's translation provider, null = off
   const [toast, setToast] = useState(null);
   const [saveModal, setSave] = useState(false);
   const [saveTitle, setSaveTitle] = useState("");
@@ -81,20 +119,41 @@ export default function App() {
 
   /* --- New Features State --- */
   const [summarizing, setSummarizing] = useState(null); // sid
-  const [summary, setSummary] = useState({}); // sid -> text
   const [searchQuery, setSearch] = useState("");
-  const [searchResults, setSearchRes] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
+  const [openId, setOpenId] = useState(null); // Library session detail view
+  const [focusEntryId, setFocusEntry] = useState(null); // entry to jump to when opened from search
+  const [askOpen, setAskOpen] = useState(false);
+  const [askLog, setAskLog] = useState([]); // "ask your meetings" conversation
+  const [usageInfo, setUsage] = useState(null); // GET /api/usage
+  const [quotaHit, setQuotaHit] = useState(null); // last quota_exceeded message
+  const [retrying, setRetrying] = useState([]); // live window seqs waiting for a retry
+  const [finishing, setFinishing] = useState(0); // windows still being transcribed after Stop
+  const [share, setShare] = useState(null); // { code, viewers } while the live session is shared
+  const [liveNotes, setLiveNotes] = useState([]); // notes and flags from viewers
+  const [joinCode, setJoinCode] = useState(() => new URLSearchParams(location.search).get("join")); // watching someone else's session
+  const [joinInput, setJoinInput] = useState("");
+  const [workspaces, setWorkspaces] = useState([]); // GET /api/workspaces, with the user's role in each
+  const [libScope, setLibScope] = useState("all"); // all | personal | shared | <workspace id>
+  const [workspacesOpen, setWorkspacesOpen] = useState(false);
+  const [publicToken, setPublicToken] = useState(() => new URLSearchParams(location.search).get("share")); // read-only public link
 
 
   /* ─── Refs ─── */
   const wsRef = useRef(null);
-  const mediaRecRef = useRef(null);
-  const audioCtxRef = useRef(null);
-  const analyserRef = useRef(null);
-  const levelRafRef = useRef(null);
+  const recorderRef = useRef(null); // resumable MediaRecorder (./liveStream)
+  const captureRef = useRef(null); // microphone + tab audio mix (./audioCapture)
+  const liveRef = useRef(false); // recording, so a dropped socket is reconnected
+  const draftIdRef = useRef(null); // server-side draft the live session is written to
+  const resumingRef = useRef(false); // audio_start { resume } sent, waiting for its ack
+  const reconnectRef = useRef({ timer: null, attempt: 0 });
+  const onDropRef = useRef(() => { });
   const timerRef = useRef(null);
   const sessionRef = useRef([]);
+  const recordingIdRef = useRef(null); // server-side recording of the live session
+  const translateRef = useRef(translateLive); // read when a stream starts
+  const langRef = useRef(langSettings);
+  const streamLanguages = () => ({ languages: langRef.current.languages, languageHint: langRef.current.hint }); // for audio_start
   const feedRef = useRef(null);
 
   /* ─── Auto-scroll ─── */
@@ -137,19 +196,54 @@ export default function App() {
       .then(d => {
         setServerOnline(true);
         setApiKeyOk(d.whisper);
+        setTranslation(d.translation || null);
       })
       .catch(() => setServerOnline(false));
   }, []);
 
-  /* ─── Load library on mount / auth change ─── */
+  /* ─── Usage & quota ─── */
+  const fetchUsage = useCallback(() => {
+    authFetch(`${API}/usage`)
+      .then(r => r.json())
+      .then(d => { if (d.remaining) setUsage(d); })
+      .catch(() => { });
+  }, [authFetch]);
+
+  useEffect(() => {
+    if (!token) { setUsage(null); return; }
+    fetchUsage();
+  }, [token, fetchUsage]);
+
+  useEffect(() => {
+    if (!isActive) return;
+    const timer = setInterval(fetchUsage, 60000);
+    return () => { clearInterval(timer); fetchUsage(); };
+  }, [isActive, fetchUsage]);
+
+  /* ─── Load library on mount / auth change, and again when it is opened
+     (the live session's draft fills in while recording) ─── */
+  const loadLibrary = useCallback(() => {
+    authFetch(`${API}/sessions`)
+      .then(r => r.json())
+      .then(d => setLib(Array.isArray(d) ? d : []))
+      .catch(() => { });
+  }, [authFetch]);
+
   useEffect(() => {
     if (!token) {
       setLib([]);
+      setAskLog([]);
       return;
     }
-    authFetch(`${API}/sessions`)
+    loadLibrary();
+  }, [token, loadLibrary, tab]);
+
+  /* ─── Workspaces (team Libraries) ─── */
+  useEffect(() => {
+    if (!token) { setWorkspaces([]); return; }
+    authFetch(`${API}/workspaces`)
       .then(r => r.json())
-      .then(d => setLib(Array.isArray(d) ? d : []))
+      .then(d => setWorkspaces(Array.isArray(d) ? d : []))
       .catch(() => { });
   }, [token, authFetch]);
 
@@ -188,21 +282,84 @@ export default function App() {
       case "transcript":
         if (msg.text?.trim()) {
           const entry = {
-            id: Date.now() + Math.random(),
+            id: msg.id || Date.now() + Math.random(), // the entry's id in the draft
             text: msg.text.trim(),
             lang: msg.lang || "en",
-            time: msg.time || Date.now()
+            lang_confidence: msg.lang_confidence ?? null, // how sure the detection was
+            source: msg.source || null, // "local" mic | "remote" tab audio, when both were recorded
+            time: msg.time || Date.now(),
+            start: msg.start, // seconds into the recording
+            end: msg.end,
+            seq: msg.seq, // window number, which viewers' flags point at
+            translation: msg.translation || null, // { lang, text } when live translation is on
           };
-          setTx(p => [...p, entry]);
-          sessionRef.current = [...sessionRef.current, entry];
+          // A window that was retried arrives late — slot it in where it was spoken
+          setTx(p => insertByTime(p, entry));
+          sessionRef.current = insertByTime(sessionRef.current, entry);
         }
-        setStatus("listening");
+        setRetrying(p => p.filter(seq => seq !== msg.seq));
+        setStatus(s => s === "idle" ? s : "listening");
         break;
       case "processing":
-        setStatus("processing");
+        setStatus(s => s === "idle" ? s : "processing");
         break;
       case "silence":
-        setStatus("listening");
+        setRetrying(p => p.filter(seq => seq !== msg.seq));
+        setStatus(s => s === "idle" ? s : "listening");
+        break;
+      case "transcript_retry":
+        setRetrying(p => p.includes(msg.seq) ? p : [...p, msg.seq]);
+        break;
+      case "transcript_failed":
+        setRetrying(p => p.filter(seq => seq !== msg.seq));
+        setStatus(s => s === "idle" ? s : "listening");
+        toast$(msg.message || "Transcription failed", "warn");
+        break;
+      case "quota_exceeded": {
+        const resets = new Date(msg.resetsAt).toLocaleString("en-US", { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+        toast$(`${msg.message}. Resets ${resets}.`, "warn");
+        setQuotaHit(msg);
+        break;
+      }
+      case "audio_start_ack":
+        recordingIdRef.current = msg.recordingId || null;
+        draftIdRef.current = msg.draftId || null;
+        if (resumingRef.current) {
+          resumingRef.current = false;
+          setStatus("listening");
+          if (msg.resumed && recorderRef.current?.resend(msg.received)) {
+            // Lines transcribed while the socket was down are already in the draft
+            const known = new Set(sessionRef.current.map(e => e.id));
+            const missed = msg.entries.filter(e => !known.has(e.id));
+            sessionRef.current = missed.reduce(insertByTime, sessionRef.current);
+            setTx(sessionRef.current);
+            toast$("Reconnected ✓");
+          } else {
+            // The server could not pick up where we were: start a new recording
+            if (msg.resumed) wsRef.current?.send(JSON.stringify({ type: "audio_start", mimeType: recorderRef.current?.recorder.mimeType, translate: translateRef.current, ...streamLanguages() }));
+            recorderRef.current?.restart();
+            toast$("Reconnected as a new recording — the part before the drop is a draft in your Library.", "warn");
+          }
+        }
+        break;
+      case "share_ack":
+        setShare(msg.code ? { code: msg.code, viewers: msg.viewers } : null);
+        break;
+      case "viewers":
+        setShare(p => p && { ...p, viewers: msg.viewers });
+        break;
+      case "note":
+        setLiveNotes(p => [...p, msg.note]);
+        if (msg.note.kind === "flag") toast$(`🚩 ${msg.note.author} flagged ${msg.note.quote ? "a line" : "a moment"}${msg.note.text ? `: ${msg.note.text}` : ""}`);
+        break;
+      case "audio_end_pending":
+        // Windows still queued or retrying; their text fills in before the ack
+        setFinishing(msg.pending);
+        break;
+      case "audio_end_ack":
+        // Every window of the stream is settled — safe to hang up
+        setRetrying([]); setFinishing(0);
+        if (wsRef.current) { wsRef.current.close(); wsRef.current = null; }
         break;
       case "error":
         console.error("Server error:", msg.message);
@@ -216,14 +373,10 @@ export default function App() {
 
   const connectWS = useCallback(() => {
     return new Promise((resolve, reject) => {
-      const ws = new WebSocket(WS_URL);
+      // Browsers can't set headers on WebSocket, so the JWT rides in the query string
+      const ws = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token || "")}`);
       ws.binaryType = "arraybuffer";
-
-      ws.onopen = () => {
-        wsRef.current = ws;
-        console.log("[WS] Connected to", WS_URL);
-        resolve(ws);
-      };
+      let welcomed = false;
 
       ws.onerror = (err) => {
         console.error("[WS] Connection error:", err);
@@ -233,6 +386,14 @@ export default function App() {
       ws.onmessage = (event) => {
         try {
           const msg = JSON.parse(event.data);
+          if (msg.type === "connected" && !welcomed) {
+            // Server only welcomes authenticated sockets
+            welcomed = true;
+            wsRef.current = ws;
+            console.log("[WS] Connected to", WS_URL);
+            resolve(ws);
+            return;
+          }
           handleServerMessage(msg);
         } catch (e) {
           console.error("[WS] Message parse error:", e);
@@ -242,46 +403,54 @@ export default function App() {
       ws.onclose = (e) => {
         console.log("[WS] Closed:", e.code, e.reason);
         if (wsRef.current === ws) wsRef.current = null;
+        setFinishing(0);
+        if (e.code === WS_CLOSE_UNAUTHORIZED) {
+          toast$("Your session has expired. Please log in again.", "warn");
+          logout();
+          reject(new Error("Unauthorized"));
+        } else if (!welcomed) {
+          reject(new Error("WebSocket connection failed"));
+        } else if (liveRef.current) {
+          onDropRef.current(); // still recording: reconnect and resume
+        }
       };
     });
-  }, [handleServerMessage]);
-
-  /* ══ MIC SETUP ══ */
-  const setupMic = useCallback(async () => {
-    const stream = await navigator.mediaDevices.getUserMedia({
-      audio: { echoCancellation: true, noiseSuppression: true, sampleRate: 16000 },
+  }, [handleServerMessage, token, toast$, logout]);
+
+  /* ══ AUDIO SOURCES ══ */
+  /* The chosen mic (and tab audio) mixed into one stream, with a meter each */
+  const setupCapture = useCallback(async () => {
+    const capture = await openCapture({
+      ...sources,
+      onLevels: ({ mic, tab, speaking, threshold }) => {
+        setMicLevel(mic);
+        setTabLevel(l => (l === null ? null : tab));
+        setVad(v => (v?.speaking === speaking && v.threshold === threshold ? v : { speaking, threshold }));
+      },
     });
-
-    /* Audio level meter */
-    const ctx = new AudioContext();
-    audioCtxRef.current = ctx;
-    const src = ctx.createMediaStreamSource(stream);
-    const an = ctx.createAnalyser(); an.fftSize = 256; an.smoothingTimeConstant = 0.75;
-    src.connect(an);
-    analyserRef.current = an;
-    const data = new Uint8Array(an.frequencyBinCount);
-    const tick = () => {
-      levelRafRef.current = requestAnimationFrame(tick);
-      an.getByteFrequencyData(data);
-      setMicLevel(data.reduce((s, v) => s + v, 0) / data.length / 128);
-    };
-    tick();
-
-    return stream;
-  }, []);
+    setTabLevel(capture.hasTab ? 0 : null);
+    capture.onTabEnded(() => {
+      setTabLevel(null);
+      toast$("Tab audio stopped — still recording the microphone.", "warn");
+    });
+    setMicsAllowed(n => n + 1); // device names are known now
+    return capture;
+  }, [sources, toast$]);
 
   /* ══ START SESSION ══ */
   const startSession = useCallback(async () => {
+    let capture = null;
     try {
       setStatus("connecting");
-      setTx([]); sessionRef.current = [];
+      setTx([]); sessionRef.current = []; recordingIdRef.current = null; draftIdRef.current = null; setQuotaHit(null); setRetrying([]); setFinishing(0);
+      setShare(null); setLiveNotes([]);
+
+      /* Microphone and tab audio — first, while the click still lets us ask for a tab */
+      capture = await setupCapture();
 
       /* Connect WebSocket */
       const ws = await connectWS();
 
-      /* Setup microphone */
-      const stream = await setupMic();
-
       /* Timer */
       const startTime = Date.now();
       setSStart(new Date()); setElapsed(0);
@@ -291,57 +460,97 @@ export default function App() {
       const mimeType = getSupportedMimeType();
 
       /* Tell server we're starting */
-      ws.send(JSON.stringify({ type: "audio_start", mimeType }));
-
-      /* MediaRecorder — sends a chunk every CHUNK_INTERVAL_MS */
-      const recorder = new MediaRecorder(stream, { mimeType });
-      mediaRecRef.current = recorder;
-
-      recorder.ondataavailable = async (e) => {
-        if (e.data.size < 1000) return; // skip tiny/empty chunks
-        if (ws.readyState === WebSocket.OPEN) {
-          const buf = await e.data.arrayBuffer();
-          ws.send(buf); // send binary audio to backend
-        }
-      };
+      ws.send(JSON.stringify({ type: "audio_start", mimeType, translate: translateRef.current, ...streamLanguages() }));
+
+      /* MediaRecorder — a chunk every CHUNK_INTERVAL_MS, queued until the
+         socket takes it (./liveStream); after the final chunk, ask the
+         server to transcribe the tail */
+      captureRef.current = capture;
+      liveRef.current = true;
+      recorderRef.current = startRecorder(capture.stream, {
+        mimeType,
+        timeslice: CHUNK_INTERVAL_MS,
+        // The VAD says where the pauses are; the server only transcribes chunks with speech
+        isSilent: () => !capture.vad.speaking,
+        hasSpeech: () => capture.vad.takeSpeech(),
+        source: () => capture.source(CHUNK_INTERVAL_MS), // local / remote when tab audio is mixed in
+        send: (meta, buf) => {
+          const socket = wsRef.current;
+          if (socket?.readyState !== WebSocket.OPEN || resumingRef.current) return false;
+          socket.send(JSON.stringify(meta));
+          socket.send(buf); // binary audio
+          return true;
+        },
+        onStopped: () => {
+          const socket = wsRef.current;
+          if (socket?.readyState !== WebSocket.OPEN) return; // the server ends the stream itself
+          socket.send(JSON.stringify({ type: "audio_end" }));
+          setTimeout(() => { if (socket.readyState === WebSocket.OPEN) socket.close(); }, END_ACK_TIMEOUT_MS);
+        },
+      });
 
-      recorder.start(CHUNK_INTERVAL_MS);
       setIsActive(true);
       setStatus("listening");
     } catch (err) {
       console.error("Start error:", err);
+      if (capture && captureRef.current !== capture) {
+        capture.stop();
+        setMicLevel(0); setTabLevel(null); setVad(null);
+      }
       setStatus("error");
-      if (err.name === "NotAllowedError") {
+      if (err.name === "NoTabAudio") {
+        toast$(err.message, "warn");
+      } else if (err.name === "NotAllowedError") {
         toast$("Microphone access denied. Please allow mic access and try again.", "warn");
       } else if (err.message?.includes("WebSocket")) {
         toast$("Cannot connect to METRI server. Is the backend running?", "warn");
+      } else if (err.message === "Unauthorized") {
+        // connectWS already logged out and explained why
       } else {
         toast$(err.message || "Could not start session.", "warn");
       }
     }
-  }, [connectWS, setupMic, toast$]);
+  }, [connectWS, setupCapture, toast$]);
+
+  /* ══ RECONNECT ══
+     A dropped socket mid-meeting: retry with backoff and resume the same
+     stream and draft. The recorder keeps queueing chunks meanwhile. */
+  const reconnect = useCallback(() => {
+    const attempt = reconnectRef.current.attempt++;
+    setStatus("reconnecting");
+    reconnectRef.current.timer = setTimeout(async () => {
+      if (!liveRef.current) return;
+      try {
+        const ws = await connectWS();
+        reconnectRef.current.attempt = 0;
+        resumingRef.current = true;
+        ws.send(JSON.stringify({ type: "audio_start", mimeType: recorderRef.current?.recorder.mimeType, translate: translateRef.current, ...streamLanguages(), resume: draftIdRef.current }));
+      } catch (err) {
+        if (liveRef.current && err.message !== "Unauthorized") reconnect();
+      }
+    }, Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt));
+  }, [connectWS]);
+
+  useEffect(() => { onDropRef.current = reconnect; }, [reconnect]);
 
   /* ══ STOP SESSION ══ */
   const stopSession = useCallback(() => {
-    /* Stop recorder */
-    if (mediaRecRef.current?.state !== "inactive") {
-      mediaRecRef.current?.stop();
-    }
-    mediaRecRef.current?.stream?.getTracks().forEach(t => t.stop());
-    mediaRecRef.current = null;
-
-    /* Close WebSocket */
-    if (wsRef.current) {
-      wsRef.current.send(JSON.stringify({ type: "audio_end" }));
+    /* Stop recorder — after its last chunk it sends audio_end; the socket closes on audio_end_ack */
+    liveRef.current = false;
+    resumingRef.current = false;
+    clearTimeout(reconnectRef.current.timer);
+    reconnectRef.current.attempt = 0;
+    if (recorderRef.current && recorderRef.current.recorder.state !== "inactive") {
+      recorderRef.current.stop();
+    } else if (wsRef.current) {
       wsRef.current.close();
       wsRef.current = null;
     }
+    recorderRef.current = null;
 
-    /* Stop audio context */
-    cancelAnimationFrame(levelRafRef.current);
-    audioCtxRef.current?.close().catch(() => { });
-    audioCtxRef.current = null;
-    analyserRef.current = null;
+    /* Release the microphone and tab */
+    captureRef.current?.stop();
+    captureRef.current = null;
 
     /* Stop timer */
     clearInterval(timerRef.current);
@@ -349,26 +558,77 @@ export default function App() {
     setIsActive(false);
     setStatus("idle");
     setMicLevel(0);
+    setTabLevel(null);
+    setVad(null);
+    setShare(null); // viewers get the remaining lines, then the share ends with the socket
   }, []);
 
+  /* Out of Whisper minutes → stop listening (what was transcribed stays) */
+  useEffect(() => {
+    if (quotaHit && isActive) stopSession();
+  }, [quotaHit, isActive, stopSession]);
+
   /* ══ SAVE SESSION ══ */
   const saveSession = useCallback(async () => {
     if (!sessionRef.current.length) { toast$("Nothing recorded yet.", "warn"); return; }
     const title = saveTitle.trim() || `Meeting — ${fmtDate(sessionStart)}`;
     try {
-      const res = await authFetch(`${API}/sessions`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ title, date: sessionStart, duration: elapsed, entries: sessionRef.current }),
-      });
+      // The server has been writing a draft all along; saving just keeps it
+      const res = draftIdRef.current
+        ? await authFetch(`${API}/sessions/${draftIdRef.current}/save`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ title, duration: elapsed }),
+        })
+        : await authFetch(`${API}/sessions`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ title, date: sessionStart, duration: elapsed, entries: sessionRef.current, recordingId: recordingIdRef.current, ...streamLanguages() }),
+        });
       const saved = await res.json();
-      setLib(p => [saved, ...p]);
+      if (!res.ok) throw new Error(saved.error);
+      setLib(p => [saved, ...p.filter(s => s.id !== saved.id)]);
       setSave(false); setSaveTitle(""); toast$(`"${title}" saved ✓`);
     } catch {
       toast$("Failed to save. Is the backend running?", "warn");
     }
   }, [saveTitle, sessionStart, elapsed, toast$, authFetch]);
 
+  /* ══ REPLACE SESSION (after rename / diarization) ══ */
+  const replaceSession = useCallback((updated) => {
+    setLib(p => p.map(s => s.id === updated.id ? updated : s));
+  }, []);
+
+  /* ══ IMPORTED SESSION (background import finished) ══ */
+  const addImportedSession = useCallback(async (id) => {
+    try {
+      const res = await authFetch(`${API}/sessions/${id}`);
+      if (!res.ok) throw new Error();
+      const session = await res.json();
+      setLib(p => [session, ...p.filter(s => s.id !== id)]);
+      toast$(`Imported "${session.title}" — ${session.entries.length} entries.`);
+    } catch {
+      toast$("Import finished, but the session could not be loaded.", "warn");
+    }
+  }, [authFetch, toast$]);
+
+  /* ══ RECOVER DRAFT (a live session that was never saved — tab closed, crash) ══ */
+  const recoverDraft = useCallback(async (id) => {
+    try {
+      const res = await authFetch(`${API}/sessions/${id}/save`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({}),
+      });
+      const saved = await res.json();
+      if (!res.ok) throw new Error(saved.error);
+      setLib(p => p.map(s => (s.id === saved.id ? saved : s)));
+      toast$(`"${saved.title}" recovered ✓`);
+    } catch (err) {
+      toast$(err.message || "Could not recover the draft.", "warn");
+    }
+  }, [authFetch, toast$]);
+
   /* ══ DELETE SESSION ══ */
   const deleteSession = useCallback(async (id) => {
     if (!confirm("Delete this transcript?")) return;
@@ -381,57 +641,50 @@ export default function App() {
     }
   }, [toast$, authFetch]);
 
-  /* ══ DOWNLOAD SESSION ══ */
-  const downloadSession = useCallback((id) => {
-    authFetch(`${API}/sessions/${id}/download`)
-      .then(r => r.blob())
-      .then(blob => {
+  /* ══ DOWNLOAD SESSION (format: txt | srt | vtt | docx | md | json | pdf) ══ */
+  const downloadSession = useCallback((id, format = "txt") => {
+    authFetch(`${API}/sessions/${id}/download?format=${format}`)
+      .then(async r => {
+        if (!r.ok) throw new Error();
+        const name = /filename="([^"]+)"/.exec(r.headers.get("Content-Disposition") || "")?.[1];
+        return [await r.blob(), name || `transcript_${id}.${format}`];
+      })
+      .then(([blob, name]) => {
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `transcript_${id}.txt`;
+        a.download = name;
         a.click();
-      });
+        setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+      })
+      .catch(() => toast$("Download failed.", "warn"));
+  }, [authFetch, toast$]);
+
+  /* ══ WAIT FOR JOB (background queue; retries happen server-side) ══ */
+  const waitForJob = useCallback(async (id) => {
+    for (;;) {
+      const job = await authFetch(`${API}/jobs/${id}`).then(r => r.json());
+      if (job.status === "done" || job.status === "failed" || !job.status) return job;
+      await new Promise(r => setTimeout(r, JOB_POLL_MS));
+    }
   }, [authFetch]);
 
-  /* ══ PDF EXPORT ══ */
-  const exportPDF = useCallback((session) => {
-    const doc = new jsPDF();
-    doc.setFontSize(20);
-    doc.text("METRI Transcript", 20, 20);
-    doc.setFontSize(12);
-    doc.text(`Title: ${session.title}`, 20, 30);
-    doc.text(`Date: ${fmtDate(session.date)}`, 20, 38);
-    doc.text(`Duration: ${fmtDur(session.duration)}`, 20, 46);
-    doc.line(20, 52, 190, 52);
-
-    let y = 60;
-    session.entries.forEach(e => {
-      if (y > 270) { doc.addPage(); y = 20; }
-      doc.setFont("helvetica", "bold");
-      doc.text(`[${fmtTime(e.time)}] ${e.lang === 'km' ? 'Khmer' : 'English'}:`, 20, y);
-      doc.setFont("helvetica", "normal");
-      const lines = doc.splitTextToSize(e.text, 160);
-      doc.text(lines, 30, y + 7);
-      y += 10 + (lines.length * 7);
-    });
-
-    doc.save(`${session.title.replace(/\s+/g, '_')}.pdf`);
-    toast$("PDF generated!");
-  }, [toast$]);
-
-  /* ══ SUMMARIZE SESSION ══ */
-  const summarizeSession = useCallback(async (id) => {
+  /* ══ SUMMARIZE SESSION (stored on the server; regenerate costs tokens again) ══ */
+  const summarizeSession = useCallback(async (id, regenerate = false) => {
     setSummarizing(id);
     try {
       const res = await authFetch(`${API}/summarize`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ sessionId: id }),
+        body: JSON.stringify({ sessionId: id, regenerate }),
       });
-      const data = await res.json();
+      let data = await res.json();
+      if (data.job) {
+        const job = await waitForJob(data.job.id);
+        data = job.result || { error: job.error };
+      }
       if (data.summary) {
-        setSummary(p => ({ ...p, [id]: data.summary }));
+        setLib(p => p.map(s => s.id === id ? { ...s, summary: data.summary } : s));
         toast$("Summary generated!");
       } else {
         toast$(data.error || "Could not summarize.", "warn");
@@ -441,37 +694,61 @@ export default function App() {
     } finally {
       setSummarizing(null);
     }
-  }, [toast$, authFetch]);
+  }, [toast$, authFetch, waitForJob]);
 
-  /* ══ SEARCH TRANSCRIPTS ══ */
-  useEffect(() => {
-    if (!searchQuery.trim() || !token) {
-      setSearchRes([]);
-      setIsSearching(false);
-      return;
-    }
-    const timer = setTimeout(async () => {
-      setIsSearching(true);
-      try {
-        const res = await authFetch(`${API}/search?q=${encodeURIComponent(searchQuery)}`);
-        const data = await res.json();
-        setSearchRes(data);
-      } catch (err) {
-        console.error("Search error:", err);
-      } finally {
-        setIsSearching(false);
-      }
-    }, 400);
-    return () => clearTimeout(timer);
-  }, [searchQuery, token, authFetch]);
+  /* ══ SEARCH TRANSCRIPTS / ASK CITATIONS → open a session at an entry ══ */
+  const openSearchResult = useCallback((sessionId, entryId) => {
+    setFocusEntry(entryId);
+    setOpenId(sessionId);
+  }, []);
+
+  /* ══ LANGUAGES (apply to the next recording; a stream keeps the ones it started with) ══ */
+  const changeLanguages = (next) => {
+    setLangSettings(next);
+    langRef.current = next;
+  };
+
+  /* ══ LIVE TRANSLATION (applies to the running stream and the next ones) ══ */
+  const toggleTranslate = () => {
+    const next = !translateLive;
+    setTranslateLive(next);
+    translateRef.current = next;
+    localStorage.setItem("metri_translate", next ? "1" : "0");
+    if (wsRef.current?.readyState === WebSocket.OPEN) wsRef.current.send(JSON.stringify({ type: "translate", enabled: next }));
+  };
 
+  /* ══ LIVE SHARING (host) ══ */
+  const toggleShare = () => {
+    if (wsRef.current?.readyState !== WebSocket.OPEN) return;
+    wsRef.current.send(JSON.stringify({ type: share ? "share_stop" : "share_start" }));
+  };
 
+  const shareLink = share ? `${location.origin}${location.pathname}?join=${share.code}` : "";
+  const copyShareLink = () => {
+    navigator.clipboard.writeText(shareLink).then(() => toast$("Link copied ✓"), () => toast$(`Share code: ${share.code}`));
+  };
 
-  /* ── Displayed transcripts ── */
-  const displayed = filterLang === "all" ? transcripts : transcripts.filter(t => t.lang === filterLang);
-  const enCnt = transcripts.filter(t => t.lang === "en").length;
-  const kmCnt = transcripts.filter(t => t.lang === "km").length;
-  const ringGlow = Math.min(micLevel * 1.5, 1);
+  /* ══ LIVE SHARING (viewer) ══ */
+  const leaveLive = useCallback(() => {
+    setJoinCode(null);
+    if (location.search.includes("join=")) history.replaceState(null, "", location.pathname);
+  }, []);
+
+  /* ── Displayed transcripts (a language filter also shows entries translated into it) ── */
+  const displayed = filterLang === "all" ? transcripts : transcripts.filter(t => textIn(t, filterLang) !== null);
+  const langCount = (lang) => transcripts.filter(t => t.lang === lang).length;
+  const mixedCnt = langCount("mixed");
+  const inputLevel = Math.max(micLevel, tabLevel || 0);
+  const vadInfo = vad && `speech ≥ ${Math.round(vad.threshold * 100)}% · pause ${VAD_HANGOVER_MS / 1000} s`; // the VAD's thresholds, by the meters
+  const ringGlow = Math.min(inputLevel * 1.5, 1);
+  const openSession = openId ? library.find(s => s.id === openId) : null;
+  const inScope = (s, scope) =>
+    scope === "all" ||
+    (scope === "personal" ? !s.workspace_id && s.role === "owner"
+      : scope === "shared" ? s.role !== "owner" && !workspaces.some(w => w.id === s.workspace_id)
+        : s.workspace_id === scope);
+  const shownLibrary = library.filter(s => inScope(s, libScope));
+  const workspaceName = (id) => workspaces.find(w => w.id === id)?.name;
 
   const SETUP_STEPS = {
     windows: [
@@ -494,9 +771,16 @@ export default function App() {
     ],
   };
 
+  const closePublic = () => {
+    setPublicToken(null);
+    history.replaceState(null, "", location.pathname);
+  };
+
   /* ════════════════════════════════ RENDER ════════════════════════════════ */
+  if (publicToken) return <PublicSession api={API} token={publicToken} onExit={closePublic} />;
+
   return (
-    <div style={{ minHeight: "100vh", background: "var(--bg-gradient)", fontFamily: "'Plus Jakarta Sans','Noto Sans Khmer',system-ui,sans-serif", color: "#1a2233", fontSize: 14 }}>
+    <div style={{ minHeight: "100vh", background: "var(--bg-gradient)", fontFamily: "'Plus Jakarta Sans','Noto Sans Khmer','Noto Sans Thai',system-ui,sans-serif", color: "#1a2233", fontSize: 14 }}>
 
 
       {/* ── Toast ── */}
@@ -529,7 +813,7 @@ export default function App() {
               <div style={{ fontSize: 20, fontWeight: 800 }}>📡 Online Meeting Setup</div>
               <button onClick={() => setSetup(false)} style={{ background: "none", border: "none", color: "#94a3b8", fontSize: 20, lineHeight: 1, padding: 4 }}>✕</button>
             </div>
-            <div style={{ fontSize: 13, color: "#64748b", marginBottom: 18, lineHeight: 1.65 }}>Route meeting audio through your mic so METRI captures all speakers:</div>
+            <div style={{ fontSize: 13, color: "#64748b", marginBottom: 18, lineHeight: 1.65 }}>Meeting in a browser tab (Chrome or Edge)? Turn on <strong>🖥️ Tab audio</strong> under the mic button, then pick the meeting tab and tick "Share tab audio" — no setup needed. For the desktop apps, route meeting audio through your mic so METRI captures all speakers:</div>
             <div style={{ display: "flex", gap: 5, marginBottom: 18, background: "#f1f5f9", padding: 4, borderRadius: 10 }}>
               {[["windows", "🪟 Windows"], ["mac", "🍎 Mac"], ["chromebook", "🔵 Chromebook"]].map(([os, label]) => (
                 <button key={os} onClick={() => setOS(os)} style={{ flex: 1, padding: "7px 4px", borderRadius: 8, border: "none", fontWeight: 700, fontSize: 12, background: setupOS === os ? "#1d4ed8" : "transparent", color: setupOS === os ? "#fff" : "#64748b", transition: "all .15s" }}>{label}</button>
@@ -587,9 +871,9 @@ export default function App() {
 
               {/* Tabs */}
               <div style={{ display: "flex", gap: 3, background: "#f1f5f9", padding: 3, borderRadius: 10 }}>
-                {["meeting", "library"].map(t => (
+                {["meeting", "library", "settings"].map(t => (
                   <button key={t} onClick={() => setTab(t)} style={{ padding: "6px 14px", borderRadius: 8, border: "none", fontWeight: 700, fontSize: 13, transition: "all .15s", background: tab === t ? "#1d4ed8" : "transparent", color: tab === t ? "#fff" : "#64748b", boxShadow: tab === t ? "0 3px 10px rgba(29,78,216,.3)" : "none" }}>
-                    {t === "library" ? `Library${library.length ? ` (${library.length})` : ""}` : "Meeting"}
+                    {t === "library" ? `Library${library.length ? ` (${library.length})` : ""}` : t === "settings" ? "⚙ Settings" : "Meeting"}
                   </button>
                 ))}
               </div>
@@ -648,7 +932,11 @@ export default function App() {
           </div>
         )}
 
-        {user && tab === "meeting" && (
+        {user && tab === "meeting" && joinCode && (
+          <LiveViewer wsUrl={WS_URL} token={token} code={joinCode} onLeave={leaveLive} toast$={toast$} />
+        )}
+
+        {user && tab === "meeting" && !joinCode && (
 
           <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
 
@@ -682,16 +970,34 @@ export default function App() {
                   <>
                     <div style={{ fontSize: 22, fontWeight: 800, marginBottom: 8 }}>Ready to Listen</div>
                     <div style={{ fontSize: 14, color: "#64748b", lineHeight: 1.7 }}>
-                      Tap the mic to transcribe in <strong style={{ color: "#3b82f6" }}>English</strong> or <strong style={{ color: "#d97706" }}>ភាសាខ្មែរ</strong> — automatically.<br />
+                      Tap the mic to transcribe in {langSettings.languages.map((l, i) => (
+                        <span key={l}>{i > 0 && (i === langSettings.languages.length - 1 ? " or " : ", ")}<strong style={{ color: langTag(l).color }}>{langTag(l).name}</strong></span>
+                      ))} — automatically.<br />
                       <button onClick={() => setSetup(true)} style={{ background: "none", border: "none", color: "#8b5cf6", fontWeight: 700, fontSize: 13, textDecoration: "underline", padding: 0, marginTop: 4 }}>📡 Using an online meeting? See setup guide</button>
                     </div>
+                    {finishing > 0 && (
+                      <div title="The last lines are still being transcribed; they appear here before the session is closed" style={{ display: "inline-block", marginTop: 10, padding: "4px 12px", borderRadius: 20, background: "#fffbeb", fontSize: 12, fontWeight: 700, color: "#d97706" }}>
+                        ⏳ Still transcribing {finishing} {finishing === 1 ? "chunk" : "chunks"} of audio…
+                      </div>
+                    )}
                   </>
                 ) : (
                   <>
                     <div style={{ fontSize: 20, fontWeight: 800, marginBottom: 5 }}>
-                      {status === "processing" ? "🔄 Transcribing…" : micLevel > 0.1 ? "🗣️ Speech detected" : "👂 Listening…"}
+                      {status === "reconnecting" ? "📡 Reconnecting…" : status === "processing" ? "🔄 Transcribing…" : vad?.speaking ? "🗣️ Speech detected" : "👂 Listening…"}
+                    </div>
+                    <div style={{ fontSize: 13, color: "#64748b" }}>
+                      {status === "reconnecting" ? "Still recording — nothing is lost; the transcript catches up once the connection is back." : "Powered by OpenAI Whisper · Auto language detection"}
+                    </div>
+                    <div style={{ display: "inline-flex", alignItems: "center", gap: 8, marginTop: 10, padding: "4px 12px", borderRadius: 20, background: "#f1f5f9", fontSize: 12, fontWeight: 700, color: "#475569", fontVariantNumeric: "tabular-nums" }}>
+                      <span>⏱ {fmtDur(elapsed)}</span>
+                      {usageInfo?.remaining.minutes != null && (
+                        <span style={{ color: usageInfo.remaining.minutes < 10 ? "#d97706" : "#94a3b8" }}>· {Math.floor(usageInfo.remaining.minutes)} min left</span>
+                      )}
+                      {retrying.length > 0 && (
+                        <span title="Whisper was busy; these lines will be filled in when the retry succeeds" style={{ color: "#d97706" }}>· ⏳ {retrying.length} retrying</span>
+                      )}
                     </div>
-                    <div style={{ fontSize: 13, color: "#64748b" }}>Powered by OpenAI Whisper · Auto language detection</div>
                   </>
                 )}
               </div>
@@ -727,29 +1033,32 @@ export default function App() {
                 </button>
               </div>
 
+              {/* Sources and languages of the next recording */}
+              {!isActive && (
+                <div style={{ display: "flex", flexDirection: "column", gap: 8, marginBottom: 14 }}>
+                  <SourcePicker value={sources} onChange={setSources} disabled={status === "connecting"} refresh={micsAllowed} />
+                  <LanguagePicker value={langSettings} onChange={changeLanguages} disabled={status === "connecting"} />
+                </div>
+              )}
+
               {/* Language pills + mic meter */}
               <div style={{ display: "flex", gap: 10, flexWrap: "wrap", justifyContent: "center" }}>
-                {[
-                  { lang: "en", label: "English", flag: "🇺🇸", color: "#3b82f6", bg: "#eff6ff", border: "#bfdbfe", count: enCnt, cbg: "#dbeafe", cc: "#1d4ed8" },
-                  { lang: "km", label: "ភាសាខ្មែរ", flag: "🇰🇭", color: "#d97706", bg: "#fffbeb", border: "#fcd34d", count: kmCnt, cbg: "#fef3c7", cc: "#92400e" },
-                ].map(({ lang, label, flag, color, bg, border, count, cbg, cc }) => (
-                  <div key={lang} style={{ display: "flex", alignItems: "center", gap: 8, background: bg, border: `1px solid ${border}`, padding: "9px 14px", borderRadius: 11 }}>
-                    <span style={{ fontSize: 17 }}>{flag}</span>
-                    <div><div style={{ fontWeight: 700, color, fontSize: 13 }}>{label}</div><div style={{ fontSize: 10, color: "#94a3b8" }}>Auto-detected</div></div>
-                    <Wave active={isActive && count > 0} color={color} />
-                    {count > 0 && <span style={{ background: cbg, color: cc, borderRadius: 20, padding: "1px 8px", fontSize: 11, fontWeight: 700 }}>{count}</span>}
-                  </div>
-                ))}
-
-                {isActive && (
-                  <div style={{ display: "flex", alignItems: "center", gap: 8, background: "#f0fdf4", border: "1px solid #bbf7d0", padding: "9px 14px", borderRadius: 11 }}>
-                    <span style={{ fontSize: 17 }}>🎙️</span>
-                    <div><div style={{ fontWeight: 700, color: "#16a34a", fontSize: 13 }}>Mic Input</div><div style={{ fontSize: 10, color: "#94a3b8" }}>Live level</div></div>
-                    <div style={{ width: 52, height: 6, background: "#dcfce7", borderRadius: 3, overflow: "hidden" }}>
-                      <div style={{ height: "100%", background: micLevel > .6 ? "#ef4444" : "#22c55e", width: `${Math.min(micLevel * 100, 100)}%`, borderRadius: 3, transition: "width .08s, background .2s" }} />
+                {[...langSettings.languages, ...(mixedCnt ? ["mixed"] : [])].map(lang => {
+                  const { name, flag, color, bg, border } = langTag(lang);
+                  const count = langCount(lang);
+                  return (
+                    <div key={lang} style={{ display: "flex", alignItems: "center", gap: 8, background: bg, border: `1px solid ${border}`, padding: "9px 14px", borderRadius: 11 }}>
+                      <span style={{ fontSize: 17 }}>{flag}</span>
+                      <div><div style={{ fontWeight: 700, color, fontSize: 13 }}>{name}</div><div style={{ fontSize: 10, color: "#94a3b8" }}>{langSettings.hint === lang ? "Expected" : "Auto-detected"}</div></div>
+                      <Wave active={isActive && count > 0} color={color} />
+                      {count > 0 && <span style={{ background: border, color, borderRadius: 20, padding: "1px 8px", fontSize: 11, fontWeight: 700 }}>{count}</span>}
                     </div>
-                  </div>
-                )}
+                  );
+                })}
+
+                {isActive && <LevelMeter icon="🎙️" label="Mic Input" sub={tabLevel === null ? "Live level" : "Local · you"} level={micLevel} threshold={vad?.threshold} />}
+                {isActive && tabLevel !== null && <LevelMeter icon="🖥️" label="Tab Audio" sub="Remote · meeting" level={tabLevel} threshold={vad?.threshold} />}
+                {isActive && vadInfo && <div style={{ alignSelf: "center", fontSize: 10, color: "#94a3b8" }} title="Only speech is sent to Whisper; a pause this long ends a phrase">{vadInfo}</div>}
               </div>
 
               {/* Action buttons */}
@@ -760,20 +1069,48 @@ export default function App() {
                       📝 Save Notes
                     </button>
                   )}
+                  <button onClick={toggleShare} title="Let other signed-in users follow along, read-only" style={{ padding: "9px 18px", borderRadius: 10, border: `1.5px solid ${share ? "#bbf7d0" : "#e2e8f0"}`, background: share ? "#f0fdf4" : "#fff", color: share ? "#16a34a" : "#475569", fontWeight: 700, fontSize: 13 }}>
+                    {share ? "🔗 Stop sharing" : "🔗 Share live"}
+                  </button>
                   <button onClick={stopSession} style={{ padding: "9px 18px", borderRadius: 10, border: "1.5px solid #fecaca", background: "#fef2f2", color: "#ef4444", fontWeight: 700, fontSize: 13 }}>
                     ⏹ Stop
                   </button>
                 </div>
               )}
+
+              {/* Share code + who is watching */}
+              {isActive && share && (
+                <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", marginTop: 14, padding: "10px 14px", borderRadius: 12, background: "#f0fdf4", border: "1px solid #bbf7d0", fontSize: 13, color: "#166534" }}>
+                  <span>Share code <strong style={{ fontSize: 16, letterSpacing: ".15em" }}>{share.code}</strong></span>
+                  <button onClick={copyShareLink} style={{ padding: "5px 12px", borderRadius: 8, border: "1.5px solid #bbf7d0", background: "#fff", color: "#16a34a", fontWeight: 700, fontSize: 12 }}>📋 Copy link</button>
+                  <span style={{ marginLeft: "auto", fontSize: 12 }} title={share.viewers.join(", ")}>
+                    👥 {share.viewers.length ? `${share.viewers.length} watching` : "No one watching yet"}
+                  </span>
+                </div>
+              )}
             </div>
 
             {/* ── TRANSCRIPT FEED ── */}
             <div style={{ background: "#fff", borderRadius: 18, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 14px rgba(0,0,0,.05)", overflow: "hidden" }}>
               <div style={{ display: "flex", alignItems: "center", gap: 8, padding: "12px 16px", borderBottom: "1px solid #f1f5f9", flexWrap: "wrap" }}>
                 <span style={{ fontSize: 11, fontWeight: 700, color: "#94a3b8", letterSpacing: ".08em" }}>SHOW</span>
-                {[{ v: "all", l: "All" }, { v: "en", l: "🇺🇸 English" }, { v: "km", l: "🇰🇭 ខ្មែរ" }].map(({ v, l }) => (
-                  <button key={v} onClick={() => setFilter(v)} style={{ padding: "5px 13px", borderRadius: 20, border: `1.5px solid ${filterLang === v ? (v === "km" ? "#fcd34d" : v === "en" ? "#bfdbfe" : "#e2e8f0") : "transparent"}`, background: filterLang === v ? (v === "km" ? "#fffbeb" : v === "en" ? "#eff6ff" : "#f1f5f9") : "transparent", color: filterLang === v ? (v === "km" ? "#d97706" : v === "en" ? "#3b82f6" : "#1a2233") : "#94a3b8", fontWeight: 700, fontSize: 12, transition: "all .14s", border: `1.5px solid ${filterLang === v ? (v === "km" ? "#fcd34d" : v === "en" ? "#bfdbfe" : "#e2e8f0") : "transparent"}` }}>{l}</button>
-                ))}
+                {[{ v: "all", l: "All" }, ...[...langSettings.languages, "mixed"].map(v => ({ v, l: langTag(v).label }))].map(({ v, l }) => {
+                  const tag = v === "all" ? { color: "#1a2233", bg: "#f1f5f9", border: "#e2e8f0" } : langTag(v);
+                  return (
+                    <button key={v} onClick={() => setFilter(v)} style={{ padding: "5px 13px", borderRadius: 20, border: `1.5px solid ${filterLang === v ? tag.border : "transparent"}`, background: filterLang === v ? tag.bg : "transparent", color: filterLang === v ? tag.color : "#94a3b8", fontWeight: 700, fontSize: 12, transition: "all .14s" }}>{l}</button>
+                  );
+                })}
+                <button
+                  onClick={toggleTranslate}
+                  disabled={!translation}
+                  title={translation ? "Translate every new line into the other language" : "Translation is not configured on the server (TRANSLATION_PROVIDER)"}
+                  style={{ padding: "5px 13px", borderRadius: 20, border: `1.5px solid ${translateLive && translation ? "#c4b5fd" : "#e2e8f0"}`, background: translateLive && translation ? "#f5f3ff" : "#fff", color: translateLive && translation ? "#6d28d9" : "#94a3b8", fontWeight: 700, fontSize: 12 }}
+                >
+                  ⇄ Translate {translateLive && translation ? "on" : "off"}
+                </button>
+                <button onClick={() => setSideBySide(v => !v)} title={`${langTag("en").title} and ${langTag(otherLanguage(langSettings.languages)).title} in two columns`} style={{ padding: "5px 13px", borderRadius: 20, border: `1.5px solid ${sideBySide ? "#c4b5fd" : "#e2e8f0"}`, background: sideBySide ? "#f5f3ff" : "#fff", color: sideBySide ? "#6d28d9" : "#94a3b8", fontWeight: 700, fontSize: 12 }}>
+                  ◫ Side by side
+                </button>
                 <span style={{ marginLeft: "auto", fontSize: 12, color: "#94a3b8" }}>{displayed.length} {displayed.length === 1 ? "entry" : "entries"}</span>
               </div>
 
@@ -784,38 +1121,75 @@ export default function App() {
                     <div style={{ fontWeight: 700, fontSize: 16, color: "#475569" }}>{isActive ? "Listening… speak now" : "No transcript yet"}</div>
                     <div style={{ fontSize: 13, color: "#94a3b8", textAlign: "center", maxWidth: 280, lineHeight: 1.7 }}>
                       {isActive
-                        ? "Whisper processes audio every 5 seconds. Words appear here in real time."
+                        ? "Whisper transcribes each phrase when you pause. Words appear here in real time."
                         : "Press the mic button to begin transcribing your meeting."}
                     </div>
                   </div>
                 )}
 
-                {displayed.map(e => (
-                  <div key={e.id} className="entry" style={{ display: "flex", gap: 12 }}>
-                    <div style={{ width: 4, borderRadius: 4, flexShrink: 0, alignSelf: "stretch", minHeight: 44, background: e.lang === "km" ? "linear-gradient(180deg,#f59e0b,#d97706)" : "linear-gradient(180deg,#60a5fa,#3b82f6)" }} />
-                    <div style={{ flex: 1 }}>
-                      <div style={{ display: "flex", alignItems: "center", gap: 7, marginBottom: 7 }}>
-                        <span style={{ display: "inline-flex", alignItems: "center", gap: 4, padding: "2px 8px", borderRadius: 20, fontSize: 10, fontWeight: 700, ...(e.lang === "km" ? { background: "#fffbeb", color: "#d97706", border: "1px solid #fcd34d" } : { background: "#eff6ff", color: "#3b82f6", border: "1px solid #bfdbfe" }) }}>
-                          {e.lang === "km" ? "🇰🇭 ខ្មែរ" : "🇺🇸 English"}
-                        </span>
-                        <span style={{ fontSize: 10, color: "#94a3b8", marginLeft: "auto", fontVariantNumeric: "tabular-nums" }}>{fmtTime(e.time)}</span>
-                      </div>
-                      <div style={{ display: "inline-block", maxWidth: "100%", padding: "12px 15px", borderRadius: "16px 16px 16px 4px", ...(e.lang === "km" ? { background: "linear-gradient(135deg,#fef3e2,#fef9f0)", border: "1.5px solid #f6d89a", boxShadow: "0 2px 10px rgba(240,165,0,.07)" } : { background: "#fff", border: "1.5px solid #e2e8f0", boxShadow: "0 2px 8px rgba(0,0,0,.04)" }) }}>
-                        <p style={{ margin: 0, fontSize: e.lang === "km" ? 16 : 14, lineHeight: e.lang === "km" ? 2.05 : 1.75, color: "#1a2233" }}>{e.text}</p>
-                      </div>
-                    </div>
+                {sideBySide && displayed.length > 0 && <div style={{ paddingLeft: 72 }}><SideBySideHeader languages={langSettings.languages} /></div>}
+
+                {sideBySide && displayed.map(e => (
+                  <div key={e.id} className="entry" style={{ display: "flex", gap: 12, alignItems: "flex-start" }}>
+                    <span style={{ width: 60, flexShrink: 0, paddingTop: 12, fontSize: 10, color: "#94a3b8", fontVariantNumeric: "tabular-nums" }}>{fmtTime(e.time)}</span>
+                    <div style={{ flex: 1 }}><SideBySide entry={e} languages={langSettings.languages} /></div>
                   </div>
                 ))}
+
+                {!sideBySide && displayed.map(e => {
+                  const lang = filterLang === "all" ? e.lang : filterLang; // shown in the filtered language
+                  const translated = !saidIn(e, lang);
+                  const big = largeScript(translated ? lang : e.lang);
+                  const tag = langTag(e.lang);
+                  return (
+                    <div key={e.id} className="entry" style={{ display: "flex", gap: 12 }}>
+                      <div style={{ width: 4, borderRadius: 4, flexShrink: 0, alignSelf: "stretch", minHeight: 44, background: tag.bar }} />
+                      <div style={{ flex: 1 }}>
+                        <div style={{ display: "flex", alignItems: "center", gap: 7, marginBottom: 7 }}>
+                          <span style={{ display: "inline-flex", alignItems: "center", gap: 4, padding: "2px 8px", borderRadius: 20, fontSize: 10, fontWeight: 700, background: tag.bg, color: tag.color, border: `1px solid ${tag.border}` }}>
+                            {tag.label}
+                          </span>
+                          {unsureLang(e) && <span title={`Language detected with ${Math.round(e.lang_confidence * 100)}% confidence`} style={{ fontSize: 10, color: "#94a3b8", fontWeight: 700 }}>?</span>}
+                          {SOURCE_TAGS[e.source] && <span title={SOURCE_TAGS[e.source].title} style={{ fontSize: 10, color: "#64748b", fontWeight: 700 }}>{SOURCE_TAGS[e.source].label}</span>}
+                          {translated && <span style={{ fontSize: 10, color: "#7c3aed", fontWeight: 700 }}>⇄ translated</span>}
+                          {liveNotes.some(n => n.kind === "flag" && n.seq === e.seq) && <span title="Flagged by a viewer" style={{ fontSize: 11 }}>🚩</span>}
+                          <span style={{ fontSize: 10, color: "#94a3b8", marginLeft: "auto", fontVariantNumeric: "tabular-nums" }}>{fmtTime(e.time)}</span>
+                        </div>
+                        <div style={{ display: "inline-block", maxWidth: "100%", padding: "12px 15px", borderRadius: "16px 16px 16px 4px", ...(lang === "km" ? { background: "linear-gradient(135deg,#fef3e2,#fef9f0)", border: "1.5px solid #f6d89a", boxShadow: "0 2px 10px rgba(240,165,0,.07)" } : { background: "#fff", border: "1.5px solid #e2e8f0", boxShadow: "0 2px 8px rgba(0,0,0,.04)" }) }}>
+                          <p style={{ margin: 0, fontSize: big ? 16 : 14, lineHeight: big ? 2.05 : 1.75, color: "#1a2233" }}>{textIn(e, lang)}</p>
+                          {!translated && e.translation && (
+                            <p style={{ margin: "6px 0 0", paddingTop: 6, borderTop: "1px dashed #e2e8f0", fontSize: largeScript(e.translation.lang) ? 14 : 12.5, lineHeight: largeScript(e.translation.lang) ? 1.9 : 1.6, color: "#64748b" }}>⇄ {e.translation.text}</p>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
               </div>
             </div>
 
+            <LiveNotes notes={liveNotes} />
+
+            {/* Join someone else's live session */}
+            {!isActive && (
+              <form onSubmit={e => { e.preventDefault(); if (joinInput.trim()) { setJoinCode(joinInput.trim().toUpperCase()); setJoinInput(""); } }} style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #e2e8f0", padding: "14px 20px", display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                <span style={{ fontSize: 22 }}>👥</span>
+                <div style={{ flex: 1, minWidth: 180 }}>
+                  <div style={{ fontWeight: 800, fontSize: 14 }}>Join a live session</div>
+                  <div style={{ fontSize: 12, color: "#64748b" }}>Follow a colleague's meeting with the code they shared.</div>
+                </div>
+                <input value={joinInput} onChange={e => setJoinInput(e.target.value)} placeholder="CODE" maxLength={12} style={{ width: 110, padding: "9px 12px", borderRadius: 10, border: "1.5px solid #e2e8f0", fontSize: 14, fontWeight: 700, letterSpacing: ".12em", textTransform: "uppercase", outline: "none" }} />
+                <button type="submit" disabled={!joinInput.trim()} style={{ padding: "9px 16px", borderRadius: 10, border: "none", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontWeight: 700, fontSize: 13 }}>Join</button>
+              </form>
+            )}
+
             {/* Online meeting card */}
             {!isActive && (
               <div style={{ background: "linear-gradient(135deg,#f5f3ff,#ede9fe)", borderRadius: 16, border: "1.5px solid #ddd6fe", padding: "18px 20px", display: "flex", gap: 14, alignItems: "center" }}>
                 <span style={{ fontSize: 26, flexShrink: 0 }}>📡</span>
                 <div style={{ flex: 1 }}>
                   <div style={{ fontWeight: 800, fontSize: 15, marginBottom: 4 }}>Using METRI in Zoom / Google Meet / Teams?</div>
-                  <div style={{ fontSize: 13, color: "#4c1d95", lineHeight: 1.6 }}>Route meeting audio through your mic to capture all speakers.</div>
+                  <div style={{ fontSize: 13, color: "#4c1d95", lineHeight: 1.6 }}>Turn on <strong>🖥️ Tab audio</strong> and share the meeting tab when you start — or route meeting audio through your mic.</div>
                 </div>
                 <button onClick={() => setSetup(true)} style={{ padding: "9px 16px", borderRadius: 10, border: "none", background: "linear-gradient(135deg,#8b5cf6,#6d28d9)", color: "#fff", fontWeight: 700, fontSize: 13, flexShrink: 0, boxShadow: "0 3px 12px rgba(139,92,246,.4)" }}>
                   Setup Guide
@@ -825,62 +1199,117 @@ export default function App() {
           </div>
         )}
 
+        {/* ══ SESSION DETAIL ══ */}
+        {user && tab === "library" && openSession && (
+          <SessionView key={openSession.id} session={openSession} focusEntryId={focusEntryId} api={API} authFetch={authFetch} waitForJob={waitForJob} translation={translation} workspaces={workspaces} onClose={() => { setOpenId(null); setFocusEntry(null); }} onUpdate={replaceSession} onSummarize={summarizeSession} summarizing={summarizing === openSession.id} toast$={toast$} />
+        )}
+
         {/* ══ LIBRARY TAB ══ */}
-        {user && tab === "library" && (
+        {user && tab === "library" && !openSession && (
           <div>
             <div style={{ marginBottom: 20, display: "flex", justifyContent: "space-between", alignItems: "flex-end", flexWrap: "wrap", gap: 16 }}>
               <div>
                 <div style={{ fontSize: 24, fontWeight: 800, marginBottom: 4 }}>Transcript Library</div>
-                <div style={{ fontSize: 14, color: "#64748b" }}>{library.length} Meetings Saved</div>
+                <div style={{ fontSize: 14, color: "#64748b" }}>
+                  {library.filter(s => s.status !== "draft").length} Meetings Saved
+                  {library.some(s => s.status === "draft") && <span style={{ color: "#d97706" }}> · {library.filter(s => s.status === "draft").length} unsaved</span>}
+                </div>
               </div>
 
-              {/* Search Box */}
-              <div style={{ position: "relative", minWidth: 260 }}>
-                <input
-                  type="text"
-                  value={searchQuery}
-                  onChange={e => setSearch(e.target.value)}
-                  placeholder="Search in transcripts..."
-                  style={{ width: "100%", padding: "10px 14px 10px 36px", borderRadius: 12, border: "1.5px solid #e2e8f0", fontSize: 13, outline: "none", transition: "border-color .2s" }}
-                  onFocus={e => e.target.style.borderColor = "#3b82f6"}
-                  onBlur={e => e.target.style.borderColor = "#e2e8f0"}
-                />
-                <span style={{ position: "absolute", left: 12, top: "50%", transform: "translateY(-50%)", fontSize: 16, opacity: 0.4 }}>🔍</span>
-                {isSearching && (
-                  <div style={{ position: "absolute", right: 12, top: "50%", transform: "translateY(-50%)", width: 14, height: 14, border: "2px solid #e2e8f0", borderTopColor: "#3b82f6", borderRadius: "50%", animation: "spin .6s linear infinite" }} />
+              <div style={{ display: "flex", gap: 12, alignItems: "flex-start", flexWrap: "wrap" }}>
+                {library.length > 0 && (
+                  <button onClick={() => setAskOpen(o => !o)} title="Ask a question across all saved meetings" style={{ padding: "10px 16px", borderRadius: 12, border: `1.5px solid ${askOpen ? "#3b82f6" : "#bfdbfe"}`, background: askOpen ? "#dbeafe" : "#eff6ff", color: "#1d4ed8", fontWeight: 700, fontSize: 13, whiteSpace: "nowrap" }}>
+                    💬 Ask
+                  </button>
                 )}
+                <button onClick={() => setWorkspacesOpen(o => !o)} title="Team workspaces and their members" style={{ padding: "10px 16px", borderRadius: 12, border: `1.5px solid ${workspacesOpen ? "#6366f1" : "#c7d2fe"}`, background: workspacesOpen ? "#e0e7ff" : "#eef2ff", color: "#4338ca", fontWeight: 700, fontSize: 13, whiteSpace: "nowrap" }}>
+                  👥 Workspaces
+                </button>
+                <ImportPanel api={API} authFetch={authFetch} onImported={addImportedSession} toast$={toast$} languages={langSettings} />
+
+                {/* Search Box */}
+                <div style={{ position: "relative", minWidth: 260 }}>
+                  <input
+                    type="text"
+                    value={searchQuery}
+                    onChange={e => setSearch(e.target.value)}
+                    placeholder="Search in transcripts..."
+                    style={{ width: "100%", padding: "10px 14px 10px 36px", borderRadius: 12, border: "1.5px solid #e2e8f0", fontSize: 13, outline: "none", transition: "border-color .2s" }}
+                    onFocus={e => e.target.style.borderColor = "#3b82f6"}
+                    onBlur={e => e.target.style.borderColor = "#e2e8f0"}
+                  />
+                  <span style={{ position: "absolute", left: 12, top: "50%", transform: "translateY(-50%)", fontSize: 16, opacity: 0.4 }}>🔍</span>
+                  {isSearching && (
+                    <div style={{ position: "absolute", right: 12, top: "50%", transform: "translateY(-50%)", width: 14, height: 14, border: "2px solid #e2e8f0", borderTopColor: "#3b82f6", borderRadius: "50%", animation: "spin .6s linear infinite" }} />
+                  )}
+                </div>
               </div>
             </div>
 
-            {searchQuery && (
-              <div style={{ marginBottom: 20, padding: "12px 18px", background: "#f1f5f9", borderRadius: 12, fontSize: 13, color: "#475569" }}>
-                Found <strong>{searchResults.length}</strong> matches for "{searchQuery}"
+            {workspacesOpen && (
+              <WorkspacesPanel api={API} authFetch={authFetch} user={user} workspaces={workspaces} setWorkspaces={setWorkspaces} onLibraryChange={loadLibrary} toast$={toast$} />
+            )}
+
+            {/* Scope: everything, personal, shared with me, or one workspace */}
+            {(workspaces.length > 0 || library.some(s => s.role !== "owner")) && !searchQuery.trim() && (
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 14 }}>
+                {[["all", "All"], ["personal", "🔒 Personal"], ["shared", "🔗 Shared with me"], ...workspaces.map(w => [w.id, `👥 ${w.name}`])].map(([id, label]) => (
+                  <button key={id} onClick={() => setLibScope(id)} style={{ padding: "5px 12px", borderRadius: 20, fontSize: 12, fontWeight: 700, border: `1.5px solid ${libScope === id ? "#3b82f6" : "#e2e8f0"}`, background: libScope === id ? "#eff6ff" : "#fff", color: libScope === id ? "#1d4ed8" : "#64748b" }}>
+                    {label} ({library.filter(s => inScope(s, id)).length})
+                  </button>
+                ))}
               </div>
             )}
 
-            {library.length === 0 ? (
+            {askOpen && library.length > 0 && (
+              <AskPanel api={API} authFetch={authFetch} waitForJob={waitForJob} messages={askLog} setMessages={setAskLog} onOpen={openSearchResult} />
+            )}
+
+            {searchQuery.trim() ? (
+              <SearchResults api={API} authFetch={authFetch} query={searchQuery} sessions={library} onOpen={openSearchResult} onLoading={setIsSearching} />
+            ) : library.length === 0 ? (
 
               <div style={{ background: "#fff", borderRadius: 18, border: "1.5px solid #e2e8f0", padding: "56px 40px", textAlign: "center" }}>
                 <div style={{ fontSize: 52, marginBottom: 14, animation: "float 3s ease-in-out infinite" }}>📂</div>
                 <div style={{ fontWeight: 700, fontSize: 17, color: "#475569", marginBottom: 8 }}>No saved transcripts yet</div>
-                <div style={{ color: "#94a3b8", fontSize: 13, maxWidth: 260, margin: "0 auto", lineHeight: 1.7 }}>Record a meeting and press <strong>"Save Notes"</strong> to store it here.</div>
+                <div style={{ color: "#94a3b8", fontSize: 13, maxWidth: 260, margin: "0 auto", lineHeight: 1.7 }}>Record a meeting and press <strong>"Save Notes"</strong>, or import a recording, to store it here.</div>
               </div>
             ) : (
               <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill,minmax(300px,1fr))", gap: 12 }}>
-                {library.map(rec => {
-                  const enC = rec.entries.filter(e => e.lang === "en").length;
-                  const kmC = rec.entries.filter(e => e.lang === "km").length;
+                {shownLibrary.length === 0 && (
+                  <div style={{ gridColumn: "1 / -1", padding: "30px 0", textAlign: "center", color: "#94a3b8", fontSize: 13 }}>No sessions here yet.</div>
+                )}
+                {shownLibrary.map(rec => {
+                  const draft = rec.status === "draft";
+                  const recordingNow = draft && isActive && draftIdRef.current === rec.id;
                   return (
-                    <div key={rec.id} className="hc" style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 12px rgba(0,0,0,.05)", padding: 20 }}>
-                      <div style={{ fontWeight: 800, fontSize: 15, marginBottom: 6, lineHeight: 1.4 }}>{rec.title}</div>
+                    <div key={rec.id} className="hc" style={{ background: "#fff", borderRadius: 16, border: `1.5px ${draft ? "dashed #fcd34d" : "solid #e2e8f0"}`, boxShadow: "0 2px 12px rgba(0,0,0,.05)", padding: 20 }}>
+                      {draft && (
+                        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10, fontSize: 11, fontWeight: 700, color: recordingNow ? "#ef4444" : "#d97706" }}>
+                          {recordingNow ? "● Recording now — not saved yet" : "⚠️ Unsaved — the recording was interrupted"}
+                          {!recordingNow && (
+                            <button onClick={() => recoverDraft(rec.id)} title="Keep this meeting in the Library" style={{ marginLeft: "auto", padding: "4px 10px", borderRadius: 8, border: "1.5px solid #fcd34d", background: "#fffbeb", color: "#b45309", fontWeight: 700, fontSize: 11 }}>♻ Recover</button>
+                          )}
+                        </div>
+                      )}
+                      <div onClick={() => setOpenId(rec.id)} style={{ fontWeight: 800, fontSize: 15, marginBottom: 6, lineHeight: 1.4, cursor: "pointer" }}>{rec.title}</div>
+                      {(rec.workspace_id || rec.role !== "owner") && (
+                        <div style={{ display: "flex", gap: 6, marginBottom: 8, fontSize: 11, fontWeight: 700 }}>
+                          {rec.workspace_id && <span style={{ color: "#4338ca" }}>👥 {workspaceName(rec.workspace_id) || "Workspace"}</span>}
+                          {rec.role !== "owner" && <span style={{ color: rec.role === "viewer" ? "#d97706" : "#64748b" }}>{rec.role === "viewer" ? "👁 View only" : "✏️ Can edit"}</span>}
+                        </div>
+                      )}
                       <div style={{ display: "flex", gap: 10, fontSize: 12, color: "#64748b", marginBottom: 10, flexWrap: "wrap" }}>
                         <span>📅 {fmtDate(rec.date)}</span>
                         <span>⏱ {fmtDur(rec.duration)}</span>
                         <span>💬 {rec.entries.length}</span>
                       </div>
                       <div style={{ display: "flex", gap: 6, marginBottom: 12 }}>
-                        {enC > 0 && <span style={{ padding: "2px 8px", borderRadius: 20, fontSize: 10, fontWeight: 700, background: "#eff6ff", color: "#3b82f6", border: "1px solid #bfdbfe" }}>🇺🇸 {enC}</span>}
-                        {kmC > 0 && <span style={{ padding: "2px 8px", borderRadius: 20, fontSize: 10, fontWeight: 700, background: "#fffbeb", color: "#d97706", border: "1px solid #fcd34d" }}>🇰🇭 {kmC}</span>}
+                        {[...LANGUAGES, "mixed"].map(l => {
+                          const count = rec.entries.filter(e => e.lang === l).length;
+                          const tag = langTag(l);
+                          return count > 0 && <span key={l} title={tag.label} style={{ padding: "2px 8px", borderRadius: 20, fontSize: 10, fontWeight: 700, background: tag.bg, color: tag.color, border: `1px solid ${tag.border}` }}>{tag.flag} {count}</span>;
+                        })}
                       </div>
                       {rec.entries[0] && (
                         <div style={{ background: "#f8fafc", borderRadius: 9, padding: "9px 12px", marginBottom: 12, fontSize: 12, color: "#64748b", lineHeight: 1.6, borderLeft: "3px solid #e2e8f0", overflow: "hidden", display: "-webkit-box", WebkitLineClamp: 2, WebkitBoxOrient: "vertical" }}>
@@ -889,32 +1318,49 @@ export default function App() {
                       )}
 
                       {/* Summary Section */}
-                      {summary[rec.id] && (
+                      {rec.summary && (
                         <div style={{ background: "#f0fdf4", border: "1px solid #bbf7d0", borderRadius: 10, padding: 12, marginBottom: 15, fontSize: 12, color: "#166534" }}>
                           <div style={{ fontWeight: 800, marginBottom: 6, display: "flex", alignItems: "center", gap: 5 }}>
                             ✨ AI Summary
+                            {rec.summary.action_items.length > 0 && (
+                              <span style={{ marginLeft: "auto", fontWeight: 700, fontSize: 11 }}>
+                                ✅ {rec.summary.action_items.filter(i => i.done).length}/{rec.summary.action_items.length} actions
+                              </span>
+                            )}
                           </div>
-                          <div style={{ lineHeight: 1.6, whiteSpace: "pre-line" }}>{summary[rec.id]}</div>
+                          <div style={{ lineHeight: 1.6, overflow: "hidden", display: "-webkit-box", WebkitLineClamp: 4, WebkitBoxOrient: "vertical" }}>{rec.summary.overview.en || rec.summary.overview.km}</div>
                         </div>
                       )}
 
                       <div style={{ display: "flex", gap: 8 }}>
+                        <button onClick={() => setOpenId(rec.id)} title={rec.audio_file ? "Play recording with transcript" : "View transcript"} style={{ padding: "9px 12px", borderRadius: 9, border: "1.5px solid #bfdbfe", background: "#eff6ff", color: "#1d4ed8", fontWeight: 700, fontSize: 12 }}>
+                          {rec.audio_file ? "▶ Play" : "Open"}
+                        </button>
                         <button
-                          onClick={() => summarizeSession(rec.id)}
-                          disabled={summarizing === rec.id}
+                          onClick={() => rec.summary ? setOpenId(rec.id) : summarizeSession(rec.id)}
+                          disabled={summarizing === rec.id || (!rec.summary && rec.role === "viewer")}
+                          title={rec.summary ? "Open the summary and action items" : "Summarize with GPT"}
                           style={{ flex: 1, display: "flex", alignItems: "center", justifyContent: "center", gap: 6, padding: "9px", borderRadius: 9, border: "1.5px solid #dcfce7", background: "#f0fdf4", color: "#166534", fontWeight: 700, fontSize: 12 }}
                         >
-                          {summarizing === rec.id ? "..." : "✨ Summarize"}
+                          {summarizing === rec.id ? "..." : rec.summary ? "✨ Summary" : "✨ Summarize"}
                         </button>
-                        <button onClick={() => exportPDF(rec)} style={{ flex: 1, display: "flex", alignItems: "center", justifyContent: "center", gap: 6, padding: "9px", borderRadius: 9, border: "none", background: "#d97706", color: "#fff", fontWeight: 700, fontSize: 12 }}>
+                        <button onClick={() => downloadSession(rec.id, "pdf")} title="PDF with summary, rendered on the server" style={{ flex: 1, display: "flex", alignItems: "center", justifyContent: "center", gap: 6, padding: "9px", borderRadius: 9, border: "none", background: "#d97706", color: "#fff", fontWeight: 700, fontSize: 12 }}>
                           📄 PDF
                         </button>
-                        <button onClick={() => downloadSession(rec.id)} style={{ padding: "9px 12px", borderRadius: 9, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 600, fontSize: 12 }}>
-                          TXT
-                        </button>
-                        <button onClick={() => deleteSession(rec.id)} style={{ padding: "9px 12px", borderRadius: 9, border: "1.5px solid #fecaca", background: "#fef2f2", color: "#ef4444", fontWeight: 600, fontSize: 12 }}>
-                          🗑
-                        </button>
+                        <select
+                          value=""
+                          onChange={e => e.target.value && downloadSession(rec.id, e.target.value)}
+                          title="Download transcript"
+                          style={{ padding: "9px 6px", borderRadius: 9, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 600, fontSize: 12, cursor: "pointer" }}
+                        >
+                          <option value="">⬇</option>
+                          {EXPORT_FORMATS.map(([f, label]) => <option key={f} value={f}>{label}</option>)}
+                        </select>
+                        {rec.role === "owner" && (
+                          <button onClick={() => deleteSession(rec.id)} style={{ padding: "9px 12px", borderRadius: 9, border: "1.5px solid #fecaca", background: "#fef2f2", color: "#ef4444", fontWeight: 600, fontSize: 12 }}>
+                            🗑
+                          </button>
+                        )}
                       </div>
 
 
@@ -925,6 +1371,11 @@ export default function App() {
             )}
           </div>
         )}
+
+        {/* ══ SETTINGS TAB ══ */}
+        {user && tab === "settings" && (
+          <GlossaryPanel api={API} authFetch={authFetch} onLibraryChange={loadLibrary} toast$={toast$} />
+        )}
       </div>
 
       <div style={{ textAlign: "center", padding: "20px 20px 14px", color: "#cbd5e1", fontSize: 11 }}>
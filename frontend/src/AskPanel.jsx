@@ -0,0 +1,122 @@
+import { useState, useEffect, useRef } from "react";
+import { fmtDate, fmtOffset } from "./utils";
+
+const EXAMPLES = ["What did we decide about the budget?", "Which action items are still open?", "តើយើងបានសម្រេចអ្វីខ្លះ?"];
+
+/* Answer text with its [n] markers turned into buttons that open the cited entry */
+function Answer({ text, citations, onOpen }) {
+  const byN = new Map(citations.map(c => [c.n, c]));
+  return text.split(/(\[\d+\])/).map((part, i) => {
+    const c = byN.get(Number(part.match(/^\[(\d+)\]$/)?.[1]));
+    if (!c) return part;
+    return (
+      <button key={i} onClick={() => onOpen(c.session_id, c.entry_id)} title={`${c.title} — ${c.text}`} style={citeBtn}>{c.n}</button>
+    );
+  });
+}
+
+/* ══════════════════════════════════════════
+   ASK YOUR MEETINGS (Library)
+   Questions across every saved meeting. The server retrieves the
+   closest transcript passages and answers with [n] citations; each
+   citation opens its session at the cited entry. The conversation
+   lives in App so it survives opening a citation and coming back.
+══════════════════════════════════════════ */
+export default function AskPanel({ api, authFetch, waitForJob, messages, setMessages, onOpen }) {
+  const [question, setQuestion] = useState("");
+  const endRef = useRef(null);
+  const asking = messages.some(m => m.pending);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }, [messages]);
+
+  const ask = async (text) => {
+    const q = text.trim();
+    if (!q || asking) return;
+    const history = messages.filter(m => !m.pending && !m.error).map(({ role, content }) => ({ role, content }));
+    setQuestion("");
+    setMessages(prev => [...prev, { role: "user", content: q }, { role: "assistant", pending: true }]);
+
+    let reply;
+    try {
+      const res = await authFetch(`${api}/ask`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ question: q, history }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Could not ask the question.");
+      const job = await waitForJob(data.job.id);
+      if (job.status !== "done") throw new Error(job.error || "Could not answer the question.");
+      reply = { role: "assistant", content: job.result.answer, citations: job.result.citations };
+    } catch (err) {
+      reply = { role: "assistant", content: err.message || "Could not answer the question.", error: true };
+    }
+    setMessages(prev => prev.map(m => (m.pending ? reply : m)));
+  };
+
+  return (
+    <div style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 12px rgba(0,0,0,.05)", padding: 16, marginBottom: 20, display: "flex", flexDirection: "column", gap: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <div style={{ fontWeight: 800, fontSize: 15 }}>💬 Ask your meetings</div>
+        <div style={{ fontSize: 12, color: "#94a3b8" }}>Answers come from your saved transcripts, with sources</div>
+        {messages.length > 0 && (
+          <button onClick={() => setMessages([])} disabled={asking} style={{ marginLeft: "auto", padding: "5px 10px", borderRadius: 8, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 11 }}>New chat</button>
+        )}
+      </div>
+
+      {messages.length === 0 ? (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {EXAMPLES.map(ex => (
+            <button key={ex} onClick={() => ask(ex)} style={{ padding: "6px 12px", borderRadius: 20, border: "1.5px solid #e2e8f0", background: "#f8fafc", color: "#475569", fontSize: 12 }}>{ex}</button>
+          ))}
+        </div>
+      ) : (
+        <div style={{ maxHeight: 420, overflowY: "auto", display: "flex", flexDirection: "column", gap: 10 }}>
+          {messages.map((m, i) => m.role === "user" ? (
+            <div key={i} style={{ alignSelf: "flex-end", maxWidth: "80%", padding: "8px 12px", borderRadius: "12px 12px 2px 12px", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontSize: 13, lineHeight: 1.6 }}>{m.content}</div>
+          ) : (
+            <div key={i} style={{ alignSelf: "flex-start", maxWidth: "90%", padding: "10px 14px", borderRadius: "12px 12px 12px 2px", background: m.error ? "#fef2f2" : "#f8fafc", border: `1.5px solid ${m.error ? "#fecaca" : "#e2e8f0"}`, fontSize: 13, lineHeight: 1.7, color: m.error ? "#b91c1c" : "#1a2233" }}>
+              {m.pending ? (
+                <span style={{ color: "#94a3b8" }}>Reading your meetings…</span>
+              ) : (
+                <>
+                  <div style={{ whiteSpace: "pre-wrap" }}>{m.error ? m.content : <Answer text={m.content} citations={m.citations} onOpen={onOpen} />}</div>
+                  {m.citations?.length > 0 && (
+                    <div style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 8, paddingTop: 8, borderTop: "1px solid #e2e8f0" }}>
+                      {m.citations.map(c => (
+                        <button key={c.n} onClick={() => onOpen(c.session_id, c.entry_id)} style={{ display: "flex", gap: 8, alignItems: "baseline", textAlign: "left", border: "none", background: "none", padding: 0, fontSize: 12, color: "#475569", cursor: "pointer" }}>
+                          <span style={{ ...citeBtn, verticalAlign: "baseline" }}>{c.n}</span>
+                          <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                            <strong>{c.title}</strong> · {fmtDate(c.date)}{Number.isFinite(c.start) ? ` · ${fmtOffset(c.start)}` : ""}{c.speaker_name ? ` · ${c.speaker_name}` : ""} — {c.text}
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          ))}
+          <div ref={endRef} />
+        </div>
+      )}
+
+      <form onSubmit={e => { e.preventDefault(); ask(question); }} style={{ display: "flex", gap: 8 }}>
+        <input
+          value={question}
+          onChange={e => setQuestion(e.target.value)}
+          placeholder="Ask about any meeting…"
+          maxLength={1000}
+          style={{ flex: 1, padding: "10px 14px", borderRadius: 12, border: "1.5px solid #e2e8f0", fontSize: 13, outline: "none" }}
+        />
+        <button type="submit" disabled={asking || !question.trim()} style={{ padding: "10px 18px", borderRadius: 12, border: "none", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontWeight: 700, fontSize: 13 }}>
+          {asking ? "…" : "Ask"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const citeBtn = { display: "inline-flex", alignItems: "center", justifyContent: "center", minWidth: 18, height: 18, margin: "0 2px", padding: "0 4px", borderRadius: 9, border: "none", background: "#dbeafe", color: "#1d4ed8", fontWeight: 800, fontSize: 10, verticalAlign: "super", cursor: "pointer" };
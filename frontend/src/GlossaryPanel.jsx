@@ -0,0 +1,162 @@
+import { useState, useEffect, useCallback } from "react";
+import { LANGUAGES, langTag, largeScript } from "./utils";
+
+const LANGS = [["", "Any language"], ...LANGUAGES.map(l => [l, langTag(l).title])];
+const EMPTY = { term: "", variants: "", lang: "" };
+
+/* ══════════════════════════════════════════
+   GLOSSARY (Settings tab)
+   Right spellings of names, acronyms and product terms, with the
+   misspellings Whisper produces. Your own glossary and each
+   workspace's are sent to Whisper as a hint, and fix new entries
+   live; "Apply to Library" fixes what is already saved.
+══════════════════════════════════════════ */
+export default function GlossaryPanel({ api, authFetch, onLibraryChange, toast$ }) {
+  const [data, setData] = useState(null); // { personal, workspaces }
+  const [scope, setScope] = useState("personal"); // "personal" | workspace id
+  const [form, setForm] = useState(EMPTY);
+  const [editing, setEditing] = useState(null); // { id, term, variants, lang } of the term being edited
+  const [busy, setBusy] = useState(false);
+
+  const call = useCallback(async (path, method = "GET", body) => {
+    const res = await authFetch(`${api}/glossary${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error);
+    return json;
+  }, [api, authFetch]);
+
+  const load = useCallback(() => call("")
+    .then(setData)
+    .catch(err => toast$(err.message || "Could not load the glossary.", "warn")), [call, toast$]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (fn, done) => {
+    setBusy(true);
+    try {
+      await fn();
+      if (done) toast$(done);
+    } catch (err) {
+      toast$(err.message || "Could not update the glossary.", "warn");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!data) return <div style={{ margin: "60px auto", textAlign: "center", color: "#94a3b8" }}>Loading…</div>;
+
+  const workspace = data.workspaces.find(w => w.id === scope);
+  const terms = workspace ? workspace.terms : data.personal;
+  const canEdit = !workspace || workspace.role !== "viewer";
+
+  const add = (e) => {
+    e.preventDefault();
+    if (!form.term.trim()) return;
+    run(async () => {
+      await call("", "POST", { ...form, workspaceId: workspace?.id });
+      setForm(EMPTY);
+      await load();
+    }, `"${form.term.trim()}" added ✓`);
+  };
+  const save = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await call(`/${editing.id}`, "PATCH", { term: editing.term, variants: editing.variants, lang: editing.lang });
+      setEditing(null);
+      await load();
+    }, "Term saved ✓");
+  };
+  const remove = (t) => run(async () => { await call(`/${t.id}`, "DELETE"); await load(); }, `"${t.term}" removed`);
+  const apply = () => run(async () => {
+    const { sessions, entries } = await call("/apply", "POST");
+    toast$(entries ? `Fixed ${entries} ${entries === 1 ? "entry" : "entries"} in ${sessions} ${sessions === 1 ? "session" : "sessions"} ✓` : "No glossary misspellings in your Library ✓");
+    if (entries) onLibraryChange();
+  });
+
+  const chip = (active) => ({ padding: "6px 12px", borderRadius: 20, border: `1.5px solid ${active ? "#3b82f6" : "#e2e8f0"}`, background: active ? "#eff6ff" : "#fff", color: active ? "#1d4ed8" : "#64748b", fontWeight: 700, fontSize: 12 });
+
+  return (
+    <div>
+      <div style={{ marginBottom: 20, display: "flex", justifyContent: "space-between", alignItems: "flex-end", flexWrap: "wrap", gap: 16 }}>
+        <div>
+          <div style={{ fontSize: 24, fontWeight: 800, marginBottom: 4 }}>Glossary</div>
+          <div style={{ fontSize: 14, color: "#64748b", maxWidth: 520, lineHeight: 1.6 }}>
+            Names, acronyms and product terms Whisper gets wrong. They are passed to Whisper as a hint, and the misspellings you list are fixed in every new transcript.
+          </div>
+        </div>
+        <button onClick={apply} disabled={busy} title="Fix these misspellings in saved sessions you can edit" style={{ padding: "10px 16px", borderRadius: 12, border: "1.5px solid #fde68a", background: "#fffbeb", color: "#b45309", fontWeight: 700, fontSize: 13, whiteSpace: "nowrap" }}>
+          🔤 Apply to Library
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 14 }}>
+        <button onClick={() => { setScope("personal"); setEditing(null); }} style={chip(!workspace)}>🔒 Personal ({data.personal.length})</button>
+        {data.workspaces.map(w => (
+          <button key={w.id} onClick={() => { setScope(w.id); setEditing(null); }} style={chip(scope === w.id)}>👥 {w.name} ({w.terms.length})</button>
+        ))}
+      </div>
+
+      <div style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 12px rgba(0,0,0,.05)", padding: "14px 18px", display: "flex", flexDirection: "column", gap: 10 }}>
+        {workspace && (
+          <div style={{ fontSize: 12, color: "#64748b" }}>
+            Used for everyone in {workspace.name}.{!canEdit && " Only its editors and owners can change it."}
+          </div>
+        )}
+
+        {!terms.length && <div style={{ color: "#94a3b8", fontSize: 13, padding: "10px 0" }}>No terms yet.</div>}
+
+        {terms.map(t => (editing?.id === t.id ? (
+          <form key={t.id} onSubmit={save} style={{ display: "flex", gap: 8, flexWrap: "wrap", paddingBottom: 10, borderBottom: "1px solid #f1f5f9" }}>
+            <input autoFocus value={editing.term} onChange={e => setEditing(p => ({ ...p, term: e.target.value }))} maxLength={100} style={{ ...inputStyle, width: 170 }} />
+            <input value={editing.variants} onChange={e => setEditing(p => ({ ...p, variants: e.target.value }))} placeholder="Misspellings, comma-separated" style={{ ...inputStyle, flex: 1, minWidth: 180 }} />
+            <select value={editing.lang} onChange={e => setEditing(p => ({ ...p, lang: e.target.value }))} style={inputStyle}>
+              {LANGS.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+            </select>
+            <button type="submit" disabled={busy || !editing.term.trim()} style={primaryBtn}>Save</button>
+            <button type="button" onClick={() => setEditing(null)} style={ghostBtn}>Cancel</button>
+          </form>
+        ) : (
+          <div key={t.id} style={{ display: "flex", alignItems: "center", gap: 10, paddingBottom: 10, borderBottom: "1px solid #f1f5f9" }}>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontWeight: 800, fontSize: largeScript(t.lang) ? 16 : 14 }}>
+                {t.term}
+                {t.lang && <span style={{ marginLeft: 8, fontSize: 10, fontWeight: 700, color: "#94a3b8" }}>{langTag(t.lang).title.toUpperCase()}</span>}
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 4 }}>
+                {t.variants.map(v => (
+                  <span key={v} style={{ fontSize: 11, padding: "1px 8px", borderRadius: 10, background: "#fef2f2", color: "#b91c1c", textDecoration: "line-through" }}>{v}</span>
+                ))}
+                {!t.variants.length && <span style={{ fontSize: 11, color: "#94a3b8" }}>hint only — no misspellings listed</span>}
+              </div>
+            </div>
+            {canEdit && (
+              <>
+                <button onClick={() => setEditing({ id: t.id, term: t.term, variants: t.variants.join(", "), lang: t.lang || "" })} disabled={busy} style={ghostBtn}>Edit</button>
+                <button onClick={() => remove(t)} disabled={busy} style={{ ...ghostBtn, color: "#ef4444", borderColor: "#fecaca" }}>Remove</button>
+              </>
+            )}
+          </div>
+        )))}
+
+        {canEdit && (
+          <form onSubmit={add} style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <input value={form.term} onChange={e => setForm(p => ({ ...p, term: e.target.value }))} maxLength={100} placeholder="Right spelling, e.g. METRI" style={{ ...inputStyle, width: 170 }} />
+            <input value={form.variants} onChange={e => setForm(p => ({ ...p, variants: e.target.value }))} placeholder="Misspellings, e.g. Metre, Metry" style={{ ...inputStyle, flex: 1, minWidth: 180 }} />
+            <select value={form.lang} onChange={e => setForm(p => ({ ...p, lang: e.target.value }))} style={inputStyle}>
+              {LANGS.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+            </select>
+            <button type="submit" disabled={busy || !form.term.trim()} style={primaryBtn}>＋ Add term</button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const inputStyle = { padding: "7px 10px", borderRadius: 9, border: "1.5px solid #e2e8f0", fontSize: 12, outline: "none", background: "#fff", color: "#1a2233" };
+const ghostBtn = { padding: "5px 10px", borderRadius: 8, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 11 };
+const primaryBtn = { padding: "7px 14px", borderRadius: 9, border: "none", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontWeight: 700, fontSize: 12 };
@@ -0,0 +1,113 @@
+import { useState, useEffect, useRef } from "react";
+
+const ACCEPT = ".mp3,.m4a,.wav,.mp4,.webm,.ogg,.aac,.mov,audio/*,video/*";
+const POLL_MS = 2000;
+const STAGES = { converting: "Converting audio", transcribing: "Transcribing", saving: "Saving" };
+
+/* ══════════════════════════════════════════
+   IMPORT RECORDING (Library)
+   Uploads a recorded meeting; the server converts, splits and
+   transcribes it in the background while this panel polls progress.
+   It is transcribed in the languages chosen for recording.
+══════════════════════════════════════════ */
+export default function ImportPanel({ api, authFetch, onImported, toast$, languages }) {
+  const [jobs, setJobs] = useState([]);
+  const [uploading, setUploading] = useState(null); // file name
+  const fileRef = useRef(null);
+  const seenRef = useRef(new Set()); // job ids already handed to onImported
+
+  const active = jobs.some(j => j.status === "queued" || j.status === "running");
+
+  // Pick up imports that were still running when the page was reloaded
+  useEffect(() => {
+    authFetch(`${api}/jobs?type=import`)
+      .then(r => r.json())
+      .then(d => {
+        if (!Array.isArray(d)) return;
+        d.filter(j => j.status === "done").forEach(j => seenRef.current.add(j.id));
+        setJobs(d.filter(j => j.status === "queued" || j.status === "running"));
+      })
+      .catch(() => { });
+  }, [api, authFetch]);
+
+  useEffect(() => {
+    if (!active) return;
+    const timer = setInterval(() => {
+      authFetch(`${api}/jobs?type=import`)
+        .then(r => r.json())
+        .then(d => {
+          if (!Array.isArray(d)) return;
+          for (const j of d) {
+            if (j.status !== "done" || seenRef.current.has(j.id)) continue;
+            seenRef.current.add(j.id);
+            onImported(j.result.sessionId);
+          }
+          setJobs(prev => prev.map(p => d.find(j => j.id === p.id) || p).filter(j => j.status !== "done"));
+        })
+        .catch(() => { });
+    }, POLL_MS);
+    return () => clearInterval(timer);
+  }, [active, api, authFetch, onImported]);
+
+  const upload = async (file) => {
+    if (!file) return;
+    setUploading(file.name);
+    try {
+      const form = new FormData();
+      form.append("file", file);
+      form.append("date", new Date(file.lastModified || Date.now()).toISOString());
+      form.append("languages", languages.languages.join(","));
+      if (languages.hint) form.append("languageHint", languages.hint);
+      const res = await authFetch(`${api}/imports`, { method: "POST", body: form });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || "Upload failed.");
+      setJobs(prev => [data, ...prev]);
+    } catch (err) {
+      toast$(err.message || "Upload failed.", "warn");
+    } finally {
+      setUploading(null);
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  };
+
+  const dismiss = (id) => setJobs(prev => prev.filter(j => j.id !== id));
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+      <input ref={fileRef} type="file" accept={ACCEPT} onChange={e => upload(e.target.files[0])} style={{ display: "none" }} />
+      <button
+        onClick={() => fileRef.current?.click()}
+        disabled={!!uploading}
+        title="Transcribe a meeting recorded on a phone or another app (MP3, M4A, WAV, MP4, WebM)"
+        style={{ padding: "10px 16px", borderRadius: 12, border: "1.5px solid #bfdbfe", background: "#eff6ff", color: "#1d4ed8", fontWeight: 700, fontSize: 13, whiteSpace: "nowrap" }}
+      >
+        {uploading ? "Uploading…" : "⬆ Import recording"}
+      </button>
+
+      {jobs.map(job => {
+        const failed = job.status === "failed";
+        const { fileName, stage, segments } = job.detail || {};
+        const pct = Math.round((job.progress || 0) * 100);
+        const label = failed
+          ? job.error
+          : job.status === "queued"
+            ? job.attempts > 0 ? `Retrying at ${new Date(job.runAt).toLocaleTimeString()} (${job.error})` : "Waiting for another import…"
+            : `${STAGES[stage] || "Processing"}${stage === "transcribing" ? ` ${segments.done + 1}/${segments.total}` : ""} · ${pct}%`;
+        return (
+          <div key={job.id} style={{ minWidth: 260, padding: "10px 12px", borderRadius: 12, background: "#fff", border: `1.5px solid ${failed ? "#fecaca" : "#e2e8f0"}` }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, fontWeight: 700, color: "#1a2233" }}>
+              <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>🎧 {fileName}</span>
+              {failed && <button onClick={() => dismiss(job.id)} title="Dismiss" style={{ marginLeft: "auto", border: "none", background: "none", color: "#94a3b8", fontSize: 14 }}>✕</button>}
+            </div>
+            {!failed && (
+              <div style={{ height: 6, borderRadius: 3, background: "#f1f5f9", marginTop: 8, overflow: "hidden" }}>
+                <div style={{ height: "100%", width: `${pct}%`, background: "#3b82f6", borderRadius: 3, transition: "width .4s ease" }} />
+              </div>
+            )}
+            <div style={{ fontSize: 11, color: failed ? "#ef4444" : "#64748b", marginTop: 6 }}>{label}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
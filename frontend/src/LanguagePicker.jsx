@@ -0,0 +1,60 @@
+import { LANGUAGES, DEFAULT_LANGUAGES, langTag } from "./utils";
+
+const STORAGE_KEY = "metri_languages";
+
+/* The last languages chosen → { languages, hint }, English and Khmer by default */
+export function loadLanguageSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const languages = saved?.languages?.filter(l => LANGUAGES.includes(l));
+    if (languages?.length) return { languages, hint: languages.includes(saved.hint) ? saved.hint : null };
+  } catch { /* fall back to the default */ }
+  return { languages: DEFAULT_LANGUAGES, hint: null };
+}
+
+/* ══════════════════════════════════════════
+   LANGUAGE PICKER
+   Which languages the next recording or import may be in, and
+   optionally the one Whisper should assume. Lines are only ever
+   tagged with a chosen language (or "mixed").
+══════════════════════════════════════════ */
+export default function LanguagePicker({ value, onChange, disabled }) {
+  const { languages, hint } = value;
+
+  const update = (next) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    onChange(next);
+  };
+
+  const toggle = (lang) => {
+    const on = languages.includes(lang);
+    if (on && languages.length === 1) return; // at least one
+    const next = on ? languages.filter(l => l !== lang) : LANGUAGES.filter(l => l === lang || languages.includes(l));
+    update({ languages: next, hint: next.includes(hint) ? hint : null });
+  };
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", justifyContent: "center", opacity: disabled ? .6 : 1 }}>
+      <span style={{ fontSize: 11, fontWeight: 700, color: "#94a3b8", letterSpacing: ".08em", marginRight: 2 }}>LANGUAGES</span>
+      {LANGUAGES.map(l => {
+        const tag = langTag(l);
+        const on = languages.includes(l);
+        return (
+          <button key={l} onClick={() => toggle(l)} disabled={disabled} title={tag.title} style={{ padding: "4px 11px", borderRadius: 20, border: `1.5px solid ${on ? tag.border : "#e2e8f0"}`, background: on ? tag.bg : "#fff", color: on ? tag.color : "#94a3b8", fontWeight: 700, fontSize: 12 }}>
+            {tag.flag} {tag.short}
+          </button>
+        );
+      })}
+      <select
+        value={hint || ""}
+        onChange={e => update({ languages, hint: e.target.value || null })}
+        disabled={disabled}
+        title="Tell Whisper which language to expect, or let it detect each recording"
+        style={{ marginLeft: 4, padding: "4px 8px", borderRadius: 8, border: "1.5px solid #e2e8f0", background: "#fff", color: "#475569", fontSize: 12, fontWeight: 600 }}
+      >
+        <option value="">Auto-detect</option>
+        {languages.map(l => <option key={l} value={l}>Expect {langTag(l).title}</option>)}
+      </select>
+    </div>
+  );
+}
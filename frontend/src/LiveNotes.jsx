@@ -0,0 +1,31 @@
+import { fmtOffset, fmtTime } from "./utils";
+
+/* ══════════════════════════════════════════
+   LIVE NOTES
+   Notes and flags left by the people watching a shared live
+   session, newest first. Shown to the host and every viewer, and
+   kept with the session in the Library.
+══════════════════════════════════════════ */
+export default function LiveNotes({ notes }) {
+  if (!notes.length) return null;
+  return (
+    <div style={{ background: "#fff", borderRadius: 18, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 14px rgba(0,0,0,.05)", padding: "14px 16px", display: "flex", flexDirection: "column", gap: 10 }}>
+      <div style={{ fontSize: 11, fontWeight: 700, color: "#94a3b8", letterSpacing: ".08em" }}>NOTES & FLAGS ({notes.length})</div>
+      {[...notes].reverse().map(n => (
+        <div key={n.id} style={{ display: "flex", gap: 10, alignItems: "flex-start", fontSize: 13 }}>
+          <span style={{ fontSize: 15, flexShrink: 0 }}>{n.kind === "flag" ? "🚩" : "📝"}</span>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ display: "flex", gap: 8, fontSize: 11, color: "#94a3b8", fontVariantNumeric: "tabular-nums" }}>
+              <strong style={{ color: "#475569" }}>{n.author}</strong>
+              <span title={fmtTime(n.time)}>⏱ {fmtOffset(n.start)}</span>
+            </div>
+            {n.quote && (
+              <div style={{ margin: "3px 0", paddingLeft: 8, borderLeft: "3px solid #fecaca", color: "#64748b", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{n.quote}</div>
+            )}
+            {n.text && <div style={{ color: "#1a2233", lineHeight: 1.6, whiteSpace: "pre-wrap" }}>{n.text}</div>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
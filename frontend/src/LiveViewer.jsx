@@ -0,0 +1,193 @@
+import { useState, useEffect, useRef } from "react";
+import { fmtTime, insertByTime, langTag, largeScript, unsureLang, SOURCE_TAGS } from "./utils";
+import LiveNotes from "./LiveNotes";
+
+const NOTE_MAX_CHARS = 500;
+
+const toEntry = (msg) => ({
+  id: msg.id || `${msg.seq}-${msg.time}`,
+  seq: msg.seq,
+  text: msg.text.trim(),
+  lang: msg.lang || "en",
+  lang_confidence: msg.lang_confidence ?? null,
+  source: msg.source || null,
+  time: msg.time,
+  translation: msg.translation || null,
+});
+
+/* ══════════════════════════════════════════
+   LIVE VIEWER
+   Watch someone else's meeting as it is transcribed, read-only,
+   over a WebSocket of its own. Viewers can leave notes or flag a
+   line; the host and the other viewers see them straight away.
+══════════════════════════════════════════ */
+export default function LiveViewer({ wsUrl, token, code, onLeave, toast$ }) {
+  const [state, setState] = useState({ status: "connecting" }); // connecting | watching | ended | failed
+  const [entries, setEntries] = useState([]);
+  const [notes, setNotes] = useState([]);
+  const [viewers, setViewers] = useState([]);
+  const [processing, setProcessing] = useState(false);
+  const [note, setNote] = useState({ kind: "note", text: "", seq: null });
+  const wsRef = useRef(null);
+  const feedRef = useRef(null);
+
+  useEffect(() => {
+    const ws = new WebSocket(`${wsUrl}?token=${encodeURIComponent(token || "")}`);
+    wsRef.current = ws;
+    let over = false;
+
+    ws.onmessage = (event) => {
+      const msg = JSON.parse(event.data);
+      switch (msg.type) {
+        case "connected":
+          ws.send(JSON.stringify({ type: "join", code }));
+          break;
+        case "join_ack":
+          setState({ status: "watching", host: msg.host, code: msg.code });
+          setEntries(msg.entries.filter(m => m.text?.trim()).map(toEntry).sort((a, b) => a.time - b.time));
+          setNotes(msg.notes);
+          setViewers(msg.viewers);
+          break;
+        case "join_failed":
+          over = true;
+          setState({ status: "failed", reason: msg.message });
+          ws.close();
+          break;
+        case "transcript":
+          if (msg.text?.trim()) setEntries(p => insertByTime(p, toEntry(msg)));
+          setProcessing(false);
+          break;
+        case "processing":
+          setProcessing(true);
+          break;
+        case "silence":
+          setProcessing(false);
+          break;
+        case "viewers":
+          setViewers(msg.viewers);
+          break;
+        case "note":
+          setNotes(p => [...p, msg.note]);
+          break;
+        case "share_ended":
+          over = true;
+          setState(s => ({ ...s, status: "ended", reason: msg.reason }));
+          ws.close();
+          break;
+        case "error":
+          toast$(msg.message, "warn");
+          break;
+        default:
+          break;
+      }
+    };
+    ws.onclose = () => {
+      if (!over) setState(s => ({ ...s, status: "ended", reason: "Lost the connection to the server." }));
+    };
+    return () => { over = true; ws.close(); };
+  }, [wsUrl, token, code, toast$]);
+
+  useEffect(() => {
+    if (feedRef.current) feedRef.current.scrollTop = feedRef.current.scrollHeight;
+  }, [entries]);
+
+  const sendNote = (e) => {
+    e.preventDefault();
+    const ws = wsRef.current;
+    if (ws?.readyState !== WebSocket.OPEN || (!note.text.trim() && note.seq === null)) return;
+    ws.send(JSON.stringify({ type: "note", kind: note.kind, text: note.text.trim(), seq: note.seq ?? undefined }));
+    setNote({ kind: "note", text: "", seq: null });
+  };
+
+  const leave = () => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) wsRef.current.send(JSON.stringify({ type: "leave" }));
+    onLeave();
+  };
+
+  const watching = state.status === "watching";
+  const flagged = note.seq !== null ? entries.find(e => e.seq === note.seq) : null;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      {/* Header */}
+      <div style={{ background: "#fff", borderRadius: 18, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 14px rgba(0,0,0,.05)", padding: "16px 20px", display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <span style={{ fontSize: 24 }}>👥</span>
+        <div style={{ flex: 1, minWidth: 200 }}>
+          <div style={{ fontWeight: 800, fontSize: 16 }}>
+            {state.status === "connecting" && "Joining live session…"}
+            {state.status === "watching" && `Watching ${state.host}'s meeting`}
+            {state.status === "ended" && (state.host ? `${state.host}'s meeting has ended` : "Disconnected")}
+            {state.status === "failed" && "Could not join"}
+          </div>
+          <div style={{ fontSize: 12, color: "#64748b", marginTop: 2 }}>
+            {watching
+              ? <>Code <strong style={{ letterSpacing: ".12em" }}>{state.code}</strong> · {viewers.length} {viewers.length === 1 ? "viewer" : "viewers"}{processing ? " · 🔄 transcribing…" : ""}</>
+              : state.reason || `Code ${code}`}
+          </div>
+        </div>
+        {watching && (
+          <span style={{ display: "inline-flex", alignItems: "center", gap: 6, padding: "4px 10px", borderRadius: 20, background: "#fef2f2", border: "1px solid #fecaca", color: "#ef4444", fontWeight: 700, fontSize: 11 }}>● LIVE</span>
+        )}
+        <button onClick={leave} style={{ padding: "8px 16px", borderRadius: 10, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 13 }}>
+          {watching ? "Leave" : "Close"}
+        </button>
+      </div>
+
+      {/* Transcript */}
+      <div ref={feedRef} style={{ background: "#fff", borderRadius: 18, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 14px rgba(0,0,0,.05)", height: 380, overflowY: "auto", padding: 16, display: "flex", flexDirection: "column", gap: 14 }}>
+        {entries.length === 0 && (
+          <div style={{ margin: "auto", color: "#94a3b8", fontSize: 13 }}>{watching ? "Nothing has been said yet — lines appear here as they are transcribed." : "No transcript."}</div>
+        )}
+        {entries.map(e => (
+          <div key={e.id} className="entry" style={{ display: "flex", gap: 12 }}>
+            <div style={{ width: 4, borderRadius: 4, flexShrink: 0, alignSelf: "stretch", background: langTag(e.lang).bar }} />
+            <div style={{ flex: 1 }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 7, marginBottom: 4, fontSize: 10, color: "#94a3b8" }}>
+                <span style={{ fontWeight: 700, color: langTag(e.lang).color }}>{langTag(e.lang).label}</span>
+                {unsureLang(e) && <span title={`Language detected with ${Math.round(e.lang_confidence * 100)}% confidence`} style={{ fontWeight: 700 }}>?</span>}
+                {SOURCE_TAGS[e.source] && <span title={SOURCE_TAGS[e.source].title} style={{ fontWeight: 700, color: "#64748b" }}>{SOURCE_TAGS[e.source].label}</span>}
+                <span style={{ fontVariantNumeric: "tabular-nums" }}>{fmtTime(e.time)}</span>
+                {notes.some(n => n.kind === "flag" && n.seq === e.seq) && <span title="Flagged">🚩</span>}
+                {watching && (
+                  <button onClick={() => setNote(n => ({ ...n, kind: "flag", seq: e.seq }))} title="Flag this line for the host" style={{ marginLeft: "auto", border: "none", background: "none", padding: 0, fontSize: 12, opacity: note.seq === e.seq ? 1 : 0.45 }}>🚩</button>
+                )}
+              </div>
+              <p style={{ margin: 0, fontSize: largeScript(e.lang) ? 16 : 14, lineHeight: largeScript(e.lang) ? 2.05 : 1.75, color: "#1a2233" }}>{e.text}</p>
+              {e.translation && (
+                <p style={{ margin: "4px 0 0", fontSize: largeScript(e.translation.lang) ? 14 : 12.5, lineHeight: largeScript(e.translation.lang) ? 1.9 : 1.6, color: "#64748b" }}>⇄ {e.translation.text}</p>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Note form */}
+      {watching && (
+        <form onSubmit={sendNote} style={{ background: "#fff", borderRadius: 18, border: "1.5px solid #e2e8f0", padding: "12px 14px", display: "flex", flexDirection: "column", gap: 8 }}>
+          {flagged && (
+            <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: "#64748b" }}>
+              <span>🚩</span>
+              <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", paddingLeft: 8, borderLeft: "3px solid #fecaca" }}>{flagged.text}</span>
+              <button type="button" onClick={() => setNote(n => ({ ...n, kind: "note", seq: null }))} style={{ border: "none", background: "none", color: "#94a3b8", fontSize: 12 }}>✕</button>
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 8 }}>
+            {[["note", "📝 Note"], ["flag", "🚩 Flag"]].map(([kind, label]) => (
+              <button key={kind} type="button" onClick={() => setNote(n => ({ ...n, kind }))} style={{ padding: "8px 12px", borderRadius: 10, fontSize: 12, fontWeight: 700, border: `1.5px solid ${note.kind === kind ? "#3b82f6" : "#e2e8f0"}`, background: note.kind === kind ? "#eff6ff" : "#fff", color: note.kind === kind ? "#1d4ed8" : "#64748b" }}>{label}</button>
+            ))}
+            <input
+              value={note.text}
+              onChange={e => setNote(n => ({ ...n, text: e.target.value }))}
+              maxLength={NOTE_MAX_CHARS}
+              placeholder={note.kind === "flag" ? "Why flag it? (optional)" : "Add a note for the host…"}
+              style={{ flex: 1, padding: "8px 12px", borderRadius: 10, border: "1.5px solid #e2e8f0", fontSize: 13, outline: "none" }}
+            />
+            <button type="submit" disabled={!note.text.trim() && note.seq === null} style={{ padding: "8px 16px", borderRadius: 10, border: "none", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontWeight: 700, fontSize: 13 }}>Send</button>
+          </div>
+        </form>
+      )}
+
+      <LiveNotes notes={notes} />
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { useState, useEffect } from "react";
+import { fmtTime, fmtDur, fmtDate, fmtOffset, speakerName, speakerColor, largeScript } from "./utils";
+import SummaryPanel from "./SummaryPanel";
+
+const FORMATS = [["pdf", "PDF"], ["docx", "Word"], ["txt", "TXT"], ["md", "Markdown"], ["srt", "SRT subtitles"], ["vtt", "WebVTT subtitles"]];
+
+/* ══════════════════════════════════════════
+   PUBLIC SESSION (?share=<token>)
+   A session opened from a public link: transcript, summary,
+   recording and downloads, read-only and without an account.
+   Revoked or expired links show a notice instead.
+══════════════════════════════════════════ */
+export default function PublicSession({ api, token, onExit }) {
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState(null);
+  const base = `${api}/public/${encodeURIComponent(token)}`;
+
+  useEffect(() => {
+    fetch(base)
+      .then(async r => {
+        const data = await r.json();
+        if (!r.ok) throw new Error(data.error);
+        setSession(data);
+      })
+      .catch(err => setError(err.message || "Could not open this link."));
+  }, [base]);
+
+  const download = (format) => { location.href = `${base}/download?format=${format}`; };
+
+  return (
+    <div style={{ minHeight: "100vh", background: "var(--bg-gradient)", fontFamily: "'Plus Jakarta Sans','Noto Sans Khmer','Noto Sans Thai',system-ui,sans-serif", color: "#1a2233", fontSize: 14 }}>
+      <div style={{ background: "#fff", borderBottom: "1.5px solid #e2e8f0" }}>
+        <div style={{ maxWidth: 820, margin: "0 auto", padding: "0 18px", height: 58, display: "flex", alignItems: "center", gap: 10 }}>
+          <span style={{ fontWeight: 800, fontSize: 15, letterSpacing: "-.02em" }}>METRI</span>
+          <span style={{ fontSize: 10, color: "#94a3b8", fontWeight: 600, letterSpacing: ".07em", flex: 1 }}>SHARED TRANSCRIPT · READ-ONLY</span>
+          <button onClick={onExit} style={{ padding: "6px 14px", borderRadius: 8, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 12 }}>Open METRI</button>
+        </div>
+      </div>
+
+      <div style={{ maxWidth: 820, margin: "0 auto", padding: 18, display: "flex", flexDirection: "column", gap: 14 }}>
+        {error && (
+          <div style={{ background: "#fff", borderRadius: 18, border: "1.5px solid #e2e8f0", padding: "56px 40px", textAlign: "center" }}>
+            <div style={{ fontSize: 44, marginBottom: 12 }}>🔒</div>
+            <div style={{ fontWeight: 700, fontSize: 16, color: "#475569" }}>{error}</div>
+            <div style={{ color: "#94a3b8", fontSize: 13, marginTop: 6 }}>Ask the person who shared it for a new link.</div>
+          </div>
+        )}
+        {!session && !error && <div style={{ margin: "60px auto", color: "#94a3b8" }}>Loading…</div>}
+
+        {session && (
+          <>
+            <div style={{ display: "flex", alignItems: "flex-start", gap: 12, flexWrap: "wrap" }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontSize: 22, fontWeight: 800, lineHeight: 1.3, marginBottom: 4 }}>{session.title}</div>
+                <div style={{ display: "flex", gap: 10, fontSize: 12, color: "#64748b" }}>
+                  <span>📅 {fmtDate(session.date)}</span>
+                  <span>⏱ {fmtDur(session.duration)}</span>
+                  <span>💬 {session.entries.length}</span>
+                </div>
+              </div>
+              <select value="" onChange={e => e.target.value && download(e.target.value)} style={{ padding: "8px 10px", borderRadius: 9, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 12 }}>
+                <option value="">⬇ Download</option>
+                {FORMATS.map(([f, label]) => <option key={f} value={f}>{label}</option>)}
+              </select>
+            </div>
+
+            {session.has_audio && (
+              <div style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #e2e8f0", padding: "14px 18px" }}>
+                <audio src={`${base}/audio`} controls style={{ width: "100%" }} />
+              </div>
+            )}
+
+            {session.summary && <SummaryPanel session={session} readOnly />}
+
+            <div style={{ background: "#fff", borderRadius: 18, border: "1.5px solid #e2e8f0", padding: 16, display: "flex", flexDirection: "column", gap: 12 }}>
+              {session.entries.map(e => (
+                <div key={e.id} style={{ display: "flex", gap: 12 }}>
+                  <span style={{ flexShrink: 0, width: 58, fontSize: 11, fontWeight: 700, color: "#94a3b8", fontVariantNumeric: "tabular-nums", paddingTop: 3 }}>
+                    {Number.isFinite(e.start) ? fmtOffset(e.start) : fmtTime(e.time)}
+                  </span>
+                  <div style={{ flex: 1 }}>
+                    {e.speaker && <div style={{ fontSize: 12, fontWeight: 800, color: speakerColor(e.speaker), marginBottom: 2 }}>{speakerName(session, e)}</div>}
+                    <p style={{ margin: 0, fontSize: largeScript(e.lang) ? 16 : 14, lineHeight: largeScript(e.lang) ? 2.05 : 1.75 }}>{e.text}</p>
+                    {e.translation && (
+                      <p style={{ margin: "4px 0 0", fontSize: largeScript(e.translation.lang) ? 14 : 13, lineHeight: 1.6, color: "#64748b" }}>⇄ {e.translation.text}</p>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
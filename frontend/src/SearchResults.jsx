@@ -0,0 +1,134 @@
+import { useState, useEffect } from "react";
+import { fmtDate, fmtOffset, fmtTime, speakerName, langTag, LANGUAGES } from "./utils";
+
+const PAGE_SIZE = 20;
+const DEBOUNCE_MS = 400;
+const NO_FILTERS = { lang: "", from: "", to: "", session: "", speaker: "" };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date inputs are local days; the server compares ISO timestamps
+const dayStart = (day, offset = 0) => new Date(new Date(`${day}T00:00`).getTime() + offset).toISOString();
+
+/* Entry text with the matched words wrapped in <mark> */
+function Highlighted({ text, ranges }) {
+  const parts = [];
+  let at = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > at) parts.push(text.slice(at, start));
+    parts.push(<mark key={i} style={{ background: "#fef08a", color: "inherit", borderRadius: 3, padding: "0 1px" }}>{text.slice(start, end)}</mark>);
+    at = end;
+  });
+  parts.push(text.slice(at));
+  return parts;
+}
+
+/* ══════════════════════════════════════════
+   SEARCH RESULTS (Library)
+   Ranked matches for the Library search box, with filters and
+   paging. Clicking a result opens its session at that entry.
+══════════════════════════════════════════ */
+export default function SearchResults({ api, authFetch, query, sessions, onOpen, onLoading }) {
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+
+  const setFilter = (key, value) => { setFilters(f => ({ ...f, [key]: value })); setPage(1); };
+  useEffect(() => { setPage(1); }, [query]);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ q: query, page, pageSize: PAGE_SIZE });
+    if (filters.lang) params.set("lang", filters.lang);
+    if (filters.from) params.set("from", dayStart(filters.from));
+    if (filters.to) params.set("to", dayStart(filters.to, DAY_MS));
+    if (filters.session) params.set("session", filters.session);
+    if (filters.speaker) params.set("speaker", filters.speaker);
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      onLoading(true);
+      try {
+        const res = await authFetch(`${api}/search?${params}`);
+        const d = await res.json();
+        if (!cancelled && res.ok) setData(d);
+      } catch (err) {
+        console.error("Search error:", err);
+      } finally {
+        if (!cancelled) onLoading(false);
+      }
+    }, DEBOUNCE_MS);
+    return () => { cancelled = true; clearTimeout(timer); onLoading(false); };
+  }, [api, authFetch, query, filters, page, onLoading]);
+
+  // Speaker names as shown in the Library (renamed or "Speaker N")
+  const scope = filters.session ? sessions.filter(s => s.id === filters.session) : sessions;
+  const speakers = [...new Set(scope.flatMap(s => s.entries.map(e => speakerName(s, e)).filter(Boolean)))].sort();
+  const pages = data ? Math.max(1, Math.ceil(data.total / PAGE_SIZE)) : 1;
+  const filtered = Object.values(filters).some(Boolean);
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+      {/* Filters */}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", padding: "12px 14px", background: "#f1f5f9", borderRadius: 12, fontSize: 12, color: "#475569" }}>
+        <select value={filters.lang} onChange={e => setFilter("lang", e.target.value)} style={filterStyle}>
+          <option value="">All languages</option>
+          {[...LANGUAGES, "mixed"].map(l => <option key={l} value={l}>{langTag(l).label}</option>)}
+        </select>
+        <select value={filters.session} onChange={e => setFilter("session", e.target.value)} style={{ ...filterStyle, maxWidth: 220 }}>
+          <option value="">All meetings</option>
+          {sessions.map(s => <option key={s.id} value={s.id}>{s.title}</option>)}
+        </select>
+        <select value={filters.speaker} onChange={e => setFilter("speaker", e.target.value)} style={filterStyle}>
+          <option value="">All speakers</option>
+          {speakers.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          From <input type="date" value={filters.from} onChange={e => setFilter("from", e.target.value)} style={filterStyle} />
+        </label>
+        <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          To <input type="date" value={filters.to} onChange={e => setFilter("to", e.target.value)} style={filterStyle} />
+        </label>
+        {filtered && <button onClick={() => { setFilters(NO_FILTERS); setPage(1); }} style={{ ...filterStyle, color: "#64748b", fontWeight: 700 }}>✕ Clear</button>}
+        <span style={{ marginLeft: "auto" }}>
+          {data ? <>Found <strong>{data.total}</strong> {data.total === 1 ? "match" : "matches"} for "{query}"</> : "Searching…"}
+        </span>
+      </div>
+
+      {/* Results */}
+      {data?.results.map(r => {
+        const session = sessions.find(s => s.id === r.session_id);
+        return (
+          <div key={`${r.session_id}/${r.id}`} className="hc" onClick={() => onOpen(r.session_id, r.id)} style={{ background: "#fff", borderRadius: 14, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 10px rgba(0,0,0,.04)", padding: "14px 16px", cursor: "pointer" }}>
+            <div style={{ display: "flex", gap: 10, alignItems: "baseline", flexWrap: "wrap", fontSize: 12, color: "#64748b", marginBottom: 6 }}>
+              <span style={{ fontWeight: 800, fontSize: 14, color: "#1a2233" }}>{r.title || "Untitled meeting"}</span>
+              <span>📅 {fmtDate(r.date)}</span>
+              <span style={{ fontVariantNumeric: "tabular-nums" }}>⏱ {Number.isFinite(r.start) ? fmtOffset(r.start) : r.time ? fmtTime(r.time) : "—"}</span>
+              {r.speaker && <span>🗣 {session ? speakerName(session, r) : r.speaker_name}</span>}
+              <span style={{ marginLeft: "auto", padding: "1px 7px", borderRadius: 20, fontSize: 10, fontWeight: 700, background: langTag(r.lang).bg, color: langTag(r.lang).color, border: `1px solid ${langTag(r.lang).border}` }}>
+                {langTag(r.lang).short}
+              </span>
+            </div>
+            <div style={{ fontSize: 14, lineHeight: 1.7, color: "#334155" }}>
+              <Highlighted text={r.text} ranges={r.highlights} />
+            </div>
+          </div>
+        );
+      })}
+
+      {data && data.total === 0 && (
+        <div style={{ padding: "28px 20px", textAlign: "center", color: "#94a3b8", fontSize: 13 }}>No transcript entries match{filtered ? " these filters" : ""}.</div>
+      )}
+
+      {/* Paging */}
+      {pages > 1 && (
+        <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 12, fontSize: 12, color: "#64748b" }}>
+          <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} style={pageBtn}>← Prev</button>
+          <span>Page {page} of {pages}</span>
+          <button onClick={() => setPage(p => p + 1)} disabled={page >= pages} style={pageBtn}>Next →</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const filterStyle = { padding: "6px 10px", borderRadius: 9, border: "1.5px solid #e2e8f0", background: "#fff", fontSize: 12, color: "#334155" };
+const pageBtn = { padding: "7px 14px", borderRadius: 9, border: "1.5px solid #e2e8f0", background: "#fff", color: "#1d4ed8", fontWeight: 700, fontSize: 12 };
@@ -0,0 +1,428 @@
+import { useState, useEffect, useRef } from "react";
+import { fmtTime, fmtDur, fmtDate, fmtOffset, speakerName, speakerColor, langTag, largeScript, unsureLang, otherLanguage, SOURCE_TAGS } from "./utils";
+import SummaryPanel from "./SummaryPanel";
+import SideBySide, { SideBySideHeader } from "./SideBySide";
+import SharePanel from "./SharePanel";
+import LiveNotes from "./LiveNotes";
+
+const FLASH_MS = 2500; // how long an entry opened from search stays highlighted
+
+/* ══════════════════════════════════════════
+   SESSION DETAIL (Library)
+   Plays the saved recording, highlights the entry being spoken
+   and seeks when an entry's timestamp is clicked.
+   Speakers are renamed once here and the name applies everywhere.
+   Titles and entries can be corrected inline; Whisper's original
+   text is kept by the server so any entry can be reverted, and a
+   merged entry reverts to the two it was joined from.
+   Opened from a search result, it scrolls to that entry and cues
+   the recording there.
+   What can be changed follows the user's role on the session:
+   viewers only read, and only owners see the sharing panel.
+══════════════════════════════════════════ */
+export default function SessionView({ session, focusEntryId, api, authFetch, waitForJob, translation, workspaces, onClose, onUpdate, onSummarize, summarizing, toast$ }) {
+  const [names, setNames] = useState(session.speakers || {});
+  const [savingNames, setSavingNames] = useState(false);
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [loadingAudio, setLoadingAudio] = useState(!!session.audio_file);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [title, setTitle] = useState(null);   // non-null while renaming
+  const [editing, setEditing] = useState(null); // { id, text, lang } of the entry being edited
+  const [busy, setBusy] = useState(false);
+  const [flashId, setFlashId] = useState(focusEntryId || null); // entry opened from a search result
+  const [sideBySide, setSideBySide] = useState(false);
+  const [translating, setTranslating] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  const [correcting, setCorrecting] = useState(false);
+  const canEdit = session.role !== "viewer";
+  const isOwner = session.role === "owner";
+  const workspace = workspaces.find(w => w.id === session.workspace_id);
+  const audioRef = useRef(null);
+  const activeRef = useRef(null);
+  const focusRef = useRef(null);
+  const editRef = useRef(null);
+
+  /* ─── Load recording (fetched with auth, played from a blob URL) ─── */
+  useEffect(() => {
+    if (!session.audio_file) return;
+    let url = null;
+    let cancelled = false;
+    authFetch(`${api}/sessions/${session.id}/audio`)
+      .then(r => { if (!r.ok) throw new Error(); return r.blob(); })
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setAudioUrl(url);
+      })
+      .catch(() => { if (!cancelled) toast$("Could not load the recording.", "warn"); })
+      .finally(() => { if (!cancelled) setLoadingAudio(false); });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [session.id, session.audio_file, api, authFetch, toast$]);
+
+  /* ─── Poll while diarization is still running ─── */
+  useEffect(() => {
+    if (session.diarization !== "pending") return;
+    const timer = setInterval(() => {
+      authFetch(`${api}/sessions/${session.id}`)
+        .then(r => r.json())
+        .then(s => { if (s.id && s.diarization !== "pending") onUpdate(s); })
+        .catch(() => { });
+    }, 5000);
+    return () => clearInterval(timer);
+  }, [session.id, session.diarization, api, authFetch, onUpdate]);
+
+  useEffect(() => { setNames(session.speakers || {}); }, [session.speakers]);
+
+  const saveNames = async () => {
+    setSavingNames(true);
+    try {
+      const res = await authFetch(`${api}/sessions/${session.id}/speakers`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ speakers: names }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      onUpdate(data);
+      toast$("Speaker names saved ✓");
+    } catch (err) {
+      toast$(err.message || "Could not rename speakers.", "warn");
+    } finally {
+      setSavingNames(false);
+    }
+  };
+
+  /* Translates every entry that has no translation yet, as a background job */
+  const translateSession = async () => {
+    setTranslating(true);
+    try {
+      const res = await authFetch(`${api}/sessions/${session.id}/translate`, { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      const job = await waitForJob(data.job.id);
+      if (job.status !== "done") throw new Error(job.error || "Could not translate the transcript.");
+      const fresh = await authFetch(`${api}/sessions/${session.id}`).then(r => r.json());
+      if (fresh.id) onUpdate(fresh);
+      toast$(job.result.translated ? `Translated ${job.result.translated} ${job.result.translated === 1 ? "entry" : "entries"} ✓` : "Everything is already translated ✓");
+      setSideBySide(true);
+    } catch (err) {
+      toast$(err.message || "Could not translate the transcript.", "warn");
+    } finally {
+      setTranslating(false);
+    }
+  };
+
+  /* Fixes the glossary's known misspellings; corrected entries can still be reverted */
+  const correctSession = async () => {
+    setCorrecting(true);
+    try {
+      const res = await authFetch(`${api}/sessions/${session.id}/correct`, { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      onUpdate(data.session);
+      toast$(data.corrected ? `Fixed spellings in ${data.corrected} ${data.corrected === 1 ? "entry" : "entries"} ✓` : "No glossary misspellings found ✓");
+    } catch (err) {
+      toast$(err.message || "Could not apply the glossary.", "warn");
+    } finally {
+      setCorrecting(false);
+    }
+  };
+
+  /* ─── Transcript edits (each PATCH returns the updated session) ─── */
+  const patch = async (path, body, done) => {
+    setBusy(true);
+    try {
+      const res = await authFetch(`${api}/sessions/${session.id}${path}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body || {}),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      onUpdate(data);
+      if (done) toast$(done);
+      return true;
+    } catch (err) {
+      toast$(err.message || "Could not save the change.", "warn");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveTitle = async () => {
+    if (!title.trim() || title.trim() === session.title) return setTitle(null);
+    if (await patch("", { title }, "Title saved ✓")) setTitle(null);
+  };
+
+  const saveEntry = async () => {
+    const entry = session.entries.find(e => e.id === editing.id);
+    const fields = {};
+    if (editing.text.trim() !== entry.text) fields.text = editing.text;
+    if (editing.lang !== entry.lang) fields.lang = editing.lang;
+    if (!Object.keys(fields).length) return setEditing(null);
+    if (await patch(`/entries/${encodeURIComponent(editing.id)}`, fields, "Entry saved ✓")) setEditing(null);
+  };
+
+  const splitEntry = async () => {
+    const at = editRef.current?.selectionStart ?? 0;
+    const entry = session.entries.find(e => e.id === editing.id);
+    if (editing.text !== entry.text) return toast$("Save your changes before splitting.", "warn");
+    if (await patch(`/entries/${encodeURIComponent(editing.id)}/split`, { at }, "Entry split ✓")) setEditing(null);
+  };
+
+  const mergeNext = (e) => patch(`/entries/${encodeURIComponent(e.id)}/merge`, null, "Entries merged ✓");
+  const revertEntry = (e) => patch(`/entries/${encodeURIComponent(e.id)}`, { revert: true }, e.original_text == null ? "Merge undone" : "Reverted to the original transcript");
+
+  const speakerLabels = Object.keys(session.speakers || {});
+  const namesChanged = speakerLabels.some(l => (names[l] || "") !== session.speakers[l]);
+
+  /* ─── Entry being spoken at the playhead ─── */
+  const timed = session.entries.filter(e => Number.isFinite(e.start));
+  const active = timed.reduce((hit, e) => (e.start <= currentTime + 0.05 ? e : hit), null);
+  const activeId = active && currentTime <= (active.end ?? Infinity) + 1 ? active.id : null;
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }, [activeId]);
+
+  /* ─── Jump to the entry a search result pointed at ─── */
+  useEffect(() => {
+    if (!focusEntryId) return;
+    setFlashId(focusEntryId);
+    focusRef.current?.scrollIntoView({ block: "center", behavior: "smooth" });
+    const timer = setTimeout(() => setFlashId(null), FLASH_MS);
+    return () => clearTimeout(timer);
+  }, [focusEntryId]);
+
+  // …and cue the recording there once it has loaded
+  useEffect(() => {
+    const entry = focusEntryId && session.entries.find(e => e.id === focusEntryId);
+    if (audioUrl && audioRef.current && Number.isFinite(entry?.start)) audioRef.current.currentTime = entry.start;
+  }, [audioUrl, focusEntryId]);
+
+  const seek = (e) => {
+    const audio = audioRef.current;
+    if (!audio || !Number.isFinite(e.start)) return;
+    audio.currentTime = e.start;
+    audio.play().catch(() => { });
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14, animation: "up .3s ease-out" }}>
+      {/* Header */}
+      <div style={{ display: "flex", alignItems: "flex-start", gap: 12 }}>
+        <button onClick={onClose} style={{ padding: "7px 12px", borderRadius: 9, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 12 }}>← Library</button>
+        <div style={{ flex: 1 }}>
+          {title === null ? (
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
+              <div style={{ fontSize: 22, fontWeight: 800, lineHeight: 1.3 }}>{session.title}</div>
+              {canEdit && <button onClick={() => setTitle(session.title)} title="Rename" style={{ padding: "2px 7px", borderRadius: 7, border: "1px solid #e2e8f0", background: "#fff", color: "#64748b", fontSize: 12 }}>✏️</button>}
+            </div>
+          ) : (
+            <div style={{ display: "flex", gap: 8, marginBottom: 4 }}>
+              <input
+                autoFocus
+                value={title}
+                onChange={e => setTitle(e.target.value)}
+                onKeyDown={e => { if (e.key === "Enter") saveTitle(); if (e.key === "Escape") setTitle(null); }}
+                style={{ flex: 1, padding: "6px 10px", borderRadius: 9, border: "1.5px solid #bfdbfe", fontSize: 18, fontWeight: 800, outline: "none", color: "#1a2233" }}
+              />
+              <button onClick={saveTitle} disabled={busy} style={{ padding: "7px 14px", borderRadius: 9, border: "none", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontWeight: 700, fontSize: 12 }}>{busy ? "…" : "Save"}</button>
+              <button onClick={() => setTitle(null)} style={{ padding: "7px 12px", borderRadius: 9, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 12 }}>Cancel</button>
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 10, fontSize: 12, color: "#64748b", flexWrap: "wrap" }}>
+            <span>📅 {fmtDate(session.date)}</span>
+            <span>⏱ {fmtDur(session.duration)}</span>
+            <span>💬 {session.entries.length}</span>
+            {workspace && <span>👥 {workspace.name}</span>}
+            {!isOwner && <span style={{ fontWeight: 700, color: canEdit ? "#1d4ed8" : "#d97706" }}>{canEdit ? "✏️ Shared with you — you can edit" : "👁 View only"}</span>}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {isOwner && (
+            <button onClick={() => setSharing(v => !v)} style={{ padding: "7px 12px", borderRadius: 9, border: `1.5px solid ${sharing ? "#6366f1" : "#c7d2fe"}`, background: sharing ? "#e0e7ff" : "#eef2ff", color: "#4338ca", fontWeight: 700, fontSize: 12 }}>
+              🔗 Share
+            </button>
+          )}
+          {canEdit && <button onClick={translateSession} disabled={!translation || translating} title={translation ? `Translate entries English ⇄ ${langTag(otherLanguage(session.languages)).title}` : "Translation is not configured on the server"} style={{ padding: "7px 12px", borderRadius: 9, border: "1.5px solid #e9d5ff", background: "#faf5ff", color: "#7e22ce", fontWeight: 700, fontSize: 12, opacity: translation ? 1 : 0.5 }}>
+            {translating ? "…" : "⇄ Translate"}
+          </button>}
+          {canEdit && <button onClick={correctSession} disabled={correcting} title="Fix misspellings listed in your glossary (Settings)" style={{ padding: "7px 12px", borderRadius: 9, border: "1.5px solid #fde68a", background: "#fffbeb", color: "#b45309", fontWeight: 700, fontSize: 12 }}>
+            {correcting ? "…" : "🔤 Fix spellings"}
+          </button>}
+          <button onClick={() => setSideBySide(v => !v)} style={{ padding: "7px 12px", borderRadius: 9, border: `1.5px solid ${sideBySide ? "#3b82f6" : "#e2e8f0"}`, background: sideBySide ? "#eff6ff" : "#fff", color: sideBySide ? "#1d4ed8" : "#64748b", fontWeight: 700, fontSize: 12 }}>
+            ◫ Side by side
+          </button>
+          {!session.summary && canEdit && (
+            <button onClick={() => onSummarize(session.id)} disabled={summarizing} style={{ padding: "7px 12px", borderRadius: 9, border: "1.5px solid #dcfce7", background: "#f0fdf4", color: "#166534", fontWeight: 700, fontSize: 12 }}>
+              {summarizing ? "…" : "✨ Summarize"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {sharing && <SharePanel session={session} api={api} authFetch={authFetch} workspaces={workspaces} onUpdate={onUpdate} toast$={toast$} />}
+
+      {/* Player */}
+      <div style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 12px rgba(0,0,0,.05)", padding: "14px 18px" }}>
+        {!session.audio_file ? (
+          <div style={{ fontSize: 13, color: "#94a3b8" }}>No recording was saved with this session.</div>
+        ) : loadingAudio ? (
+          <div style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 13, color: "#64748b" }}>
+            <div style={{ width: 14, height: 14, border: "2px solid #e2e8f0", borderTopColor: "#3b82f6", borderRadius: "50%", animation: "spin .6s linear infinite" }} />
+            Loading recording…
+          </div>
+        ) : audioUrl && (
+          <audio
+            ref={audioRef}
+            src={audioUrl}
+            controls
+            onTimeUpdate={e => setCurrentTime(e.currentTarget.currentTime)}
+            onSeeked={e => setCurrentTime(e.currentTarget.currentTime)}
+            style={{ width: "100%" }}
+          />
+        )}
+      </div>
+
+      {/* Speakers */}
+      {(speakerLabels.length > 0 || session.diarization === "pending") && (
+        <div style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 12px rgba(0,0,0,.05)", padding: "14px 18px" }}>
+          <div style={{ fontSize: 11, fontWeight: 700, color: "#94a3b8", letterSpacing: ".08em", marginBottom: 10 }}>SPEAKERS</div>
+          {session.diarization === "pending" ? (
+            <div style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 13, color: "#64748b" }}>
+              <div style={{ width: 14, height: 14, border: "2px solid #e2e8f0", borderTopColor: "#3b82f6", borderRadius: "50%", animation: "spin .6s linear infinite" }} />
+              Identifying speakers…
+            </div>
+          ) : (
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              {speakerLabels.map(label => (
+                <div key={label} style={{ display: "flex", alignItems: "center", gap: 6, padding: "4px 6px 4px 10px", borderRadius: 10, border: `1.5px solid ${speakerColor(label)}33`, background: "#f8fafc" }}>
+                  <div style={{ width: 8, height: 8, borderRadius: "50%", background: speakerColor(label) }} />
+                  <input
+                    value={names[label] || ""}
+                    readOnly={!canEdit}
+                    onChange={e => setNames(p => ({ ...p, [label]: e.target.value }))}
+                    onKeyDown={e => e.key === "Enter" && namesChanged && saveNames()}
+                    style={{ width: 120, padding: "5px 8px", borderRadius: 7, border: "1px solid #e2e8f0", fontSize: 12, fontWeight: 600, outline: "none", color: "#1a2233" }}
+                  />
+                </div>
+              ))}
+              {namesChanged && (
+                <button onClick={saveNames} disabled={savingNames} style={{ padding: "7px 14px", borderRadius: 9, border: "none", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontWeight: 700, fontSize: 12 }}>
+                  {savingNames ? "…" : "Save names"}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Summary */}
+      {session.summary && (
+        <SummaryPanel
+          session={session}
+          api={api}
+          authFetch={authFetch}
+          onUpdate={onUpdate}
+          onRegenerate={() => confirm("Generate a new summary? Ticked action items will be reset.") && onSummarize(session.id, true)}
+          regenerating={summarizing}
+          readOnly={!canEdit}
+          toast$={toast$}
+        />
+      )}
+
+      {/* Notes and flags left while it was shared live */}
+      {session.notes?.length > 0 && <LiveNotes notes={session.notes} />}
+
+      {/* Transcript */}
+      <div style={{ background: "#fff", borderRadius: 18, border: "1.5px solid #e2e8f0", boxShadow: "0 2px 14px rgba(0,0,0,.05)", maxHeight: 520, overflowY: "auto", padding: 16, display: "flex", flexDirection: "column", gap: 10 }}>
+        {sideBySide && <div style={{ paddingLeft: 84 }}><SideBySideHeader languages={session.languages} /></div>}
+        {session.entries.map((e, i) => {
+          const isActive = e.id === activeId;
+          const isFlash = e.id === flashId;
+          const isEditing = editing?.id === e.id;
+          const edited = e.original_text != null;
+          const revertable = edited || e.merged;
+          const seekable = !!audioUrl && Number.isFinite(e.start);
+          return (
+            <div key={e.id} ref={isActive ? activeRef : e.id === focusEntryId ? focusRef : null} style={{ display: "flex", gap: 12, padding: "10px 12px", borderRadius: 12, background: isActive ? "#eff6ff" : isFlash ? "#fef9c3" : "transparent", border: `1.5px solid ${isActive ? "#bfdbfe" : isFlash ? "#fde047" : "transparent"}`, transition: "background .6s, border-color .6s" }}>
+              <button
+                onClick={() => seek(e)}
+                disabled={!seekable}
+                title={seekable ? "Play from here" : fmtTime(e.time)}
+                style={{ flexShrink: 0, width: 58, padding: "3px 0", borderRadius: 7, border: "none", background: seekable ? (isActive ? "#1d4ed8" : "#f1f5f9") : "transparent", color: isActive ? "#fff" : seekable ? "#1d4ed8" : "#94a3b8", fontWeight: 700, fontSize: 11, fontVariantNumeric: "tabular-nums", alignSelf: "flex-start", cursor: seekable ? "pointer" : "default" }}
+              >
+                {Number.isFinite(e.start) ? fmtOffset(e.start) : fmtTime(e.time)}
+              </button>
+              <div style={{ flex: 1 }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 7, marginBottom: 4 }}>
+                  {e.speaker && (
+                    <span style={{ fontSize: 12, fontWeight: 800, color: speakerColor(e.speaker) }}>{speakerName(session, e)}</span>
+                  )}
+                  <span style={{ display: "inline-flex", padding: "1px 7px", borderRadius: 20, fontSize: 10, fontWeight: 700, background: langTag(e.lang).bg, color: langTag(e.lang).color, border: `1px solid ${langTag(e.lang).border}` }}>
+                    {langTag(e.lang).label}
+                  </span>
+                  {unsureLang(e) && (
+                    <span title={`Language detected with ${Math.round(e.lang_confidence * 100)}% confidence — check the tag`} style={{ fontSize: 10, fontWeight: 700, color: "#94a3b8" }}>?</span>
+                  )}
+                  {SOURCE_TAGS[e.source] && (
+                    <span title={SOURCE_TAGS[e.source].title} style={{ fontSize: 10, fontWeight: 700, color: "#64748b" }}>{SOURCE_TAGS[e.source].label}</span>
+                  )}
+                  {revertable && (
+                    <span title={edited ? `Original: ${e.original_text}` : "Joined from two entries"} style={{ fontSize: 10, fontWeight: 700, color: "#94a3b8" }}>{edited ? "edited" : "merged"}</span>
+                  )}
+                  {!isEditing && canEdit && (
+                    <div style={{ marginLeft: "auto", display: "flex", gap: 4 }}>
+                      {revertable && <button onClick={() => revertEntry(e)} disabled={busy} title={edited ? "Revert to the original transcript" : "Undo the merge"} style={entryBtn}>↺</button>}
+                      {i < session.entries.length - 1 && <button onClick={() => mergeNext(e)} disabled={busy} title="Merge with the next entry" style={entryBtn}>⤓</button>}
+                      <button onClick={() => setEditing({ id: e.id, text: e.text, lang: e.lang })} title="Edit" style={entryBtn}>✏️</button>
+                    </div>
+                  )}
+                </div>
+                {isEditing ? (
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                    <textarea
+                      ref={editRef}
+                      autoFocus
+                      value={editing.text}
+                      onChange={ev => setEditing(p => ({ ...p, text: ev.target.value }))}
+                      onKeyDown={ev => { if (ev.key === "Escape") setEditing(null); if (ev.key === "Enter" && (ev.metaKey || ev.ctrlKey)) saveEntry(); }}
+                      rows={3}
+                      style={{ width: "100%", boxSizing: "border-box", padding: "8px 10px", borderRadius: 9, border: "1.5px solid #bfdbfe", fontSize: largeScript(editing.lang) ? 16 : 14, lineHeight: largeScript(editing.lang) ? 2.05 : 1.75, fontFamily: "inherit", color: "#1a2233", outline: "none", resize: "vertical" }}
+                    />
+                    <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+                      {[...new Set([...session.languages, e.lang, "mixed"])].map(l => (
+                        <button key={l} onClick={() => setEditing(p => ({ ...p, lang: l }))} style={{ padding: "4px 10px", borderRadius: 20, fontSize: 11, fontWeight: 700, border: `1.5px solid ${editing.lang === l ? "#3b82f6" : "#e2e8f0"}`, background: editing.lang === l ? "#eff6ff" : "#fff", color: editing.lang === l ? "#1d4ed8" : "#64748b" }}>
+                          {langTag(l).label}
+                        </button>
+                      ))}
+                      <button onClick={splitEntry} disabled={busy} title="Split at the cursor position" style={{ ...entryBtn, marginLeft: "auto", padding: "5px 10px", fontSize: 11, fontWeight: 700 }}>✂ Split at cursor</button>
+                      <button onClick={() => setEditing(null)} style={{ padding: "5px 12px", borderRadius: 8, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 11 }}>Cancel</button>
+                      <button onClick={saveEntry} disabled={busy || !editing.text.trim()} style={{ padding: "5px 14px", borderRadius: 8, border: "none", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontWeight: 700, fontSize: 11 }}>{busy ? "…" : "Save"}</button>
+                    </div>
+                  </div>
+                ) : sideBySide ? (
+                  <SideBySide entry={e} languages={session.languages} />
+                ) : (
+                  <>
+                    <p style={{ margin: 0, fontSize: largeScript(e.lang) ? 16 : 14, lineHeight: largeScript(e.lang) ? 2.05 : 1.75, color: "#1a2233" }}>{e.text}</p>
+                    {e.translation && (
+                      <p title="Machine translation" style={{ margin: "4px 0 0", fontSize: largeScript(e.translation.lang) ? 14 : 13, lineHeight: largeScript(e.translation.lang) ? 1.9 : 1.6, color: "#64748b" }}>⇄ {e.translation.text}</p>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const entryBtn = { padding: "2px 7px", borderRadius: 7, border: "1px solid #e2e8f0", background: "#fff", color: "#64748b", fontSize: 12, cursor: "pointer" };
@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback } from "react";
+import { fmtDate } from "./utils";
+
+const LINK_EXPIRY = [["", "Never expires"], ["1", "Expires in 1 day"], ["7", "Expires in 7 days"], ["30", "Expires in 30 days"]];
+const ROLE_LABELS = { owner: "Owner", editor: "Can edit", viewer: "Can view" };
+
+export const linkUrl = (token) => `${location.origin}${location.pathname}?share=${token}`;
+
+/* ══════════════════════════════════════════
+   SHARE SESSION (owners, Session detail)
+   Move the session into a workspace, share it with single users as
+   editor or viewer, and hand out read-only public links that can
+   expire and are revoked here.
+══════════════════════════════════════════ */
+export default function SharePanel({ session, api, authFetch, workspaces, onUpdate, toast$ }) {
+  const [users, setUsers] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [form, setForm] = useState({ username: "", role: "viewer" });
+  const [expiry, setExpiry] = useState("7");
+  const [busy, setBusy] = useState(false);
+
+  const call = useCallback(async (path, method = "GET", body) => {
+    const res = await authFetch(`${api}/sessions/${session.id}${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    return data;
+  }, [api, authFetch, session.id]);
+
+  useEffect(() => {
+    call("/shares")
+      .then(d => { setUsers(d.users); setLinks(d.links); })
+      .catch(err => toast$(err.message || "Could not load sharing.", "warn"));
+  }, [call, toast$]);
+
+  // Each action answers with the fresh list it changed
+  const run = async (fn, done) => {
+    setBusy(true);
+    try {
+      await fn();
+      if (done) toast$(done);
+    } catch (err) {
+      toast$(err.message || "Could not update sharing.", "warn");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const shareWith = (e) => {
+    e.preventDefault();
+    if (!form.username.trim()) return;
+    run(async () => {
+      setUsers(await call("/shares", "PUT", form));
+      setForm(f => ({ ...f, username: "" }));
+    }, `Shared with ${form.username.trim()} ✓`);
+  };
+  const setRole = (u, role) => run(async () => setUsers(await call("/shares", "PUT", { username: u.username, role })));
+  const unshare = (u) => run(async () => setUsers(await call(`/shares/${u.user_id}`, "DELETE")), `Stopped sharing with ${u.username}`);
+  const move = (workspaceId) => run(async () => onUpdate(await call("/workspace", "PATCH", { workspaceId: workspaceId || null })), "Moved ✓");
+
+  const createLink = () => run(async () => {
+    const link = await call("/links", "POST", { expiresInDays: expiry ? Number(expiry) : undefined });
+    setLinks(l => [link, ...l]);
+    copy(link.token);
+  });
+  const revoke = (link) => run(async () => setLinks(await call(`/links/${link.token}`, "DELETE")), "Link revoked — it no longer opens");
+  const copy = (token) => navigator.clipboard.writeText(linkUrl(token)).then(() => toast$("Link copied ✓"), () => toast$(linkUrl(token)));
+
+  const now = new Date().toISOString();
+  const active = links.filter(l => !l.revoked_at && (!l.expires_at || l.expires_at > now));
+  const targets = workspaces.filter(w => w.role !== "viewer");
+
+  return (
+    <div style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #c7d2fe", boxShadow: "0 2px 12px rgba(0,0,0,.05)", padding: "14px 18px", display: "flex", flexDirection: "column", gap: 16 }}>
+      {/* Workspace */}
+      <div>
+        <div style={labelStyle}>WORKSPACE</div>
+        <select value={session.workspace_id || ""} onChange={e => move(e.target.value)} disabled={busy} style={{ ...inputStyle, width: "100%" }}>
+          <option value="">🔒 Personal — only you and the people below</option>
+          {targets.map(w => <option key={w.id} value={w.id}>👥 {w.name} — {w.members.length} {w.members.length === 1 ? "member" : "members"}</option>)}
+        </select>
+      </div>
+
+      {/* People */}
+      <div>
+        <div style={labelStyle}>PEOPLE</div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: users.length ? 10 : 0 }}>
+          {users.map(u => (
+            <div key={u.user_id} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13 }}>
+              <div style={avatarStyle}>{u.username[0].toUpperCase()}</div>
+              <span style={{ flex: 1, fontWeight: 700 }}>{u.username}</span>
+              <select value={u.role} onChange={e => setRole(u, e.target.value)} disabled={busy} style={inputStyle}>
+                {["editor", "viewer"].map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+              </select>
+              <button onClick={() => unshare(u)} disabled={busy} title="Stop sharing" style={ghostBtn}>✕</button>
+            </div>
+          ))}
+        </div>
+        <form onSubmit={shareWith} style={{ display: "flex", gap: 8 }}>
+          <input value={form.username} onChange={e => setForm(f => ({ ...f, username: e.target.value }))} placeholder="Username" style={{ ...inputStyle, flex: 1 }} />
+          <select value={form.role} onChange={e => setForm(f => ({ ...f, role: e.target.value }))} style={inputStyle}>
+            {["editor", "viewer"].map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+          </select>
+          <button type="submit" disabled={busy || !form.username.trim()} style={primaryBtn}>Share</button>
+        </form>
+      </div>
+
+      {/* Public links */}
+      <div>
+        <div style={labelStyle}>PUBLIC LINKS · READ-ONLY, NO ACCOUNT NEEDED</div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: active.length ? 10 : 0 }}>
+          {active.map(l => (
+            <div key={l.token} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12 }}>
+              <code style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", color: "#475569" }}>{linkUrl(l.token)}</code>
+              <span style={{ color: "#94a3b8", whiteSpace: "nowrap" }}>{l.expires_at ? `until ${fmtDate(l.expires_at)}` : "no expiry"}</span>
+              <button onClick={() => copy(l.token)} style={ghostBtn}>Copy</button>
+              <button onClick={() => revoke(l)} disabled={busy} style={{ ...ghostBtn, color: "#ef4444", borderColor: "#fecaca" }}>Revoke</button>
+            </div>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: 8 }}>
+          <select value={expiry} onChange={e => setExpiry(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+            {LINK_EXPIRY.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+          </select>
+          <button onClick={createLink} disabled={busy} style={primaryBtn}>🔗 Create link</button>
+        </div>
+        {links.length > active.length && (
+          <div style={{ fontSize: 11, color: "#94a3b8", marginTop: 6 }}>{links.length - active.length} expired or revoked</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const labelStyle = { fontSize: 11, fontWeight: 700, color: "#94a3b8", letterSpacing: ".08em", marginBottom: 8 };
+const inputStyle = { padding: "7px 10px", borderRadius: 9, border: "1.5px solid #e2e8f0", fontSize: 12, outline: "none", background: "#fff", color: "#1a2233" };
+const avatarStyle = { width: 26, height: 26, borderRadius: "50%", background: "#e2e8f0", display: "flex", alignItems: "center", justifyContent: "center", fontWeight: 800, fontSize: 11, color: "#64748b" };
+const ghostBtn = { padding: "5px 10px", borderRadius: 8, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 11 };
+const primaryBtn = { padding: "7px 14px", borderRadius: 9, border: "none", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontWeight: 700, fontSize: 12 };
@@ -0,0 +1,44 @@
+import { textIn, saidIn, langTag, largeScript, otherLanguage } from "./utils";
+
+/* English and the language it is translated into, for a session's languages */
+export const columnsFor = (languages) => ["en", otherLanguage(languages)];
+
+/* Column titles for a side-by-side transcript */
+export function SideBySideHeader({ languages }) {
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, fontSize: 11, fontWeight: 700, color: "#94a3b8", letterSpacing: ".08em" }}>
+      {columnsFor(languages).map(l => <div key={l}>{langTag(l).label}</div>)}
+    </div>
+  );
+}
+
+/* ══════════════════════════════════════════
+   SIDE-BY-SIDE ENTRY
+   One entry in both languages: what was said in its own column,
+   the translation (lighter, marked) in the other. The columns are
+   English and the session's other language; mixed lines are said in
+   the other column and translated into English.
+══════════════════════════════════════════ */
+export default function SideBySide({ entry, languages }) {
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+      {columnsFor(languages).map(lang => {
+        const text = textIn(entry, lang);
+        const translated = !saidIn(entry, lang);
+        const own = lang !== "en" && !translated; // tinted like the language's badge
+        return (
+          <div key={lang} style={{ padding: "10px 13px", borderRadius: 12, background: translated ? "#f8fafc" : own ? langTag(lang).bg : "#fff", border: `1.5px ${translated ? "dashed" : "solid"} ${own ? langTag(lang).border : "#e2e8f0"}` }}>
+            {text ? (
+              <p style={{ margin: 0, fontSize: largeScript(lang) ? 16 : 14, lineHeight: largeScript(lang) ? 2.05 : 1.75, color: translated ? "#475569" : "#1a2233" }}>
+                {text}
+                {translated && <span title="Machine translation" style={{ marginLeft: 6, fontSize: 10, color: "#94a3b8" }}>⇄</span>}
+              </p>
+            ) : (
+              <span style={{ fontSize: 12, color: "#cbd5e1" }}>—</span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
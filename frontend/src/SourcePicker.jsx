@@ -0,0 +1,68 @@
+import { useState, useEffect } from "react";
+import { listMicrophones, canCaptureTab } from "./audioCapture";
+
+const STORAGE_KEY = "metri_sources";
+
+/* The last sources chosen → { micId, tabAudio }; the default microphone alone by default */
+export function loadSourceSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { micId: saved?.micId || null, tabAudio: !!saved?.tabAudio && canCaptureTab() };
+  } catch {
+    return { micId: null, tabAudio: false };
+  }
+}
+
+/* ══════════════════════════════════════════
+   SOURCE PICKER
+   Which microphone the next recording uses, and whether it also
+   records a meeting tab's (or the system's) audio — so remote Zoom /
+   Meet speakers are heard without routing them through the mic.
+   `refresh` changes after the mic was first allowed, when the
+   browser starts telling us device names.
+══════════════════════════════════════════ */
+export default function SourcePicker({ value, onChange, disabled, refresh }) {
+  const [mics, setMics] = useState([]);
+  const { micId, tabAudio } = value;
+
+  useEffect(() => {
+    const load = () => listMicrophones().then(setMics).catch(() => { });
+    load();
+    navigator.mediaDevices?.addEventListener?.("devicechange", load);
+    return () => navigator.mediaDevices?.removeEventListener?.("devicechange", load);
+  }, [refresh]);
+
+  const update = (next) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    onChange(next);
+  };
+
+  // A remembered mic that was unplugged falls back to the default one
+  const selected = mics.some(m => m.id === micId) ? micId : "";
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", justifyContent: "center", opacity: disabled ? .6 : 1 }}>
+      <span style={{ fontSize: 11, fontWeight: 700, color: "#94a3b8", letterSpacing: ".08em", marginRight: 2 }}>SOURCES</span>
+      <select
+        value={selected}
+        onChange={e => update({ micId: e.target.value || null, tabAudio })}
+        disabled={disabled}
+        title="Microphone for your side of the meeting"
+        style={{ maxWidth: 220, padding: "4px 8px", borderRadius: 8, border: "1.5px solid #e2e8f0", background: "#fff", color: "#475569", fontSize: 12, fontWeight: 600 }}
+      >
+        <option value="">🎙️ Default microphone</option>
+        {mics.filter(m => m.id !== "default").map(m => <option key={m.id} value={m.id}>🎙️ {m.label}</option>)}
+      </select>
+      <button
+        onClick={() => update({ micId, tabAudio: !tabAudio })}
+        disabled={disabled || !canCaptureTab()}
+        title={canCaptureTab()
+          ? "Also record a meeting tab's audio (Zoom, Meet, Teams in the browser) — you pick the tab when recording starts"
+          : "This browser cannot share tab audio — use the setup guide instead"}
+        style={{ padding: "4px 11px", borderRadius: 20, border: `1.5px solid ${tabAudio ? "#c4b5fd" : "#e2e8f0"}`, background: tabAudio ? "#f5f3ff" : "#fff", color: tabAudio ? "#6d28d9" : "#94a3b8", fontWeight: 700, fontSize: 12 }}
+      >
+        🖥️ Tab audio {tabAudio ? "on" : "off"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { useState } from "react";
+
+/* ══════════════════════════════════════════
+   AI SUMMARY (Session detail)
+   The stored summary in English or Khmer. Action items are
+   ticked off here and the state is kept on the server.
+   readOnly (viewers, public links) shows it without the controls.
+══════════════════════════════════════════ */
+export default function SummaryPanel({ session, api, authFetch, onUpdate, onRegenerate, regenerating, readOnly, toast$ }) {
+  const [lang, setLang] = useState("en");
+  const [ticking, setTicking] = useState(null); // action item id
+  const { summary } = session;
+
+  const tick = async (item) => {
+    setTicking(item.id);
+    try {
+      const res = await authFetch(`${api}/sessions/${session.id}/summary/action-items/${item.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ done: !item.done }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      onUpdate({ ...session, summary: data });
+    } catch (err) {
+      toast$(err.message || "Could not update the action item.", "warn");
+    } finally {
+      setTicking(null);
+    }
+  };
+
+  // Fall back to the other language when the model left one side empty
+  const pick = (t) => t[lang] || t[lang === "en" ? "km" : "en"];
+  const km = lang === "km";
+  const textStyle = { fontSize: km ? 15 : 13, lineHeight: km ? 2 : 1.65, color: "#1a2233" };
+  const done = summary.action_items.filter(i => i.done).length;
+
+  const section = (label, items) => items.length > 0 && (
+    <div>
+      <div style={{ fontSize: 11, fontWeight: 700, color: "#94a3b8", letterSpacing: ".08em", marginBottom: 6 }}>{label}</div>
+      <ul style={{ margin: 0, paddingLeft: 18, display: "flex", flexDirection: "column", gap: 4 }}>
+        {items.map((t, i) => <li key={i} style={textStyle}>{pick(t)}</li>)}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #bbf7d0", boxShadow: "0 2px 12px rgba(0,0,0,.05)", padding: "14px 18px", display: "flex", flexDirection: "column", gap: 14 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <div style={{ fontWeight: 800, fontSize: 14, color: "#166534" }}>✨ AI Summary</div>
+        <div style={{ marginLeft: "auto", display: "flex", gap: 4 }}>
+          {["en", "km"].map(l => (
+            <button key={l} onClick={() => setLang(l)} style={{ padding: "3px 10px", borderRadius: 20, fontSize: 11, fontWeight: 700, border: `1.5px solid ${lang === l ? "#16a34a" : "#e2e8f0"}`, background: lang === l ? "#f0fdf4" : "#fff", color: lang === l ? "#166534" : "#64748b" }}>
+              {l === "km" ? "ខ្មែរ" : "English"}
+            </button>
+          ))}
+          {!readOnly && (
+            <button onClick={onRegenerate} disabled={regenerating} title="Generate the summary again (uses GPT tokens, resets action items)" style={{ padding: "3px 10px", borderRadius: 20, fontSize: 11, fontWeight: 700, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b" }}>
+              {regenerating ? "…" : "↻"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {pick(summary.overview) && <p style={{ margin: 0, ...textStyle }}>{pick(summary.overview)}</p>}
+
+      {section("DECISIONS", summary.decisions)}
+
+      {summary.action_items.length > 0 && (
+        <div>
+          <div style={{ fontSize: 11, fontWeight: 700, color: "#94a3b8", letterSpacing: ".08em", marginBottom: 6 }}>
+            ACTION ITEMS · {done}/{summary.action_items.length} DONE
+          </div>
+          <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+            {summary.action_items.map(item => (
+              <label key={item.id} style={{ display: "flex", gap: 10, alignItems: "flex-start", padding: "8px 10px", borderRadius: 10, background: item.done ? "#f8fafc" : "#f0fdf4", cursor: readOnly ? "default" : "pointer" }}>
+                <input type="checkbox" checked={item.done} disabled={readOnly || ticking === item.id} onChange={() => tick(item)} style={{ marginTop: 4, accentColor: "#16a34a" }} />
+                <div style={{ flex: 1 }}>
+                  <div style={{ ...textStyle, textDecoration: item.done ? "line-through" : "none", color: item.done ? "#94a3b8" : "#1a2233" }}>{pick(item)}</div>
+                  {(item.owner || item.due) && (
+                    <div style={{ display: "flex", gap: 10, fontSize: 11, color: "#64748b", marginTop: 2 }}>
+                      {item.owner && <span>👤 {item.owner}</span>}
+                      {item.due && <span>📅 {item.due}</span>}
+                    </div>
+                  )}
+                </div>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {section("OPEN QUESTIONS", summary.open_questions)}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useState } from "react";
+
+const ROLES = [["owner", "Owner"], ["editor", "Editor"], ["viewer", "Viewer"]];
+
+/* ══════════════════════════════════════════
+   WORKSPACES (Library)
+   Team Libraries: every member sees the sessions moved into a
+   workspace, and can edit them as owner or editor or only read
+   them as viewer. Owners manage members here.
+══════════════════════════════════════════ */
+export default function WorkspacesPanel({ api, authFetch, user, workspaces, setWorkspaces, onLibraryChange, toast$ }) {
+  const [name, setName] = useState("");
+  const [invite, setInvite] = useState({}); // workspace id → { username, role }
+  const [busy, setBusy] = useState(false);
+
+  const call = async (path, method, body) => {
+    const res = await authFetch(`${api}/workspaces${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    return data;
+  };
+
+  const run = async (fn, done) => {
+    setBusy(true);
+    try {
+      await fn();
+      if (done) toast$(done);
+    } catch (err) {
+      toast$(err.message || "Could not update the workspace.", "warn");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Member changes answer with the updated workspace
+  const replace = (w) => setWorkspaces(p => p.map(x => (x.id === w.id ? w : x)));
+  const drop = (id) => {
+    setWorkspaces(p => p.filter(x => x.id !== id));
+    onLibraryChange(); // its sessions left (or moved within) the Library
+  };
+
+  const create = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    run(async () => {
+      const w = await call("", "POST", { name });
+      setWorkspaces(p => [...p, w].sort((a, b) => a.name.localeCompare(b.name)));
+      setName("");
+    }, `Workspace "${name.trim()}" created ✓`);
+  };
+
+  const addMember = (e, w) => {
+    e.preventDefault();
+    const form = invite[w.id] || {};
+    if (!form.username?.trim()) return;
+    run(async () => {
+      replace(await call(`/${w.id}/members`, "PUT", { username: form.username, role: form.role || "editor" }));
+      setInvite(p => ({ ...p, [w.id]: { ...form, username: "" } }));
+    }, `${form.username.trim()} added ✓`);
+  };
+  const setRole = (w, m, role) => run(async () => replace(await call(`/${w.id}/members`, "PUT", { username: m.username, role })));
+  const remove = (w, m) => run(async () => replace(await call(`/${w.id}/members/${m.user_id}`, "DELETE")), `${m.username} removed`);
+  const leave = (w) => confirm(`Leave "${w.name}"? Its sessions disappear from your Library.`) &&
+    run(async () => { await call(`/${w.id}/members/${user.id}`, "DELETE"); drop(w.id); }, `Left "${w.name}"`);
+  const destroy = (w) => confirm(`Delete "${w.name}"? Its sessions go back to the people who recorded them.`) &&
+    run(async () => { await call(`/${w.id}`, "DELETE"); drop(w.id); }, `Deleted "${w.name}"`);
+
+  return (
+    <div style={{ background: "#fff", borderRadius: 16, border: "1.5px solid #c7d2fe", boxShadow: "0 2px 12px rgba(0,0,0,.05)", padding: "14px 18px", marginBottom: 16, display: "flex", flexDirection: "column", gap: 14 }}>
+      {workspaces.map(w => {
+        const owner = w.role === "owner";
+        const form = invite[w.id] || { username: "", role: "editor" };
+        return (
+          <div key={w.id} style={{ paddingBottom: 14, borderBottom: "1px solid #f1f5f9" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+              <span style={{ fontWeight: 800, fontSize: 14 }}>👥 {w.name}</span>
+              <span style={{ fontSize: 11, color: "#64748b" }}>you are {w.role}</span>
+              <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+                <button onClick={() => leave(w)} disabled={busy} style={ghostBtn}>Leave</button>
+                {owner && <button onClick={() => destroy(w)} disabled={busy} style={{ ...ghostBtn, color: "#ef4444", borderColor: "#fecaca" }}>Delete</button>}
+              </div>
+            </div>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: owner ? 10 : 0 }}>
+              {w.members.map(m => (
+                <div key={m.user_id} style={{ display: "flex", alignItems: "center", gap: 6, padding: "3px 4px 3px 10px", borderRadius: 10, background: "#f8fafc", border: "1px solid #e2e8f0", fontSize: 12 }}>
+                  <strong>{m.username}</strong>
+                  {owner && m.user_id !== user.id ? (
+                    <>
+                      <select value={m.role} onChange={e => setRole(w, m, e.target.value)} disabled={busy} style={{ ...inputStyle, padding: "2px 4px" }}>
+                        {ROLES.map(([r, label]) => <option key={r} value={r}>{label}</option>)}
+                      </select>
+                      <button onClick={() => remove(w, m)} disabled={busy} title="Remove from workspace" style={{ border: "none", background: "none", color: "#94a3b8", fontSize: 12 }}>✕</button>
+                    </>
+                  ) : (
+                    <span style={{ color: "#64748b", paddingRight: 6 }}>{m.role}</span>
+                  )}
+                </div>
+              ))}
+            </div>
+            {owner && (
+              <form onSubmit={e => addMember(e, w)} style={{ display: "flex", gap: 8 }}>
+                <input value={form.username} onChange={e => setInvite(p => ({ ...p, [w.id]: { ...form, username: e.target.value } }))} placeholder="Add by username" style={{ ...inputStyle, flex: 1 }} />
+                <select value={form.role} onChange={e => setInvite(p => ({ ...p, [w.id]: { ...form, role: e.target.value } }))} style={inputStyle}>
+                  {ROLES.map(([r, label]) => <option key={r} value={r}>{label}</option>)}
+                </select>
+                <button type="submit" disabled={busy || !form.username.trim()} style={primaryBtn}>Add</button>
+              </form>
+            )}
+          </div>
+        );
+      })}
+
+      <form onSubmit={create} style={{ display: "flex", gap: 8 }}>
+        <input value={name} onChange={e => setName(e.target.value)} maxLength={80} placeholder="New workspace, e.g. Finance team" style={{ ...inputStyle, flex: 1 }} />
+        <button type="submit" disabled={busy || !name.trim()} style={primaryBtn}>＋ Create workspace</button>
+      </form>
+    </div>
+  );
+}
+
+const inputStyle = { padding: "7px 10px", borderRadius: 9, border: "1.5px solid #e2e8f0", fontSize: 12, outline: "none", background: "#fff", color: "#1a2233" };
+const ghostBtn = { padding: "5px 10px", borderRadius: 8, border: "1.5px solid #e2e8f0", background: "#fff", color: "#64748b", fontWeight: 700, fontSize: 11 };
+const primaryBtn = { padding: "7px 14px", borderRadius: 9, border: "none", background: "linear-gradient(135deg,#3b82f6,#1d4ed8)", color: "#fff", fontWeight: 700, fontSize: 12 };
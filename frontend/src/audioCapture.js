@@ -0,0 +1,130 @@
+/* ══════════════════════════════════════════
+   AUDIO CAPTURE
+   The microphone and, optionally, a meeting tab's (or the screen's)
+   audio from getDisplayMedia, mixed in one Web Audio graph into the
+   stream the MediaRecorder records. Each source has its own analyser,
+   so each gets a meter and a level history; the louder of the two
+   feeds the voice activity detector (./vad), and whichever was louder
+   while someone spoke tags a chunk "local" (microphone) or "remote"
+   (tab / system audio).
+══════════════════════════════════════════ */
+import { createVad } from "./vad";
+
+const SAMPLE_MS = 50;     // a timer, not requestAnimationFrame: it keeps running while the meeting tab is in front
+const HISTORY_MS = 1500; // level samples kept, enough for one chunk and the pause tail
+
+/* Audio inputs the browser knows about → [{ id, label }]; labels are
+   empty until the user has allowed the microphone once */
+export async function listMicrophones() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(d => d.kind === "audioinput" && d.deviceId)
+    .map((d, i) => ({ id: d.deviceId, label: d.label || `Microphone ${i + 1}` }));
+}
+
+export const canCaptureTab = () => !!navigator.mediaDevices?.getDisplayMedia;
+
+/* Ask the user for a tab, window or screen with its audio → a stream
+   with only the audio track (the video one is stopped right away) */
+async function captureTabAudio() {
+  const noAudio = (message) => Object.assign(new Error(message), { name: "NoTabAudio" });
+  let display;
+  try {
+    display = await navigator.mediaDevices.getDisplayMedia({
+      video: true, // Chrome only offers audio alongside video
+      audio: { echoCancellation: false, noiseSuppression: false },
+      systemAudio: "include",
+      selfBrowserSurface: "exclude",
+    });
+  } catch (err) {
+    if (err.name === "NotAllowedError") throw noAudio("No tab was shared — pick the meeting tab, or turn tab audio off.");
+    throw err;
+  }
+  display.getVideoTracks().forEach(t => t.stop());
+  if (!display.getAudioTracks().length) {
+    throw noAudio('No audio was shared — pick a tab and tick "Share tab audio" (or "Share system audio").');
+  }
+  return new MediaStream(display.getAudioTracks());
+}
+
+/**
+ * Open the microphone (`micId`, or the default one) and, with
+ * `tabAudio`, a shared tab's audio → {
+ *   stream,              the mix, for the MediaRecorder
+ *   hasTab,              whether tab audio is (still) part of the mix
+ *   vad,                 the voice activity detector: speaking, threshold, takeSpeech()
+ *   source(ms),          "local" | "remote" — the louder while someone spoke over
+ *                        the last ms — or null when nobody did or no tab was shared
+ *   onTabEnded(fn),      called when the user stops sharing the tab
+ *   stop()
+ * }
+ * onLevels({ mic, tab, speaking, threshold }) is called every SAMPLE_MS, for the meters.
+ */
+export async function openCapture({ micId, tabAudio, onLevels }) {
+  // Tab first: getDisplayMedia needs the click that started the session
+  const tab = tabAudio ? await captureTabAudio() : null;
+  let mic;
+  try {
+    mic = await navigator.mediaDevices.getUserMedia({
+      audio: { deviceId: micId ? { exact: micId } : undefined, echoCancellation: true, noiseSuppression: true, sampleRate: 16000 },
+    });
+  } catch (err) {
+    tab?.getTracks().forEach(t => t.stop());
+    throw err;
+  }
+
+  const ctx = new AudioContext();
+  const mix = ctx.createMediaStreamDestination();
+  const meter = (stream) => {
+    const src = ctx.createMediaStreamSource(stream);
+    const an = ctx.createAnalyser(); an.fftSize = 256; an.smoothingTimeConstant = 0.75;
+    src.connect(an);
+    src.connect(mix);
+    const data = new Uint8Array(an.frequencyBinCount);
+    return () => {
+      an.getByteFrequencyData(data);
+      return data.reduce((s, v) => s + v, 0) / data.length / 128;
+    };
+  };
+  const micLevel = meter(mic);
+  let tabLevel = tab ? meter(tab) : null;
+
+  const vad = createVad();
+  const history = []; // recent { t, mic, tab, speaking } samples
+  const tick = () => {
+    const now = performance.now();
+    const levels = { mic: micLevel(), tab: tabLevel ? tabLevel() : 0 };
+    vad.push(Math.max(levels.mic, levels.tab), now);
+    history.push({ t: now, ...levels, speaking: vad.speaking });
+    while (history.length && now - history[0].t > HISTORY_MS) history.shift();
+    onLevels?.({ ...levels, speaking: vad.speaking, threshold: vad.threshold });
+  };
+  const timer = setInterval(tick, SAMPLE_MS);
+  const recent = (ms) => history.filter(h => performance.now() - h.t < ms);
+
+  let tabEnded = () => { };
+  tab?.getAudioTracks()[0].addEventListener("ended", () => {
+    tabLevel = null; // the mix carries on with the microphone alone
+    tabEnded();
+  });
+
+  return {
+    stream: mix.stream,
+    get hasTab() { return !!tabLevel; },
+    vad,
+    source(ms) {
+      if (!tab) return null;
+      const spoken = recent(ms).filter(h => h.speaking);
+      if (!spoken.length) return null;
+      const sum = (key) => spoken.reduce((s, h) => s + h[key], 0);
+      return sum("tab") > sum("mic") ? "remote" : "local";
+    },
+    onTabEnded(fn) { tabEnded = fn; },
+    stop() {
+      clearInterval(timer);
+      [mic, tab].forEach(s => s?.getTracks().forEach(t => t.stop()));
+      ctx.close().catch(() => { });
+    },
+  };
+}
@@ -0,0 +1,83 @@
+/* ══════════════════════════════════════════
+   RESUMABLE RECORDER
+   MediaRecorder chunks, numbered and queued in an outbox, then sent
+   in order whenever the socket is open. The chunks form one continuous
+   stream (only the first carries the container header), so none may be
+   skipped: after a reconnect the server says how many it received and
+   sending carries on from there. A short tail of sent chunks is kept
+   in case the last ones never arrived.
+══════════════════════════════════════════ */
+const KEEP_SENT = 30; // chunks (~30 s) kept after sending
+
+/**
+ * Start recording `stream` → { resend(received), restart(), stop(), recorder }.
+ *   send(meta, buffer) → false while the socket is down
+ *   isSilent()         → whether the chunk just recorded ended on a pause
+ *   hasSpeech()        → whether anyone spoke during it (undefined: unknown)
+ *   source()           → "local" | "remote": which source the chunk was mostly, if known
+ *   onStopped()        → after the last chunk went out (or was queued)
+ */
+export function startRecorder(stream, { mimeType, timeslice, send, isSilent, hasSpeech = () => undefined, source = () => null, onStopped }) {
+  let outbox = [];   // { index, meta, data }
+  let next = 0;      // index of the next chunk to send
+  let count = 0;     // chunks recorded by the current MediaRecorder
+  let sending = Promise.resolve(); // one drain at a time, in order
+  let generation = 0; // bumped by restart(), so a drain in flight stops
+  let recorder = null;
+
+  const drain = async () => {
+    const gen = generation;
+    for (let item = outbox.find(c => c.index === next); item; item = outbox.find(c => c.index === next)) {
+      const buf = await item.data.arrayBuffer();
+      if (gen !== generation || !send(item.meta, buf)) break;
+      next++;
+    }
+    outbox = outbox.filter(c => c.index >= next - KEEP_SENT);
+  };
+  const pump = () => (sending = sending.then(drain, drain));
+
+  const record = () => {
+    const rec = new MediaRecorder(stream, { mimeType });
+    const recStart = performance.now();
+    let chunkStart = 0;
+    rec.ondataavailable = (e) => {
+      if (!e.data.size || rec !== recorder) return;
+      const now = performance.now() - recStart;
+      const index = count++;
+      const meta = { type: "chunk_meta", index, start: Math.round(chunkStart), duration: Math.round(now - chunkStart), silent: isSilent(), speech: hasSpeech(), source: source() ?? undefined };
+      chunkStart = now;
+      outbox.push({ index, meta, data: e.data });
+      pump();
+    };
+    rec.onstop = () => {
+      if (rec !== recorder) return; // replaced by restart()
+      pump().then(onStopped);
+    };
+    recorder = rec;
+    rec.start(timeslice);
+  };
+  record();
+
+  return {
+    /* The server resumed the stream and holds chunks [0, received) →
+       false when a chunk it is missing was already dropped */
+    resend(received) {
+      if (received < count && !outbox.some(c => c.index === received)) return false;
+      next = received;
+      outbox = outbox.filter(c => c.index >= received);
+      pump();
+      return true;
+    },
+    /* The server lost the stream: begin a new one (new header, offsets from 0) */
+    restart() {
+      const old = recorder;
+      outbox = []; next = 0; count = 0; generation++;
+      record();
+      old.stop();
+    },
+    stop() {
+      if (recorder.state !== "inactive") recorder.stop();
+    },
+    get recorder() { return recorder; },
+  };
+}
@@ -0,0 +1,54 @@
+/* ─── Shared formatting helpers ─── */
+export const fmtTime = (d) => new Date(d).toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+export const fmtDur = (s) => `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+export const fmtDate = (d) => new Date(d).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric", year: "numeric" });
+export const fmtOffset = (sec) => fmtDur(Math.max(0, Math.floor(sec)));
+export const isKhmer = (t) => /[\u1780-\u17FF]/.test(t);
+
+/* ─── Languages ─── */
+// Mirrors backend/languages.js: every language a transcript can be in, with its badge
+export const LANGUAGES = ["en", "km", "th", "vi", "zh", "fr"];
+export const DEFAULT_LANGUAGES = ["en", "km"];
+export const LANG_TAGS = {
+  en: { label: "🇺🇸 English", name: "English", title: "English", flag: "🇺🇸", short: "EN", color: "#3b82f6", bg: "#eff6ff", border: "#bfdbfe", bar: "linear-gradient(180deg,#60a5fa,#3b82f6)" },
+  km: { label: "🇰🇭 ខ្មែរ", name: "ភាសាខ្មែរ", title: "Khmer", flag: "🇰🇭", short: "ខ្មែរ", color: "#d97706", bg: "#fffbeb", border: "#fcd34d", bar: "linear-gradient(180deg,#f59e0b,#d97706)" },
+  th: { label: "🇹🇭 ไทย", name: "ภาษาไทย", title: "Thai", flag: "🇹🇭", short: "ไทย", color: "#db2777", bg: "#fdf2f8", border: "#fbcfe8", bar: "linear-gradient(180deg,#f472b6,#db2777)" },
+  vi: { label: "🇻🇳 Tiếng Việt", name: "Tiếng Việt", title: "Vietnamese", flag: "🇻🇳", short: "VI", color: "#dc2626", bg: "#fef2f2", border: "#fecaca", bar: "linear-gradient(180deg,#f87171,#dc2626)" },
+  zh: { label: "🇨🇳 中文", name: "中文", title: "Chinese", flag: "🇨🇳", short: "中文", color: "#059669", bg: "#ecfdf5", border: "#a7f3d0", bar: "linear-gradient(180deg,#34d399,#059669)" },
+  fr: { label: "🇫🇷 Français", name: "Français", title: "French", flag: "🇫🇷", short: "FR", color: "#4f46e5", bg: "#eef2ff", border: "#c7d2fe", bar: "linear-gradient(180deg,#818cf8,#4f46e5)" },
+  // a line that switches between two languages mid-sentence
+  mixed: { label: "🔀 Mixed", name: "Mixed", title: "Mixed", flag: "🔀", short: "MIX", color: "#7c3aed", bg: "#f5f3ff", border: "#ddd6fe", bar: "linear-gradient(180deg,#a78bfa,#7c3aed)" },
+};
+export const langTag = (lang) => LANG_TAGS[lang] || LANG_TAGS.en;
+// Khmer and Thai script (alone or mixed in) need the larger size and line height
+export const largeScript = (lang) => lang === "km" || lang === "th" || lang === "mixed";
+// Detected with less confidence than this, and not corrected by hand → worth a second look
+const UNSURE_BELOW = 0.6;
+export const unsureLang = (e) => e.lang_confidence != null && e.lang_confidence < UNSURE_BELOW && (e.original_lang ?? e.lang) === e.lang;
+
+/* ─── Audio sources ─── */
+// Where a live entry was heard, when the recording mixed the microphone with tab audio
+export const SOURCE_TAGS = {
+  local: { label: "🎙️ Local", title: "Heard on the microphone" },
+  remote: { label: "🖥️ Remote", title: "Heard in the shared tab or system audio" },
+};
+
+/* ─── Translations ─── */
+// Mixed lines are translated into English, so what was said goes with the other language
+export const saidIn = (e, lang) => e.lang === lang || (e.lang === "mixed" && lang !== "en");
+// The language English lines are translated into — as the server picks it
+export const otherLanguage = (languages = DEFAULT_LANGUAGES) => languages.find(l => l !== "en") || "km";
+// An entry's text in `lang`: what was said, its stored translation, or null
+export const textIn = (e, lang) => (saidIn(e, lang) ? e.text : e.translation?.lang === lang ? e.translation.text : null);
+
+/* ─── Speakers ─── */
+const SPEAKER_COLORS = ["#2563eb", "#db2777", "#059669", "#7c3aed", "#ea580c", "#0891b2"];
+export const speakerName = (session, e) => e.speaker ? (session.speakers?.[e.speaker] || `Speaker ${e.speaker.slice(1)}`) : null;
+export const speakerColor = (label) => SPEAKER_COLORS[(parseInt(label?.slice(1), 10) - 1 || 0) % SPEAKER_COLORS.length];
+
+/* ─── Live entries ─── */
+// Keep entries in spoken order when a retried window arrives late
+export const insertByTime = (list, entry) => {
+  const i = list.findIndex(e => e.time > entry.time);
+  return i === -1 ? [...list, entry] : [...list.slice(0, i), entry, ...list.slice(i)];
+};
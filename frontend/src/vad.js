@@ -0,0 +1,50 @@
+/* ══════════════════════════════════════════
+   VOICE ACTIVITY DETECTION
+   Energy-based, on the analyser levels the capture samples anyway.
+   The speech threshold follows the room: MARGIN above the noise floor
+   (tracked while nobody speaks), never below MIN_LEVEL. Speech starts
+   after ATTACK_MS above the threshold and ends HANGOVER_MS after it
+   drops below — that is a pause, where the server cuts a window.
+══════════════════════════════════════════ */
+export const VAD_MIN_LEVEL = 0.05;  // analyser level (0..1+) speech never counts below
+const MARGIN = 0.04;                // above the noise floor
+const FLOOR_RISE = 0.01;            // per sample: the floor creeps up to steady noise, drops at once
+export const VAD_ATTACK_MS = 100;
+export const VAD_HANGOVER_MS = 600;
+
+/**
+ * → { push(level, t), threshold, speaking, takeSpeech() }
+ * takeSpeech() says whether there was speech since the last call — once per chunk.
+ */
+export function createVad() {
+  let floor = 0;
+  let speaking = false;
+  let heard = false;
+  let above = null; // since when the level is above the threshold
+  let below = null; // …or below it
+
+  const threshold = () => Math.max(VAD_MIN_LEVEL, floor + MARGIN);
+
+  return {
+    push(level, t) {
+      if (level >= threshold()) {
+        below = null;
+        above ??= t;
+        if (!speaking && t - above >= VAD_ATTACK_MS) speaking = true;
+      } else {
+        above = null;
+        below ??= t;
+        if (speaking && t - below >= VAD_HANGOVER_MS) speaking = false;
+      }
+      if (speaking) heard = true;
+      else floor = level < floor ? level : floor + (level - floor) * FLOOR_RISE;
+    },
+    get threshold() { return threshold(); },
+    get speaking() { return speaking; },
+    takeSpeech() {
+      const was = heard;
+      heard = speaking;
+      return was;
+    },
+  };
+}